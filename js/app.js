@@ -17,6 +17,8 @@ class SofunApp {
         this.version = APP_CONFIG.version;
         this.originalWorkbook = null; // Store original Excel file
         this.originalFileName = null; // Store original filename
+        this.originalFileData = null; // Original file contents, patched by the modified export
+        this.importIssueReport = null; // Problems of the last import, for the annotated download
     }
 
     /* ---------- Application Lifecycle ---------- */
@@ -214,6 +216,14 @@ class SofunApp {
             if (modal && modal.style.display === 'block') {
                 personnelManager.closeEditModal();
             }
+            const mappingModal = document.getElementById('columnMappingModal');
+            if (mappingModal && mappingModal.style.display === 'block') {
+                columnMapper.closeWizard(null);
+            }
+            const previewModal = document.getElementById('importPreviewModal');
+            if (previewModal && previewModal.style.display === 'block') {
+                importPreview.closePreview(null);
+            }
         }
     }
 
@@ -225,10 +235,16 @@ class SofunApp {
     loadData() {
         try {
             this.personnelData = storage.loadPersonnelData() || [];
+            orgStructure.assignCompanies(this.personnelData);
             
             // Ensure auditLog is always an array
             const loadedAuditLog = storage.loadAuditLog();
             this.auditLog = Array.isArray(loadedAuditLog) ? loadedAuditLog : [];
+            // Results with an attempt history follow ATTEMPT_CONFIG, which may have changed since the last save
+            const rederived = attemptHistory.sync(this.personnelData);
+            if (rederived > 0) this.addAuditEntry(`Re-derived ${rederived} result(s) from their attempts (attempt policy)`);
+            this.syncRemedialTraining();
+            this.syncMedicalStatus();
             
             this.filteredData = [...this.personnelData];
             
@@ -246,6 +262,11 @@ class SofunApp {
      */
     saveData() {
         try {
+            // The company follows the platoon, remedial requirements follow the results and the
+            // medical status follows its entries, so changes made anywhere are picked up here
+            orgStructure.assignCompanies(this.personnelData);
+            this.syncRemedialTraining();
+            this.syncMedicalStatus();
             const success = storage.savePersonnelData(this.personnelData);
             if (success) {
                 storage.saveAuditLog(this.auditLog);
@@ -257,6 +278,26 @@ class SofunApp {
         }
     }
 
+    /**
+     * Open remedial requirements for new Fails and close those whose test has been passed since
+     * @returns {number} Number of requirements opened or closed
+     */
+    syncRemedialTraining() {
+        const changes = remedialTracker.sync(this.personnelData);
+        if (changes.length > 0) this.addAuditEntry(remedialTracker.describeChanges(changes));
+        return changes.length;
+    }
+
+    /**
+     * Derive each medical status from its entries, so a status that expired since is Fit again
+     * @returns {number} Number of personnel whose medical status changed
+     */
+    syncMedicalStatus() {
+        const changes = medicalTracker.sync(this.personnelData);
+        if (changes.length > 0) this.addAuditEntry(medicalTracker.describeChanges(changes));
+        return changes.length;
+    }
+
     /**
      * Add audit log entry
      * @param {string} action - Action description
@@ -336,7 +377,7 @@ class SofunApp {
         }
         
         // Simple validation warning (but don't prevent processing)
-        const validTypes = ['.xlsx', '.xls'];
+        const validTypes = APP_CONFIG.supportedFormats;
         const fileExtension = file.name.toLowerCase().substring(file.name.lastIndexOf('.'));
         
         if (!validTypes.includes(fileExtension)) {
@@ -367,28 +408,61 @@ class SofunApp {
             }
 
             // Pre-validate filename and extension
-            if (!/\.(xlsx|xls)$/i.test(file.name)) {
-                showErrorMessage('Unsupported file format. Please use .xlsx or .xls');
+            if (!APP_CONFIG.supportedFormats.some(format => file.name.toLowerCase().endsWith(format))) {
+                showErrorMessage(`Unsupported file format. Please use ${APP_CONFIG.supportedFormats.join(', ')}`);
                 return;
             }
 
-            // Confirm replacement if database already exists
-            if (Array.isArray(this.personnelData) && this.personnelData.length > 0) {
-                const confirmed = confirm('Re-import will REPLACE the existing saved database with the content of this Excel file. Continue?');
-                if (!confirmed) {
+            // Read the workbook first so the column mapping can be confirmed against it
+            let workbook;
+            try {
+                workbook = await dataProcessor.readWorkbook(file, {
+                    onProgress: (progress) => this.showImportProgress(progress)
+                });
+            } catch (readError) {
+                if (readError.cancelled) {
                     if (fileStatus) {
-                        fileStatus.textContent = 'Re-import cancelled.';
+                        fileStatus.textContent = 'Import cancelled.';
                         fileStatus.className = 'file-status';
                     }
                     return;
                 }
+                logError('Excel file could not be read', readError);
+                showErrorMessage(`❌ Import failed:\n${readError.message}`);
+                if (fileStatus) {
+                    fileStatus.textContent = `❌ ${readError.message}`;
+                    fileStatus.className = 'file-status error';
+                }
+                return;
+            }
+
+            if (!columnMapper.detectWorkbookFormat(workbook)) {
+                dataProcessor.finishImport();
+                showErrorMessage('❌ Import failed:\nUnrecognised workbook. The file needs either an "All in one view" sheet, or separate IPPT, VOC and RANGE sheets (or be a single-sheet CSV).');
+                if (fileStatus) {
+                    fileStatus.textContent = '❌ No "All in one view" or IPPT / VOC / RANGE sheets found';
+                    fileStatus.className = 'file-status error';
+                }
+                return;
             }
 
-            // Update status to processing
             if (fileStatus) {
-                fileStatus.textContent = '⏳ Processing Excel file...';
-                fileStatus.className = 'file-status processing';
+                fileStatus.textContent = '🧭 Confirm the column mapping to continue...';
+                fileStatus.className = 'file-status ready';
+            }
+
+            const mapping = await columnMapper.openWizard(workbook, file.name);
+            if (!mapping) {
+                dataProcessor.finishImport();
+                if (fileStatus) {
+                    fileStatus.textContent = 'Import cancelled.';
+                    fileStatus.className = 'file-status';
+                }
+                return;
             }
+
+            // Update status to processing
+            this.showImportProgress({ stage: 'rows', processed: 0, total: 0, warnings: 0 });
             
             if (processBtn) {
                 processBtn.disabled = true;
@@ -405,23 +479,95 @@ class SofunApp {
                 lastModified: new Date(file.lastModified).toISOString()
             });
 
-            showSuccessMessage('Processing Excel file...');
-            
-            const result = await dataProcessor.processExcelFile(file);
+            const result = await dataProcessor.processImport(mapping, {
+                onProgress: (progress) => this.showImportProgress(progress)
+            });
             
             const processingTime = window.advancedAudit.endTimer('excelProcessing');
+
+            if (result.cancelled) {
+                if (fileStatus) {
+                    fileStatus.textContent = 'Import cancelled.';
+                    fileStatus.className = 'file-status';
+                }
+                if (processBtn) {
+                    processBtn.disabled = false;
+                    processBtn.innerHTML = (Array.isArray(this.personnelData) && this.personnelData.length > 0)
+                        ? '🔄 Replace Data (Re-import)'
+                        : '📊 Process File';
+                }
+                this.addAuditEntry(`Excel import cancelled: ${file.name}`);
+                return;
+            }
+
+            // Keep the file and its problems so an annotated copy can be downloaded
+            this.setImportIssueReport({
+                fileName: file.name,
+                fileData: result.originalFileData,
+                workbook: result.originalWorkbook,
+                issues: result.success
+                    ? (result.issues || [])
+                    : result.errors.map(error => dataProcessor.createImportIssue('', -1, -1, '', error, 'Check the sheet names and the column mapping'))
+            });
             
+            // Existing database: review the differences instead of replacing wholesale
+            const isSnapshot = !!columnMapper.formats[mapping.format]?.snapshot;
+            let importSummary = null;
+            if (result.success && Array.isArray(this.personnelData) && this.personnelData.length > 0) {
+                if (fileStatus) {
+                    fileStatus.textContent = '🧾 Review the import changes to continue...';
+                    fileStatus.className = 'file-status ready';
+                }
+
+                const decision = await importPreview.openPreview(this.personnelData, result.data, {
+                    fileName: file.name,
+                    lastModified: file.lastModified,
+                    // A CSV export holds one category, so people of the other category are not "missing".
+                    // Exports leave out posted-out personnel, and their cells are not in the workbook
+                    // the modified export patches
+                    categories: isSnapshot ? [...new Set(result.data.map(person => person.category))] : null,
+                    keepImportSources: isSnapshot,
+                    activeOnly: isSnapshot
+                });
+                if (!decision) {
+                    if (fileStatus) {
+                        fileStatus.textContent = 'Re-import cancelled.';
+                        fileStatus.className = 'file-status';
+                    }
+                    if (processBtn) {
+                        processBtn.disabled = false;
+                        processBtn.innerHTML = '🔄 Replace Data (Re-import)';
+                    }
+                    return;
+                }
+                result.data = decision.data;
+                result.recordCount = decision.data.length;
+                importSummary = decision.summary;
+            }
+
             if (result.success) {
                 this.personnelData = result.data;
                 this.filteredData = [...this.personnelData];
                 
-                // Store original workbook and filename for modified exports
-                this.originalWorkbook = result.originalWorkbook;
-                this.originalFileName = file.name;
+                // Store original workbook and filename for modified exports (exports have no layout to keep)
+                if (!isSnapshot) {
+                    this.originalWorkbook = result.originalWorkbook;
+                    this.originalFileName = file.name;
+                    this.originalFileData = result.originalFileData;
+                }
                 
                 this.saveData();
                 this.updateAll();
-                this.addAuditEntry(`Imported Excel file: ${result.recordCount} records processed`);
+                const profileNote = mapping.profileName ? ` (mapping profile "${mapping.profileName}")` : '';
+                const sheetNote = Object.entries(result.sheetCounts || {})
+                    .map(([sheetName, counts]) => `${sheetName}: ${counts.values} values from ${counts.rows} rows`)
+                    .join(', ');
+                const sourceNote = sheetNote ? ` [${sheetNote}]` : '';
+                if (importSummary) {
+                    this.addAuditEntry(`Imported Excel file: ${importSummary.added} added, ${importSummary.removed} removed, ${importSummary.fieldsChanged} field(s) updated, ${importSummary.fieldsRejected} change(s) rejected${profileNote}${sourceNote}`);
+                } else {
+                    this.addAuditEntry(`Imported Excel file: ${result.recordCount} records processed${profileNote}${sourceNote}`);
+                }
                 this.updateImportUIForSavedData();
                 
                 window.advancedAudit.logData('INFO', 'Excel import completed successfully', {
@@ -429,6 +575,9 @@ class SofunApp {
                     recordCount: result.recordCount,
                     processingTime: `${processingTime.toFixed(2)}ms`,
                     warningCount: result.warnings?.length || 0,
+                    mappingProfile: mapping.profileName || 'auto-detected',
+                    format: mapping.format,
+                    sheetCounts: result.sheetCounts,
                     dataSize: `${JSON.stringify(result.data).length} chars`,
                     categories: {
                         nsf: result.data.filter(p => p.category === 'NSF').length,
@@ -436,9 +585,17 @@ class SofunApp {
                     }
                 });
                 
-                let message = `✅ Import successful!\n${result.recordCount} personnel records imported.`;
+                let message = importSummary
+                    ? `✅ Import successful!\n${importSummary.added} added, ${importSummary.removed} removed, ${importSummary.fieldsChanged} field(s) updated.\n${result.recordCount} personnel records in database.`
+                    : `✅ Import successful!\n${result.recordCount} personnel records imported.`;
+                if (sheetNote) message += `\nSources - ${sheetNote}`;
+                // Re-imports are where near-identical names creep in; offer to merge them straight away
+                const duplicatePairs = duplicateFinder.open({ onlyIfFound: true });
+                if (duplicatePairs > 0) message += `\n🔍 ${duplicatePairs} likely duplicate pair(s) found - review them in the duplicate finder.`;
+                const unassigned = platoonReview.countUnresolved(this.personnelData);
+                if (unassigned > 0) message += `\n🧭 ${unassigned} personnel have no recognised platoon - click "Review Platoons" to assign them.`;
                 if (result.warnings && result.warnings.length > 0) {
-                    message += `\n⚠️ ${result.warnings.length} warnings (check console for details)`;
+                    message += `\n⚠️ ${result.warnings.length} warnings. Click "Download Import Issues" for a copy of the file with the problem rows marked.`;
                     console.warn('Import warnings:', result.warnings);
                     
                     window.advancedAudit.logValidation('WARN', 'Excel import completed with validation warnings', {
@@ -456,7 +613,7 @@ class SofunApp {
                     fileStatus.className = 'file-status success';
                 }
             } else {
-                const errorMsg = `❌ Import failed:\n${result.errors.join('\n')}`;
+                const errorMsg = `❌ Import failed:\n${result.errors.join('\n')}\n\nClick "Download Import Issues" for a list of the problems.`;
                 showErrorMessage(errorMsg);
                 this.addAuditEntry(`Excel import failed: ${result.errors.length} errors`);
                 
@@ -501,6 +658,7 @@ class SofunApp {
             
         } catch (error) {
             logError('Excel processing error', error);
+            dataProcessor.finishImport();
             
             // Update UI on error
             if (fileStatus) {
@@ -522,6 +680,159 @@ class SofunApp {
         }
     }
 
+    /**
+     * Import a nominal roll: posts personnel in and out and updates their details.
+     * Assessment results are never read from or written by a roster.
+     */
+    async processRosterFile() {
+        const fileInput = document.getElementById('rosterFile');
+        const file = fileInput?.files[0];
+        const fileStatus = document.getElementById('fileStatus');
+        const setStatus = (text, className = '') => {
+            if (!fileStatus) return;
+            fileStatus.textContent = text;
+            fileStatus.className = `file-status ${className}`.trim();
+        };
+
+        if (!file) {
+            showErrorMessage('Please select a roster file first');
+            return;
+        }
+
+        try {
+            let workbook;
+            try {
+                workbook = await dataProcessor.readWorkbook(file, {
+                    formats: APP_CONFIG.rosterFormats,
+                    onProgress: (progress) => this.showImportProgress(progress)
+                });
+            } catch (readError) {
+                if (readError.cancelled) {
+                    setStatus('Roster import cancelled.');
+                    return;
+                }
+                logError('Roster file could not be read', readError);
+                showErrorMessage(`❌ Roster import failed:\n${readError.message}`);
+                setStatus(`❌ ${readError.message}`, 'error');
+                return;
+            }
+
+            setStatus('🧭 Confirm the roster columns to continue...', 'ready');
+            const mapping = await columnMapper.openWizard(workbook, file.name, 'roster');
+            if (!mapping) {
+                dataProcessor.finishImport();
+                setStatus('Roster import cancelled.');
+                return;
+            }
+
+            const result = await dataProcessor.processImport(mapping, {
+                onProgress: (progress) => this.showImportProgress(progress)
+            });
+            if (result.cancelled) {
+                setStatus('Roster import cancelled.');
+                return;
+            }
+
+            this.setImportIssueReport({
+                fileName: file.name,
+                fileData: result.originalFileData,
+                workbook: result.originalWorkbook,
+                issues: result.success
+                    ? (result.issues || [])
+                    : result.errors.map(error => dataProcessor.createImportIssue('', -1, -1, '', error, 'Check the roster columns in the import wizard'))
+            });
+
+            if (!result.success) {
+                showErrorMessage(`❌ Roster import failed:\n${result.errors.join('\n')}`);
+                setStatus(`❌ Roster import failed: ${result.errors.length} error(s)`, 'error');
+                this.addAuditEntry(`Roster import failed: ${result.errors.length} errors`);
+                return;
+            }
+
+            setStatus('🧾 Review the roster changes to continue...', 'ready');
+            const decision = await rosterImport.openReview(this.personnelData || [], result.data, { fileName: file.name });
+            if (!decision) {
+                setStatus('Roster import cancelled.');
+                return;
+            }
+
+            const { summary } = decision;
+            this.personnelData = decision.data;
+            this.filteredData = [...this.personnelData];
+            this.saveData();
+            this.updateAll();
+            if (typeof handleSearch === 'function') handleSearch();
+            this.updateImportUIForSavedData();
+
+            this.addAuditEntry(`Imported roster ${file.name}: ${summary.postedIn.length} posted in, ${summary.returned.length} returned, ${summary.postedOut.length} posted out, ${summary.fieldsChanged} field(s) updated`);
+            summary.postedIn.forEach(name => this.addAuditEntry(`Posted in (roster): ${name}`));
+            summary.returned.forEach(name => this.addAuditEntry(`Posted in again (roster): ${name}`));
+            summary.postedOut.forEach(name => this.addAuditEntry(`Posted out (roster): ${name}`));
+
+            let message = `✅ Roster imported!\n${summary.postedIn.length + summary.returned.length} posted in, ${summary.postedOut.length} posted out, ${summary.fieldsChanged} field(s) updated.`;
+            const unassigned = platoonReview.countUnresolved(this.personnelData);
+            if (unassigned > 0) message += `\n🧭 ${unassigned} personnel have no recognised platoon - click "Review Platoons" to assign them.`;
+            if (result.warnings?.length > 0) {
+                message += `\n⚠️ ${result.warnings.length} warnings. Click "Download Import Issues" for a copy of the file with the problem rows marked.`;
+            }
+            showSuccessMessage(message);
+            setStatus(`✅ Roster applied: ${this.personnelData.filter(isActivePersonnel).length} active personnel`, 'success');
+        } catch (error) {
+            logError('Roster import error', error);
+            dataProcessor.finishImport();
+            setStatus('❌ Critical error during roster import', 'error');
+            showErrorMessage('Failed to import the roster. Please check the file format.');
+        } finally {
+            if (fileInput) fileInput.value = '';
+        }
+    }
+
+    /**
+     * Show import progress in the file status area
+     * @param {Object} progress - { stage: 'parsing' | 'rows', processed, total, warnings }
+     */
+    showImportProgress(progress) {
+        const fileStatus = document.getElementById('fileStatus');
+        if (!fileStatus || !progress) return;
+
+        let label;
+        let percent;
+        if (progress.stage === 'parsing') {
+            label = '⏳ Reading workbook...';
+            percent = null;
+        } else {
+            const total = progress.total || 0;
+            percent = total > 0 ? Math.round((progress.processed / total) * 100) : 0;
+            label = `⏳ Processing rows: ${progress.processed.toLocaleString()} / ${total.toLocaleString()}`;
+            if (progress.warnings > 0) {
+                label += ` · ⚠️ ${progress.warnings} warning${progress.warnings === 1 ? '' : 's'}`;
+            }
+        }
+
+        const cancelButton = dataProcessor.isImportCancellable()
+            ? '<button type="button" class="btn btn-secondary import-cancel-btn" onclick="cancelExcelImport()">✖️ Cancel</button>'
+            : '';
+
+        fileStatus.className = 'file-status processing';
+        fileStatus.innerHTML = `
+            <div class="import-progress">
+                <div class="import-progress-label">${escapeHtml(label)}</div>
+                <div class="import-progress-track${percent === null ? ' indeterminate' : ''}">
+                    <div class="import-progress-bar" style="width: ${percent === null ? 100 : percent}%"></div>
+                </div>
+                ${cancelButton}
+            </div>`;
+    }
+
+    /**
+     * Cancel the running Excel import
+     */
+    cancelImport() {
+        if (dataProcessor.cancelImport()) {
+            window.advancedAudit.logUser('INFO', 'Excel import cancelled by user');
+        }
+    }
+
     /**
      * Generate sample data
      */
@@ -563,6 +874,15 @@ class SofunApp {
             if (!confirm('Importing a backup will REPLACE the current saved database. Continue?')) return;
             const success = storage.importData(json);
             if (success) {
+                // The backup's preferences may hold another organisation structure, status rules, IPPT scoring
+                // table, range classification, grade spellings and date settings
+                orgStructure.reloadConfig();
+                statusRules.reloadConfig();
+                ipptCalculator.reloadConfig();
+                rangeClassifier.reloadConfig();
+                gradeAliases.reloadConfig();
+                dateSettings.reloadConfig();
+                personnelManager.renderStatusFilter();
                 this.loadData();
                 this.updateAll();
                 this.updateImportUIForSavedData();
@@ -592,9 +912,9 @@ class SofunApp {
                 const choice = confirm(
                     '📄 EXCEL EXPORT OPTIONS\n\n' +
                     '✅ OK: Download MODIFIED original file\n' +
-                    '   • Preserves original format and structure\n' +
-                    '   • Updates data with your changes\n' +
-                    '   • Keeps existing formulas and formatting\n\n' +
+                    '   • Writes only the cells your changes affect\n' +
+                    '   • Keeps formatting, merged cells and formulas (.xlsx)\n' +
+                    '   • ORD and window dates go back to the VOC sheet\n\n' +
                     '❌ Cancel: Download NEW format file\n' +
                     '   • Creates fresh SOFUN Tracker format\n' +
                     '   • Includes dashboard and audit logs\n' +
@@ -604,13 +924,19 @@ class SofunApp {
                 
                 if (choice) {
                     // User chose modified original
-                    const filename = dataProcessor.downloadModifiedExcel(
+                    const result = dataProcessor.downloadModifiedExcel(
                         this.personnelData, 
                         this.originalWorkbook, 
-                        this.originalFileName
+                        this.originalFileName,
+                        this.originalFileData
                     );
-                    if (filename) {
-                        this.addAuditEntry(`Downloaded modified Excel file: ${filename} (${this.personnelData.length} records)`);
+                    if (result) {
+                        this.addAuditEntry(`Downloaded modified Excel file: ${result.filename} (${result.cellsWritten} cell(s) updated)`);
+                        let message = `Modified workbook downloaded: ${result.cellsWritten} cell(s) updated.`;
+                        if (!result.preserved) message += '\n⚠️ Formatting could not be kept (only .xlsx files can be patched).';
+                        if (result.formulaCells > 0) message += `\n⚠️ ${result.formulaCells} cell(s) hold formulas and were left unchanged.`;
+                        if (result.notInWorkbook > 0) message += `\n${result.notInWorkbook} person(s) added in the tracker are not in the workbook.`;
+                        showSuccessMessage(message);
                     }
                 } else {
                     // User chose new format
@@ -635,33 +961,109 @@ class SofunApp {
     }
 
     /**
-     * Fix existing platoon names
+     * Download the personnel dataset as CSV (one file per category)
+     */
+    downloadCsv() {
+        if (this.personnelData.length === 0) {
+            showErrorMessage('No personnel data to export');
+            return;
+        }
+
+        const filenames = dataProcessor.downloadCsv(this.personnelData);
+        if (filenames) {
+            this.addAuditEntry(`Downloaded CSV export: ${filenames.join(', ')}`);
+        }
+    }
+
+    /**
+     * Download an empty workbook in the import layout for a new unit
+     */
+    downloadBlankTemplate() {
+        const filename = dataProcessor.downloadBlankTemplate();
+        if (filename) {
+            showSuccessMessage(`Blank template downloaded: ${filename}\n\nFill in one person per row under their platoon header, then import it with Process File.`);
+        }
+    }
+
+    /**
+     * Review personnel whose platoon is missing or not recognised. Platoons are only
+     * changed by a choice made in the review.
      */
     fixExistingPlatoonNames() {
+        if (this.personnelData.length === 0) {
+            showErrorMessage('No personnel data found. Please load data first.');
+            return;
+        }
+        if (platoonReview.open() === 0) {
+            showSuccessMessage('All platoon assignments are already valid!');
+        }
+    }
+
+    /**
+     * Remember the problems of the last import and show the download button when there are any
+     * @param {Object} report - { fileName, fileData, workbook, issues }
+     */
+    setImportIssueReport(report) {
+        this.importIssueReport = report && report.issues.length > 0 ? report : null;
+
+        const button = document.getElementById('downloadIssuesBtn');
+        if (button) {
+            button.style.display = this.importIssueReport ? '' : 'none';
+            button.textContent = this.importIssueReport
+                ? `⚠️ Download Import Issues (${this.importIssueReport.issues.length})`
+                : '⚠️ Download Import Issues';
+        }
+    }
+
+    /**
+     * Download the last imported workbook annotated with its import issues
+     */
+    downloadImportIssues() {
+        const report = this.importIssueReport;
+        if (!report) {
+            showErrorMessage('The last import reported no issues.');
+            return;
+        }
+
+        const filename = dataProcessor.downloadImportIssues(report);
+        if (filename) {
+            this.addAuditEntry(`Downloaded import issues file: ${filename} (${report.issues.length} issues)`);
+        }
+    }
+
+    /**
+     * Re-normalise stored assessment results to the canonical grades
+     */
+    normalizeStoredGrades() {
         try {
             if (this.personnelData.length === 0) {
                 showErrorMessage('No personnel data found. Please load data first.');
                 return;
             }
-            
-            const result = dataProcessor.fixExistingPlatoonNames(this.personnelData);
-            
-            if (result.fixedCount > 0) {
+
+            const result = dataProcessor.normalizePersonnelGrades(this.personnelData);
+
+            if (result.changedCount > 0) {
                 this.saveData();
                 this.updateAll();
-                this.addAuditEntry(`Fixed ${result.fixedCount} invalid platoon assignments`);
-                
-                showSuccessMessage(
-                    `✅ Success! Fixed ${result.fixedCount} personnel with invalid platoon names.\n\n` +
-                    'They have been assigned to valid military platoons.\n\n' +
-                    'The platoon filter now shows proper units.'
-                );
-            } else {
-                showSuccessMessage('All platoon assignments are already valid!');
+                this.addAuditEntry(`Normalised ${result.changedCount} assessment results in ${result.recordCount} records`);
             }
+
+            let message = result.changedCount > 0
+                ? `✅ Normalised ${result.changedCount} result(s) in ${result.recordCount} personnel record(s).`
+                : 'All stored results already use the standard grades.';
+            if (result.unrecognised.length > 0) {
+                const sample = result.unrecognised.slice(0, 10)
+                    .map(item => `• ${item.name}: ${item.label} "${item.value}"`)
+                    .join('\n');
+                const more = result.unrecognised.length > 10 ? `\n…and ${result.unrecognised.length - 10} more` : '';
+                message += `\n\n⚠️ ${result.unrecognised.length} value(s) not recognised and left unchanged:\n${sample}${more}\n\n` +
+                    'Correct them in the edit form, or add the spelling in the Grade Spellings window.';
+            }
+            showSuccessMessage(message);
         } catch (error) {
-            logError('Platoon fix failed', error);
-            showErrorMessage('Failed to fix platoon names');
+            logError('Grade normalisation failed', error);
+            showErrorMessage('Failed to normalise grades');
         }
     }
 
@@ -867,7 +1269,7 @@ class SofunApp {
      * @returns {Object} Application statistics
      */
     getAppStats() {
-        const activePersonnel = this.filteredData.filter(p => !p.isORD);
+        const activePersonnel = this.filteredData.filter(p => isActivePersonnel(p));
         const nsfCount = activePersonnel.filter(p => p.category === 'NSF').length;
         const regularCount = activePersonnel.filter(p => p.category === 'Regular').length;
         
@@ -904,6 +1306,9 @@ window.storage = storage;
 window.dashboard = dashboard;
 window.personnelManager = personnelManager;
 window.dataProcessor = dataProcessor;
+window.columnMapper = columnMapper;
+window.importPreview = importPreview;
+window.rosterImport = rosterImport;
 
 /* ---------- Global Functions for HTML onclick handlers ---------- */
 
@@ -931,6 +1336,26 @@ function processExcelFile() {
     window.app.processExcelFile();
 }
 
+/**
+ * Import a nominal roll (global function)
+ */
+function processRosterFile() {
+    if (!window.app) {
+        alert('Application is still loading. Please wait a moment and try again.');
+        return;
+    }
+    window.app.processRosterFile();
+}
+
+/**
+ * Cancel the running Excel import (global function)
+ */
+function cancelExcelImport() {
+    if (window.app) {
+        window.app.cancelImport();
+    }
+}
+
 /**
  * Generate sample data (global function)
  */
@@ -944,12 +1369,40 @@ function downloadImprovedExcel() {
 }
 
 /**
- * Fix platoon names (global function)
+ * Download CSV export (global function)
+ */
+function downloadCsvExport() {
+    window.app.downloadCsv();
+}
+
+/**
+ * Download blank template (global function)
+ */
+function downloadBlankTemplate() {
+    window.app.downloadBlankTemplate();
+}
+
+/**
+ * Review personnel without a recognised platoon (global function)
  */
 function fixExistingPlatoonNames() {
     window.app.fixExistingPlatoonNames();
 }
 
+/**
+ * Download the annotated import issues workbook (global function)
+ */
+function downloadImportIssues() {
+    window.app.downloadImportIssues();
+}
+
+/**
+ * Normalise stored grades (global function)
+ */
+function normalizeStoredGrades() {
+    window.app.normalizeStoredGrades();
+}
+
 /**
  * Clear all data (global function)
  */
@@ -973,9 +1426,13 @@ function addNewPersonnel(categoryTab) {
     const name = prompt('Enter full name (e.g., TAN YAN MING):');
     if (!name) return;
     const sanitized = sanitizePersonnelName(name);
+    if (window.app.personnelData.some(p => p.name === sanitized) &&
+        !confirm(`${sanitized} is already in the database. Add another person with the same name?`)) return;
     const isRegular = categoryTab === 'regulars';
     const newPerson = {
+        id: generatePersonnelId(),
         name: sanitized,
+        serviceNumber: '',
         category: isRegular ? 'Regular' : 'NSF',
         platoon: 'Unassigned',
         unit: 'Unassigned',
@@ -984,11 +1441,12 @@ function addNewPersonnel(categoryTab) {
         ordDate: null,
         isORD: false,
         medicalStatus: 'Fit',
-        y1: { ippt: '', ipptDate: null, voc: '', vocDate: null, atp: '', atpDate: null },
-        y2: { ippt: '', ipptDate: null, voc: '', vocDate: null, range: '', rangeDate: null },
-        workYear: isRegular ? { ippt: '', ipptDate: null, voc: '', vocDate: null, atp: '', atpDate: null, cs: '', csDate: null } : undefined,
         lastUpdated: new Date()
     };
+    getCategoryPhases(newPerson.category).forEach(phase => {
+        newPerson[phase.key] = createEmptyPhaseResults(phase.key);
+    });
+    recordLocalEdits(newPerson, ['name']);
     window.app.personnelData.unshift(newPerson);
     window.app.filteredData = personnelManager.applyFilters(window.app.personnelData);
     window.app.saveData();
@@ -1096,25 +1554,26 @@ function testPlatoonFilter() {
  * Delete the currently edited personnel
  */
 function deletePersonnel() {
-    const name = document.getElementById('editName')?.value?.trim();
-    if (!name) {
+    const id = personnelManager.currentEditId;
+    if (!id) {
         showErrorMessage('No personnel selected for deletion.');
         return;
     }
     if (!window.app || !window.app.personnelData) return;
-    if (!confirm(`Are you sure you want to delete ${name}? This action cannot be undone.`)) return;
-    const idx = window.app.personnelData.findIndex(p => p.name === name);
-    if (idx !== -1) {
-        const deleted = window.app.personnelData.splice(idx, 1)[0];
-        if (window.app.saveData) window.app.saveData();
-        if (window.app.updateAll) window.app.updateAll();
-        if (typeof handleSearch === 'function') handleSearch();
-        if (window.app.addAuditEntry) window.app.addAuditEntry(`Deleted personnel: ${name}`);
-        closeEditModal();
-        showSuccessMessage(`Deleted ${name}`);
-    } else {
+    const idx = window.app.personnelData.findIndex(p => p.id === id);
+    if (idx === -1) {
         showErrorMessage('Personnel not found.');
+        return;
     }
+    const name = window.app.personnelData[idx].name;
+    if (!confirm(`Are you sure you want to delete ${name}? This action cannot be undone.`)) return;
+    window.app.personnelData.splice(idx, 1);
+    if (window.app.saveData) window.app.saveData();
+    if (window.app.updateAll) window.app.updateAll();
+    if (typeof handleSearch === 'function') handleSearch();
+    if (window.app.addAuditEntry) window.app.addAuditEntry(`Deleted personnel: ${name}`);
+    closeEditModal();
+    showSuccessMessage(`Deleted ${name}`);
 }
 
 
@@ -0,0 +1,341 @@
+/* =================================================================
+   SOFUN TRACKER - ATTEMPT HISTORY
+   Every attempt at a test, and the result the attempt policy derives
+   ================================================================= */
+
+/**
+ * SOFUN Attempt History
+ * A test taken more than once keeps each attempt in person[phase][key + 'Attempts'], and its
+ * result and date (person[phase][key], person[phase][key + 'Date']) are those of the attempt
+ * ATTEMPT_CONFIG picks. A test taken once needs no list: its result is attempt 1. A changed result
+ * from an import or a paste is added as a new attempt when it is a retake (recordResult), so a
+ * retake no longer overwrites the first attempt.
+ *
+ * An attempt is stored as:
+ * { attempt, date, result, notes }
+ */
+class SofunAttemptHistory {
+    constructor() {
+        this.ordinals = ['FIRST', 'SECOND', 'THIRD', 'FOURTH', 'FIFTH', 'SIXTH', 'SEVENTH', 'EIGHTH', 'NINTH'];
+        this.policyLabels = { latest: 'latest attempt counts', best: 'best attempt counts' };
+        this.labelPatterns = this.ordinals.map((_, index) => this.getAttemptPattern(index + 1));
+        // Headers of attempt columns other than the first attempt, which is the result column itself
+        this.otherAttemptPattern = new RegExp(
+            [/\bATTEMPTS\b/, ...this.labelPatterns.slice(1)].map(pattern => pattern.source).join('|'), 'i');
+    }
+
+    /* ---------- Attempts ---------- */
+
+    /**
+     * Policy deciding which attempt gives a test's result
+     * @param {string} testKey - Test key
+     * @returns {string} 'latest' or 'best'
+     */
+    getPolicy(testKey) {
+        const policy = ATTEMPT_CONFIG.policies[testKey] || ATTEMPT_CONFIG.policy;
+        return policy === 'best' ? 'best' : 'latest';
+    }
+
+    /**
+     * A person's attempts at a test. Without a stored list, a result is attempt 1.
+     * @param {Object} person - Personnel record
+     * @param {string} phaseKey - Phase key
+     * @param {string} testKey - Test key
+     * @returns {Array<Object>} Copies of the attempts, in attempt order
+     */
+    getAttempts(person, phaseKey, testKey) {
+        const group = person?.[phaseKey] || {};
+        const stored = group[`${testKey}Attempts`];
+        if (Array.isArray(stored) && stored.length > 0) return stored.map(attempt => ({ ...attempt }));
+        return hasAssessmentResult(group[testKey])
+            ? [{ attempt: 1, date: toDateOnly(group[`${testKey}Date`]) || '', result: group[testKey], notes: '' }]
+            : [];
+    }
+
+    /**
+     * Number the next attempt gets
+     * @param {Array<Object>} attempts - Attempts
+     * @returns {number} Attempt number
+     */
+    getNextNumber(attempts) {
+        return Math.max(0, ...attempts.map(attempt => attempt.attempt || 0)) + 1;
+    }
+
+    /**
+     * The attempt that gives the result: the last one, or under the 'best' policy the best grade
+     * of the test's scale (GRADE_SCALES lists the best first), the later attempt on a tie
+     * @param {Array<Object>} attempts - Attempts in attempt order
+     * @param {string} testKey - Test key
+     * @returns {Object|null} Attempt, or null if none has a result
+     */
+    pickCurrent(attempts, testKey) {
+        const taken = (attempts || []).filter(attempt => hasAssessmentResult(attempt.result));
+        if (taken.length === 0) return null;
+        if (this.getPolicy(testKey) !== 'best') return taken[taken.length - 1];
+
+        const scale = GRADE_SCALES[getGradeType(testKey)] || [];
+        const rank = grade => (scale.includes(grade) ? scale.indexOf(grade) : scale.length);
+        return taken.reduce((best, attempt) => (rank(attempt.result) <= rank(best.result) ? attempt : best));
+    }
+
+    /**
+     * The list to store for a test: only attempts with a result, and only when there is more to
+     * keep than the result itself (a second attempt, or notes)
+     * @param {Array<Object>} attempts - Attempts
+     * @returns {Array<Object>|null} Attempts to store, or null if the result alone says it all
+     */
+    toStored(attempts) {
+        const list = (attempts || [])
+            .filter(attempt => hasAssessmentResult(attempt.result))
+            .map(attempt => ({
+                attempt: attempt.attempt,
+                date: toDateOnly(attempt.date) || '',
+                result: attempt.result,
+                notes: String(attempt.notes || '').trim()
+            }))
+            .sort((a, b) => a.attempt - b.attempt);
+        return list.length > 1 || list.some(attempt => attempt.notes) ? list : null;
+    }
+
+    /**
+     * Replace a test's attempts and derive its result and date from them. A list without any
+     * result leaves the result as it is.
+     * @param {Object} person - Personnel record, updated in place
+     * @param {string} phaseKey - Phase key
+     * @param {string} testKey - Test key
+     * @param {Array<Object>} attempts - Attempts
+     */
+    setAttempts(person, phaseKey, testKey, attempts) {
+        if (!person[phaseKey]) person[phaseKey] = {};
+        const group = person[phaseKey];
+        const stored = this.toStored(attempts);
+        if (stored) {
+            group[`${testKey}Attempts`] = stored;
+        } else {
+            delete group[`${testKey}Attempts`];
+        }
+
+        const current = this.pickCurrent(stored || attempts, testKey);
+        if (!current) return;
+        group[testKey] = current.result;
+        group[`${testKey}Date`] = toDateOnly(current.date) || null;
+    }
+
+    /**
+     * Whether a changed result is a new attempt rather than a correction: it is dated after the
+     * last attempt, or, without dates to go by, it replaces a Fail
+     * @param {Array<Object>} attempts - Attempts so far
+     * @param {Object} current - Attempt giving the result now
+     * @param {string} [date] - Date of the changed result, if known
+     * @returns {boolean} True for a retake
+     */
+    isRetake(attempts, current, date) {
+        const last = attempts[attempts.length - 1];
+        if (date && last?.date) return date > last.date;
+        return current.result === 'Fail';
+    }
+
+    /**
+     * Record a result from outside the edit form (an import or a paste). A retake is added as a
+     * new attempt; anything else corrects the attempt the result came from, and a cleared result
+     * removes it.
+     * @param {Object} person - Personnel record, updated in place
+     * @param {string} phaseKey - Phase key
+     * @param {string} testKey - Test key
+     * @param {string} result - New result
+     * @param {string} [date] - New date; undefined when the source has no date for it
+     */
+    recordResult(person, phaseKey, testKey, result, date) {
+        if (!person[phaseKey]) person[phaseKey] = {};
+        const group = person[phaseKey];
+        const attempts = this.getAttempts(person, phaseKey, testKey);
+        const current = this.pickCurrent(attempts, testKey);
+        const newDate = date === undefined ? undefined : (toDateOnly(date) || '');
+
+        if (!hasAssessmentResult(result)) {
+            const remaining = attempts.filter(attempt => attempt !== current);
+            if (current && remaining.length > 0) {
+                this.setAttempts(person, phaseKey, testKey, remaining);
+                return;
+            }
+            delete group[`${testKey}Attempts`];
+            group[testKey] = result || '';
+            if (newDate !== undefined) group[`${testKey}Date`] = newDate || null;
+            return;
+        }
+
+        if (!current) {
+            attempts.push({ attempt: this.getNextNumber(attempts), date: newDate || '', result, notes: '' });
+        } else if (result === current.result) {
+            if (newDate === undefined || newDate === current.date) return;
+            current.date = newDate;
+        } else if (this.isRetake(attempts, current, newDate)) {
+            attempts.push({ attempt: this.getNextNumber(attempts), date: newDate || '', result, notes: '' });
+        } else {
+            current.result = result;
+            if (newDate !== undefined) current.date = newDate;
+        }
+        this.setAttempts(person, phaseKey, testKey, attempts);
+    }
+
+    /**
+     * Write new values into a record. Results and dates go through recordResult, one call per
+     * test; an attempt history replaces the saved one and decides the result by itself. Other
+     * paths are set as given.
+     * @param {Object} person - Personnel record, updated in place
+     * @param {Array<Object>} updates - { path, value }; the value of an attempts path is a list of attempts
+     */
+    applyUpdates(person, updates) {
+        const results = new Map();
+        updates.forEach(({ path, value }) => {
+            const match = this.parseResultPath(path);
+            if (!match) {
+                setNestedValue(person, path, value);
+                return;
+            }
+            const key = `${match.phase}.${match.test}`;
+            if (!results.has(key)) results.set(key, { phase: match.phase, test: match.test });
+            results.get(key)[match.part] = value;
+        });
+
+        results.forEach(({ phase, test, result, date, attempts }) => {
+            if (attempts !== undefined) {
+                const list = Array.isArray(attempts) ? attempts : [];
+                if (list.some(attempt => hasAssessmentResult(attempt.result))) {
+                    this.setAttempts(person, phase, test, list);
+                } else {
+                    this.recordResult(person, phase, test, '', date);
+                }
+                return;
+            }
+            this.recordResult(person, phase, test, result !== undefined ? result : person[phase]?.[test], date);
+        });
+    }
+
+    /**
+     * Recognise the path of a result, its date or its attempts
+     * @param {string} path - Field path (e.g. 'y2.ippt', 'y2.ipptDate', 'y2.ipptAttempts')
+     * @returns {Object|null} { phase, test, part: 'result'|'date'|'attempts' }
+     */
+    parseResultPath(path) {
+        const [phaseKey, field, ...rest] = String(path).split('.');
+        if (!field || rest.length > 0) return null;
+        const test = getPhaseTests(phaseKey).find(entry => [entry.key, `${entry.key}Date`, `${entry.key}Attempts`].includes(field));
+        if (!test) return null;
+        const part = field === test.key ? 'result' : field === `${test.key}Date` ? 'date' : 'attempts';
+        return { phase: phaseKey, test: test.key, part };
+    }
+
+    /**
+     * Derive every result that has an attempt history again, e.g. after ATTEMPT_CONFIG changed
+     * @param {Array} personnel - Personnel records, updated in place
+     * @returns {number} Number of results that changed
+     */
+    sync(personnel) {
+        let changed = 0;
+        (personnel || []).forEach(person => {
+            getCategoryPhases(person.category).forEach(phase => getPhaseTests(phase.key).forEach(test => {
+                const stored = person[phase.key]?.[`${test.key}Attempts`];
+                if (!Array.isArray(stored) || stored.length === 0) return;
+                const before = `${person[phase.key][test.key]}|${toDateOnly(person[phase.key][`${test.key}Date`]) || ''}`;
+                this.setAttempts(person, phase.key, test.key, stored);
+                const after = `${person[phase.key][test.key]}|${toDateOnly(person[phase.key][`${test.key}Date`]) || ''}`;
+                if (before !== after) changed++;
+            }));
+        });
+        return changed;
+    }
+
+    /* ---------- Labels ---------- */
+
+    /**
+     * Header or cell text naming an attempt ("Attempt 2", "2nd Attempt", "Second Try"; "Retest",
+     * "Retake" and "Retry" are the second attempt)
+     * @param {number} number - Attempt number
+     * @returns {RegExp} Pattern
+     */
+    getAttemptPattern(number) {
+        const ordinal = [this.ordinals[number - 1], `${number}(ST|ND|RD|TH)`].filter(Boolean).join('|');
+        const retake = number === 2 ? '|\\bRE-?(TEST|TAKE|TRY)\\b' : '';
+        return new RegExp(`\\bATTEMPT\\s*(NO\\.?|#)?\\s*${number}\\b|\\b(${ordinal})\\s*(ATTEMPT|TRY)\\b${retake}`, 'i');
+    }
+
+    /**
+     * Attempt named by a cell ("First Attempt", "Retry")
+     * @param {string} text - Cell text
+     * @returns {number} Attempt number, or 0 if the text names no attempt
+     */
+    parseAttemptLabel(text) {
+        if (!text) return 0;
+        return this.labelPatterns.findIndex(pattern => pattern.test(text)) + 1;
+    }
+
+    /**
+     * Attempt history as one line of text, the way the CSV export writes it
+     * (e.g. "1: Fail 2025-03-04 (missed the run); 2: Pass 2025-04-10")
+     * @param {Array<Object>} attempts - Attempts
+     * @returns {string} Text ('' without attempts)
+     */
+    formatHistory(attempts) {
+        if (!Array.isArray(attempts)) return '';
+        return attempts.map(attempt => [
+            `${attempt.attempt}:`,
+            attempt.result,
+            toDateOnly(attempt.date) || '',
+            attempt.notes ? `(${attempt.notes})` : ''
+        ].filter(Boolean).join(' ')).join('; ');
+    }
+
+    /**
+     * Read an attempt history written by formatHistory
+     * @param {string} text - Cell text
+     * @param {string} testKey - Test key, for its grade scale
+     * @returns {Object} { attempts, problem } with problem '' when every attempt was read
+     */
+    parseHistory(text, testKey) {
+        const type = getGradeType(testKey);
+        const attempts = [];
+        let problem = '';
+        String(text || '').split(/;\s*(?=\d+\s*:)/).map(part => part.trim()).filter(Boolean).forEach(part => {
+            const match = part.match(/^(\d+)\s*:\s*(\S+)(?:\s+([^\s(]+))?(?:\s*\((.*)\))?$/);
+            const normalised = match ? normalizeGrade(match[2], type) : null;
+            const date = match?.[3] ? toDateOnly(match[3]) : '';
+            if (!match || !normalised.recognised || !normalised.grade || date === null) {
+                problem = problem || `"${part}" is not an attempt`;
+                return;
+            }
+            attempts.push({ attempt: parseInt(match[1], 10), date: date || '', result: normalised.grade, notes: (match[4] || '').trim() });
+        });
+        return { attempts, problem };
+    }
+
+    /**
+     * What the attempt policy of a test is, in words
+     * @param {string} testKey - Test key
+     * @returns {string} e.g. "latest attempt counts"
+     */
+    getPolicyLabel(testKey) {
+        return this.policyLabels[this.getPolicy(testKey)];
+    }
+
+    /**
+     * Hover text of a table cell whose test has an attempt history
+     * @param {Object} person - Personnel record
+     * @param {string} phaseKey - Phase key
+     * @param {string} testKey - Test key
+     * @returns {Object|null} { text, count }, or null without a stored history
+     */
+    getCellNote(person, phaseKey, testKey) {
+        const stored = person?.[phaseKey]?.[`${testKey}Attempts`];
+        if (!Array.isArray(stored) || stored.length === 0) return null;
+        const lines = stored.map(attempt => this.formatHistory([attempt]));
+        return { text: `Attempts (${this.getPolicyLabel(testKey)}):\n${lines.join('\n')}`, count: stored.length };
+    }
+}
+
+/* ---------- Global Attempt History Instance ---------- */
+
+// Create global attempt history instance
+const attemptHistory = new SofunAttemptHistory();
+
+console.log('✅ SOFUN Attempt History loaded - Attempt tracking ready');
\ No newline at end of file
@@ -0,0 +1,397 @@
+/* =================================================================
+   SOFUN TRACKER - BATTALION ROLL-UP
+   Read-only view of several companies' data side by side
+   ================================================================= */
+
+/**
+ * SOFUN Battalion Roll-up
+ * Loads company backups and workbooks into memory, one dataset per file, and shows the
+ * dashboard figures, summary totals and platoon completion of every company next to each
+ * other with a battalion total. Nothing loaded here is saved or mixed into the tracker's own
+ * personnel data; closing the window keeps the datasets until the page is reloaded.
+ */
+class SofunBattalionRollup {
+    constructor() {
+        this.datasets = [];
+        this.charts = [];
+        this.nextId = 1;
+    }
+
+    /* ---------- Datasets ---------- */
+
+    /**
+     * Load company files: backups (.json) or workbooks in any import format
+     * @param {FileList|Array<File>} files - Selected files
+     * @returns {Promise<Array<string>>} Problems, one per file that could not be loaded
+     */
+    async loadFiles(files) {
+        const problems = [];
+        for (const file of Array.from(files || [])) {
+            this.setStatus(`⏳ Loading ${file.name}...`);
+            try {
+                const dataset = /\.json$/i.test(file.name)
+                    ? this.readBackup(JSON.parse(await file.text()), file.name)
+                    : await this.readWorkbookFile(file);
+                if (dataset) this.datasets.push(dataset);
+            } catch (error) {
+                logError(`Roll-up file could not be loaded: ${file.name}`, error);
+                problems.push(`${file.name}: ${error.message}`);
+            }
+        }
+        return problems;
+    }
+
+    /**
+     * Dataset from a tracker backup. Records saved before the company level existed get their
+     * company from the backup's own organisation structure, results with attempts follow the
+     * attempt policy, and Fails without a remedial requirement get one, as they would when the
+     * backup is restored.
+     * @param {Object} backup - Parsed backup JSON
+     * @param {string} fileName - File name
+     * @returns {Object} Dataset ({ id, fileName, type, personnel, structure })
+     * @throws {Error} If the file is not a tracker backup
+     */
+    readBackup(backup, fileName) {
+        if (!backup || !Array.isArray(backup.personnel)) {
+            throw new Error('Not a SOFUN Tracker backup (no personnel list)');
+        }
+
+        const structure = new SofunOrgStructure();
+        structure.setConfig(backup.preferences?.[structure.preferencesKey]);
+        const personnel = backup.personnel;
+        normalizeAllPersonnelDates(personnel);
+        personnel.forEach(person => {
+            if (!person.company) person.company = structure.getCompanyName(person.platoon);
+        });
+        attemptHistory.sync(personnel);
+        remedialTracker.sync(personnel);
+        medicalTracker.sync(personnel);
+
+        return { id: this.nextId++, fileName, type: 'Backup', personnel, structure };
+    }
+
+    /**
+     * Dataset from a workbook, read through the import wizard like a results import.
+     * A workbook has no company level, so the file name stands for the company, and no
+     * remedial history, so each Fail counts as remedial training outstanding.
+     * @param {File} file - Workbook or CSV file
+     * @returns {Promise<Object|null>} Dataset, or null if the wizard was cancelled
+     * @throws {Error} If the file cannot be read or processed
+     */
+    async readWorkbookFile(file) {
+        const workbook = await dataProcessor.readWorkbook(file);
+        if (!columnMapper.detectWorkbookFormat(workbook)) {
+            dataProcessor.finishImport();
+            throw new Error('Unrecognised workbook: expected an "All in one view" sheet, or separate IPPT, VOC and RANGE sheets');
+        }
+
+        const mapping = await columnMapper.openWizard(workbook, file.name);
+        if (!mapping) {
+            dataProcessor.finishImport();
+            return null;
+        }
+
+        const result = await dataProcessor.processImport(mapping);
+        if (!result.success) {
+            throw new Error(result.errors?.[0] || 'The workbook could not be processed');
+        }
+
+        const company = file.name.replace(/\.[^.]+$/, '');
+        const personnel = result.data;
+        personnel.forEach(person => { person.company = company; });
+        remedialTracker.sync(personnel);
+        return { id: this.nextId++, fileName: file.name, type: 'Workbook', personnel, structure: orgStructure };
+    }
+
+    /**
+     * Drop a loaded dataset
+     * @param {number} id - Dataset ID
+     */
+    removeDataset(id) {
+        this.datasets = this.datasets.filter(dataset => dataset.id !== id);
+    }
+
+    /**
+     * Drop every loaded dataset
+     */
+    clear() {
+        this.datasets = [];
+    }
+
+    /* ---------- Statistics ---------- */
+
+    /**
+     * Platoon shown for a person: the stored platoon, or the file's value when it was not
+     * recognised (another company's platoon names need not be in this tracker's structure)
+     * @param {Object} person - Personnel record
+     * @returns {string} Platoon label
+     */
+    getPlatoonLabel(person) {
+        if (person.platoon && person.platoon !== 'Unassigned') return person.platoon;
+        return person.unmatchedPlatoon || 'Unassigned';
+    }
+
+    /**
+     * One entry per company of every dataset, with its active personnel. Companies with the
+     * same name in different files are kept apart and labelled with their file name.
+     * @returns {Array<Object>} Companies ({ key, label, fileName, structure, personnel })
+     */
+    getCompanies() {
+        const companies = [];
+        this.datasets.forEach(dataset => {
+            const byCompany = new Map();
+            dataset.personnel.filter(person => isActivePersonnel(person)).forEach(person => {
+                const company = person.company || dataset.fileName.replace(/\.[^.]+$/, '');
+                if (!byCompany.has(company)) byCompany.set(company, []);
+                byCompany.get(company).push(person);
+            });
+            byCompany.forEach((personnel, company) => companies.push({
+                key: `${dataset.id}:${company}`,
+                label: company,
+                fileName: dataset.fileName,
+                structure: dataset.structure,
+                personnel
+            }));
+        });
+
+        const counts = {};
+        companies.forEach(company => { counts[company.label] = (counts[company.label] || 0) + 1; });
+        companies.forEach(company => {
+            if (counts[company.label] > 1) company.label = `${company.label} (${company.fileName})`;
+        });
+        return companies;
+    }
+
+    /**
+     * Figures for one company or the battalion
+     * @param {Array} activePersonnel - Active personnel
+     * @returns {Object} { statistics, summaryRows, completionRate }
+     */
+    getFigures(activePersonnel) {
+        const y2Complete = activePersonnel.filter(p => isPhaseComplete(p, 'y2')).length;
+        return {
+            statistics: dashboard.getStatistics(activePersonnel),
+            summaryRows: personnelManager.getSummaryRows(activePersonnel),
+            completionRate: activePersonnel.length > 0 ? Math.round((y2Complete / activePersonnel.length) * 100) : 0
+        };
+    }
+
+    /* ---------- Roll-up Modal ---------- */
+
+    /**
+     * Open the roll-up window
+     */
+    open() {
+        const modal = document.getElementById('battalionRollupModal');
+        if (!modal) return;
+        this.render();
+        modal.style.display = 'block';
+    }
+
+    /**
+     * Close the roll-up window (loaded datasets are kept)
+     */
+    close() {
+        const modal = document.getElementById('battalionRollupModal');
+        if (modal) modal.style.display = 'none';
+        this.destroyCharts();
+    }
+
+    /**
+     * Load the files chosen in the roll-up window's file input
+     */
+    async addSelectedFiles() {
+        const input = document.getElementById('battalionRollupFiles');
+        const files = input?.files;
+        if (!files || files.length === 0) {
+            showErrorMessage('Choose one or more company backups or workbooks first.');
+            return;
+        }
+
+        const problems = await this.loadFiles(files);
+        if (input) input.value = '';
+        this.render();
+        if (problems.length > 0) {
+            showErrorMessage(`Some files could not be loaded:\n${problems.join('\n')}`);
+        }
+    }
+
+    /**
+     * Show a status line in the roll-up window
+     * @param {string} text - Status text
+     */
+    setStatus(text) {
+        const status = document.getElementById('battalionRollupStatus');
+        if (status) status.textContent = text;
+    }
+
+    /**
+     * Destroy the roll-up charts before they are drawn again
+     */
+    destroyCharts() {
+        this.charts.forEach(chart => chart.destroy());
+        this.charts = [];
+    }
+
+    /**
+     * Render the loaded files, the side-by-side figures and the platoon charts
+     */
+    render() {
+        const container = document.getElementById('battalionRollupContent');
+        if (!container) return;
+        this.destroyCharts();
+
+        const companies = this.getCompanies();
+        const battalionPersonnel = companies.flatMap(company => company.personnel);
+        this.setStatus(this.datasets.length > 0
+            ? `${companies.length} ${companies.length === 1 ? 'company' : 'companies'} from ${this.datasets.length} file(s), ${battalionPersonnel.length} active personnel.`
+            : 'No company files loaded yet.');
+
+        if (this.datasets.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const figures = companies.map(company => this.getFigures(company.personnel));
+        const battalion = this.getFigures(battalionPersonnel);
+
+        container.innerHTML = `
+            ${this.renderFiles()}
+            <h3>Dashboard Figures</h3>
+            <div class="table-container">
+                <table class="preview-table rollup-table">
+                    <thead><tr><th></th>${companies.map(company => `<th>${escapeHtml(company.label)}</th>`).join('')}<th>Battalion</th></tr></thead>
+                    <tbody>${dashboard.statCards.map(card => `
+                        <tr>
+                            <td><strong>${escapeHtml(card.label)}</strong></td>
+                            ${[...figures, battalion].map(figure => `<td>${dashboard.formatStatistic(card, figure.statistics[card.id])}</td>`).join('')}
+                        </tr>`).join('')}
+                    </tbody>
+                </table>
+            </div>
+            <h3>Summary Report</h3>
+            <div class="table-container">
+                <table class="preview-table rollup-table">
+                    <thead>
+                        <tr><th>Company / Category</th><th>Total Personnel</th><th>Y1 Complete</th><th>Y2 Complete</th><th>Y2 IPPT Gold</th><th>Y2 VOC Pass</th><th>Y2 Range Qualified</th><th>Completion Rate</th></tr>
+                    </thead>
+                    <tbody>
+                        ${companies.map((company, index) => figures[index].summaryRows
+                            .map(row => personnelManager.renderSummaryRow(row, `${company.label} - ${row.category}`)).join('')).join('')}
+                        ${battalion.summaryRows.map(row => personnelManager.renderSummaryRow(row, `Battalion - ${row.category}`)).join('')}
+                    </tbody>
+                </table>
+            </div>
+            <h3>Platoon Performance Comparison</h3>
+            <div class="charts-grid">
+                ${companies.map((company, index) => `
+                    <div class="chart-wrapper">
+                        <div class="chart-title">${escapeHtml(company.label)}</div>
+                        <div class="chart-container"><canvas id="battalionRollupChart${index}"></canvas></div>
+                    </div>`).join('')}
+                <div class="chart-wrapper">
+                    <div class="chart-title">Battalion - Y2 Completion by Company</div>
+                    <div class="chart-container"><canvas id="battalionRollupChartTotal"></canvas></div>
+                </div>
+            </div>`;
+
+        companies.forEach((company, index) => {
+            const completion = dashboard.getPlatoonCompletion(company.personnel, company.structure, person => this.getPlatoonLabel(person));
+            this.drawChart(`battalionRollupChart${index}`, completion.labels, completion.data);
+        });
+        this.drawChart('battalionRollupChartTotal', companies.map(company => company.label), figures.map(figure => figure.completionRate));
+    }
+
+    /**
+     * Table of loaded files with their companies and a remove button
+     * @returns {string} HTML
+     */
+    renderFiles() {
+        const rows = this.datasets.map(dataset => {
+            const companies = [...new Set(dataset.personnel.map(person => person.company).filter(Boolean))];
+            return `
+                <tr>
+                    <td>${escapeHtml(dataset.fileName)}</td>
+                    <td>${dataset.type}</td>
+                    <td>${escapeHtml(companies.join(', ') || '-')}</td>
+                    <td>${dataset.personnel.filter(person => isActivePersonnel(person)).length}</td>
+                    <td><button type="button" class="btn btn-danger" onclick="removeBattalionRollupFile(${dataset.id})">Remove</button></td>
+                </tr>`;
+        }).join('');
+
+        return `
+            <details class="form-section">
+                <summary>Loaded files (${this.datasets.length})</summary>
+                <div class="table-container">
+                    <table class="preview-table">
+                        <thead><tr><th>File</th><th>Type</th><th>Companies</th><th>Active personnel</th><th></th></tr></thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+            </details>`;
+    }
+
+    /**
+     * Draw a completion bar chart in a canvas of the roll-up window
+     * @param {string} canvasId - Canvas element ID
+     * @param {Array<string>} labels - Bar labels
+     * @param {Array<number>} data - Completion percentages
+     */
+    drawChart(canvasId, labels, data) {
+        const canvas = document.getElementById(canvasId);
+        if (!canvas || typeof Chart === 'undefined') return;
+
+        const chart = dashboard.createPlatoonBarChart(canvas);
+        chart.data.labels = labels;
+        chart.data.datasets[0].data = data;
+        chart.update();
+        this.charts.push(chart);
+    }
+}
+
+/* ---------- Global Battalion Roll-up Instance ---------- */
+
+// Create global battalion roll-up instance
+const battalionRollup = new SofunBattalionRollup();
+
+/* ---------- Global Functions (for backward compatibility) ---------- */
+
+/**
+ * Open the battalion roll-up window
+ */
+function openBattalionRollup() {
+    battalionRollup.open();
+}
+
+/**
+ * Close the battalion roll-up window
+ */
+function closeBattalionRollup() {
+    battalionRollup.close();
+}
+
+/**
+ * Load the company files chosen in the roll-up window
+ */
+function addBattalionRollupFiles() {
+    battalionRollup.addSelectedFiles();
+}
+
+/**
+ * Remove one loaded file from the roll-up
+ * @param {number} id - Dataset ID
+ */
+function removeBattalionRollupFile(id) {
+    battalionRollup.removeDataset(id);
+    battalionRollup.render();
+}
+
+/**
+ * Remove every loaded file from the roll-up
+ */
+function clearBattalionRollup() {
+    battalionRollup.clear();
+    battalionRollup.render();
+}
+
+console.log('✅ SOFUN Battalion Roll-up loaded - Company roll-up ready');
\ No newline at end of file
@@ -0,0 +1,1244 @@
+/* =================================================================
+   SOFUN TRACKER - COLUMN MAPPER
+   Header detection, column mapping suggestions, and saved mapping profiles
+   ================================================================= */
+
+/**
+ * SOFUN Column Mapper
+ * Works out which spreadsheet column holds which field so that inserted or
+ * reordered columns do not silently shift the import
+ */
+class SofunColumnMapper {
+    constructor() {
+        this.headerScanRows = 15;
+        this.profilesKey = 'columnMappingProfiles';
+
+        // Any header cell naming one of these (or a test of ASSESSMENT_REGISTRY) is a strong hint that the row is a header row
+        this.headerKeywordPattern = new RegExp([
+            /\b(RANK|NAME|PES|SERVICE|ORD|WINDOW|RESULT|GRADE|DATE|PLATOON|ENLISTMENT|BIRTH|DOB)\b/.source,
+            ...ASSESSMENT_REGISTRY.map(test => test.pattern.source)
+        ].join('|'), 'i');
+
+        // Group labels that sit above a block of result columns (usually a merged cell)
+        this.groupPattern = /^\s*(Y1|Y2|YR\s*[12]|YEAR\s*[12]|WORK\s*YEAR|WY)\b/i;
+
+        const phasePatterns = {
+            y1: /\b(Y1|YR\s*1|YEAR\s*1|1ST\s*YEAR)\b/i,
+            y2: /\b(Y2|YR\s*2|YEAR\s*2|2ND\s*YEAR)\b/i,
+            workYear: /\b(WORK\s*YEAR|WY|REGULARS?)\b/i
+        };
+        const testPatterns = Object.fromEntries(ASSESSMENT_REGISTRY.map(test => [test.key, test.pattern]));
+        const testLabels = Object.fromEntries(ASSESSMENT_REGISTRY.map(test => [test.key, test.label]));
+        const phaseLabels = Object.fromEntries(ASSESSMENT_PHASES.map(phase => [phase.key, phase.label]));
+        // Every phase and test of the registry, e.g. ['y1', 'ippt']
+        const registryResults = ASSESSMENT_PHASES.flatMap(phase => getPhaseTests(phase.key).map(test => [phase.key, test.key]));
+
+        // Legacy positions (columns F-O) are kept as defaults for files without readable headers;
+        // tests added to the registry later have no legacy position and are found by header only
+        const legacyIndexes = {
+            'y1.ippt': 5, 'y1.voc': 6, 'y1.atp': 7,
+            'y2.ippt': 8, 'y2.voc': 9, 'y2.range': 10,
+            'workYear.ippt': 11, 'workYear.voc': 12, 'workYear.atp': 13, 'workYear.cs': 14
+        };
+        // IPPT raw score columns ("Y2 Push-ups", "Y2 IPPT 2.4km Run", "Y2 Age Group"); the IPPT
+        // result columns exclude them so a score column is never read as the grade
+        const ipptScorePattern = new RegExp([...IPPT_STATIONS.map(station => station.pattern.source), /\bAGE\b/.source].join('|'), 'i');
+        const ipptScoreFields = (phases) => phases.flatMap(phase => [
+            ...IPPT_STATIONS.map(station => ({ key: station.key, label: station.label, pattern: station.pattern })),
+            { key: 'ageGroup', label: 'Age Group', pattern: /\bAGE\b/i }
+        ].map(entry => ({
+            key: `${phase}.ipptScore.${entry.key}`,
+            label: `${phaseLabels[phase]} IPPT ${entry.label}`,
+            phase: phase,
+            test: 'ippt',
+            ipptScore: entry.key,
+            patterns: [phasePatterns[phase], entry.pattern],
+            exclude: /\b(DATE|DATED|WINDOW|ORD|BIRTH)\b/i,
+            defaultIndex: -1
+        })));
+        const ipptPhases = registryResults.filter(([, test]) => test === 'ippt').map(([phase]) => phase);
+        // Shoot detail columns of Range and CS results ("Y2 Range Score", "Work Year CS Lane"); the
+        // result columns exclude them in the same way. testPatterns are left out on per-sheet layouts
+        // whose sheet holds one test per phase. A weapon column is never the Weapon Handling Test.
+        const shootPattern = new RegExp(RANGE_SHOOT_FIELDS.map(field => field.pattern.source).join('|'), 'i');
+        const shootFields = (entries) => entries.flatMap(([phase, test, needsTest]) => RANGE_SHOOT_FIELDS.map(entry => ({
+            key: `${phase}.${test}Shoot.${entry.key}`,
+            label: `${phaseLabels[phase]} ${testLabels[test]} ${entry.label}`,
+            phase: phase,
+            test: test,
+            shoot: entry.key,
+            patterns: needsTest ? [phasePatterns[phase], testPatterns[test], entry.pattern] : [phasePatterns[phase], entry.pattern],
+            exclude: /\b(DATE|DATED|WINDOW|ORD|BIRTH|HANDLING)\b/i,
+            defaultIndex: -1
+        })));
+        const shootResults = registryResults.filter(([, test]) => ASSESSMENT_REGISTRY.find(entry => entry.key === test).shoot);
+        const detailPattern = (test) => {
+            if (test === 'ippt') return ipptScorePattern;
+            return shootResults.some(([, key]) => key === test) ? shootPattern : null;
+        };
+        const excluding = (...patterns) => new RegExp(patterns.filter(Boolean).map(pattern => pattern.source).join('|'), 'i');
+        // Result columns also leave later attempts ("Y2 IPPT Retest") and the attempt history to the attempt fields
+        const resultExclude = (test) => excluding(attemptHistory.otherAttemptPattern, detailPattern(test));
+
+        const resultFields = registryResults.map(([phase, test]) => ({
+            key: `${phase}.${test}`,
+            label: `${phaseLabels[phase]} ${testLabels[test]}`,
+            phase: phase,
+            test: test,
+            patterns: [phasePatterns[phase], testPatterns[test]],
+            exclude: resultExclude(test),
+            defaultIndex: legacyIndexes[`${phase}.${test}`] ?? -1
+        }));
+
+        /*
+         * Attempt columns of a result: the attempt history as the CSV export writes it ("Y2 IPPT
+         * Attempts"), and the result and date of each later attempt ("Y2 IPPT Retest", "Y2 IPPT
+         * Attempt 3 Date"). A "First Attempt" column is the result column itself.
+         */
+        const attemptNumbers = Array.from({ length: Math.max(ATTEMPT_CONFIG.maxColumnAttempt - 1, 0) }, (_, index) => index + 2);
+        const attemptFields = (entries) => entries.flatMap(([phase, test, needsTest]) => {
+            const patterns = needsTest ? [phasePatterns[phase], testPatterns[test]] : [phasePatterns[phase]];
+            const label = `${phaseLabels[phase]} ${testLabels[test]}`;
+            return [
+                {
+                    key: `${phase}.${test}Attempts`, label: `${label} attempts`, phase: phase, test: test, attempts: true,
+                    patterns: [...patterns, /\bATTEMPTS\b/i], exclude: /\bDATE\b/i, defaultIndex: -1
+                },
+                ...attemptNumbers.flatMap(number => [
+                    {
+                        key: `${phase}.${test}Attempt${number}`, label: `${label} attempt ${number}`, phase: phase, test: test, attempt: number,
+                        patterns: [...patterns, attemptHistory.getAttemptPattern(number)],
+                        exclude: excluding(/\b(DATE|DATED)\b/, detailPattern(test)), defaultIndex: -1
+                    },
+                    {
+                        key: `${phase}.${test}Attempt${number}Date`, label: `${label} attempt ${number} date`, phase: phase, test: test, attempt: number, isDate: true,
+                        patterns: [...patterns, attemptHistory.getAttemptPattern(number), /\bDATE\b/i], defaultIndex: -1
+                    }
+                ])
+            ];
+        });
+
+        // Optional; tells apart people with the same name. Only the last four characters are kept
+        const serviceNumberField = { key: 'serviceNumber', label: 'Service No.', patterns: [/\b(SERVICE|SVC)\s*(NO|NUMBER)\b|\bNRIC\b/i], defaultIndex: -1 };
+        const personFields = [
+            { key: 'platoonHeader', label: 'Platoon header rows', patterns: [/\b(PLATOON|PLT|UNIT)\b/i], defaultIndex: 0, keepDefault: true },
+            { key: 'rank', label: 'Rank', patterns: [/\bRANK\b/i], defaultIndex: 1, required: true },
+            { key: 'name', label: 'Name', patterns: [/\bNAME\b/i], defaultIndex: 2, required: true },
+            { key: 'pes', label: 'PES', patterns: [/\bPES\b/i], defaultIndex: 3 },
+            serviceNumberField,
+            { key: 'service', label: 'Service (NSF / Regular)', patterns: [/\b(SERVICE|SVC|CATEGORY|NSF\s*\/\s*REG)\b/i], exclude: /\b(NO|NUMBER)\b/i, defaultIndex: 4 }
+        ];
+        const windowFields = [
+            { key: 'y1WindowEndDate', label: 'Y1 last window', patterns: [/\bY1\b/i, /\b(WINDOW|LAST|END)\b/i], defaultIndex: 5 },
+            // Listed before ORD so a "Y2 window (ORD)" header is not taken as the ORD column
+            { key: 'y2WindowEndDate', label: 'Y2 last window', patterns: [/\bY2\b/i, /\b(WINDOW|LAST|END)\b/i], defaultIndex: -1 },
+            { key: 'ordDate', label: 'ORD date', patterns: [/\b(ORD|ROD)\b/i], defaultIndex: 6 }
+        ];
+        // Scores IPPT results by age; a per-result age group column can stand in for it
+        const birthDateField = { key: 'birthDate', label: 'Date of birth', patterns: [/\b(DOB|BIRTH)\b/i], defaultIndex: -1 };
+        const personFieldsByKey = Object.fromEntries(personFields.map(field => [field.key, field]));
+        // Flat tables (rosters, CSV files) have one row per person with a platoon column, and no legacy positions
+        const tablePersonFields = [
+            { key: 'platoon', label: 'Platoon', patterns: [/\b(PLATOON|PLT|UNIT)\b/i], defaultIndex: -1 },
+            { ...personFieldsByKey.platoonHeader, defaultIndex: -1, keepDefault: false },
+            { ...personFieldsByKey.rank, defaultIndex: -1 },
+            { ...personFieldsByKey.name, defaultIndex: -1 },
+            { ...personFieldsByKey.pes, defaultIndex: -1 },
+            serviceNumberField,
+            { ...personFieldsByKey.service, defaultIndex: -1 },
+            { key: 'enlistmentDate', label: 'Enlistment date', patterns: [/\b(ENLIST(MENT|ED)?|DOE)\b/i], defaultIndex: -1 },
+            birthDateField
+        ];
+
+        /*
+         * Per-sheet files hold one test per sheet with a result and a date column per phase.
+         * Defaults are the positions the old per-sheet reader used (Y2 from column I, Regulars from L).
+         * The test name is only needed in the patterns where a sheet holds two tests for the same phase.
+         */
+        const sheetResultFields = (entries) => entries.flatMap(([phase, test, defaultIndex, needsTest]) => {
+            const patterns = needsTest ? [phasePatterns[phase], testPatterns[test]] : [phasePatterns[phase]];
+            const label = `${phaseLabels[phase]} ${testLabels[test]}`;
+            return [
+                {
+                    key: `${phase}.${test}`, label: label, phase: phase, test: test, patterns: patterns,
+                    exclude: excluding(/\b(DATE|DATED|WINDOW|ORD)\b/, resultExclude(test)),
+                    defaultIndex: defaultIndex
+                },
+                {
+                    key: `${phase}.${test}Date`, label: `${label} date`, phase: phase, test: test, isDate: true,
+                    patterns: [...patterns, /\bDATE\b/i], exclude: excluding(/\b(WINDOW|LAST|ORD)\b/, attemptHistory.otherAttemptPattern),
+                    defaultIndex: defaultIndex >= 0 ? defaultIndex + 1 : -1
+                }
+            ];
+        });
+
+        const flatTableFields = [
+            ...tablePersonFields,
+            ...windowFields.map(field => ({ ...field, defaultIndex: -1 })),
+            ...sheetResultFields(registryResults.map(([phase, test]) => [phase, test, -1, true])),
+            ...ipptScoreFields(ipptPhases),
+            ...shootFields(shootResults.map(([phase, test]) => [phase, test, true])),
+            ...attemptFields(registryResults.map(([phase, test]) => [phase, test, true]))
+        ];
+        const medicalFields = [
+            { key: 'medicalStatus', label: 'Medical status', patterns: [/\bMEDICAL\b/i], exclude: /\bENTRIES\b/i, defaultIndex: -1 },
+            { key: 'medicalEntries', label: 'Medical entries', patterns: [/\bMEDICAL\b/i, /\bENTRIES\b/i], defaultIndex: -1 }
+        ];
+
+        this.layouts = {
+            allInOne: {
+                title: 'All in one view',
+                sheetName: 'all in one view',
+                fields: [
+                    ...personFields, birthDateField, ...resultFields, ...ipptScoreFields(ipptPhases),
+                    ...shootFields(shootResults.map(([phase, test]) => [phase, test, true])),
+                    ...attemptFields(registryResults.map(([phase, test]) => [phase, test, true]))
+                ]
+            },
+            voc: {
+                title: 'VOC (ORD & window dates)',
+                sheetName: 'voc',
+                fields: [
+                    { key: 'name', label: 'Name', patterns: [/\bNAME\b/i], defaultIndex: 2, required: true },
+                    serviceNumberField,
+                    ...windowFields
+                ]
+            },
+            ipptSheet: {
+                title: 'IPPT sheet',
+                sheetName: 'ippt',
+                fields: [
+                    ...personFields,
+                    birthDateField,
+                    ...sheetResultFields([['y1', 'ippt', -1], ['y2', 'ippt', 8], ['workYear', 'ippt', 11]]),
+                    ...ipptScoreFields(['y1', 'y2', 'workYear']),
+                    ...attemptFields([['y1', 'ippt'], ['y2', 'ippt'], ['workYear', 'ippt']])
+                ]
+            },
+            vocSheet: {
+                title: 'VOC sheet',
+                sheetName: 'voc',
+                fields: [
+                    ...personFields,
+                    ...windowFields,
+                    ...sheetResultFields([['y1', 'voc', -1], ['y2', 'voc', 10], ['workYear', 'voc', 13]]),
+                    ...attemptFields([['y1', 'voc'], ['y2', 'voc'], ['workYear', 'voc']])
+                ]
+            },
+            rangeSheet: {
+                title: 'RANGE sheet',
+                sheetName: 'range',
+                fields: [
+                    ...personFields,
+                    ...sheetResultFields([
+                        ['y1', 'atp', -1], ['y2', 'range', 9],
+                        ['workYear', 'atp', 11, true], ['workYear', 'cs', -1, true]
+                    ]),
+                    ...shootFields([['y2', 'range', false], ['workYear', 'cs', true]]),
+                    ...attemptFields([['y1', 'atp'], ['y2', 'range'], ['workYear', 'atp', true], ['workYear', 'cs', true]])
+                ]
+            },
+            /*
+             * The nominal roll from S1: one row per person, usually a CSV. Any sheet name is accepted.
+             * The platoon is normally a column; platoon header rows are only used if mapped by hand.
+             */
+            roster: {
+                title: 'Nominal roll',
+                sheetName: null,
+                sheetNames: ['nominal roll', 'roster', 'nr'],
+                fields: [
+                    ...tablePersonFields,
+                    { ...windowFields.find(field => field.key === 'ordDate'), defaultIndex: -1 }
+                ]
+            },
+            /*
+             * A single-sheet personnel table such as the tracker's own CSV export (see
+             * PERSONNEL_CSV_COLUMNS): one row per person, each result with its date in the next column.
+             */
+            flatTable: {
+                title: 'Personnel table',
+                sheetName: null,
+                sheetNames: [],
+                fields: flatTableFields
+            },
+            /*
+             * The personnel sheets of the tracker's dashboard workbook (createPersonnelSheets): the
+             * CSV export's columns, one sheet per category. Medical status and entries are only read from these.
+             */
+            nsfPersonnel: {
+                title: 'NSF_Personnel sheet',
+                sheetName: 'nsf_personnel',
+                category: 'NSF',
+                fields: [...flatTableFields, ...medicalFields]
+            },
+            regularPersonnel: {
+                title: 'Regular_Personnel sheet',
+                sheetName: 'regular_personnel',
+                category: 'Regular',
+                fields: [...flatTableFields, ...medicalFields]
+            }
+        };
+
+        // Workbook formats and the sheet layouts each one reads, in detection priority order
+        this.formats = {
+            allInOne: { title: 'All in one view (+ VOC dates)', layouts: ['allInOne', 'voc'], primary: 'allInOne' },
+            perSheet: { title: 'Separate IPPT / VOC / RANGE sheets', layouts: ['ipptSheet', 'vocSheet', 'rangeSheet'] },
+            // Snapshot formats are the tracker's own exports: active personnel only, and not a
+            // workbook the modified export can write back to
+            dashboard: { title: 'Tracker dashboard export (NSF / Regular personnel sheets)', layouts: ['nsfPersonnel', 'regularPersonnel'], snapshot: true },
+            // Offered only for single-sheet files (CSV) that match none of the formats above
+            csv: { title: 'Personnel table (CSV)', layouts: ['flatTable'], fallback: true, snapshot: true },
+            // Roster files are imported separately and never change results (see SofunRosterImport)
+            roster: { title: 'Nominal roll (roster)', layouts: ['roster'], mode: 'roster' }
+        };
+
+        this.wizard = null;
+    }
+
+    /* ---------- Sheet Helpers ---------- */
+
+    /**
+     * Find a sheet by name (case-insensitive, surrounding spaces ignored)
+     * @param {Object} workbook - SheetJS workbook
+     * @param {string} targetName - Lowercase sheet name to look for
+     * @returns {string|undefined} Actual sheet name
+     */
+    findSheetName(workbook, targetName) {
+        return Object.keys(workbook?.Sheets || {}).find(
+            name => name.trim().toLowerCase() === targetName
+        );
+    }
+
+    /**
+     * Find the sheet a layout reads. Layouts without a fixed sheet name (the roster) take the
+     * first sheet with one of their usual names, otherwise the workbook's first sheet (a CSV has only one)
+     * @param {Object} workbook - SheetJS workbook
+     * @param {string} layoutKey - Layout key (see this.layouts)
+     * @returns {string|undefined} Actual sheet name
+     */
+    findLayoutSheet(workbook, layoutKey) {
+        const layout = this.layouts[layoutKey];
+        if (layout.sheetName) return this.findSheetName(workbook, layout.sheetName);
+        return layout.sheetNames.map(name => this.findSheetName(workbook, name)).find(Boolean) || workbook?.SheetNames?.[0];
+    }
+
+    /**
+     * Read a sheet as rows anchored at A1, so array indices match Excel rows and columns
+     * @param {Object} sheet - SheetJS worksheet
+     * @returns {Array<Array>} 2D array of cell values
+     */
+    getSheetRows(sheet) {
+        if (!sheet || !sheet['!ref']) return [];
+        const range = XLSX.utils.decode_range(sheet['!ref']);
+        range.s = { r: 0, c: 0 };
+        return XLSX.utils.sheet_to_json(sheet, { header: 1, range: range, blankrows: true });
+    }
+
+    /**
+     * Excel column letter for a zero-based index
+     * @param {number} index - Column index
+     * @returns {string} Column letter (A, B, ... AA)
+     */
+    columnLetter(index) {
+        return XLSX.utils.encode_col(index);
+    }
+
+    /**
+     * Read a mapped cell as trimmed text
+     * @param {Array} row - Sheet row
+     * @param {Object} columns - Field key to column index map
+     * @param {string} key - Field key
+     * @returns {string} Cell text or empty string when unmapped/blank
+     */
+    getCellText(row, columns, key) {
+        const index = columns?.[key];
+        if (!row || index === undefined || index === null || index < 0) return '';
+        const value = row[index];
+        return value === undefined || value === null ? '' : value.toString().trim();
+    }
+
+    /**
+     * Read a mapped cell without conversion (dates stay as Date objects or serials)
+     * @param {Array} row - Sheet row
+     * @param {Object} columns - Field key to column index map
+     * @param {string} key - Field key
+     * @returns {*} Raw cell value or undefined
+     */
+    getCellValue(row, columns, key) {
+        const index = columns?.[key];
+        if (!row || index === undefined || index === null || index < 0) return undefined;
+        return row[index];
+    }
+
+    /**
+     * Result fields (phase/test pairs) of the All in one view layout
+     * @returns {Array<Object>} Field definitions with phase and test
+     */
+    getResultFields() {
+        return this.layouts.allInOne.fields.filter(field => field.phase && !field.ipptScore && !field.shoot && !field.attempt && !field.attempts);
+    }
+
+    /**
+     * IPPT raw score fields of the All in one view layout, one per station and phase plus the age group
+     * @returns {Array<Object>} Field definitions with phase, test and ipptScore (the station key or 'ageGroup')
+     */
+    getIpptScoreFields() {
+        return this.layouts.allInOne.fields.filter(field => field.ipptScore);
+    }
+
+    /**
+     * Shoot detail fields of the All in one view layout, one per field of RANGE_SHOOT_FIELDS for each Range and CS phase
+     * @returns {Array<Object>} Field definitions with phase, test and shoot (the field key)
+     */
+    getShootFields() {
+        return this.layouts.allInOne.fields.filter(field => field.shoot);
+    }
+
+    /**
+     * Source reference for a cell, recorded on imported records so values can be traced back
+     * @param {string} sheetName - Sheet name
+     * @param {number} rowIndex - Zero-based row index
+     * @param {number} columnIndex - Zero-based column index
+     * @returns {Object} { sheet, cell } e.g. { sheet: 'IPPT', cell: 'I12' }
+     */
+    getCellSource(sheetName, rowIndex, columnIndex) {
+        return { sheet: sheetName, cell: XLSX.utils.encode_cell({ r: rowIndex, c: columnIndex }) };
+    }
+
+    /**
+     * Readable form of a cell source
+     * @param {Object} source - { sheet, cell }
+     * @returns {string} e.g. "IPPT!I12"
+     */
+    formatCellSource(source) {
+        return source ? `${source.sheet}!${source.cell}` : '';
+    }
+
+    /* ---------- Header Detection ---------- */
+
+    /**
+     * Data start row used before column mapping existed: first row with a rank in B and a name in C
+     * @param {Array<Array>} rows - Sheet rows
+     * @returns {number} Zero-based row index
+     */
+    findLegacyDataStartRow(rows) {
+        for (let i = 0; i < Math.min(10, rows.length); i++) {
+            const row = rows[i];
+            if (row && row.length > 2) {
+                const rank = row[1]?.toString().trim();
+                const name = row[2]?.toString().trim();
+                if (rank && name && rank.length > 0 && name.length > 2 && !rank.toUpperCase().includes('RANK') && !name.toUpperCase().includes('NAME')) {
+                    return i;
+                }
+            }
+        }
+        return 4;
+    }
+
+    /**
+     * Locate the header row: the row within the first few rows naming the most known fields
+     * @param {Array<Array>} rows - Sheet rows
+     * @returns {number} Zero-based row index or -1 if no header row was found
+     */
+    findHeaderRow(rows) {
+        let bestRow = -1;
+        let bestScore = 1; // Need at least two recognised headers to trust a row
+
+        for (let i = 0; i < Math.min(this.headerScanRows, rows.length); i++) {
+            const score = (rows[i] || []).filter(
+                cell => cell !== undefined && cell !== null && this.headerKeywordPattern.test(cell.toString())
+            ).length;
+            if (score > bestScore) {
+                bestScore = score;
+                bestRow = i;
+            }
+        }
+        return bestRow;
+    }
+
+    /**
+     * Combine stacked header rows into one label per column ("Y1" above "IPPT" becomes "Y1 IPPT")
+     * @param {Array<Array>} rows - Sheet rows
+     * @param {number} headerStart - First header row
+     * @param {number} headerEnd - Last header row
+     * @param {Array<Object>} merges - Sheet merge ranges ('!merges'), if known
+     * @returns {Array<string>} Header label per column
+     */
+    buildHeaderLabels(rows, headerStart, headerEnd, merges = []) {
+        if (headerEnd < 0) return [];
+
+        const grid = [];
+        let width = 0;
+        for (let r = headerStart; r <= headerEnd; r++) {
+            const row = (rows[r] || []).map(cell => (cell === undefined || cell === null) ? '' : cell.toString().replace(/\s+/g, ' ').trim());
+            width = Math.max(width, row.length);
+            grid.push(row);
+        }
+
+        // Spread merged header cells over every column they cover
+        (merges || []).forEach(merge => {
+            const value = rows[merge.s.r]?.[merge.s.c];
+            if (value === undefined || value === null || value === '') return;
+            for (let r = Math.max(merge.s.r, headerStart); r <= Math.min(merge.e.r, headerEnd); r++) {
+                for (let c = merge.s.c; c <= merge.e.c; c++) {
+                    if (!grid[r - headerStart][c]) grid[r - headerStart][c] = value.toString().replace(/\s+/g, ' ').trim();
+                }
+                width = Math.max(width, merge.e.c + 1);
+            }
+        });
+
+        // Without merge info a group label only fills its first cell; carry it right over the columns below it
+        const bottom = grid[grid.length - 1];
+        for (let r = 0; r < grid.length - 1; r++) {
+            let group = '';
+            for (let c = 0; c < width; c++) {
+                if (grid[r][c]) {
+                    group = this.groupPattern.test(grid[r][c]) ? grid[r][c] : '';
+                } else if (group && bottom[c]) {
+                    grid[r][c] = group;
+                } else {
+                    group = '';
+                }
+            }
+        }
+
+        const labels = [];
+        for (let c = 0; c < width; c++) {
+            const parts = [];
+            grid.forEach(row => {
+                if (row[c] && !parts.includes(row[c])) parts.push(row[c]);
+            });
+            labels.push(parts.join(' '));
+        }
+        return labels;
+    }
+
+    /**
+     * Detect header rows, header labels and data start row for a sheet
+     * @param {Array<Array>} rows - Sheet rows
+     * @param {Array<Object>} merges - Sheet merge ranges
+     * @param {number} [headerRow] - Force this row as the (last) header row
+     * @returns {Object} { headerStart, headerEnd, dataStartRow, labels }
+     */
+    detectHeader(rows, merges, headerRow) {
+        const headerEnd = (headerRow !== undefined && headerRow !== null) ? headerRow : this.findHeaderRow(rows);
+        if (headerEnd < 0) {
+            return { headerStart: -1, headerEnd: -1, dataStartRow: this.findLegacyDataStartRow(rows), labels: [] };
+        }
+
+        // Stacked headers: include group rows ("Y1", "Work Year") directly above
+        let headerStart = headerEnd;
+        while (headerStart > 0 && (rows[headerStart - 1] || []).some(cell => cell && this.groupPattern.test(cell.toString()))) {
+            headerStart--;
+        }
+
+        let dataStartRow = headerEnd + 1;
+        while (dataStartRow < rows.length && (!rows[dataStartRow] || rows[dataStartRow].every(cell => !cell || cell.toString().trim() === ''))) {
+            dataStartRow++;
+        }
+
+        return {
+            headerStart: headerStart,
+            headerEnd: headerEnd,
+            dataStartRow: dataStartRow,
+            labels: this.buildHeaderLabels(rows, headerStart, headerEnd, merges)
+        };
+    }
+
+    /**
+     * Suggest a column for every field of a layout from header text
+     * @param {string} layoutKey - Layout key (see this.layouts)
+     * @param {Array<string>} labels - Header label per column
+     * @returns {Object} { columns, sources } where sources records 'header', 'default' or 'none' per field
+     */
+    suggestColumns(layoutKey, labels) {
+        const layout = this.layouts[layoutKey];
+        const columns = {};
+        const sources = {};
+        const claimed = new Set();
+        const hasHeaders = labels.some(label => label);
+
+        layout.fields.forEach(field => {
+            const index = labels.findIndex((label, i) =>
+                label && !claimed.has(i) &&
+                field.patterns.every(pattern => pattern.test(label)) &&
+                !(field.exclude && field.exclude.test(label))
+            );
+            if (index >= 0) {
+                columns[field.key] = index;
+                sources[field.key] = 'header';
+                claimed.add(index);
+            } else if ((!hasHeaders || field.keepDefault) && field.defaultIndex >= 0) {
+                columns[field.key] = field.defaultIndex;
+                sources[field.key] = 'default';
+            } else {
+                columns[field.key] = -1;
+                sources[field.key] = 'none';
+            }
+        });
+
+        return { columns, sources };
+    }
+
+    /**
+     * Workbook formats whose sheets are present, in priority order
+     * @param {Object} workbook - SheetJS workbook
+     * @param {string} [mode] - 'results' (assessment workbooks) or 'roster' (nominal roll)
+     * @returns {Array<string>} Format keys ('allInOne', 'perSheet', 'dashboard', 'csv' or 'roster')
+     */
+    detectFormats(workbook, mode = 'results') {
+        const formats = Object.entries(this.formats)
+            .filter(([, format]) => (format.mode || 'results') === mode);
+        const detected = formats
+            .filter(([, format]) => !format.fallback)
+            .filter(([, format]) => format.primary
+                ? this.findLayoutSheet(workbook, format.primary)
+                : format.layouts.some(layoutKey => this.findLayoutSheet(workbook, layoutKey)))
+            .map(([formatKey]) => formatKey);
+        if (detected.length > 0 || workbook?.SheetNames?.length !== 1) return detected;
+        return formats.filter(([, format]) => format.fallback).map(([formatKey]) => formatKey);
+    }
+
+    /**
+     * Pick the format a workbook should be read as
+     * @param {Object} workbook - SheetJS workbook
+     * @param {string} [mode] - 'results' or 'roster'
+     * @returns {string|null} Format key, or null if the workbook has none of the expected sheets
+     */
+    detectWorkbookFormat(workbook, mode = 'results') {
+        return this.detectFormats(workbook, mode)[0] || null;
+    }
+
+    /**
+     * Detect headers for every sheet a workbook format reads
+     * @param {Object} workbook - SheetJS workbook
+     * @param {string} [formatKey] - Format to read (auto-detected if omitted)
+     * @returns {Object} Detection per layout key (missing sheets are omitted)
+     */
+    detectWorkbook(workbook, formatKey = this.detectWorkbookFormat(workbook)) {
+        const detections = {};
+        (this.formats[formatKey]?.layouts || []).forEach(layoutKey => {
+            const sheetName = this.findLayoutSheet(workbook, layoutKey);
+            if (!sheetName) return;
+            const sheet = workbook.Sheets[sheetName];
+            const rows = this.getSheetRows(sheet);
+            const merges = sheet['!merges'] || [];
+            detections[layoutKey] = { sheetName, rows, merges, ...this.detectHeader(rows, merges) };
+        });
+        return detections;
+    }
+
+    /**
+     * Build a complete mapping suggestion for a workbook
+     * @param {Object} workbook - SheetJS workbook
+     * @param {Object} [detections] - Result of detectWorkbook, if already computed
+     * @param {string} [formatKey] - Format the detections were made for
+     * @returns {Object} Mapping ({ format, allInOne: { headerRow, dataStartRow, columns }, voc: {...} })
+     */
+    suggestMapping(workbook, detections, formatKey) {
+        formatKey = formatKey || this.detectWorkbookFormat(workbook);
+        if (!formatKey) {
+            throw new Error('Unrecognised workbook: expected an "All in one view" sheet, or separate IPPT, VOC and RANGE sheets');
+        }
+        detections = detections || this.detectWorkbook(workbook, formatKey);
+
+        const mapping = { format: formatKey };
+        Object.entries(detections).forEach(([layoutKey, detection]) => {
+            mapping[layoutKey] = {
+                headerRow: detection.headerEnd,
+                dataStartRow: detection.dataStartRow,
+                columns: this.suggestColumns(layoutKey, detection.labels).columns
+            };
+        });
+        return mapping;
+    }
+
+    /**
+     * Fingerprint of a workbook's header layout, used to recognise files a profile was saved for
+     * @param {Object} detections - Result of detectWorkbook
+     * @param {string} formatKey - Format the detections were made for
+     * @returns {string} Signature ('' if no headers were detected)
+     */
+    getHeaderSignature(detections, formatKey) {
+        const parts = (this.formats[formatKey]?.layouts || [])
+            .filter(layoutKey => detections[layoutKey]?.labels.length)
+            .map(layoutKey => `${layoutKey}:${detections[layoutKey].labels.join('|').toUpperCase()}`);
+        return parts.length ? `${formatKey}#${parts.join('#')}` : '';
+    }
+
+    /**
+     * Check a mapping before import
+     * @param {Object} mapping - Column mapping
+     * @returns {Object} { errors, warnings }
+     */
+    validateMapping(mapping) {
+        const errors = [];
+        const warnings = [];
+
+        Object.entries(mapping || {}).forEach(([layoutKey, sheetMapping]) => {
+            const layout = this.layouts[layoutKey];
+            if (!layout) return;
+
+            const columns = sheetMapping.columns || {};
+            const mappedFields = layout.fields.filter(field => columns[field.key] >= 0);
+            const usesSheet = layoutKey === 'allInOne' || mappedFields.some(field => !field.required);
+
+            layout.fields.forEach(field => {
+                if (field.required && usesSheet && !(columns[field.key] >= 0)) {
+                    errors.push(`${layout.title}: "${field.label}" must be mapped to a column`);
+                }
+            });
+
+            const byColumn = new Map();
+            mappedFields.forEach(field => {
+                const index = columns[field.key];
+                if (!byColumn.has(index)) byColumn.set(index, []);
+                byColumn.get(index).push(field.label);
+            });
+            byColumn.forEach((labels, index) => {
+                if (labels.length > 1) {
+                    warnings.push(`${layout.title}: column ${this.columnLetter(index)} is used for ${labels.join(' and ')}`);
+                }
+            });
+
+            if (sheetMapping.headerRow >= 0 && sheetMapping.dataStartRow <= sheetMapping.headerRow) {
+                errors.push(`${layout.title}: data must start below the header row`);
+            }
+        });
+
+        return { errors, warnings };
+    }
+
+    /* ---------- Mapping Profiles ---------- */
+
+    /**
+     * Load saved mapping profiles from user preferences
+     * @returns {Object} Profiles keyed by name
+     */
+    loadProfiles() {
+        const preferences = storage.loadUserPreferences();
+        return preferences[this.profilesKey] || {};
+    }
+
+    /**
+     * Save a named mapping profile
+     * @param {string} name - Profile name
+     * @param {Object} mapping - Column mapping
+     * @param {string} signature - Header signature of the file the mapping was made for
+     * @returns {boolean} Success status
+     */
+    saveProfile(name, mapping, signature) {
+        const preferences = storage.loadUserPreferences();
+        const profiles = preferences[this.profilesKey] || {};
+        profiles[name] = {
+            mapping: JSON.parse(JSON.stringify(mapping)),
+            signature: signature || '',
+            savedAt: new Date().toISOString()
+        };
+        return storage.saveUserPreferences({ ...preferences, [this.profilesKey]: profiles });
+    }
+
+    /**
+     * Delete a named mapping profile
+     * @param {string} name - Profile name
+     * @returns {boolean} Success status
+     */
+    deleteProfile(name) {
+        const preferences = storage.loadUserPreferences();
+        const profiles = preferences[this.profilesKey] || {};
+        if (!profiles[name]) return false;
+        delete profiles[name];
+        return storage.saveUserPreferences({ ...preferences, [this.profilesKey]: profiles });
+    }
+
+    /**
+     * Find the saved profile made for files with this header layout
+     * @param {string} signature - Header signature
+     * @returns {string|null} Profile name
+     */
+    findMatchingProfile(signature) {
+        if (!signature) return null;
+        const profiles = this.loadProfiles();
+        const matches = Object.keys(profiles).filter(name => profiles[name].signature === signature);
+        if (matches.length === 0) return null;
+        // Most recently saved profile wins if several were made for the same layout
+        return matches.sort((a, b) => (profiles[b].savedAt || '').localeCompare(profiles[a].savedAt || ''))[0];
+    }
+
+    /* ---------- Mapping Wizard ---------- */
+
+    /**
+     * Show the mapping wizard for a workbook and wait for the user's decision
+     * @param {Object} workbook - SheetJS workbook
+     * @param {string} fileName - Name of the file being imported
+     * @param {string} [mode] - 'results' or 'roster'; only formats of this mode are offered
+     * @returns {Promise<Object|null>} Confirmed mapping, or null if cancelled
+     */
+    openWizard(workbook, fileName, mode = 'results') {
+        const modal = document.getElementById('columnMappingModal');
+        if (!modal) {
+            // No wizard markup on this page: fall back to the automatic suggestion
+            return Promise.resolve(this.suggestMapping(workbook, null, this.detectWorkbookFormat(workbook, mode)));
+        }
+
+        if (this.wizard) this.closeWizard();
+
+        return new Promise(resolve => {
+            this.wizard = {
+                workbook,
+                formats: this.detectFormats(workbook, mode),
+                profileName: '',
+                resolve
+            };
+
+            const fileLabel = document.getElementById('mappingFileName');
+            if (fileLabel) fileLabel.textContent = `File: ${fileName}`;
+
+            this.setWizardFormat(this.wizard.formats[0]);
+            modal.style.display = 'block';
+        });
+    }
+
+    /**
+     * Switch the open wizard to another workbook format and re-detect its sheets
+     * @param {string} formatKey - Format key
+     */
+    setWizardFormat(formatKey) {
+        if (!this.wizard) return;
+        if (!this.wizard.formats.includes(formatKey)) {
+            showErrorMessage(`This file has no sheets for the "${this.formats[formatKey]?.title || formatKey}" format`);
+            this.renderWizard();
+            return;
+        }
+
+        const detections = this.detectWorkbook(this.wizard.workbook, formatKey);
+        Object.assign(this.wizard, {
+            format: formatKey,
+            detections,
+            signature: this.getHeaderSignature(detections, formatKey),
+            mapping: this.suggestMapping(this.wizard.workbook, detections, formatKey),
+            sources: {},
+            profileName: ''
+        });
+        Object.entries(detections).forEach(([layoutKey, detection]) => {
+            this.wizard.sources[layoutKey] = this.suggestColumns(layoutKey, detection.labels).sources;
+        });
+
+        const matchingProfile = this.findMatchingProfile(this.wizard.signature);
+        if (matchingProfile) {
+            this.applyProfile(matchingProfile);
+        } else {
+            this.renderWizard();
+        }
+    }
+
+    /**
+     * Close the wizard; resolves the pending import with the given mapping (null cancels)
+     * @param {Object|null} mapping - Mapping to import with
+     */
+    closeWizard(mapping = null) {
+        const modal = document.getElementById('columnMappingModal');
+        if (modal) modal.style.display = 'none';
+
+        if (this.wizard) {
+            const { resolve } = this.wizard;
+            this.wizard = null;
+            resolve(mapping);
+        }
+    }
+
+    /**
+     * Confirm the current mapping and continue the import
+     */
+    confirmWizard() {
+        if (!this.wizard) return;
+
+        const { errors } = this.validateMapping(this.wizard.mapping);
+        if (errors.length > 0) {
+            showErrorMessage(`Please fix the column mapping first:\n${errors.join('\n')}`);
+            return;
+        }
+
+        const mapping = JSON.parse(JSON.stringify(this.wizard.mapping));
+        if (this.wizard.profileName) mapping.profileName = this.wizard.profileName;
+        this.closeWizard(mapping);
+    }
+
+    /**
+     * Apply a saved profile to the open wizard ('' returns to the automatic suggestion)
+     * @param {string} name - Profile name
+     */
+    applyProfile(name) {
+        if (!this.wizard) return;
+
+        const profile = name ? this.loadProfiles()[name] : null;
+        // Profiles saved before per-sheet files were supported have no format and are All in one view profiles
+        const profileFormat = profile ? (profile.mapping?.format || 'allInOne') : this.wizard.format;
+        if (profileFormat !== this.wizard.format) {
+            if (!this.wizard.formats.includes(profileFormat)) {
+                showErrorMessage(`Profile "${name}" is for ${this.formats[profileFormat]?.title || profileFormat} files, which this file is not`);
+                this.renderWizard();
+                return;
+            }
+            this.setWizardFormat(profileFormat);
+        }
+
+        Object.entries(this.wizard.detections).forEach(([layoutKey, detection]) => {
+            const saved = profile?.mapping?.[layoutKey];
+            if (saved) {
+                const redetected = this.detectHeader(detection.rows, detection.merges, saved.headerRow);
+                Object.assign(detection, redetected, { dataStartRow: saved.dataStartRow });
+                this.wizard.mapping[layoutKey] = {
+                    headerRow: saved.headerRow,
+                    dataStartRow: saved.dataStartRow,
+                    columns: { ...this.suggestColumns(layoutKey, []).columns, ...saved.columns }
+                };
+                this.wizard.sources[layoutKey] = Object.fromEntries(
+                    Object.keys(this.wizard.mapping[layoutKey].columns).map(key => [key, 'profile'])
+                );
+            } else {
+                Object.assign(detection, this.detectHeader(detection.rows, detection.merges));
+                const suggestion = this.suggestColumns(layoutKey, detection.labels);
+                this.wizard.mapping[layoutKey] = {
+                    headerRow: detection.headerEnd,
+                    dataStartRow: detection.dataStartRow,
+                    columns: suggestion.columns
+                };
+                this.wizard.sources[layoutKey] = suggestion.sources;
+            }
+        });
+
+        this.wizard.profileName = profile ? name : '';
+        this.renderWizard();
+    }
+
+    /**
+     * Save the wizard's current mapping under the name typed by the user
+     */
+    saveWizardProfile() {
+        if (!this.wizard) return;
+
+        const nameInput = document.getElementById('mappingProfileName');
+        const name = nameInput?.value.trim();
+        if (!name) {
+            showErrorMessage('Enter a name for the mapping profile');
+            return;
+        }
+
+        const { errors } = this.validateMapping(this.wizard.mapping);
+        if (errors.length > 0) {
+            showErrorMessage(`Cannot save an incomplete mapping:\n${errors.join('\n')}`);
+            return;
+        }
+
+        const profiles = this.loadProfiles();
+        if (profiles[name] && !confirm(`Overwrite the existing mapping profile "${name}"?`)) return;
+
+        if (this.saveProfile(name, this.wizard.mapping, this.wizard.signature)) {
+            this.wizard.profileName = name;
+            if (nameInput) nameInput.value = '';
+            this.renderWizard();
+            showSuccessMessage(`Mapping profile "${name}" saved`);
+        } else {
+            showErrorMessage('Failed to save mapping profile');
+        }
+    }
+
+    /**
+     * Delete the profile selected in the wizard
+     */
+    deleteWizardProfile() {
+        if (!this.wizard || !this.wizard.profileName) {
+            showErrorMessage('Select a saved mapping profile to delete');
+            return;
+        }
+
+        const name = this.wizard.profileName;
+        if (!confirm(`Delete mapping profile "${name}"?`)) return;
+
+        this.deleteProfile(name);
+        this.applyProfile('');
+        showSuccessMessage(`Mapping profile "${name}" deleted`);
+    }
+
+    /**
+     * Change the header row of a sheet; header labels and suggestions are recomputed
+     * @param {string} layoutKey - Layout key
+     * @param {number} rowNumber - One-based row number as shown in Excel
+     */
+    setHeaderRow(layoutKey, rowNumber) {
+        const detection = this.wizard?.detections[layoutKey];
+        if (!detection || !(rowNumber >= 1)) return;
+
+        Object.assign(detection, this.detectHeader(detection.rows, detection.merges, rowNumber - 1));
+        const suggestion = this.suggestColumns(layoutKey, detection.labels);
+        this.wizard.mapping[layoutKey] = {
+            headerRow: detection.headerEnd,
+            dataStartRow: detection.dataStartRow,
+            columns: suggestion.columns
+        };
+        this.wizard.sources[layoutKey] = suggestion.sources;
+        this.renderWizard();
+    }
+
+    /**
+     * Change the first data row of a sheet
+     * @param {string} layoutKey - Layout key
+     * @param {number} rowNumber - One-based row number as shown in Excel
+     */
+    setDataStartRow(layoutKey, rowNumber) {
+        const sheetMapping = this.wizard?.mapping[layoutKey];
+        if (!sheetMapping || !(rowNumber >= 1)) return;
+
+        sheetMapping.dataStartRow = rowNumber - 1;
+        this.wizard.detections[layoutKey].dataStartRow = rowNumber - 1;
+        this.renderWizard();
+    }
+
+    /**
+     * Map a field to a column (-1 leaves it unmapped)
+     * @param {string} layoutKey - Layout key
+     * @param {string} fieldKey - Field key
+     * @param {number} columnIndex - Zero-based column index
+     */
+    setFieldColumn(layoutKey, fieldKey, columnIndex) {
+        const sheetMapping = this.wizard?.mapping[layoutKey];
+        if (!sheetMapping) return;
+
+        sheetMapping.columns[fieldKey] = isNaN(columnIndex) ? -1 : columnIndex;
+        this.wizard.sources[layoutKey][fieldKey] = 'manual';
+        this.renderWizard();
+    }
+
+    /**
+     * First few non-empty values of a column below the data start row
+     * @param {Object} detection - Sheet detection
+     * @param {number} columnIndex - Column index
+     * @returns {Array<string>} Sample values
+     */
+    getSampleValues(detection, columnIndex) {
+        const samples = [];
+        if (columnIndex < 0) return samples;
+        for (let r = detection.dataStartRow; r < detection.rows.length && samples.length < 3; r++) {
+            const value = detection.rows[r]?.[columnIndex];
+            if (value === undefined || value === null || value.toString().trim() === '') continue;
+            samples.push(value instanceof Date ? formatDate(value) : value.toString().trim());
+        }
+        return samples;
+    }
+
+    /**
+     * Render the wizard contents from the current state
+     */
+    renderWizard() {
+        if (!this.wizard) return;
+
+        const formatSelect = document.getElementById('mappingFormatSelect');
+        if (formatSelect) {
+            formatSelect.innerHTML = Object.entries(this.formats)
+                .filter(([formatKey]) => this.wizard.formats.includes(formatKey))
+                .map(([formatKey, format]) => `<option value="${formatKey}">${escapeHtml(format.title)}</option>`)
+                .join('');
+            formatSelect.value = this.wizard.format;
+            formatSelect.disabled = this.wizard.formats.length < 2;
+        }
+
+        const profileSelect = document.getElementById('mappingProfileSelect');
+        if (profileSelect) {
+            const profiles = this.loadProfiles();
+            profileSelect.innerHTML = [
+                '<option value="">— Auto-detected from headers —</option>',
+                ...Object.keys(profiles).sort().map(name =>
+                    `<option value="${escapeHtml(name)}">${escapeHtml(name)}${profiles[name].signature === this.wizard.signature ? ' (matches this file)' : ''}</option>`
+                )
+            ].join('');
+            profileSelect.value = this.wizard.profileName;
+        }
+
+        const container = document.getElementById('mappingSheets');
+        if (container) {
+            container.innerHTML = Object.entries(this.wizard.detections)
+                .map(([layoutKey, detection]) => this.renderSheetSection(layoutKey, detection))
+                .join('');
+        }
+
+        const { errors, warnings } = this.validateMapping(this.wizard.mapping);
+        const validation = document.getElementById('mappingValidation');
+        if (validation) {
+            validation.innerHTML = [
+                ...errors.map(message => `<div class="alert alert-danger">❌ ${escapeHtml(message)}</div>`),
+                ...warnings.map(message => `<div class="alert alert-warning">⚠️ ${escapeHtml(message)}</div>`)
+            ].join('');
+        }
+
+        const confirmBtn = document.getElementById('confirmMappingBtn');
+        if (confirmBtn) confirmBtn.disabled = errors.length > 0;
+    }
+
+    /**
+     * Render the mapping table for one sheet
+     * @param {string} layoutKey - Layout key
+     * @param {Object} detection - Sheet detection
+     * @returns {string} HTML
+     */
+    renderSheetSection(layoutKey, detection) {
+        const layout = this.layouts[layoutKey];
+        const sheetMapping = this.wizard.mapping[layoutKey];
+        const sources = this.wizard.sources[layoutKey] || {};
+        const width = Math.max(
+            detection.labels.length,
+            ...detection.rows.slice(0, detection.dataStartRow + 20).map(row => (row || []).length)
+        );
+
+        const columnOptions = (selected) => {
+            const options = ['<option value="-1">— Not mapped —</option>'];
+            for (let c = 0; c < width; c++) {
+                const label = detection.labels[c] ? `: ${escapeHtml(detection.labels[c])}` : '';
+                options.push(`<option value="${c}"${c === selected ? ' selected' : ''}>${this.columnLetter(c)}${label}</option>`);
+            }
+            return options.join('');
+        };
+
+        const sourceLabels = {
+            header: '🔎 header',
+            default: '📐 default position',
+            profile: '💾 profile',
+            manual: '✏️ manual',
+            none: '—'
+        };
+
+        const renderRow = field => {
+            const index = sheetMapping.columns[field.key];
+            let samples = this.getSampleValues(detection, index);
+            if (field.key === 'serviceNumber') samples = samples.map(maskServiceNumber);
+            return `
+                <tr>
+                    <td>${escapeHtml(field.label)}${field.required ? ' *' : ''}</td>
+                    <td>
+                        <select onchange="updateColumnMapping('${layoutKey}', '${field.key}', parseInt(this.value, 10))">
+                            ${columnOptions(index)}
+                        </select>
+                    </td>
+                    <td>${sourceLabels[sources[field.key]] || '—'}</td>
+                    <td>${samples.length ? escapeHtml(samples.join(', ')) : '<em>no values</em>'}</td>
+                </tr>`;
+        };
+        const tableHead = '<thead><tr><th>Field</th><th>Column</th><th>Source</th><th>Sample values</th></tr></thead>';
+        const rows = layout.fields.filter(field => !field.attempt && !field.attempts).map(renderRow).join('');
+        // Attempt columns are rare and many, so they are listed apart and folded away unless one was found
+        const attemptFields = layout.fields.filter(field => field.attempt || field.attempts);
+        const attemptsMapped = attemptFields.filter(field => sheetMapping.columns[field.key] >= 0).length;
+        const attemptSection = attemptFields.length === 0 ? '' : `
+                <details class="form-section"${attemptsMapped > 0 ? ' open' : ''}>
+                    <summary>Attempt columns <small>(${attemptsMapped} mapped)</small></summary>
+                    <div class="table-container">
+                        <table class="mapping-table">
+                            ${tableHead}
+                            <tbody>${attemptFields.map(renderRow).join('')}</tbody>
+                        </table>
+                    </div>
+                </details>`;
+
+        const headerInfo = detection.headerEnd >= 0
+            ? `Header row${detection.headerStart < detection.headerEnd ? `s ${detection.headerStart + 1}–${detection.headerEnd + 1}` : ` ${detection.headerEnd + 1}`} detected.`
+            : 'No header row recognised – using the standard column positions.';
+
+        return `
+            <details class="form-section" open>
+                <summary>${escapeHtml(layout.title)} <small>(sheet "${escapeHtml(detection.sheetName)}")</small></summary>
+                <p class="modal-hint">${headerInfo}</p>
+                <div class="form-grid">
+                    <div class="form-group">
+                        <label>Header row:</label>
+                        <input type="number" min="1" value="${detection.headerEnd >= 0 ? detection.headerEnd + 1 : ''}"
+                               placeholder="none" onchange="updateMappingHeaderRow('${layoutKey}', parseInt(this.value, 10))">
+                    </div>
+                    <div class="form-group">
+                        <label>First data row:</label>
+                        <input type="number" min="1" value="${sheetMapping.dataStartRow + 1}"
+                               onchange="updateMappingDataStartRow('${layoutKey}', parseInt(this.value, 10))">
+                    </div>
+                </div>
+                <div class="table-container">
+                    <table class="mapping-table">
+                        ${tableHead}
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>${attemptSection}
+            </details>`;
+    }
+}
+
+/* ---------- Global Column Mapper Instance ---------- */
+
+// Create global column mapper instance
+const columnMapper = new SofunColumnMapper();
+
+/* ---------- Global Functions (for backward compatibility) ---------- */
+
+/**
+ * Close the column mapping wizard without importing
+ */
+function closeColumnMappingWizard() {
+    columnMapper.closeWizard(null);
+}
+
+/**
+ * Confirm the column mapping and continue the import
+ */
+function confirmColumnMapping() {
+    columnMapper.confirmWizard();
+}
+
+/**
+ * Switch the wizard to another workbook format
+ * @param {string} formatKey - Format key (see columnMapper.formats)
+ */
+function updateMappingFormat(formatKey) {
+    columnMapper.setWizardFormat(formatKey);
+}
+
+/**
+ * Apply a saved mapping profile in the wizard
+ * @param {string} name - Profile name ('' for auto-detection)
+ */
+function applyColumnMappingProfile(name) {
+    columnMapper.applyProfile(name);
+}
+
+/**
+ * Save the wizard's mapping as a named profile
+ */
+function saveColumnMappingProfile() {
+    columnMapper.saveWizardProfile();
+}
+
+/**
+ * Delete the selected mapping profile
+ */
+function deleteColumnMappingProfile() {
+    columnMapper.deleteWizardProfile();
+}
+
+/**
+ * Map a field to a column in the wizard
+ */
+function updateColumnMapping(layoutKey, fieldKey, columnIndex) {
+    columnMapper.setFieldColumn(layoutKey, fieldKey, columnIndex);
+}
+
+/**
+ * Change a sheet's header row in the wizard
+ */
+function updateMappingHeaderRow(layoutKey, rowNumber) {
+    columnMapper.setHeaderRow(layoutKey, rowNumber);
+}
+
+/**
+ * Change a sheet's first data row in the wizard
+ */
+function updateMappingDataStartRow(layoutKey, rowNumber) {
+    columnMapper.setDataStartRow(layoutKey, rowNumber);
+}
+
+console.log('✅ SOFUN Column Mapper loaded - Header detection and mapping profiles ready');
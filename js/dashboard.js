@@ -12,7 +12,26 @@ class SofunDashboard {
         this.charts = {};
         this.isDarkMode = false;
         this.initialized = false;
-        this.activeCharts = new Set(['y2Ippt', 'y2Voc', 'y2Range', 'platoon']); // Default active charts
+        this.defaultCharts = ['y2Ippt', 'y2Voc', 'y2Range', 'platoon'];
+        this.activeCharts = new Set(this.defaultCharts);
+        // Results charts of shoot tests (Range, CS) show 'grades' (classification counts) or 'scores'
+        // (the score distribution of classified shoots); the others always show grades
+        this.chartViews = {};
+        this.lastActivePersonnel = [];
+        this.analysisCharts = [
+            { id: 'platoon', title: 'Platoon Performance Comparison' },
+            { id: 'comparison', title: 'Y1 vs Y2 Performance Comparison' }
+        ];
+        this.statCards = [
+            { id: 'totalPersonnel', label: 'Total Personnel' },
+            { id: 'totalNSF', label: 'Total NSF' },
+            { id: 'totalRegulars', label: 'Total Regulars' },
+            { id: 'y2IpptGold', label: 'Y2 IPPT Gold' },
+            { id: 'y2VocPass', label: 'Y2 VOC Pass' },
+            { id: 'y2RangeQualified', label: 'Y2 Range Qualified' },
+            { id: 'remedialOutstanding', label: 'Remedial Outstanding' },
+            { id: 'dataCompleteness', label: 'Data Completeness', percent: true }
+        ];
         this.chartColors = {
             primary: '#d4af37', // gold
             success: '#27ae60',
@@ -21,6 +40,15 @@ class SofunDashboard {
             info: '#b38b2a',
             secondary: '#6c757d'
         };
+        this.gradeColors = {
+            Gold: '#d4af37',
+            Silver: '#c0c0c0',
+            Pass: '#27ae60',
+            Fail: '#e74c3c',
+            Marksman: '#b38b2a',
+            Sharpshooter: '#9b59b6',
+            Pending: '#f1c40f'
+        };
     }
 
     /* ---------- Initialization ---------- */
@@ -31,6 +59,7 @@ class SofunDashboard {
     init() {
         try {
             this.isDarkMode = document.body.classList.contains('dark-mode');
+            this.renderChartSelection();
             this.createCharts();
             this.initialized = true;
             console.log('✅ Dashboard initialized with charts');
@@ -48,18 +77,9 @@ class SofunDashboard {
             return;
         }
         
-        // Create Y2 charts (legacy support)
-        this.createY2IpptChart();
-        this.createY2VocChart();
-        this.createY2RangeChart();
+        // One results chart per phase and test of the assessment registry
+        this.getGradeCharts().forEach(chart => this.createGradeChart(chart));
         this.createPlatoonChart();
-        
-        // Create Y1 charts
-        this.createY1IpptChart();
-        this.createY1VocChart();
-        this.createY1AtpChart();
-        
-        // Create comparison chart
         this.createComparisonChart();
         
         console.log('✅ All dashboard charts created');
@@ -96,203 +116,125 @@ class SofunDashboard {
         }
     }
 
-    /* ---------- Chart Creation ---------- */
+    /* ---------- Chart Selection ---------- */
 
     /**
-     * Create Y2 IPPT Performance Chart (Doughnut)
+     * One results chart per phase and test of ASSESSMENT_REGISTRY
+     * @returns {Array<Object>} { id, phase, test, title }; the canvas is "<id>Chart", e.g. y2IpptChart
      */
-    createY2IpptChart() {
-        const ctx = document.getElementById('y2IpptChart');
-        if (!ctx) {
-            console.warn('Y2 IPPT chart canvas not found');
-            return;
-        }
-
-        this.charts.y2Ippt = new Chart(ctx.getContext('2d'), {
-            type: 'doughnut',
-            data: {
-                labels: ['Gold', 'Silver', 'Pass', 'Fail', 'Pending'],
-                datasets: [{
-                    data: [0, 0, 0, 0, 0],
-                    backgroundColor: [
-                        '#d4af37', // Gold
-                        '#c0c0c0', // Silver
-                        '#27ae60', // Pass (Green)
-                        '#e74c3c', // Fail (Red)
-                        '#f1c40f'  // Pending (Yellow)
-                    ],
-                    borderWidth: 2,
-                    borderColor: this.isDarkMode ? '#495057' : '#ffffff'
-                }]
-            },
-            options: {
-                ...this.getBaseChartOptions(),
-                plugins: {
-                    ...this.getBaseChartOptions().plugins,
-                    legend: {
-                        position: 'bottom',
-                        labels: {
-                            ...this.getLegendLabelOptions(),
-                            usePointStyle: true,
-                            padding: 20
-                        }
-                    },
-                    tooltip: {
-                        callbacks: {
-                            label: (context) => {
-                                const label = context.label;
-                                const value = context.raw;
-                                const total = context.dataset.data.reduce((a, b) => a + b, 0);
-                                const percentage = total > 0 ? ((value / total) * 100).toFixed(1) : 0;
-                                return `${label}: ${value} (${percentage}%)`;
-                            }
-                        }
-                    }
-                }
-            }
-        });
+    getGradeCharts() {
+        return ASSESSMENT_PHASES.flatMap(phase => getPhaseTests(phase.key).map(test => ({
+            id: `${phase.key}${test.key.charAt(0).toUpperCase()}${test.key.slice(1)}`,
+            phase,
+            test,
+            title: `${phase.label} ${test.label} Results`
+        })));
     }
 
-        /**
-     * Create Y2 VOC Results Chart (Bar)
+    /**
+     * Build the chart selection panel and the chart wrappers: a group per phase, then the analysis charts
      */
-    createY2VocChart() {
-        const ctx = document.getElementById('y2VocChart');
-        if (!ctx) {
-            console.warn('VOC chart canvas not found');
-            return;
-        }
+    renderChartSelection() {
+        const selectionGrid = document.getElementById('chartSelectionGrid');
+        const chartsGrid = document.getElementById('chartsGrid');
+        if (!selectionGrid || !chartsGrid) return;
+
+        const gradeCharts = this.getGradeCharts();
+        const groups = [
+            ...ASSESSMENT_PHASES.map(phase => ({
+                title: `📋 ${phase.label} Results`,
+                charts: gradeCharts.filter(chart => chart.phase.key === phase.key)
+            })),
+            { title: '📈 Analysis', charts: this.analysisCharts }
+        ];
+        const option = chart => `
+                            <label class="chart-option">
+                                <input type="checkbox" id="chart${chart.id.charAt(0).toUpperCase()}${chart.id.slice(1)}" data-chart="${chart.id}" onchange="toggleChart('${chart.id}')" ${this.activeCharts.has(chart.id) ? 'checked' : ''}>
+                                <span>${escapeHtml(chart.title)}</span>
+                            </label>`;
+
+        selectionGrid.innerHTML = groups.map(group => `
+                    <div class="chart-selection-group">
+                        <h4>${escapeHtml(group.title)}</h4>
+                        <div class="chart-options">${group.charts.map(option).join('')}
+                        </div>
+                    </div>`).join('');
+
+        const viewSelect = chart => (chart.test?.shoot ? `
+                        <select class="chart-view-select" onchange="setChartView('${chart.id}', this.value)">
+                            <option value="grades" ${this.getChartView(chart.id) === 'grades' ? 'selected' : ''}>Classification</option>
+                            <option value="scores" ${this.getChartView(chart.id) === 'scores' ? 'selected' : ''}>Score distribution</option>
+                        </select>` : '');
+
+        chartsGrid.innerHTML = [...gradeCharts, ...this.analysisCharts].map(chart => `
+                <div class="chart-wrapper" id="chart-${chart.id}" style="display: ${this.activeCharts.has(chart.id) ? 'block' : 'none'};">
+                    <div class="chart-title">${escapeHtml(chart.title)}${viewSelect(chart)}</div>
+                    <div class="chart-container">
+                        <canvas id="${chart.id}Chart"></canvas>
+                    </div>
+                </div>`).join('');
+    }
 
-        this.charts.y2Voc = new Chart(ctx.getContext('2d'), {
-            type: 'bar',
-            data: {
-                labels: ['NSF', 'Regular'],
-                datasets: [{
-                    label: 'Pass',
-                    data: [0, 0],
-                    backgroundColor: '#27ae60',
-                    borderColor: '#1e7e34',
-                    borderWidth: 1
-                }, {
-                    label: 'Fail',
-                    data: [0, 0],
-                    backgroundColor: '#e74c3c',
-                    borderColor: '#bd2130',
-                    borderWidth: 1
-                }, {
-                    label: 'Pending',
-                    data: [0, 0],
-                    backgroundColor: '#f1c40f',
-                    borderColor: '#e0a800',
-                    borderWidth: 1
-                }]
-            },
-            options: {
-                ...this.getBaseChartOptions(),
-                plugins: {
-                    ...this.getBaseChartOptions().plugins,
-                    legend: {
-                        position: 'top',
-                        labels: this.getLegendLabelOptions()
-                    }
-                },
-                scales: {
-                    y: {
-                        beginAtZero: true,
-                        ticks: {
-                            ...this.getAxisTickOptions(),
-                            stepSize: 1
-                        },
-                        grid: this.getGridOptions()
-                    },
-                    x: {
-                        ticks: this.getAxisTickOptions(),
-                        grid: this.getGridOptions()
-                    }
-                }
-            }
-        });
+    /**
+     * @param {string} chartId - Chart ID
+     * @returns {string} 'grades' or 'scores'
+     */
+    getChartView(chartId) {
+        return this.chartViews[chartId] || 'grades';
     }
 
     /**
-     * Create Y2 Range Performance Chart (Bar)
+     * Switch a shoot test's results chart between classification counts and score distribution
+     * @param {string} chartId - Chart ID of getGradeCharts
+     * @param {string} view - 'grades' or 'scores'
      */
-    createY2RangeChart() {
-        const ctx = document.getElementById('y2RangeChart');
-        if (!ctx) {
-            console.warn('Range chart canvas not found');
-            return;
-        }
+    setChartView(chartId, view) {
+        const chart = this.getGradeCharts().find(entry => entry.id === chartId);
+        if (!chart?.test.shoot) return;
 
-        this.charts.y2Range = new Chart(ctx.getContext('2d'), {
-            type: 'bar',
-            data: {
-                labels: ['Marksman', 'Sharpshooter', 'Pass', 'Fail', 'Pending'],
-                datasets: [{
-                    label: 'Personnel Count',
-                    data: [0, 0, 0, 0, 0],
-                    backgroundColor: [
-                        '#b38b2a', // Marksman (Gold-mid)
-                        '#9b59b6', // Sharpshooter (Purple)
-                        '#27ae60', // Pass
-                        '#e74c3c', // Fail
-                        '#f1c40f'  // Pending
-                    ],
-                    borderColor: [
-                        '#8c6d1f',
-                        '#7d3c98',
-                        '#1e7e34',
-                        '#bd2130',
-                        '#e0a800'
-                    ],
-                    borderWidth: 1
-                }]
-            },
-            options: {
-                ...this.getBaseChartOptions(),
-                plugins: {
-                    ...this.getBaseChartOptions().plugins,
-                    legend: {
-                        display: false // Hide legend for single dataset
-                    }
-                },
-                scales: {
-                    y: {
-                        beginAtZero: true,
-                        ticks: {
-                            ...this.getAxisTickOptions(),
-                            stepSize: 1
-                        },
-                        grid: this.getGridOptions()
-                    },
-                    x: {
-                        ticks: this.getAxisTickOptions(),
-                        grid: this.getGridOptions()
-                    }
-                }
-            }
-        });
+        this.chartViews[chartId] = view === 'scores' ? 'scores' : 'grades';
+        this.charts[chartId]?.destroy();
+        delete this.charts[chartId];
+        this.createGradeChart(chart);
+        this.updateGradeChart(chart, this.lastActivePersonnel);
     }
 
+    /* ---------- Chart Creation ---------- */
+
     /**
-     * Create Platoon Performance Chart (Bar)
+     * Create the results chart of one phase and test: a doughnut for IPPT awards, bars for other
+     * scales, or the score distribution when a shoot test's chart is switched to it
+     * @param {Object} chart - Entry of getGradeCharts
      */
-    createPlatoonChart() {
-        const ctx = document.getElementById('platoonChart');
+    createGradeChart(chart) {
+        const ctx = document.getElementById(`${chart.id}Chart`);
         if (!ctx) {
-            console.warn('Platoon chart canvas not found');
+            console.warn(`${chart.title} chart canvas not found`);
+            return;
+        }
+
+        if (this.getChartView(chart.id) === 'scores') {
+            this.createScoreChart(ctx, chart);
             return;
         }
 
-        this.charts.platoon = new Chart(ctx.getContext('2d'), {
+        const labels = [...GRADE_SCALES[chart.test.scale], 'Pending'];
+        const colors = labels.map(label => this.gradeColors[label] || this.chartColors.secondary);
+
+        if (chart.test.scale === 'ippt') {
+            this.createDoughnutChart(ctx, chart, labels, colors);
+            return;
+        }
+
+        this.charts[chart.id] = new Chart(ctx.getContext('2d'), {
             type: 'bar',
             data: {
-                labels: [],
+                labels: labels,
                 datasets: [{
-                    label: 'Y2 Completion %',
-                    data: [],
-                    backgroundColor: this.chartColors.primary,
-                    borderColor: '#8c6d1f',
+                    label: 'Personnel Count',
+                    data: labels.map(() => 0),
+                    backgroundColor: colors,
+                    borderColor: colors,
                     borderWidth: 1
                 }]
             },
@@ -301,25 +243,15 @@ class SofunDashboard {
                 plugins: {
                     ...this.getBaseChartOptions().plugins,
                     legend: {
-                        display: false
-                    },
-                    tooltip: {
-                        callbacks: {
-                            label: (context) => {
-                                return `${context.label}: ${context.raw}% completed`;
-                            }
-                        }
+                        display: false // Hide legend for single dataset
                     }
                 },
                 scales: {
                     y: {
                         beginAtZero: true,
-                        max: 100,
                         ticks: {
                             ...this.getAxisTickOptions(),
-                            callback: function(value) {
-                                return value + '%';
-                            }
+                            stepSize: 1
                         },
                         grid: this.getGridOptions()
                     },
@@ -332,31 +264,21 @@ class SofunDashboard {
         });
     }
 
-    /* ---------- Y1 Chart Creation ---------- */
-
     /**
-     * Create Y1 IPPT Performance Chart (Doughnut)
+     * Create the doughnut chart of IPPT awards
+     * @param {HTMLCanvasElement} ctx - Chart canvas
+     * @param {Object} chart - Entry of getGradeCharts
+     * @param {Array<string>} labels - Grades of the scale, then 'Pending'
+     * @param {Array<string>} colors - Colour of each label
      */
-    createY1IpptChart() {
-        const ctx = document.getElementById('y1IpptChart');
-        if (!ctx) {
-            console.warn('Y1 IPPT chart canvas not found');
-            return;
-        }
-
-        this.charts.y1Ippt = new Chart(ctx.getContext('2d'), {
+    createDoughnutChart(ctx, chart, labels, colors) {
+        this.charts[chart.id] = new Chart(ctx.getContext('2d'), {
             type: 'doughnut',
             data: {
-                labels: ['Gold', 'Silver', 'Pass', 'Fail', 'Pending'],
+                labels: labels,
                 datasets: [{
-                    data: [0, 0, 0, 0, 0],
-                    backgroundColor: [
-                        '#FFD700', // Gold
-                        '#C0C0C0', // Silver
-                        '#28A745', // Pass (Green)
-                        '#DC3545', // Fail (Red)
-                        '#FFC107'  // Pending (Yellow)
-                    ],
+                    data: labels.map(() => 0),
+                    backgroundColor: colors,
                     borderWidth: 2,
                     borderColor: this.isDarkMode ? '#495057' : '#ffffff'
                 }]
@@ -390,51 +312,28 @@ class SofunDashboard {
     }
 
     /**
-     * Create Y1 VOC Results Chart (Bar)
+     * Create the score distribution chart of a shoot test: bars of personnel per score band,
+     * stacked by practice. The bands and practices are filled in by updateGradeChart.
+     * @param {HTMLCanvasElement} ctx - Chart canvas
+     * @param {Object} chart - Entry of getGradeCharts
      */
-    createY1VocChart() {
-        const ctx = document.getElementById('y1VocChart');
-        if (!ctx) {
-            console.warn('Y1 VOC chart canvas not found');
-            return;
-        }
-
-        this.charts.y1Voc = new Chart(ctx.getContext('2d'), {
+    createScoreChart(ctx, chart) {
+        this.charts[chart.id] = new Chart(ctx.getContext('2d'), {
             type: 'bar',
-            data: {
-                labels: ['NSF', 'Regular'],
-                datasets: [{
-                    label: 'Pass',
-                    data: [0, 0],
-                    backgroundColor: '#28A745',
-                    borderColor: '#1e7e34',
-                    borderWidth: 1
-                }, {
-                    label: 'Fail',
-                    data: [0, 0],
-                    backgroundColor: '#DC3545',
-                    borderColor: '#bd2130',
-                    borderWidth: 1
-                }, {
-                    label: 'Pending',
-                    data: [0, 0],
-                    backgroundColor: '#FFC107',
-                    borderColor: '#e0a800',
-                    borderWidth: 1
-                }]
-            },
+            data: { labels: [], datasets: [] },
             options: {
                 ...this.getBaseChartOptions(),
                 plugins: {
                     ...this.getBaseChartOptions().plugins,
                     legend: {
-                        position: 'top',
+                        position: 'bottom',
                         labels: this.getLegendLabelOptions()
                     }
                 },
                 scales: {
                     y: {
                         beginAtZero: true,
+                        stacked: true,
                         ticks: {
                             ...this.getAxisTickOptions(),
                             stepSize: 1
@@ -442,6 +341,8 @@ class SofunDashboard {
                         grid: this.getGridOptions()
                     },
                     x: {
+                        stacked: true,
+                        title: { display: true, text: 'Score', color: this.getAxisTickOptions().color },
                         ticks: this.getAxisTickOptions(),
                         grid: this.getGridOptions()
                     }
@@ -451,36 +352,33 @@ class SofunDashboard {
     }
 
     /**
-     * Create Y1 ATP Performance Chart (Bar)
+     * Create Platoon Performance Chart (Bar)
      */
-    createY1AtpChart() {
-        const ctx = document.getElementById('y1AtpChart');
+    createPlatoonChart() {
+        const ctx = document.getElementById('platoonChart');
         if (!ctx) {
-            console.warn('Y1 ATP chart canvas not found');
+            console.warn('Platoon chart canvas not found');
             return;
         }
 
-        this.charts.y1Atp = new Chart(ctx.getContext('2d'), {
+        this.charts.platoon = this.createPlatoonBarChart(ctx);
+    }
+
+    /**
+     * Create a Y2 completion bar chart on a canvas; also used for each company in the battalion roll-up
+     * @param {HTMLCanvasElement} canvas - Canvas element
+     * @returns {Chart} Chart with empty data (fill it with getPlatoonCompletion)
+     */
+    createPlatoonBarChart(canvas) {
+        return new Chart(canvas.getContext('2d'), {
             type: 'bar',
             data: {
-                labels: ['Marksman', 'Sharpshooter', 'Pass', 'Fail', 'Pending'],
+                labels: [],
                 datasets: [{
-                    label: 'Personnel Count',
-                    data: [0, 0, 0, 0, 0],
-                    backgroundColor: [
-                        '#007BFF', // Marksman (Blue)
-                        '#17A2B8', // Sharpshooter (Cyan)
-                        '#28A745', // Pass (Green)
-                        '#DC3545', // Fail (Red)
-                        '#FFC107'  // Pending (Yellow)
-                    ],
-                    borderColor: [
-                        '#0056b3',
-                        '#117a8b',
-                        '#1e7e34',
-                        '#bd2130',
-                        '#e0a800'
-                    ],
+                    label: 'Y2 Completion %',
+                    data: [],
+                    backgroundColor: this.chartColors.primary,
+                    borderColor: '#8c6d1f',
                     borderWidth: 1
                 }]
             },
@@ -489,15 +387,25 @@ class SofunDashboard {
                 plugins: {
                     ...this.getBaseChartOptions().plugins,
                     legend: {
-                        display: false // Hide legend for single dataset
+                        display: false
+                    },
+                    tooltip: {
+                        callbacks: {
+                            label: (context) => {
+                                return `${context.label}: ${context.raw}% completed`;
+                            }
+                        }
                     }
                 },
                 scales: {
                     y: {
                         beginAtZero: true,
+                        max: 100,
                         ticks: {
                             ...this.getAxisTickOptions(),
-                            stepSize: 1
+                            callback: function(value) {
+                                return value + '%';
+                            }
                         },
                         grid: this.getGridOptions()
                     },
@@ -523,10 +431,10 @@ class SofunDashboard {
         this.charts.comparison = new Chart(ctx.getContext('2d'), {
             type: 'line',
             data: {
-                labels: ['IPPT Gold', 'IPPT Pass', 'VOC Pass', 'Range/ATP Pass'],
+                labels: this.getComparisonData([]).labels,
                 datasets: [{
                     label: 'Y1 Performance',
-                    data: [0, 0, 0, 0],
+                    data: [],
                     borderColor: '#b38b2a',
                     backgroundColor: 'rgba(179, 139, 42, 0.15)',
                     borderWidth: 3,
@@ -534,7 +442,7 @@ class SofunDashboard {
                     tension: 0.4
                 }, {
                     label: 'Y2 Performance',
-                    data: [0, 0, 0, 0],
+                    data: [],
                     borderColor: '#d4af37',
                     backgroundColor: 'rgba(212, 175, 55, 0.15)',
                     borderWidth: 3,
@@ -650,7 +558,7 @@ class SofunDashboard {
         }
 
         try {
-            const activePersonnel = filteredData.filter(p => !p.isORD);
+            const activePersonnel = filteredData.filter(p => isActivePersonnel(p));
             this.updateStatistics(activePersonnel);
             this.updateCharts(activePersonnel);
         } catch (error) {
@@ -663,22 +571,38 @@ class SofunDashboard {
      * @param {Array} activePersonnel - Active personnel data
      */
     updateStatistics(activePersonnel) {
-        const nsfPersonnel = activePersonnel.filter(p => p.category === 'NSF');
-        const regularPersonnel = activePersonnel.filter(p => p.category === 'Regular');
-        
-        // Update statistics cards
-        this.updateStatCard('totalPersonnel', activePersonnel.length);
-        this.updateStatCard('totalNSF', nsfPersonnel.length);
-        this.updateStatCard('totalRegulars', regularPersonnel.length);
-        this.updateStatCard('y2IpptGold', activePersonnel.filter(p => p.y2?.ippt === 'Gold').length);
-        this.updateStatCard('y2VocPass', activePersonnel.filter(p => p.y2?.voc === 'Pass').length);
-        this.updateStatCard('y2RangeQualified', 
-            activePersonnel.filter(p => p.y2?.range === 'Marksman' || p.y2?.range === 'Sharpshooter').length
-        );
-        
-        // Calculate and update data completeness
-        const completeness = calculateCompletionPercentage(activePersonnel);
-        this.updateStatCard('dataCompleteness', completeness + '%');
+        const statistics = this.getStatistics(activePersonnel);
+        this.statCards.forEach(card => {
+            this.updateStatCard(card.id, this.formatStatistic(card, statistics[card.id]));
+        });
+    }
+
+    /**
+     * Figures shown on the statistics cards
+     * @param {Array} activePersonnel - Active personnel data
+     * @returns {Object} Value per stat card ID (dataCompleteness as a whole percentage)
+     */
+    getStatistics(activePersonnel) {
+        return {
+            totalPersonnel: activePersonnel.length,
+            totalNSF: activePersonnel.filter(p => p.category === 'NSF').length,
+            totalRegulars: activePersonnel.filter(p => p.category === 'Regular').length,
+            y2IpptGold: activePersonnel.filter(p => p.y2?.ippt === 'Gold').length,
+            y2VocPass: activePersonnel.filter(p => p.y2?.voc === 'Pass').length,
+            y2RangeQualified: activePersonnel.filter(p => p.y2?.range === 'Marksman' || p.y2?.range === 'Sharpshooter').length,
+            remedialOutstanding: remedialTracker.countOutstanding(activePersonnel),
+            dataCompleteness: calculateCompletionPercentage(activePersonnel)
+        };
+    }
+
+    /**
+     * Display text of a statistic
+     * @param {Object} card - Entry of statCards
+     * @param {number} value - Value from getStatistics
+     * @returns {string|number} Value as shown on the card
+     */
+    formatStatistic(card, value) {
+        return card.percent ? `${value}%` : value;
     }
 
     /**
@@ -714,237 +638,153 @@ class SofunDashboard {
      * @param {Array} activePersonnel - Active personnel data
      */
     updateCharts(activePersonnel) {
-        // Update Y2 charts (legacy compatibility)
-        this.updateY2IpptChart(activePersonnel);
-        this.updateY2VocChart(activePersonnel);
-        this.updateY2RangeChart(activePersonnel);
+        this.lastActivePersonnel = activePersonnel;
+        this.getGradeCharts().forEach(chart => this.updateGradeChart(chart, activePersonnel));
         this.updatePlatoonChart(activePersonnel);
-        
-        // Update Y1 charts
-        this.updateY1IpptChart(activePersonnel);
-        this.updateY1VocChart(activePersonnel);
-        this.updateY1AtpChart(activePersonnel);
-        
-        // Update comparison chart
         this.updateComparisonChart(activePersonnel);
     }
 
     /**
-     * Update Y2 IPPT chart
+     * Update the results chart of one phase and test. Only personnel whose category takes the
+     * phase are counted; results that are not a grade of the scale count as pending.
+     * @param {Object} chart - Entry of getGradeCharts
      * @param {Array} activePersonnel - Active personnel data
      */
-    updateY2IpptChart(activePersonnel) {
-        if (!this.charts.y2Ippt) {
-            console.warn('Y2 IPPT chart not initialized');
+    updateGradeChart(chart, activePersonnel) {
+        const instance = this.charts[chart.id];
+        if (!instance) return;
+        if (this.getChartView(chart.id) === 'scores') {
+            this.updateScoreChart(instance, chart, activePersonnel);
             return;
         }
 
-        const y2IpptCounts = { Gold: 0, Silver: 0, Pass: 0, Fail: 0, Pending: 0 };
-        
-        activePersonnel.forEach(p => {
-            const grade = p.y2?.ippt;
-            if (y2IpptCounts[grade] !== undefined) {
-                y2IpptCounts[grade]++;
-            } else {
-                y2IpptCounts.Pending++;
-            }
-        });
+        const counts = Object.fromEntries(instance.data.labels.map(label => [label, 0]));
+        activePersonnel
+            .filter(p => getCategoryPhases(p.category).some(phase => phase.key === chart.phase.key))
+            .forEach(p => {
+                const grade = p[chart.phase.key]?.[chart.test.key];
+                if (grade !== 'Pending' && counts[grade] !== undefined) {
+                    counts[grade]++;
+                } else {
+                    counts.Pending++;
+                }
+            });
 
-        this.charts.y2Ippt.data.datasets[0].data = Object.values(y2IpptCounts);
-        this.charts.y2Ippt.update('active');
+        instance.data.datasets[0].data = Object.values(counts);
+        instance.update('active');
     }
 
     /**
-     * Update Y2 VOC chart
+     * Update the score distribution chart of a shoot test from the classified shoots
+     * (see rangeClassifier.getScoreDistribution); shoots that cannot be classified are left out and
+     * counted in the title
+     * @param {Object} instance - Chart.js chart
+     * @param {Object} chart - Entry of getGradeCharts
      * @param {Array} activePersonnel - Active personnel data
      */
-    updateY2VocChart(activePersonnel) {
-        if (!this.charts.y2Voc) return;
-
-        const categories = ['NSF', 'Regular'];
-        const vocData = { Pass: [], Fail: [], Pending: [] };
-        
-        categories.forEach(cat => {
-            const catPersonnel = activePersonnel.filter(p => p.category === cat);
-            vocData.Pass.push(catPersonnel.filter(p => p.y2?.voc === 'Pass').length);
-            vocData.Fail.push(catPersonnel.filter(p => p.y2?.voc === 'Fail').length);
-            vocData.Pending.push(catPersonnel.filter(p => !p.y2?.voc || p.y2.voc === 'Pending').length);
-        });
-        
-        this.charts.y2Voc.data.datasets[0].data = vocData.Pass;
-        this.charts.y2Voc.data.datasets[1].data = vocData.Fail;
-        this.charts.y2Voc.data.datasets[2].data = vocData.Pending;
-        this.charts.y2Voc.update('active');
+    updateScoreChart(instance, chart, activePersonnel) {
+        const distribution = rangeClassifier.getScoreDistribution(activePersonnel, chart.phase.key, chart.test.key);
+        const colors = [this.chartColors.primary, this.chartColors.success, this.chartColors.info, this.chartColors.danger, this.chartColors.secondary];
+
+        instance.data.labels = distribution.labels;
+        instance.data.datasets = distribution.datasets.map((dataset, index) => ({
+            label: dataset.label,
+            data: dataset.data,
+            backgroundColor: colors[index % colors.length],
+            borderColor: colors[index % colors.length],
+            borderWidth: 1
+        }));
+        instance.options.plugins.title = {
+            display: distribution.unclassified > 0,
+            text: distribution.unconfigured
+                ? `${distribution.unclassified} shoot(s) not classified: no practice entered in the Range Classification window`
+                : `${distribution.unclassified} shoot(s) could not be classified`,
+            color: this.getAxisTickOptions().color
+        };
+        instance.update('active');
     }
 
     /**
-     * Update Y2 range chart
+     * Update platoon performance chart
      * @param {Array} activePersonnel - Active personnel data
      */
-    updateY2RangeChart(activePersonnel) {
-        if (!this.charts.y2Range) return;
-
-        const y2RangeCounts = { Marksman: 0, Sharpshooter: 0, Pass: 0, Fail: 0, Pending: 0 };
-        
-        activePersonnel.forEach(p => {
-            const result = p.y2?.range;
-            if (y2RangeCounts[result] !== undefined) {
-                y2RangeCounts[result]++;
-            } else {
-                y2RangeCounts.Pending++;
-            }
-        });
+    updatePlatoonChart(activePersonnel) {
+        if (!this.charts.platoon) return;
 
-        this.charts.y2Range.data.datasets[0].data = Object.values(y2RangeCounts);
-        this.charts.y2Range.update('active');
+        const { labels, data } = this.getPlatoonCompletion(activePersonnel);
+        this.charts.platoon.data.labels = labels;
+        this.charts.platoon.data.datasets[0].data = data;
+        this.charts.platoon.update('active');
     }
 
     /**
-     * Update platoon performance chart
+     * Y2 completion percentage per platoon
      * @param {Array} activePersonnel - Active personnel data
+     * @param {SofunOrgStructure} [structure] - Organisation whose platoon order is used
+     * @param {Function} [getPlatoon] - Platoon label of a person (defaults to the stored platoon)
+     * @returns {Object} { labels, data } in organisation order
      */
-    updatePlatoonChart(activePersonnel) {
-        if (!this.charts.platoon) return;
-
+    getPlatoonCompletion(activePersonnel, structure = orgStructure, getPlatoon = p => p.platoon || 'Unassigned') {
         const platoonStats = {};
         
         activePersonnel.forEach(p => {
-            const platoon = p.platoon || 'Unassigned';
+            const platoon = getPlatoon(p);
             if (!platoonStats[platoon]) {
                 platoonStats[platoon] = { total: 0, complete: 0 };
             }
             platoonStats[platoon].total++;
             
-            // Check if Y2 assessments are complete
-            if (p.y2?.ippt && p.y2?.voc && p.y2?.range) {
+            if (isPhaseComplete(p, 'y2')) {
                 platoonStats[platoon].complete++;
             }
         });
         
-        const platoonLabels = Object.keys(platoonStats).sort();
-        const platoonData = platoonLabels.map(platoon => {
+        // Organisation order, so platoons keep their place as the data changes
+        const labels = structure.sortPlatoonNames(Object.keys(platoonStats));
+        const data = labels.map(platoon => {
             const stats = platoonStats[platoon];
             return stats.total > 0 ? Math.round((stats.complete / stats.total) * 100) : 0;
         });
-        
-        this.charts.platoon.data.labels = platoonLabels;
-        this.charts.platoon.data.datasets[0].data = platoonData;
-        this.charts.platoon.update('active');
+        return { labels, data };
     }
 
-    /* ---------- Y1 Chart Updates ---------- */
-
     /**
-     * Update Y1 IPPT chart
-     * @param {Array} activePersonnel - Active personnel data
-     */
-    updateY1IpptChart(activePersonnel) {
-        if (!this.charts.y1Ippt) {
-            console.warn('Y1 IPPT chart not initialized');
-            return;
-        }
-
-        const y1IpptCounts = { Gold: 0, Silver: 0, Pass: 0, Fail: 0, Pending: 0 };
-        
-        activePersonnel.forEach(p => {
-            const grade = p.y1?.ippt;
-            if (y1IpptCounts[grade] !== undefined) {
-                y1IpptCounts[grade]++;
-            } else {
-                y1IpptCounts.Pending++;
-            }
-        });
-
-        this.charts.y1Ippt.data.datasets[0].data = Object.values(y1IpptCounts);
-        this.charts.y1Ippt.update('active');
-    }
-
-    /**
-     * Update Y1 VOC chart
-     * @param {Array} activePersonnel - Active personnel data
-     */
-    updateY1VocChart(activePersonnel) {
-        if (!this.charts.y1Voc) return;
-
-        const categories = ['NSF', 'Regular'];
-        const vocData = { Pass: [], Fail: [], Pending: [] };
-        
-        categories.forEach(cat => {
-            const catPersonnel = activePersonnel.filter(p => p.category === cat);
-            vocData.Pass.push(catPersonnel.filter(p => p.y1?.voc === 'Pass').length);
-            vocData.Fail.push(catPersonnel.filter(p => p.y1?.voc === 'Fail').length);
-            vocData.Pending.push(catPersonnel.filter(p => !p.y1?.voc || p.y1.voc === 'Pending').length);
-        });
-        
-        this.charts.y1Voc.data.datasets[0].data = vocData.Pass;
-        this.charts.y1Voc.data.datasets[1].data = vocData.Fail;
-        this.charts.y1Voc.data.datasets[2].data = vocData.Pending;
-        this.charts.y1Voc.update('active');
-    }
-
-    /**
-     * Update Y1 ATP chart
+     * Update Y1 vs Y2 comparison chart
      * @param {Array} activePersonnel - Active personnel data
      */
-    updateY1AtpChart(activePersonnel) {
-        if (!this.charts.y1Atp) return;
+    updateComparisonChart(activePersonnel) {
+        if (!this.charts.comparison) return;
 
-        const y1AtpCounts = { Marksman: 0, Sharpshooter: 0, Pass: 0, Fail: 0, Pending: 0 };
-        
-        activePersonnel.forEach(p => {
-            const result = p.y1?.atp;
-            if (y1AtpCounts[result] !== undefined) {
-                y1AtpCounts[result]++;
-            } else {
-                y1AtpCounts.Pending++;
-            }
+        const { labels, datasets } = this.getComparisonData(activePersonnel);
+        if (datasets.length === 0) return;
+        this.charts.comparison.data.labels = labels;
+        this.charts.comparison.data.datasets.forEach((dataset, index) => {
+            dataset.data = datasets[index];
         });
-
-        this.charts.y1Atp.data.datasets[0].data = Object.values(y1AtpCounts);
-        this.charts.y1Atp.update('active');
+        this.charts.comparison.update('active');
     }
 
     /**
-     * Update Y1 vs Y2 comparison chart
+     * Pass rate of every Y1 and Y2 test, as a percentage of NSF personnel; a test a phase does
+     * not take has no point (null) in that phase's line
      * @param {Array} activePersonnel - Active personnel data
+     * @returns {Object} { labels, datasets } with datasets as [Y1 values, Y2 values], or no datasets without NSF personnel
      */
-    updateComparisonChart(activePersonnel) {
-        if (!this.charts.comparison) return;
-
-        const total = activePersonnel.length;
-        if (total === 0) return;
-
-        // Calculate Y1 performance percentages
-        const y1Stats = {
-            ipptGold: (activePersonnel.filter(p => p.y1?.ippt === 'Gold').length / total) * 100,
-            ipptPass: (activePersonnel.filter(p => p.y1?.ippt && p.y1.ippt !== 'Fail' && p.y1.ippt !== 'Pending').length / total) * 100,
-            vocPass: (activePersonnel.filter(p => p.y1?.voc === 'Pass').length / total) * 100,
-            atpPass: (activePersonnel.filter(p => p.y1?.atp && p.y1.atp !== 'Fail' && p.y1.atp !== 'Pending').length / total) * 100
-        };
-
-        // Calculate Y2 performance percentages
-        const y2Stats = {
-            ipptGold: (activePersonnel.filter(p => p.y2?.ippt === 'Gold').length / total) * 100,
-            ipptPass: (activePersonnel.filter(p => p.y2?.ippt && p.y2.ippt !== 'Fail' && p.y2.ippt !== 'Pending').length / total) * 100,
-            vocPass: (activePersonnel.filter(p => p.y2?.voc === 'Pass').length / total) * 100,
-            rangePass: (activePersonnel.filter(p => p.y2?.range && p.y2.range !== 'Fail' && p.y2.range !== 'Pending').length / total) * 100
-        };
-
-        this.charts.comparison.data.datasets[0].data = [
-            y1Stats.ipptGold.toFixed(1),
-            y1Stats.ipptPass.toFixed(1),
-            y1Stats.vocPass.toFixed(1),
-            y1Stats.atpPass.toFixed(1)
-        ];
-
-        this.charts.comparison.data.datasets[1].data = [
-            y2Stats.ipptGold.toFixed(1),
-            y2Stats.ipptPass.toFixed(1),
-            y2Stats.vocPass.toFixed(1),
-            y2Stats.rangePass.toFixed(1)
-        ];
-
-        this.charts.comparison.update('active');
+    getComparisonData(activePersonnel) {
+        const nsfPersonnel = activePersonnel.filter(p => p.category !== 'Regular');
+        const tests = ASSESSMENT_REGISTRY.filter(test => test.phases.includes('y1') || test.phases.includes('y2'));
+        const labels = tests.map(test => `${test.label} Pass`);
+        if (nsfPersonnel.length === 0) return { labels, datasets: [] };
+
+        const datasets = ['y1', 'y2'].map(phaseKey => tests.map(test => {
+            if (!test.phases.includes(phaseKey)) return null;
+            const passed = nsfPersonnel.filter(p => {
+                const result = p[phaseKey]?.[test.key];
+                return hasAssessmentResult(result) && result !== 'Fail';
+            }).length;
+            return ((passed / nsfPersonnel.length) * 100).toFixed(1);
+        }));
+        return { labels, datasets };
     }
 
     /* ---------- Theme Management ---------- */
@@ -1069,6 +909,15 @@ function updateDashboard(filteredData) {
 
 /* ---------- Chart Selection Functions ---------- */
 
+/**
+ * Switch a Range or CS results chart between classification counts and score distribution
+ * @param {string} chartId - Chart ID
+ * @param {string} view - 'grades' or 'scores'
+ */
+function setChartView(chartId, view) {
+    dashboard.setChartView(chartId, view);
+}
+
 /**
  * Toggle chart visibility
  * @param {string} chartType - Type of chart to toggle
@@ -1084,10 +933,10 @@ function toggleChart(chartType) {
     
     if (checkbox.checked) {
         chartWrapper.style.display = 'block';
-        window.sofunDashboard.activeCharts.add(chartType);
+        dashboard.activeCharts.add(chartType);
     } else {
         chartWrapper.style.display = 'none';
-        window.sofunDashboard.activeCharts.delete(chartType);
+        dashboard.activeCharts.delete(chartType);
     }
     
     // Update charts layout
@@ -1104,10 +953,7 @@ function selectAllCharts() {
     checkboxes.forEach(checkbox => {
         if (!checkbox.checked) {
             checkbox.checked = true;
-            const chartType = checkbox.id.replace('chart', '').toLowerCase();
-            // Fix casing for compound chart types
-            const fixedChartType = chartType.replace(/([a-z])([A-Z])/g, '$1$2').toLowerCase();
-            toggleChart(fixedChartType);
+            toggleChart(checkbox.dataset.chart);
         }
     });
     console.log('📊 All charts enabled');
@@ -1121,10 +967,7 @@ function clearAllCharts() {
     checkboxes.forEach(checkbox => {
         if (checkbox.checked) {
             checkbox.checked = false;
-            const chartType = checkbox.id.replace('chart', '').toLowerCase();
-            // Fix casing for compound chart types  
-            const fixedChartType = chartType.replace(/([a-z])([A-Z])/g, '$1$2').toLowerCase();
-            toggleChart(fixedChartType);
+            toggleChart(checkbox.dataset.chart);
         }
     });
     console.log('🗑️ All charts cleared');
@@ -1136,8 +979,7 @@ function clearAllCharts() {
 function resetDefaultCharts() {
     clearAllCharts();
     
-    const defaultCharts = ['y2Ippt', 'y2Voc', 'y2Range', 'platoon'];
-    defaultCharts.forEach(chartType => {
+    dashboard.defaultCharts.forEach(chartType => {
         const checkbox = document.getElementById(`chart${chartType.charAt(0).toUpperCase() + chartType.slice(1)}`);
         if (checkbox) {
             checkbox.checked = true;
@@ -1152,7 +994,7 @@ function resetDefaultCharts() {
  */
 function updateChartsLayout() {
     const chartsGrid = document.getElementById('chartsGrid');
-    const activeChartCount = window.sofunDashboard.activeCharts.size;
+    const activeChartCount = dashboard.activeCharts.size;
     
     if (activeChartCount === 0) {
         chartsGrid.style.gridTemplateColumns = '1fr';
@@ -13,282 +13,595 @@ class SofunDataProcessor {
         this.maxFileSize = APP_CONFIG.maxFileSize;
         this.processedCount = 0;
         this.errorCount = 0;
+        this.progressInterval = 100; // Rows between progress reports
+        this.importSession = null; // { worker, workbook, fileData, pendingRequest } while an import is running
+        // Fills used to mark problems in the import issue workbook (ARGB)
+        this.issueColors = { row: 'FFFFF2CC', cell: 'FFFFC7CE' };
     }
 
     /* ---------- Excel File Processing ---------- */
 
     /**
-     * Process uploaded Excel file (now only from 'All in one view')
+     * Process uploaded Excel file (All in one view or separate IPPT / VOC / RANGE sheets)
      * @param {File} file - Excel file to process
+     * @param {Object} [options] - Processing options
+     * @param {Object} [options.mapping] - Column mapping from the import wizard (auto-detected if omitted)
+     * @param {Function} [options.onProgress] - Progress callback (see processImport)
      * @returns {Promise<Object>} Processing result
      */
-    async processExcelFile(file) {
+    async processExcelFile(file, options = {}) {
         try {
             console.log('Starting Excel file processing...');
-            this.validateFile(file);
-            const data = await file.arrayBuffer();
-            // Try Web Worker if available for non-blocking parse
-            let workbook;
+            const workbook = await this.readWorkbook(file, options);
+            const mapping = options.mapping || columnMapper.suggestMapping(workbook);
+            return await this.processImport(mapping, options);
+        } catch (error) {
+            logError('Excel processing failed', error);
+            this.finishImport();
+            return {
+                success: false,
+                cancelled: !!error.cancelled,
+                data: [],
+                recordCount: 0,
+                errors: [error.message],
+                warnings: []
+            };
+        }
+    }
+
+    /**
+     * Validate and parse an uploaded Excel file, starting an import session.
+     * With a Web Worker the full workbook stays in the worker and only the first
+     * rows of each sheet come back (enough for header detection and the mapping wizard);
+     * without one the whole workbook is parsed here.
+     * @param {File} file - Excel (or, for rosters, CSV) file to read
+     * @param {Object} [options] - { onProgress, formats } where formats lists the accepted extensions
+     * @returns {Promise<Object>} SheetJS workbook (header preview when a worker is used)
+     * @throws {Error} If the file is invalid or the import was cancelled
+     */
+    async readWorkbook(file, options = {}) {
+        this.validateFile(file, options.formats);
+        this.finishImport();
+        const data = await file.arrayBuffer();
+        const readOptions = this.getReadOptions(file.name);
+        this.importSession = { worker: null, workbook: null, fileData: data };
+
+        // Try Web Worker if available for non-blocking parse
+        const worker = this.startWorker();
+        if (worker) {
+            this.importSession.worker = worker;
             try {
-                if (window.Worker) {
-                    const worker = new Worker('js/excel-worker.js');
-                    const result = await new Promise((resolve, reject) => {
-                        worker.onmessage = (e) => { try { worker.terminate(); } catch(_){} resolve(e.data); };
-                        worker.onerror = (e) => { try { worker.terminate(); } catch(_){} reject(e); };
-                        // Clone the ArrayBuffer so transferring it to the worker does NOT detach our original copy
-                        const transferableCopy = data.slice(0);
-                        try {
-                            worker.postMessage({ arrayBuffer: transferableCopy }, [transferableCopy]);
-                        } catch (postErr) {
-                            // Fallback: send without transfer list to avoid detachment in stricter environments
-                            worker.postMessage({ arrayBuffer: transferableCopy });
-                        }
-                    });
-                    if (result?.ok && (result.result.allInOneData || result.result.vocData)) {
-                        // Rehydrate workbook-like minimal structure for our flow
-                        workbook = { Sheets: {} };
-                        if (result.result.allInOneData) workbook.Sheets['All in one view'] = XLSX.utils.aoa_to_sheet(result.result.allInOneData);
-                        if (result.result.vocData) workbook.Sheets['VOC'] = XLSX.utils.aoa_to_sheet(result.result.vocData);
-                    }
+                // Clone the ArrayBuffer so transferring it to the worker does NOT detach our original copy
+                const transferableCopy = data.slice(0);
+                const reply = await this.requestWorker({ type: 'parse', arrayBuffer: transferableCopy, readOptions }, [transferableCopy], options.onProgress);
+                return this.buildWorkbookFromRows(reply.preview.sheetNames, reply.preview.sheets);
+            } catch (error) {
+                if (error.cancelled) throw error;
+                console.warn('Excel worker unavailable, parsing on the main thread:', error.message || error);
+                this.terminateWorker();
+            }
+        }
+
+        options.onProgress?.({ stage: 'parsing' });
+        const workbook = XLSX.read(data, readOptions);
+        this.importSession = { worker: null, workbook, fileData: data };
+        return workbook;
+    }
+
+    /**
+     * SheetJS read options for a file. Text files are read without value parsing, because
+     * SheetJS would read 03/04/2025 month first; toDateOnly applies the date settings instead.
+     * @param {string} fileName - File name
+     * @returns {Object} Options for XLSX.read
+     */
+    getReadOptions(fileName) {
+        return { type: 'array', cellDates: true, raw: /\.(csv|txt)$/i.test(fileName || '') };
+    }
+
+    /**
+     * Run the row-processing pipeline for the current import session
+     * @param {Object} mapping - Column mapping confirmed in the wizard
+     * @param {Object} [options] - Processing options
+     * @param {Function} [options.onProgress] - Called with { stage, processed, total, warnings }
+     * @returns {Promise<Object>} Processing result (success false and cancelled true if cancelled)
+     */
+    async processImport(mapping, options = {}) {
+        const session = this.importSession;
+        if (!session) {
+            throw new Error('No workbook loaded. Please select the file again.');
+        }
+
+        try {
+            if (session.worker) {
+                const reply = await this.requestWorker({
+                    type: 'process', mapping, orgStructure: orgStructure.getConfig(),
+                    ipptScoring: ipptCalculator.getConfig(), rangeClassification: rangeClassifier.getConfig(),
+                    gradeAliases: gradeAliases.getConfig(), dateSettings: dateSettings.getConfig()
+                }, [], options.onProgress);
+                return {
+                    ...reply.result,
+                    originalWorkbook: this.buildWorkbookFromRows(reply.sheetNames, reply.sheets),
+                    originalFileData: session.fileData
+                };
+            }
+            return {
+                ...this.processWorkbook(session.workbook, { ...options, mapping }),
+                originalFileData: session.fileData
+            };
+        } catch (error) {
+            if (!error.cancelled) logError('Excel processing failed', error);
+            return {
+                success: false,
+                cancelled: !!error.cancelled,
+                data: [],
+                recordCount: 0,
+                errors: [error.message],
+                warnings: []
+            };
+        } finally {
+            this.finishImport();
+        }
+    }
+
+    /**
+     * Cancel the running import session (terminates the worker)
+     * @returns {boolean} True if there was something to cancel
+     */
+    cancelImport() {
+        if (!this.importSession) return false;
+        const { pendingRequest } = this.importSession;
+        this.finishImport();
+        if (pendingRequest) {
+            const error = new Error('Import cancelled');
+            error.cancelled = true;
+            pendingRequest.reject(error);
+        }
+        return true;
+    }
+
+    /**
+     * End the import session and release the worker and parsed workbook
+     */
+    finishImport() {
+        this.terminateWorker();
+        this.importSession = null;
+    }
+
+    /**
+     * Whether imports can be cancelled while rows are processed (only off the main thread)
+     * @returns {boolean} True if a worker is processing the current session
+     */
+    isImportCancellable() {
+        return !!this.importSession?.worker;
+    }
+
+    /* ---------- Excel Worker ---------- */
+
+    /**
+     * Create the Excel parsing worker
+     * @returns {Worker|null} Worker, or null if workers are unavailable (e.g. opened from file://)
+     */
+    startWorker() {
+        if (!window.Worker) return null;
+        try {
+            return new Worker('js/excel-worker.js');
+        } catch (error) {
+            console.warn('Excel worker could not be started:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Terminate the worker of the current session, if any
+     */
+    terminateWorker() {
+        const worker = this.importSession?.worker;
+        if (worker) {
+            try { worker.terminate(); } catch (_) { /* already gone */ }
+            this.importSession.worker = null;
+        }
+    }
+
+    /**
+     * Send a request to the worker and wait for its reply, forwarding progress messages
+     * @param {Object} message - Request ({ type: 'parse' | 'process', ... })
+     * @param {Array} transfer - Transferable objects
+     * @param {Function} [onProgress] - Progress callback
+     * @returns {Promise<Object>} Worker reply
+     */
+    requestWorker(message, transfer, onProgress) {
+        const session = this.importSession;
+        const worker = session?.worker;
+        if (!worker) {
+            return Promise.reject(new Error('Excel worker is not running'));
+        }
+
+        return new Promise((resolve, reject) => {
+            session.pendingRequest = { reject };
+            const settle = (callback, value) => {
+                session.pendingRequest = null;
+                callback(value);
+            };
+
+            worker.onmessage = (e) => {
+                const reply = e.data || {};
+                if (reply.type === 'progress') {
+                    onProgress?.(reply.progress);
+                } else if (reply.type === 'error') {
+                    settle(reject, new Error(reply.message));
+                } else {
+                    settle(resolve, reply);
                 }
-            } catch (_) { /* fallback below */ }
-            if (!workbook) {
-                workbook = XLSX.read(data, { type: 'array', cellDates: true });
+            };
+            worker.onerror = (e) => {
+                e.preventDefault?.();
+                settle(reject, new Error(e.message || 'Excel worker failed'));
+            };
+
+            try {
+                worker.postMessage(message, transfer);
+            } catch (postErr) {
+                // Fallback: send without transfer list to avoid detachment in stricter environments
+                worker.postMessage(message);
             }
-            
-            // Find the 'All in one view' sheet (case-insensitive)
-            const availableSheets = Object.keys(workbook.Sheets);
-            const allInOneSheetName = availableSheets.find(
-                name => name.trim().toLowerCase() === 'all in one view'
-            );
-            if (!allInOneSheetName) {
-                throw new Error('Missing required sheet: "All in one view". Please ensure your Excel file has a sheet named "All in one view".');
+        });
+    }
+
+    /**
+     * Rebuild a SheetJS workbook from rows sent back by the worker
+     * @param {Array<string>} sheetNames - Sheet names in workbook order
+     * @param {Object} sheets - { [name]: { rows, merges } }
+     * @returns {Object} SheetJS workbook
+     */
+    buildWorkbookFromRows(sheetNames, sheets) {
+        const workbook = XLSX.utils.book_new();
+        sheetNames.forEach(name => {
+            const { rows, merges } = sheets[name] || { rows: [], merges: [] };
+            const sheet = XLSX.utils.aoa_to_sheet(rows, { cellDates: true });
+            if (merges && merges.length > 0) sheet['!merges'] = merges;
+            XLSX.utils.book_append_sheet(workbook, sheet, name);
+        });
+        return workbook;
+    }
+
+    /**
+     * Process a parsed workbook using a column mapping.
+     * Rows are merged by person across every sheet the mapping's format reads, and each
+     * imported record remembers which cell every mapped field came from (importSources).
+     * @param {Object} workbook - SheetJS workbook
+     * @param {Object} [options] - Processing options
+     * @param {Object} [options.mapping] - Column mapping (see SofunColumnMapper); auto-detected if omitted
+     * @param {Function} [options.onProgress] - Called with { stage, processed, total, warnings }
+     * @returns {Object} Processing result
+     */
+    processWorkbook(workbook, options = {}) {
+        try {
+            const mapping = options.mapping || columnMapper.suggestMapping(workbook);
+            const { errors: mappingErrors } = columnMapper.validateMapping(mapping);
+            if (mappingErrors.length > 0) {
+                throw new Error(`Invalid column mapping:\n${mappingErrors.join('\n')}`);
+            }
+
+            const formatKey = mapping.format || 'allInOne';
+            const format = columnMapper.formats[formatKey];
+            if (!format) {
+                throw new Error(`Unknown workbook format: ${formatKey}`);
+            }
+            if (format.primary && !columnMapper.findLayoutSheet(workbook, format.primary)) {
+                throw new Error(`Missing required sheet: "${columnMapper.layouts[format.primary].title}". Please ensure your Excel file has a sheet named "${columnMapper.layouts[format.primary].title}".`);
+            }
+
+            // Sheets to read: person sheets (with rank and name) create records, the others only add dates
+            const sheets = format.layouts
+                .filter(layoutKey => mapping[layoutKey])
+                .map(layoutKey => {
+                    const sheetName = columnMapper.findLayoutSheet(workbook, layoutKey);
+                    if (!sheetName) return null;
+                    return {
+                        layoutKey,
+                        sheetName,
+                        layout: columnMapper.layouts[layoutKey],
+                        rows: columnMapper.getSheetRows(workbook.Sheets[sheetName]),
+                        dataStartRow: mapping[layoutKey].dataStartRow,
+                        columns: mapping[layoutKey].columns,
+                        createsPersonnel: columnMapper.layouts[layoutKey].fields.some(field => field.key === 'rank')
+                    };
+                })
+                .filter(Boolean);
+            if (!sheets.some(sheet => sheet.createsPersonnel)) {
+                throw new Error('None of the mapped sheets were found in this workbook');
             }
-            console.log('Found "All in one view" sheet:', allInOneSheetName);
-            const sheet = workbook.Sheets[allInOneSheetName];
-            const rawData = XLSX.utils.sheet_to_json(sheet, { header: 1 });
-
-            // --- Extract ORD dates, Y1 window dates, and Y2 window dates from VOC sheet ---
-            let ordDateMap = new Map();
-            let y1WindowMap = new Map();
-            let y2WindowMap = new Map();
-            const vocSheetName = availableSheets.find(
-                name => name.trim().toLowerCase() === 'voc'
-            );
-            if (vocSheetName) {
-                const vocSheet = workbook.Sheets[vocSheetName];
-                const vocData = XLSX.utils.sheet_to_json(vocSheet, { header: 1 });
-                // Find data start row in VOC (skip headers)
-                let vocDataStartRow = 4;
-                for (let i = 0; i < Math.min(10, vocData.length); i++) {
-                    const row = vocData[i];
-                    if (row && row.length > 2) {
-                        const rank = row[1]?.toString().trim();
-                        const name = row[2]?.toString().trim();
-                        if (rank && name && rank.length > 0 && name.length > 2 && !rank.toUpperCase().includes('RANK') && !name.toUpperCase().includes('NAME')) {
-                            vocDataStartRow = i;
-                            break;
+
+            const identities = { list: [], byName: new Map(), byServiceNumber: new Map() };
+            const entries = [];
+            const errors = [];
+            const issues = [];
+            const sheetCounts = {};
+
+            const totalRows = sheets.reduce((sum, sheet) => sum + Math.max(sheet.rows.length - sheet.dataStartRow, 0), 0);
+            let processedRows = 0;
+            const reportProgress = () => options.onProgress?.({
+                stage: 'rows',
+                processed: processedRows,
+                total: totalRows,
+                warnings: issues.length
+            });
+            reportProgress();
+
+            // Pass 1: find every person row and settle who each person is (rank, PES, platoon, category)
+            sheets.forEach(sheet => {
+                console.log(`'${sheet.sheetName}' sheet: Data starts at row ${sheet.dataStartRow + 1}`);
+                sheetCounts[sheet.sheetName] = { rows: 0, values: 0 };
+                let currentPlatoon = '';
+                let currentAttempt = 0;
+
+                for (let i = sheet.dataStartRow; i < sheet.rows.length; i++) {
+                    processedRows++;
+                    if (processedRows % this.progressInterval === 0) reportProgress();
+
+                    const row = sheet.rows[i];
+                    if (!row || row.length === 0 || row.every(cell => !cell || cell.toString().trim() === '')) continue;
+                    const where = `${sheet.sheetName} row ${i + 1}`;
+
+                    if (!sheet.createsPersonnel) {
+                        const name = columnMapper.getCellText(row, sheet.columns, 'name');
+                        if (name) {
+                            // Matched to a person in pass 2, once every person sheet has been read
+                            entries.push({ sheet, rowIndex: i, row, identity: null, attempt: 0 });
+                            sheetCounts[sheet.sheetName].rows++;
                         }
+                        continue;
                     }
-                }
-                for (let i = vocDataStartRow; i < vocData.length; i++) {
-                    const row = vocData[i];
-                    const name = row[2]?.toString().trim();
-                    const y1WindowRaw = row[5]; // Column F (index 5) - Y1 Last Window
-                    const ordRaw = row[6]; // Column G (index 6) - ORD Date
-                    const y2WindowRaw = row[6]; // For this dataset, Y2 Last Window aligns with ORD Date
-                    
-                    if (name) {
-                        const nameKey = sanitizePersonnelName(name);
-                        if (y1WindowRaw) {
-                            y1WindowMap.set(nameKey, this.parseDate(y1WindowRaw));
+
+                    const platoonHeaderRaw = columnMapper.getCellText(row, sheet.columns, 'platoonHeader');
+                    const platoonHeader = this.parsePlatoonHeader(platoonHeaderRaw);
+                    if (platoonHeader) {
+                        currentPlatoon = platoonHeader;
+                        currentAttempt = 0;
+                        console.log(`${where}: Found platoon header (strict) "${platoonHeaderRaw}" -> "${currentPlatoon}"`);
+                        continue;
+                    } else if (platoonHeaderRaw && /PLATOON|COY|HQ/i.test(platoonHeaderRaw)) {
+                        issues.push(this.createImportIssue(sheet.sheetName, i, sheet.columns.platoonHeader, platoonHeaderRaw,
+                            `Ambiguous or unrecognized platoon header: "${platoonHeaderRaw}". Skipping header.`,
+                            `Write the header as a platoon name or alias from the Organisation window (${orgStructure.getPlatoonNames().join(', ')})`));
+                        continue;
+                    }
+
+                    // "First Attempt", "Retry" and the like in the header column: on a row of its own it marks
+                    // the rows below as that attempt (until the next platoon header), on a person row that row
+                    const attempt = attemptHistory.parseAttemptLabel(platoonHeaderRaw);
+
+                    // Personnel row: must have rank and name
+                    const rank = columnMapper.getCellText(row, sheet.columns, 'rank');
+                    const name = columnMapper.getCellText(row, sheet.columns, 'name');
+                    if (!rank || !name) {
+                        if (attempt) {
+                            currentAttempt = attempt;
+                            console.log(`${where}: Found attempt header "${platoonHeaderRaw}" -> attempt ${attempt}`);
+                            continue;
                         }
-                        if (ordRaw) {
-                            ordDateMap.set(nameKey, this.parseDate(ordRaw));
+                        issues.push(this.createImportIssue(sheet.sheetName, i, sheet.columns[rank ? 'name' : 'rank'], '',
+                            'Missing name or rank, skipping', 'Fill in the rank and name, or delete the row if it is not a person'));
+                        continue;
+                    }
+
+                    const identity = this.resolveImportIdentity(identities, row, sheet, i, true, issues);
+                    if (!identity) continue;
+                    if (!identity.firstRow) identity.firstRow = { sheetName: sheet.sheetName, rowIndex: i };
+                    // Sheets that hold one category (dashboard exports) imply it when there is no service column
+                    const service = columnMapper.getCellText(row, sheet.columns, 'service') || sheet.layout.category || '';
+                    // A platoon column (roster files) takes precedence over the header row above
+                    const platoonCell = columnMapper.getCellText(row, sheet.columns, 'platoon');
+                    this.mergeIdentityValue(identity, 'rank', rank, sheet, i, issues);
+                    this.mergeIdentityValue(identity, 'pes', columnMapper.getCellText(row, sheet.columns, 'pes'), sheet, i, issues);
+                    this.mergeIdentityValue(identity, 'platoon', platoonCell ? this.parsePlatoonCell(platoonCell) : currentPlatoon, sheet, i, issues);
+                    // Default to NSF unless explicitly marked Regular
+                    if (service) this.mergeIdentityValue(identity, 'service', service.toUpperCase().includes('REG') ? 'Regular' : 'NSF', sheet, i, issues);
+                    ['rank', 'pes'].forEach(field => {
+                        if (!identity.sources[field] && sheet.columns[field] >= 0) {
+                            identity.sources[field] = columnMapper.getCellSource(sheet.sheetName, i, sheet.columns[field]);
                         }
-                        if (y2WindowRaw) {
-                            y2WindowMap.set(nameKey, this.parseDate(y2WindowRaw));
+                    });
+                    // Service and platoon cells only count when filled in (blank means NSF / the header row's platoon)
+                    ['service', 'platoon'].forEach(field => {
+                        if (!identity.sources[field] && columnMapper.getCellText(row, sheet.columns, field)) {
+                            identity.sources[field] = columnMapper.getCellSource(sheet.sheetName, i, sheet.columns[field]);
                         }
-                    }
-                }
-                console.log(`VOC sheet: Extracted ${y1WindowMap.size} Y1 window dates and ${ordDateMap.size} ORD dates`);
-            }
+                    });
 
-            // Process the single sheet using new logic
-            const personnelMap = new Map();
-            const errors = [];
-            const warnings = [];
-            let currentPlatoon = '';
-            let processed = 0;
-            let personnelCount = 0;
-            let skippedRows = 0;
-
-            // Find the actual data starting row (skip metadata rows)
-            let dataStartRow = 4; // Default: after header rows (A1:A4)
-            for (let i = 0; i < Math.min(10, rawData.length); i++) {
-                const row = rawData[i];
-                if (row && row.length > 2) {
-                    const rank = row[1]?.toString().trim();
-                    const name = row[2]?.toString().trim();
-                    if (rank && name && rank.length > 0 && name.length > 2 && !rank.toUpperCase().includes('RANK') && !name.toUpperCase().includes('NAME')) {
-                        dataStartRow = i;
-                        break;
-                    }
+                    entries.push({ sheet, rowIndex: i, row, identity, attempt: attempt || currentAttempt });
+                    sheetCounts[sheet.sheetName].rows++;
                 }
-            }
-            console.log(`'All in one view' sheet: Data starts at row ${dataStartRow + 1}`);
+            });
+            reportProgress();
 
-            for (let i = dataStartRow; i < rawData.length; i++) {
-                const row = rawData[i];
-                if (!row || row.length === 0 || row.every(cell => !cell || cell.toString().trim() === '')) {
-                    skippedRows++;
-                    continue;
-                }
-                // Platoon header in column A (hardened detection)
-                const platoonHeaderRaw = row[0]?.toString().trim();
-                let platoonHeader = '';
-                if (platoonHeaderRaw) {
-                    // Strict match: "PLATOON X" (X = 1-4)
-                    const platoonMatch = platoonHeaderRaw.match(/^PLATOON\s*(\d)$/i);
-                    if (platoonMatch) {
-                        platoonHeader = `Platoon ${platoonMatch[1]}`;
-                    } else {
-                        // Support units (COY HQ, Support Platoon, etc.)
-                        const supportUnits = [
-                            'COY HQ', 'Support Platoon', 'Admin', 'Medical', 'Signals', 'Transport'
-                        ];
-                        for (const unit of supportUnits) {
-                            if (platoonHeaderRaw.replace(/\s+/g, '').toUpperCase() === unit.replace(/\s+/g, '').toUpperCase()) {
-                                platoonHeader = unit;
-                                break;
+            identities.list.forEach(identity => {
+                identity.record = this.createImportedRecord(identity);
+            });
+
+            // Pass 2: fill in results and dates now that every person's category is known
+            entries.forEach(({ sheet, rowIndex, row, identity, attempt: rowAttempt }) => {
+                identity = identity || this.resolveImportIdentity(identities, row, sheet, rowIndex, false, issues);
+                if (!identity) return; // Date-only rows for people not in the person sheets
+                const person = identity.record;
+
+                const phases = getCategoryPhases(person.category).map(phase => phase.key);
+                sheet.layout.fields.forEach(field => {
+                    const columnIndex = sheet.columns[field.key];
+                    if (!(columnIndex >= 0)) return;
+
+                    // Text that is not a date is reported rather than silently dropped
+                    const readDate = () => {
+                        const date = this.parseDateCell(row[columnIndex]);
+                        const text = columnMapper.getCellText(row, sheet.columns, field.key);
+                        if (date || !text || GRADE_BLANK_VALUES.includes(text.toUpperCase())) return date;
+                        issues.push(this.createImportIssue(sheet.sheetName, rowIndex, columnIndex, text,
+                            `${person.name} has unreadable ${field.label} "${text}"; not imported`,
+                            `Enter the date as ${getDateInputFormat()} or as an Excel date (day/month order is set in the Date Settings window)`));
+                        return undefined;
+                    };
+
+                    let path;
+                    let value;
+                    let label = field.label;
+                    if (field.ipptScore) {
+                        if (!phases.includes(field.phase)) return;
+                        const text = columnMapper.getCellText(row, sheet.columns, field.key);
+                        if (!text || GRADE_BLANK_VALUES.includes(text.toUpperCase())) return;
+                        path = field.key;
+                        value = ipptCalculator.parseScoreValue(field.ipptScore, row[columnIndex]);
+                        if (value === null) {
+                            issues.push(this.createImportIssue(sheet.sheetName, rowIndex, columnIndex, text,
+                                `${person.name} has unreadable ${field.label} "${text}"; not imported`,
+                                ipptCalculator.getScoreHint(field.ipptScore)));
+                            return;
+                        }
+                    } else if (field.shoot) {
+                        if (!phases.includes(field.phase)) return;
+                        const text = columnMapper.getCellText(row, sheet.columns, field.key);
+                        if (!text || GRADE_BLANK_VALUES.includes(text.toUpperCase())) return;
+                        path = field.key;
+                        value = rangeClassifier.parseShootValue(field.shoot, text);
+                        if (value === null) {
+                            issues.push(this.createImportIssue(sheet.sheetName, rowIndex, columnIndex, text,
+                                `${person.name} has unreadable ${field.label} "${text}"; not imported`,
+                                rangeClassifier.getShootHint(field.shoot)));
+                            return;
+                        }
+                    } else if (field.attempts) {
+                        if (!phases.includes(field.phase)) return;
+                        const text = columnMapper.getCellText(row, sheet.columns, field.key);
+                        if (!text || GRADE_BLANK_VALUES.includes(text.toUpperCase())) return;
+                        const history = attemptHistory.parseHistory(text, field.test);
+                        if (history.problem || history.attempts.length === 0) {
+                            issues.push(this.createImportIssue(sheet.sheetName, rowIndex, columnIndex, text,
+                                `${person.name} has unreadable ${field.label}: ${history.problem || 'no attempts'}; not imported`,
+                                'Write each attempt as "1: Fail 2025-03-04 (notes)", separated by semicolons'));
+                            return;
+                        }
+                        // Collected with the attempt columns by collectImportedAttempts. As below, a value
+                        // another sheet already supplied is kept
+                        history.attempts.forEach(entry => ['result', 'date', 'notes'].filter(key => entry[key]).forEach(key => {
+                            const attemptPath = `${field.phase}.${field.test}Attempts.${entry.attempt}.${key}`;
+                            const existing = getNestedValue(person, attemptPath);
+                            if (existing) {
+                                if (String(existing) !== String(entry[key])) {
+                                    const kept = columnMapper.formatCellSource(person.importSources[attemptPath]);
+                                    issues.push(this.createImportIssue(sheet.sheetName, rowIndex, columnIndex, text,
+                                        `${person.name} has ${label} attempt ${entry.attempt} ${key} "${entry[key]}" but ${kept} says "${existing}"; keeping "${existing}"`,
+                                        `Make this cell and ${kept} agree`));
+                                }
+                                return;
                             }
+                            setNestedValue(person, attemptPath, entry[key]);
+                            person.importSources[attemptPath] = columnMapper.getCellSource(sheet.sheetName, rowIndex, columnIndex);
+                            sheetCounts[sheet.sheetName].values++;
+                        }));
+                        return;
+                    } else if (field.phase) {
+                        if (!phases.includes(field.phase)) return;
+                        // A result in an attempt column or on an attempt row is one attempt of the test,
+                        // collected by collectImportedAttempts
+                        const attempt = field.attempt || rowAttempt;
+                        path = attempt ? `${field.phase}.${field.test}Attempts.${attempt}.${field.isDate ? 'date' : 'result'}` : field.key;
+                        if (rowAttempt && !field.attempt) label = `${field.label} (attempt ${rowAttempt})`;
+                        if (field.isDate) {
+                            value = readDate();
+                            if (value === undefined) return;
+                        } else {
+                            const text = columnMapper.getCellText(row, sheet.columns, field.key);
+                            const normalised = normalizeGrade(text, getGradeType(field.test));
+                            if (!normalised.recognised) {
+                                const grades = GRADE_SCALES[getGradeType(field.test)];
+                                issues.push(this.createImportIssue(sheet.sheetName, rowIndex, columnIndex, text,
+                                    `${person.name} has unrecognised ${label} result "${text}"; not imported`,
+                                    `Use one of: ${grades.join(', ')}. If "${text}" is a valid grade, add it in the Grade Spellings window`));
+                                return;
+                            }
+                            value = normalised.grade;
                         }
-                    }
-                }
-                if (platoonHeader) {
-                    currentPlatoon = platoonHeader;
-                    console.log(`Row ${i + 1}: Found platoon header (strict) "${platoonHeaderRaw}" -> "${currentPlatoon}"`);
-                    continue;
-                } else if (platoonHeaderRaw && platoonHeaderRaw.length > 0 && (platoonHeaderRaw.toUpperCase().includes('PLATOON') || platoonHeaderRaw.toUpperCase().includes('COY') || platoonHeaderRaw.toUpperCase().includes('HQ'))) {
-                    warnings.push(`Row ${i + 1}: Ambiguous or unrecognized platoon header: "${platoonHeaderRaw}". Skipping header.`);
-                    continue;
-                }
-                // Personnel row: must have rank (B) and name (C)
-                const rank = row[1]?.toString().trim();
-                const name = row[2]?.toString().trim();
-                if (!rank || !name) {
-                    warnings.push(`Row ${i + 1}: Missing name or rank, skipping`);
-                    skippedRows++;
-                    continue;
-                }
-                const pes = row[3]?.toString().trim();
-                const service = row[4]?.toString().trim();
-                // Results columns (F-O):
-                const y1Ippt = row[5]?.toString().trim();
-                const y1Voc = row[6]?.toString().trim();
-                const y1Atp = row[7]?.toString().trim();
-                const y2Ippt = row[8]?.toString().trim();
-                const y2Voc = row[9]?.toString().trim();
-                const y2Range = row[10]?.toString().trim();
-                const workYearIppt = row[11]?.toString().trim();
-                const workYearVoc = row[12]?.toString().trim();
-                const workYearAtp = row[13]?.toString().trim();
-                const workYearCs = row[14]?.toString().trim();
-                // Build/merge personnel record
-                const key = sanitizePersonnelName(name);
-                // Default to NSF unless explicitly marked Regular
-                const serviceUpper = (service || '').toUpperCase();
-                const personnelCategory = serviceUpper.includes('REG') ? 'Regular' : 'NSF';
-                if (!personnelMap.has(key)) {
-                    const baseRecord = {
-                        name: key,
-                        category: personnelCategory,
-                        platoon: currentPlatoon || 'Unassigned',
-                        unit: currentPlatoon || 'Unassigned',
-                        rank: rank,
-                        pes: pes,
-                        lastUpdated: new Date(),
-                        ordDate: null,
-                        isORD: false,
-                        medicalStatus: 'Fit',
-                        remedialTraining: []
-                    };
-                    
-                    if (personnelCategory === 'Regular') {
-                        // Regular personnel use Work Year assessments
-                        baseRecord.workYear = { ippt: '', ipptDate: null, voc: '', vocDate: null, atp: '', atpDate: null, cs: '', csDate: null };
+                        // A blank cell on an attempt row is a test not retaken
+                        if (attempt && !value) return;
+                    } else if (['enlistmentDate', 'birthDate', 'ordDate', 'y1WindowEndDate', 'y2WindowEndDate'].includes(field.key)) {
+                        // ORD and window dates only apply to NSF
+                        if (person.category !== 'NSF' && !['enlistmentDate', 'birthDate'].includes(field.key)) return;
+                        path = field.key;
+                        value = readDate();
+                        if (value === undefined) return;
+                    } else if (field.key === 'medicalStatus') {
+                        const text = columnMapper.getCellText(row, sheet.columns, field.key);
+                        if (!text) return;
+                        value = MEDICAL_STATUS_OPTIONS.find(option => option.toUpperCase() === text.toUpperCase());
+                        if (!value) {
+                            issues.push(this.createImportIssue(sheet.sheetName, rowIndex, columnIndex, text,
+                                `${person.name} has unrecognised medical status "${text}"; not imported`,
+                                `Use one of: ${MEDICAL_STATUS_OPTIONS.join(', ')}`));
+                            return;
+                        }
+                        path = field.key;
+                    } else if (field.key === 'medicalEntries') {
+                        const text = columnMapper.getCellText(row, sheet.columns, field.key);
+                        if (!text) return;
+                        const parsed = medicalTracker.parseEntries(text);
+                        if (parsed.problem || parsed.entries.length === 0) {
+                            issues.push(this.createImportIssue(sheet.sheetName, rowIndex, columnIndex, text,
+                                `${person.name} has unreadable medical entries: ${parsed.problem || 'no entries'}; not imported`,
+                                'Write each entry as "Light Duty 2025-03-04 to 2025-03-18 excusing IPPT (ref MC123)", separated by semicolons'));
+                            return;
+                        }
+                        path = field.key;
+                        value = parsed.entries;
                     } else {
-                        // NSF personnel use Y1/Y2 assessments  
-                        baseRecord.y1 = { ippt: '', ipptDate: null, voc: '', vocDate: null, atp: '', atpDate: null };
-                        baseRecord.y2 = { ippt: '', ipptDate: null, voc: '', vocDate: null, range: '', rangeDate: null };
-                        baseRecord.y1WindowEndDate = null; // Y1 assessment window end date
-                    }
-                    
-                    personnelMap.set(key, baseRecord);
-                    personnelCount++;
-                }
-                const person = personnelMap.get(key);
-                // Always update platoon, rank, pes, service
-                if (currentPlatoon && person.platoon !== currentPlatoon) person.platoon = currentPlatoon;
-                if (rank && person.rank !== rank) person.rank = rank;
-                if (pes && person.pes !== pes) person.pes = pes;
-                if (service && person.category !== personnelCategory) person.category = personnelCategory;
-                // --- Assign ORD date and Y1 window date from VOC sheet if NSF ---
-                if (person.category === 'NSF') {
-                    if (ordDateMap.has(key)) {
-                        person.ordDate = ordDateMap.get(key);
-                    }
-                    if (y1WindowMap.has(key)) {
-                        person.y1WindowEndDate = y1WindowMap.get(key);
-                    }
-                    if (y2WindowMap.has(key)) {
-                        person.y2WindowEndDate = y2WindowMap.get(key);
-                    } else if (!person.y2WindowEndDate && person.ordDate) {
-                        // Fallback: mirror ORD date if Y2 window not present
-                        person.y2WindowEndDate = person.ordDate;
-                    }
-                }
-                // Assign results based on personnel category
-                if (person.category === 'Regular') {
-                    // Regular personnel use Work Year assessments (columns L-O)
-                    if (workYearIppt && workYearIppt.toUpperCase() !== 'MISSING' && workYearIppt.toUpperCase() !== 'NA') {
-                        person.workYear.ippt = workYearIppt;
-                    }
-                    if (workYearVoc && workYearVoc.toUpperCase() !== 'MISSING' && workYearVoc.toUpperCase() !== 'NA') {
-                        person.workYear.voc = workYearVoc;
-                    }
-                    if (workYearAtp && workYearAtp.toUpperCase() !== 'MISSING' && workYearAtp.toUpperCase() !== 'NA') {
-                        person.workYear.atp = workYearAtp;
-                    }
-                    if (workYearCs && workYearCs.toUpperCase() !== 'MISSING' && workYearCs.toUpperCase() !== 'NA') {
-                        person.workYear.cs = workYearCs;
-                    }
-                } else {
-                    // NSF personnel use Y1/Y2 assessments (columns F-K)
-                    if (y1Ippt && y1Ippt.toUpperCase() !== 'MISSING' && y1Ippt.toUpperCase() !== 'NA') {
-                        person.y1.ippt = y1Ippt;
+                        return;
                     }
-                    if (y1Voc && y1Voc.toUpperCase() !== 'MISSING' && y1Voc.toUpperCase() !== 'NA') {
-                        person.y1.voc = y1Voc;
-                    }
-                    if (y1Atp && y1Atp.toUpperCase() !== 'MISSING' && y1Atp.toUpperCase() !== 'NA') {
-                        person.y1.atp = y1Atp;
-                    }
-                    if (y2Ippt && y2Ippt.toUpperCase() !== 'MISSING' && y2Ippt.toUpperCase() !== 'NA') {
-                        person.y2.ippt = y2Ippt;
-                    }
-                    if (y2Voc && y2Voc.toUpperCase() !== 'MISSING' && y2Voc.toUpperCase() !== 'NA') {
-                        person.y2.voc = y2Voc;
-                    }
-                    if (y2Range && y2Range.toUpperCase() !== 'MISSING' && y2Range.toUpperCase() !== 'NA') {
-                        person.y2.range = y2Range;
+
+                    // A blank cell never clears a value another sheet already supplied
+                    const existing = getNestedValue(person, path);
+                    if ((value === '' || value === null) && existing) return;
+                    if (value && existing && person.importSources[path]) {
+                        const [before, after] = [existing, value].map(String);
+                        if (before !== after) {
+                            const kept = columnMapper.formatCellSource(person.importSources[path]);
+                            issues.push(this.createImportIssue(sheet.sheetName, rowIndex, columnIndex, after,
+                                `${person.name} has ${label} "${after}" but ${kept} says "${before}"; keeping "${before}"`,
+                                `Make this cell and ${kept} agree`));
+                        }
+                        return;
                     }
-                }
-                processed++;
-            }
-            const personnel = Array.from(personnelMap.values());
+
+                    setNestedValue(person, path, value);
+                    person.importSources[path] = columnMapper.getCellSource(sheet.sheetName, rowIndex, columnIndex);
+                    if (value) sheetCounts[sheet.sheetName].values++;
+                });
+            });
+
+            const personnel = identities.list.map(identity => identity.record);
             personnel.forEach(person => {
-                this.validateAndCleanPersonnelRecord(person, warnings);
+                // Fallback: mirror ORD date if Y2 window not present. The copy was not read from the
+                // blank Y2 window cell, so that cell is not its source and is never written back
+                if (person.category === 'NSF' && !person.y2WindowEndDate && person.ordDate) {
+                    person.y2WindowEndDate = person.ordDate;
+                    delete person.importSources.y2WindowEndDate;
+                }
+            });
+
+            identities.list.forEach(({ record, firstRow }) => {
+                this.collectImportedAttempts(record, firstRow, issues);
+                this.scoreImportedIppt(record, firstRow, issues);
+                this.classifyImportedShoots(record, firstRow, issues);
+            });
+
+            reportProgress();
+            identities.list.forEach(({ record, firstRow }) => {
+                const recordWarnings = [];
+                this.validateAndCleanPersonnelRecord(record, recordWarnings);
+                recordWarnings.forEach(message => {
+                    issues.push(this.createImportIssue(firstRow.sheetName, firstRow.rowIndex, -1, '', message,
+                        'Check this person\'s platoon header and ORD date'));
+                });
+            });
+            Object.entries(sheetCounts).forEach(([sheetName, counts]) => {
+                console.log(`'${sheetName}' sheet: ${counts.rows} personnel rows, ${counts.values} values imported`);
             });
             console.log(`✅ Excel processing completed: ${personnel.length} total personnel records`);
             return {
@@ -296,7 +609,10 @@ class SofunDataProcessor {
                 data: personnel,
                 recordCount: personnel.length,
                 errors: errors,
-                warnings: warnings,
+                warnings: issues.map(issue => issue.message),
+                issues: issues,
+                mapping: mapping,
+                sheetCounts: sheetCounts,
                 originalWorkbook: workbook // Include original workbook for modified exports
             };
         } catch (error) {
@@ -311,12 +627,317 @@ class SofunDataProcessor {
         }
     }
 
+    /**
+     * Turn the attempts an import read (attempt columns, attempt rows, a history column) into the
+     * test's attempt history. The plain result column is attempt 1 unless attempt 1 was read on
+     * its own; an attempt with a date or notes but no result is reported and left out.
+     * @param {Object} person - Imported record, updated in place
+     * @param {Object} firstRow - { sheetName, rowIndex } of the person's first row
+     * @param {Array} issues - Import issues, appended to
+     */
+    collectImportedAttempts(person, firstRow, issues) {
+        getCategoryPhases(person.category).forEach(phase => getPhaseTests(phase.key).forEach(test => {
+            const group = person[phase.key];
+            const read = group?.[`${test.key}Attempts`];
+            if (!read || Array.isArray(read)) return;
+            delete group[`${test.key}Attempts`];
+
+            const path = `${phase.key}.${test.key}`;
+            const label = `${phase.label} ${test.label}`;
+            const sources = person.importSources;
+            const issue = (source, value, problem, fix) => {
+                const cell = source ? XLSX.utils.decode_cell(source.cell) : { r: firstRow.rowIndex, c: -1 };
+                issues.push(this.createImportIssue(source?.sheet || firstRow.sheetName, cell.r, cell.c, value, problem, fix));
+            };
+
+            const attempts = [];
+            Object.keys(read).map(Number).sort((a, b) => a - b).forEach(number => {
+                const entry = read[number] || {};
+                const resultSource = sources[`${path}Attempts.${number}.result`];
+                const dateSource = sources[`${path}Attempts.${number}.date`];
+                ['result', 'date', 'notes'].forEach(key => delete sources[`${path}Attempts.${number}.${key}`]);
+                if (!hasAssessmentResult(entry.result)) {
+                    if (entry.date || entry.notes) {
+                        issue(dateSource, entry.date || entry.notes, `${person.name} has a ${label} attempt ${number} without a result; not imported`,
+                            'Fill in the result of this attempt, or clear its date');
+                    }
+                    return;
+                }
+                attempts.push({ attempt: number, date: entry.date || '', result: entry.result, notes: entry.notes || '', resultSource, dateSource });
+            });
+            if (attempts.length === 0) return;
+
+            const plain = group[test.key];
+            if (hasAssessmentResult(plain) && !attempts.some(attempt => attempt.attempt === 1)) {
+                attempts.unshift({ attempt: 1, date: toDateOnly(group[`${test.key}Date`]) || '', result: plain, notes: '',
+                    resultSource: sources[path], dateSource: sources[`${path}Date`] });
+            }
+
+            attemptHistory.setAttempts(person, phase.key, test.key, attempts);
+            const current = attemptHistory.pickCurrent(attempts, test.key);
+            if (hasAssessmentResult(plain) && attempts[0].resultSource !== sources[path] && plain !== current.result) {
+                issue(sources[path], plain, `${person.name} has ${label} "${plain}" but the attempts give "${current.result}"; keeping the attempts`,
+                    'Make the result column agree with the attempt columns');
+            }
+
+            if (group[`${test.key}Attempts`]) sources[`${path}Attempts`] = attempts[0].resultSource;
+            [[path, current.resultSource], [`${path}Date`, current.dateSource]].forEach(([key, source]) => {
+                if (source) {
+                    sources[key] = source;
+                } else {
+                    delete sources[key];
+                }
+            });
+        }));
+    }
+
+    /**
+     * Score the IPPT raw scores an import read. A blank grade is filled in from the score; a
+     * grade the score does not give is kept and reported at its cell, as is a score that
+     * cannot be scored (a missing station, no date of birth or age group, or no scoring table).
+     * @param {Object} person - Imported record, updated in place
+     * @param {Object} firstRow - { sheetName, rowIndex } of the person's first row
+     * @param {Array} issues - Import issues, appended to
+     */
+    scoreImportedIppt(person, firstRow, issues) {
+        getCategoryPhases(person.category).forEach(phase => {
+            const result = ipptCalculator.calculate(person, phase.key);
+            if (!result) return;
+
+            const path = `${phase.key}.ippt`;
+            const scoreSource = ['run', 'pushUps', 'sitUps']
+                .map(key => person.importSources[`${phase.key}.ipptScore.${key}`]).find(Boolean);
+            const source = person.importSources[path] || scoreSource;
+            const cell = source ? XLSX.utils.decode_cell(source.cell) : { r: firstRow.rowIndex, c: -1 };
+            const issue = (value, problem, fix) =>
+                issues.push(this.createImportIssue(source?.sheet || firstRow.sheetName, cell.r, cell.c, value, problem, fix));
+            const grade = person[phase.key].ippt;
+
+            if (result.error) {
+                issue('', `${person.name} has a ${phase.label} IPPT score but ${result.error}; points not calculated`,
+                    result.unconfigured
+                        ? 'Enter your unit\'s IPPT chart in the IPPT Scoring window, then re-import'
+                        : 'Fill in push-ups, sit-ups and the run time, and a date of birth or age group column');
+            } else if (!hasAssessmentResult(grade)) {
+                person[phase.key].ippt = result.grade;
+                person.importSources[path] = scoreSource;
+            } else if (grade !== result.grade) {
+                issue(grade, `${person.name} has ${phase.label} IPPT "${grade}" but the score gives ${ipptCalculator.describe(result)}; keeping "${grade}"`,
+                    'Check the grade, the push-up, sit-up and run figures, and the date of birth or age group');
+            }
+        });
+    }
+
+    /**
+     * Classify the Range and CS shoots an import read, like scoreImportedIppt: a blank
+     * classification is filled in from the score, and one the score does not give, or a shoot
+     * that cannot be classified (including before any practice is entered), is reported at its cell
+     * @param {Object} person - Imported record, updated in place
+     * @param {Object} firstRow - { sheetName, rowIndex } of the person's first row
+     * @param {Array} issues - Import issues, appended to
+     */
+    classifyImportedShoots(person, firstRow, issues) {
+        getCategoryPhases(person.category).forEach(phase => getPhaseTests(phase.key).filter(test => test.shoot).forEach(test => {
+            const result = rangeClassifier.classifyResult(person, phase.key, test.key);
+            if (!result) return;
+
+            const path = `${phase.key}.${test.key}`;
+            const scoreSource = ['score', 'hits', 'practice']
+                .map(key => person.importSources[`${path}Shoot.${key}`]).find(Boolean);
+            const source = person.importSources[path] || scoreSource;
+            const cell = source ? XLSX.utils.decode_cell(source.cell) : { r: firstRow.rowIndex, c: -1 };
+            const issue = (value, problem, fix) =>
+                issues.push(this.createImportIssue(source?.sheet || firstRow.sheetName, cell.r, cell.c, value, problem, fix));
+            const grade = person[phase.key][test.key];
+            const label = `${phase.label} ${test.label}`;
+
+            if (result.error) {
+                issue('', `${person.name} has a ${label} score but ${result.error}; not classified`,
+                    result.unconfigured
+                        ? `Enter your unit's ${test.label} practices and standards in the Range Classification window, then re-import`
+                        : 'Check the practice, hits and score columns against the Range Classification window');
+            } else if (!hasAssessmentResult(grade)) {
+                person[phase.key][test.key] = result.grade;
+                person.importSources[path] = scoreSource;
+            } else if (grade !== result.grade) {
+                issue(grade, `${person.name} has ${label} "${grade}" but the score gives ${rangeClassifier.describe(result)}; keeping "${grade}"`,
+                    'Check the classification, the hits and score, and the practice');
+            }
+        }));
+    }
+
+    /**
+     * Recognise a platoon header cell ("PLATOON 2", "COY HQ", ...) by the platoon names and
+     * aliases of the organisation structure. Number-only aliases are not used here, because the
+     * header column holds serial numbers on person rows.
+     * @param {string} text - Cell text from the platoon header column
+     * @returns {string} Platoon name, or '' if the cell is not a recognised header
+     */
+    parsePlatoonHeader(text) {
+        if (!text) return '';
+        return orgStructure.resolvePlatoon(text, { ignoreNumbers: true });
+    }
+
+    /**
+     * Read a platoon column cell ("PLATOON 2", "2", "P2", "COY HQ"); other text is kept as written
+     * and reported by validateAndCleanPersonnelRecord
+     * @param {string} text - Cell text from the platoon column
+     * @returns {string} Platoon name
+     */
+    parsePlatoonCell(text) {
+        return orgStructure.resolvePlatoon(text) || text;
+    }
+
+    /**
+     * Find (or create) the person an import row belongs to. Rows are matched by service number
+     * and name when they have a number (see isSameServiceNumberHolder), otherwise by name; a name
+     * shared by several numbered people is ambiguous.
+     * @param {Object} identities - { list, byName, byServiceNumber } collected so far
+     * @param {Array} row - Sheet row
+     * @param {Object} sheet - Sheet being read ({ sheetName, columns })
+     * @param {number} rowIndex - Zero-based row index
+     * @param {boolean} create - Create a new identity when none matches
+     * @param {Array} issues - Import issue list (see createImportIssue)
+     * @returns {Object|null} Identity, or null if the row matches nobody (or several people)
+     */
+    resolveImportIdentity(identities, row, sheet, rowIndex, create, issues) {
+        const nameKey = sanitizePersonnelName(columnMapper.getCellText(row, sheet.columns, 'name'));
+        const serviceNumber = maskServiceNumber(columnMapper.getCellText(row, sheet.columns, 'serviceNumber'));
+
+        // Masked numbers are only the last 4 characters, so the name has to agree as well
+        let identity = (identities.byServiceNumber.get(serviceNumber) || [])
+            .find(candidate => isSameServiceNumberHolder(candidate, { name: nameKey, serviceNumber })) || null;
+        if (!identity) {
+            // Someone with the same name is only the same person if one of the two has no service number
+            const candidates = (identities.byName.get(nameKey) || [])
+                .filter(candidate => !serviceNumber || !candidate.serviceNumber);
+            if (candidates.length > 1) {
+                issues.push(this.createImportIssue(sheet.sheetName, rowIndex, sheet.columns.name, nameKey,
+                    `${candidates.length} people are named ${nameKey}; map a service number column to tell them apart. Row skipped`,
+                    'Fill in the service number of everyone with this name'));
+                return null;
+            }
+            identity = candidates[0] || null;
+        }
+
+        if (!identity) {
+            if (!create) return null;
+            identity = { name: nameKey, serviceNumber: '', rank: '', pes: '', platoon: '', service: '', rows: {}, sources: {} };
+            identities.list.push(identity);
+            if (!identities.byName.has(nameKey)) identities.byName.set(nameKey, []);
+            identities.byName.get(nameKey).push(identity);
+        }
+
+        if (serviceNumber && !identity.serviceNumber) {
+            identity.serviceNumber = serviceNumber;
+            if (!identities.byServiceNumber.has(serviceNumber)) identities.byServiceNumber.set(serviceNumber, []);
+            identities.byServiceNumber.get(serviceNumber).push(identity);
+            identity.sources.serviceNumber = columnMapper.getCellSource(sheet.sheetName, rowIndex, sheet.columns.serviceNumber);
+        }
+        return identity;
+    }
+
+    /**
+     * Merge one identity value (rank, PES, platoon, service) seen on a person row.
+     * The first non-empty value wins; a different value later on is reported.
+     * @param {Object} identity - Identity collected so far
+     * @param {string} field - Identity field
+     * @param {string} value - Value on this row
+     * @param {Object} sheet - Sheet being read ({ sheetName, columns })
+     * @param {number} rowIndex - Zero-based row index
+     * @param {Array} issues - Import issue list (see createImportIssue)
+     */
+    mergeIdentityValue(identity, field, value, sheet, rowIndex, issues) {
+        if (!value) return;
+        const where = `${sheet.sheetName} row ${rowIndex + 1}`;
+        if (!identity[field]) {
+            identity[field] = value;
+            identity.rows[field] = where;
+        } else if (identity[field] !== value) {
+            // The platoon comes from the header above the row, not from a cell on it
+            const columnIndex = field === 'platoon' ? -1 : sheet.columns[field];
+            issues.push(this.createImportIssue(sheet.sheetName, rowIndex, columnIndex, value,
+                `${identity.name} has ${field} "${value}" but ${identity.rows[field]} says "${identity[field]}"; keeping "${identity[field]}"`,
+                `Use the same ${field} as ${identity.rows[field]}`));
+        }
+    }
+
+    /**
+     * Describe an import problem. Issues keep the cell they refer to, so they can be listed
+     * and highlighted in a copy of the uploaded workbook (see downloadImportIssues).
+     * @param {string} sheetName - Sheet name
+     * @param {number} rowIndex - Zero-based row index
+     * @param {number} columnIndex - Zero-based column index, or -1 for the whole row
+     * @param {*} value - Cell value as read
+     * @param {string} problem - What is wrong
+     * @param {string} fix - Suggested correction
+     * @returns {Object} { sheet, rowIndex, columnIndex, value, problem, fix, message }
+     */
+    createImportIssue(sheetName, rowIndex, columnIndex, value, problem, fix) {
+        return {
+            sheet: sheetName,
+            rowIndex: rowIndex,
+            columnIndex: columnIndex >= 0 ? columnIndex : -1,
+            value: value === undefined || value === null ? '' : value.toString(),
+            problem: problem,
+            fix: fix,
+            message: `${sheetName} row ${rowIndex + 1}: ${problem}`
+        };
+    }
+
+    /**
+     * Create an empty personnel record for an imported person
+     * @param {Object} identity - { name, serviceNumber, rank, pes, platoon, service, rows, sources }
+     * @returns {Object} Personnel record with assessment groups for its category
+     */
+    createImportedRecord(identity) {
+        const category = identity.service || 'NSF';
+        const record = {
+            id: generatePersonnelId(),
+            name: identity.name,
+            serviceNumber: identity.serviceNumber,
+            category: category,
+            platoon: identity.platoon || 'Unassigned',
+            unit: identity.platoon || 'Unassigned',
+            rank: identity.rank,
+            pes: identity.pes,
+            lastUpdated: new Date(),
+            ordDate: null,
+            isORD: false,
+            medicalStatus: 'Fit',
+            remedialTraining: [],
+            importSources: {}
+        };
+
+        // Regular personnel use Work Year assessments, NSF personnel Y1/Y2 (see ASSESSMENT_PHASES)
+        getCategoryPhases(category).forEach(phase => {
+            record[phase.key] = createEmptyPhaseResults(phase.key);
+        });
+        if (category !== 'Regular') record.y1WindowEndDate = null; // Y1 assessment window end date
+
+        ['serviceNumber', 'rank', 'pes', 'platoon'].forEach(field => {
+            if (identity.sources[field]) record.importSources[field] = identity.sources[field];
+        });
+        if (identity.sources.service) record.importSources.category = identity.sources.service;
+        return record;
+    }
+
+    /**
+     * Read a date cell: workbooks parsed with cellDates give Date objects, others text or serials
+     * @param {*} value - Raw cell value
+     * @returns {string|null} Date-only 'YYYY-MM-DD'
+     */
+    parseDateCell(value) {
+        return this.parseDate(value);
+    }
+
     /**
      * Validate uploaded file
      * @param {File} file - File to validate
+     * @param {Array<string>} [formats] - Accepted extensions (default: APP_CONFIG.supportedFormats)
      * @throws {Error} If file is invalid
      */
-    validateFile(file) {
+    validateFile(file, formats = this.supportedFormats) {
         if (!file) {
             throw new Error('No file provided');
         }
@@ -326,12 +947,12 @@ class SofunDataProcessor {
             throw new Error(`File too large: ${sizeMB}MB. Maximum allowed: ${(this.maxFileSize / 1024 / 1024)}MB`);
         }
         
-        const hasValidExtension = this.supportedFormats.some(format => 
+        const hasValidExtension = formats.some(format => 
             file.name.toLowerCase().endsWith(format)
         );
         
         if (!hasValidExtension) {
-            throw new Error(`Unsupported file format. Please use: ${this.supportedFormats.join(', ')}`);
+            throw new Error(`Unsupported file format. Please use: ${formats.join(', ')}`);
         }
     }
 
@@ -461,239 +1082,26 @@ class SofunDataProcessor {
                     testDate = this.parseDate(row[14]);
                     break;
                 case 'ATP':
-                    testResult = row[11]?.toString().trim() || '';
-                    testDate = this.parseDate(row[12]);
-                    break;
-                default:
-                    return { error: `Unknown test type: ${testType}` };
-            }
-            
-            return {
-                personName: sanitizePersonnelName(personName),
-                personnelCategory,
-                assessmentPhase: assessmentPhase.toUpperCase(),
-                testType: testType.toUpperCase(),
-                testResult,
-                testDate,
-                platoon: platoon || 'Unassigned'
-            };
-            
-        } catch (error) {
-            return { error: error.message };
-        }
-    }
-
-    /**
-     * Process data from a specific sheet (IPPT, RANGE, or VOC)
-     * @param {Array<Array>} rawData - 2D array from Excel sheet
-     * @param {string} sheetName - Name of the sheet being processed
-     * @param {Map} personnelMap - Map to store personnel records
-     * @returns {Object} Processing result
-     */
-    processSheetData(rawData, sheetName, personnelMap) {
-        const errors = [];
-        const warnings = [];
-        let processed = 0;
-        let personnelCount = 0;
-        let skippedRows = 0;
-        
-        console.log(`Processing ${rawData.length} rows from ${sheetName} sheet...`);
-        
-        // Debug: Log first few rows to understand structure
-        if (rawData.length > 1) {
-            console.log(`${sheetName} sheet structure (first 8 rows):`);
-            for (let i = 0; i < Math.min(8, rawData.length); i++) {
-                console.log(`Row ${i + 1}:`, rawData[i]);
-            }
-        }
-        
-        // Find the actual data starting row (skip metadata rows)
-        let dataStartRow = this.findDataStartRow(rawData, sheetName);
-        console.log(`${sheetName} sheet: Data starts at row ${dataStartRow + 1}`);
-        
-        // Track current platoon as we process rows
-        let currentPlatoon = 'Unassigned';
-        
-        for (let i = dataStartRow; i < rawData.length; i++) {
-            const row = rawData[i];
-            
-            // Skip completely empty rows
-            if (!row || row.length === 0 || row.every(cell => !cell || cell.toString().trim() === '')) {
-                skippedRows++;
-                continue;
-            }
-            
-            // Skip rows that are mostly empty (less than 2 meaningful cells)
-            const meaningfulCells = row.filter(cell => cell && cell.toString().trim().length > 0);
-            if (meaningfulCells.length < 2) {
-                warnings.push(`${sheetName} Row ${i + 1}: Insufficient data, skipping`);
-                skippedRows++;
-                continue;
-            }
-            
-            // Check if this is a platoon header row (Column A has platoon name)
-            const platoonHeader = row[0]?.toString().trim();
-            if (platoonHeader && platoonHeader.length > 0 && 
-                (platoonHeader.toUpperCase().includes('PLATOON') || 
-                 platoonHeader.toUpperCase().includes('COY') || 
-                 platoonHeader.toUpperCase().includes('HQ'))) {
-                currentPlatoon = this.validatePlatoon(platoonHeader);
-                console.log(`${sheetName} Row ${i + 1}: Found platoon header "${platoonHeader}" -> "${currentPlatoon}"`);
-                continue; // Skip this header row
+                    testResult = row[11]?.toString().trim() || '';
+                    testDate = this.parseDate(row[12]);
+                    break;
+                default:
+                    return { error: `Unknown test type: ${testType}` };
             }
             
-            // Skip rows that look like formatting or metadata (no name or rank)
-            const hasName = row[2] && row[2].toString().trim().length > 2; // Column C
-            const hasRank = row[1] && row[1].toString().trim().length > 0; // Column B
-            if (!hasName || !hasRank) {
-                warnings.push(`${sheetName} Row ${i + 1}: Missing name or rank, skipping`);
-                skippedRows++;
-                continue;
-            }
+            return {
+                personName: sanitizePersonnelName(personName),
+                personnelCategory,
+                assessmentPhase: assessmentPhase.toUpperCase(),
+                testType: testType.toUpperCase(),
+                testResult,
+                testDate,
+                platoon: platoon || 'Unassigned'
+            };
             
-            try {
-                const result = this.processComplexSheetRow(row, i + 1, sheetName, currentPlatoon);
-                if (result.error && (result.error.startsWith('Missing'))) {
-                    // Only skip if missing name or rank
-                    errors.push(`${sheetName} Row ${i + 1}: ${result.error}`);
-                    continue;
-                }
-                const { personName, personnelCategory, testResult, testDate, platoon, ordDate, rank } = result;
-                // Always add the person if not already present
-                const key = personName;
-                if (!personnelMap.has(key)) {
-                    personnelMap.set(key, this.createPersonnelRecordFromSheet(personName, personnelCategory, platoon, ordDate, rank));
-                    personnelCount++;
-                }
-                // Always update platoon, ordDate, and rank if new info is available
-                const person = personnelMap.get(key);
-                if (platoon && person.platoon !== platoon) person.platoon = platoon;
-                if (ordDate && person.ordDate !== ordDate) person.ordDate = ordDate;
-                if (rank && person.rank !== rank) person.rank = rank;
-                // Only update test results if valid
-                if (testResult && testResult !== 'NA' && testResult !== 'MISSING') {
-                    this.updatePersonnelFromSheet(person, sheetName, testResult, testDate);
-                    processed++;
-                }
-            } catch (error) {
-                errors.push(`${sheetName} Row ${i + 1}: ${error.message}`);
-            }
-        }
-        
-        console.log(`${sheetName} sheet: Processed ${processed} rows, skipped ${skippedRows} rows`);
-        
-        return {
-            processed,
-            personnelCount,
-            errors,
-            warnings
-        };
-    }
-    
-    /**
-     * Find the row where actual data starts (after metadata rows)
-     * @param {Array<Array>} rawData - 2D array from Excel sheet
-     * @param {string} sheetName - Name of the sheet
-     * @returns {number} Row index where data starts
-     */
-    findDataStartRow(rawData, sheetName) {
-        // Look for a row that has meaningful data (rank in column B, name in column C)
-        for (let i = 3; i < Math.min(10, rawData.length); i++) {
-            const row = rawData[i];
-            if (row && row.length > 2) {
-                const rank = row[1]?.toString().trim(); // Column B
-                const name = row[2]?.toString().trim(); // Column C
-                
-                // Check if this looks like a data row (has rank and name)
-                if (rank && name && 
-                    rank.length > 0 && name.length > 2 && 
-                    !rank.toUpperCase().includes('RANK') && 
-                    !name.toUpperCase().includes('NAME')) {
-                    return i;
-                }
-            }
-        }
-        return 4; // Default fallback
-    }
-    
-    /**
-     * Process a single row from the complex sheet format
-     * @param {Array} row - Array of cell values
-     * @param {number} rowNumber - Row number for error reporting
-     * @param {string} sheetName - Name of the sheet
-     * @param {string} currentPlatoon - Current platoon assignment
-     * @returns {Object} Processed row data or error
-     */
-    processComplexSheetRow(row, rowNumber, sheetName, currentPlatoon) {
-        // Clean and validate row data
-        const cleanRow = row.map(cell => {
-            if (cell === null || cell === undefined) return '';
-            return cell.toString().trim();
-        });
-        
-        // Extract data based on the complex format
-        const rank = cleanRow[1] || ''; // Column B
-        const name = cleanRow[2] || ''; // Column C
-        const pes = cleanRow[3] || ''; // Column D
-        const service = cleanRow[4] || ''; // Column E
-        
-        // Debug logging for data extraction
-        console.log(`Row ${rowNumber} - ${sheetName}: Rank="${rank}", Name="${name}", Service="${service}", Platoon="${currentPlatoon}"`);
-        
-        // Validate required fields
-        if (!name || name.length < 2) {
-            return { error: 'Missing or invalid name' };
-        }
-        
-        if (!rank || rank.length < 1) {
-            return { error: 'Missing rank' };
-        }
-        
-        // Determine personnel category
-        const personnelCategory = service.toUpperCase() === 'NSF' ? 'NSF' : 'Regular';
-        
-        // Extract test result and date based on sheet type
-        let testResult = '';
-        let testDate = null;
-        let ordDate = null;
-        
-        switch(sheetName.toUpperCase()) {
-            case 'IPPT':
-                // Column I (index 8) for Y2 result, Column L (index 11) for Regular score
-                testResult = cleanRow[8] || cleanRow[11] || '';
-                testDate = this.parseDate(cleanRow[9] || cleanRow[12] || ''); // Date columns
-                break;
-                
-            case 'RANGE':
-                // Column J (index 9) for Y2 result, Column L (index 11) for Regular score
-                testResult = cleanRow[9] || cleanRow[11] || '';
-                testDate = this.parseDate(cleanRow[10] || cleanRow[12] || ''); // Date columns
-                break;
-                
-            case 'VOC':
-                // Column K (index 10) for Y2 result, Column N (index 13) for Regular score
-                testResult = cleanRow[10] || cleanRow[13] || '';
-                testDate = this.parseDate(cleanRow[11] || cleanRow[14] || ''); // Date columns
-                // Column G (index 6) for ORD date (Y2 last date)
-                ordDate = this.parseDate(cleanRow[6] || '');
-                break;
-                
-            default:
-                return { error: `Unknown sheet type: ${sheetName}` };
+        } catch (error) {
+            return { error: error.message };
         }
-        
-        // Always return the processed row, even if testResult is 'NA' or 'MISSING'
-        console.log(`Processed ${name}: ${testResult} on ${testDate ? testDate.toISOString().split('T')[0] : 'no date'}, Platoon: ${currentPlatoon}`);
-        
-        return {
-            personName: name.toUpperCase(),
-            personnelCategory,
-            testResult: testResult ? testResult.toUpperCase() : '',
-            testDate,
-            platoon: currentPlatoon,
-            ordDate: ordDate,
-            rank: rank // Include rank information
-        };
     }
 
     /**
@@ -727,302 +1135,25 @@ class SofunDataProcessor {
         return 'NSF';
     }
 
-    /**
-     * Create new personnel record from sheet data
-     * @param {string} name - Personnel name
-     * @param {string} category - Personnel category (NSF/Regular)
-     * @param {string} platoon - Platoon assignment
-     * @param {Date} ordDate - ORD date (for NSF)
-     * @param {string} rank - Rank (optional)
-     * @returns {Object} Personnel record
-     */
-    createPersonnelRecordFromSheet(name, category, platoon, ordDate, rank = null) {
-        const record = {
-            name: name,
-            category: category,
-            platoon: platoon || 'Unassigned',
-            unit: platoon || 'Unassigned', // Keep unit in sync with platoon
-            rank: rank || (category === 'Regular' ? null : null),
-            y1: {
-                ippt: '', ipptDate: null,
-                voc: '', vocDate: null,
-                atp: '', atpDate: null
-            },
-            y2: {
-                ippt: '', ipptDate: null,
-                voc: '', vocDate: null,
-                range: '', rangeDate: null
-            },
-            lastUpdated: new Date(),
-            ordDate: ordDate,
-            isORD: false,
-            medicalStatus: 'Fit',
-            remedialTraining: []
-        };
-        
-        // Validate platoon assignment
-        if (!this.validatePlatoon(record.platoon)) {
-            // Assign valid platoon based on category
-            if (category === 'NSF') {
-                record.platoon = 'Platoon 1';
-            } else {
-                record.platoon = 'COY HQ';
-            }
-        }
-        
-        return record;
-    }
-
-    /**
-     * Update personnel record with data from sheet
-     * @param {Object} person - Personnel record
-     * @param {string} sheetName - Name of the sheet (IPPT, RANGE, VOC)
-     * @param {string} testResult - Test result
-     * @param {Date} testDate - Test date
-     */
-    updatePersonnelFromSheet(person, sheetName, testResult, testDate) {
-        if (!testResult || !testDate) return;
-        
-        // Determine assessment phase based on test date
-        const assessmentPhase = this.determineAssessmentPhase(testDate);
-        const phaseKey = assessmentPhase.toLowerCase();
-        
-        // Map sheet names to test types
-        let testType = '';
-        switch(sheetName.toUpperCase()) {
-            case 'IPPT':
-                testType = 'IPPT';
-                break;
-            case 'RANGE':
-                testType = 'RANGE';
-                break;
-            case 'VOC':
-                testType = 'VOC';
-                break;
-            default:
-                console.warn(`Unknown sheet type: ${sheetName}`);
-                return;
-        }
-        
-        // Update the appropriate field based on test type and phase
-        switch(testType) {
-            case 'IPPT':
-                if (assessmentPhase === 'Y1') {
-                    person.y1.ippt = testResult;
-                    person.y1.ipptDate = testDate;
-                } else if (assessmentPhase === 'Y2') {
-                    person.y2.ippt = testResult;
-                    person.y2.ipptDate = testDate;
-                }
-                break;
-                
-            case 'VOC':
-                if (assessmentPhase === 'Y1') {
-                    person.y1.voc = testResult;
-                    person.y1.vocDate = testDate;
-                } else if (assessmentPhase === 'Y2') {
-                    person.y2.voc = testResult;
-                    person.y2.vocDate = testDate;
-                }
-                break;
-                
-            case 'RANGE':
-                if (assessmentPhase === 'Y1') {
-                    person.y1.atp = testResult;
-                    person.y1.atpDate = testDate;
-                } else if (assessmentPhase === 'Y2') {
-                    person.y2.range = testResult;
-                    person.y2.rangeDate = testDate;
-                }
-                break;
-        }
-        
-        person.lastUpdated = new Date();
-    }
-
     /**
      * Validate platoon assignment
      * @param {string} platoon - Platoon name to validate
-     * @returns {string} Valid platoon name
+     * @returns {string} Platoon name or alias resolved through the organisation structure, else 'Unassigned'
      */
     validatePlatoon(platoon) {
         if (!platoon || platoon.trim() === '') {
             return 'Unassigned';
         }
-        
-        const validPlatoons = [
-            'Platoon 1', 'Platoon 2', 'Platoon 3', 'Platoon 4',
-            'COY HQ', 'Support Platoon', 'Admin', 'Medical', 
-            'Signals', 'Transport', 'Unassigned'
-        ];
-        
-        const normalizedPlatoon = platoon.trim();
-        
-        // Check for exact match
-        if (validPlatoons.includes(normalizedPlatoon)) {
-            return normalizedPlatoon;
-        }
-        
-        // Check for common variations
-        const lowerPlatoon = normalizedPlatoon.toLowerCase();
-        
-        // Handle "COY HQ" variations
-        if (lowerPlatoon.includes('coy') || lowerPlatoon.includes('hq') || lowerPlatoon.includes('headquarters')) {
-            return 'COY HQ';
-        }
-        
-        // Handle "Platoon" variations
-        if (lowerPlatoon.includes('platoon') || lowerPlatoon.includes('plt')) {
-            if (lowerPlatoon.includes('1') || lowerPlatoon.includes('one')) {
-                return 'Platoon 1';
-            } else if (lowerPlatoon.includes('2') || lowerPlatoon.includes('two')) {
-                return 'Platoon 2';
-            } else if (lowerPlatoon.includes('3') || lowerPlatoon.includes('three')) {
-                return 'Platoon 3';
-            } else if (lowerPlatoon.includes('4') || lowerPlatoon.includes('four')) {
-                return 'Platoon 4';
-            } else {
-                return 'Platoon 1'; // Default to Platoon 1
-            }
-        }
-        
-        // Handle support unit variations
-        if (lowerPlatoon.includes('support')) {
-            return 'Support Platoon';
-        } else if (lowerPlatoon.includes('admin')) {
-            return 'Admin';
-        } else if (lowerPlatoon.includes('medical') || lowerPlatoon.includes('med')) {
-            return 'Medical';
-        } else if (lowerPlatoon.includes('signal')) {
-            return 'Signals';
-        } else if (lowerPlatoon.includes('transport') || lowerPlatoon.includes('trans')) {
-            return 'Transport';
-        }
-        
-        // Check for partial matches
-        for (const valid of validPlatoons) {
-            if (valid.toLowerCase().includes(lowerPlatoon) || 
-                lowerPlatoon.includes(valid.toLowerCase())) {
-                return valid;
-            }
-        }
-        
-        // Default fallback
-        return 'Unassigned';
-    }
-
-    /**
-     * Determine assessment phase (Y1/Y2) based on test date
-     * @param {Date} testDate - Test date
-     * @returns {string} Assessment phase (Y1 or Y2)
-     */
-    determineAssessmentPhase(testDate) {
-        if (!testDate) return 'Y2'; // Default to Y2 if no date
-        
-        const currentYear = new Date().getFullYear();
-        const testYear = testDate.getFullYear();
-        const testMonth = testDate.getMonth() + 1; // 0-indexed to 1-indexed
-        
-        // If test is from previous year, it's likely Y1
-        if (testYear < currentYear) {
-            return 'Y1';
-        }
-        
-        // If test is from current year, use month to determine
-        // Y1 tests typically happen in first half of year (Jan-Jun)
-        // Y2 tests typically happen in second half of year (Jul-Dec)
-        if (testMonth <= 6) {
-            return 'Y1';
-        } else {
-            return 'Y2';
-        }
+        return orgStructure.resolvePlatoon(platoon) || 'Unassigned';
     }
 
     /**
-     * Parse date from various formats
-     * @param {string} dateStr - Date string to parse
-     * @returns {Date|null} Parsed date or null if invalid
+     * Parse date from various formats (text, Excel serials, Date objects)
+     * @param {*} dateStr - Date value to parse
+     * @returns {string|null} Date-only 'YYYY-MM-DD' or null if invalid
      */
     parseDate(dateStr) {
-        if (!dateStr || typeof dateStr !== 'string') {
-            return null;
-        }
-        
-        const cleanDate = dateStr.toString().trim();
-        if (!cleanDate || cleanDate === '') {
-            return null;
-        }
-        
-        // If input is a number
-        if (typeof dateStr === 'number') {
-            // If it's a 6-digit number, treat as DDMMYY string
-            if (dateStr >= 100000 && dateStr <= 999999) {
-                dateStr = dateStr.toString();
-            } else {
-                // Otherwise, treat as Excel serial date
-                const excelEpoch = new Date(Date.UTC(1899, 11, 30));
-                const date = new Date(excelEpoch.getTime() + dateStr * 86400000);
-                if (!isNaN(date.getTime())) {
-                    return date;
-                }
-            }
-        }
-        
-        // Handle DD-MM-YY format
-        const ddMmYyMatch = cleanDate.match(/^(\d{1,2})-(\d{1,2})-(\d{2,4})$/);
-        if (ddMmYyMatch) {
-            const [, day, month, year] = ddMmYyMatch;
-            const fullYear = year.length === 2 ? `20${year}` : year;
-            const date = new Date(`${fullYear}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`);
-            if (!isNaN(date.getTime())) {
-                return date;
-            }
-        }
-        
-        // Handle DD/MM/YY format
-        const ddMmYySlashMatch = cleanDate.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2,4})$/);
-        if (ddMmYySlashMatch) {
-            const [, day, month, year] = ddMmYySlashMatch;
-            const fullYear = year.length === 2 ? `20${year}` : year;
-            const date = new Date(`${fullYear}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`);
-            if (!isNaN(date.getTime())) {
-                return date;
-            }
-        }
-        
-        // Handle YYYY-MM-DD format
-        const isoMatch = cleanDate.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
-        if (isoMatch) {
-            const [, year, month, day] = isoMatch;
-            const date = new Date(`${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`);
-            if (!isNaN(date.getTime())) {
-                return date;
-            }
-        }
-        
-        // Handle compact DDMMYY format (e.g., 141125 for 14-Nov-2025)
-        const compactMatch = cleanDate.match(/^(\d{2})(\d{2})(\d{2})$/);
-        if (compactMatch) {
-            const [, day, month, year] = compactMatch;
-            // Assume 00-49 = 2000s, 50-99 = 1900s
-            const fullYear = parseInt(year, 10) < 50 ? '20' + year : '19' + year;
-            const date = new Date(`${fullYear}-${month}-${day}`);
-            if (!isNaN(date.getTime())) {
-                return date;
-            }
-        }
-        
-        // Try direct Date constructor
-        try {
-            const date = new Date(cleanDate);
-            if (!isNaN(date.getTime())) {
-                return date;
-            }
-        } catch (e) {
-            // Continue
-        }
-        
-        return null;
+        return toDateOnly(dateStr);
     }
 
     /**
@@ -1072,15 +1203,9 @@ class SofunDataProcessor {
             remedialTraining: []
         };
         
-        // Validate platoon assignment
-        if (!isValidPlatoon(record.platoon)) {
-            // Assign valid platoon based on category
-            if (category === 'NSF') {
-                record.platoon = getRandomElement(['Platoon 1', 'Platoon 2', 'Platoon 3']);
-            } else {
-                record.platoon = 'COY HQ';
-            }
-        }
+        // An unrecognised platoon is left for validateAndCleanPersonnelRecord to report
+        record.platoon = orgStructure.resolvePlatoon(record.platoon) || record.platoon;
+        record.unit = record.platoon;
         
         return record;
     }
@@ -1134,15 +1259,25 @@ class SofunDataProcessor {
      */
     validateAndCleanPersonnelRecord(person, warnings) {
         // Validate platoon
+        // Unrecognised platoons are never guessed: the record is left unassigned, with the value
+        // that was read, until someone picks its platoon in the platoon review (js/platoon-review.js)
         if (!isValidPlatoon(person.platoon)) {
-            warnings.push(`${person.name}: Invalid platoon "${person.platoon}", assigned to ${person.category === 'NSF' ? 'Platoon 1' : 'COY HQ'}`);
-            person.platoon = person.category === 'NSF' ? 'Platoon 1' : 'COY HQ';
+            const raw = person.platoon && person.platoon !== 'Unassigned' ? person.platoon : '';
+            if (raw) {
+                person.unmatchedPlatoon = raw;
+                warnings.push(`${person.name}: Platoon "${raw}" is not in the organisation structure; left unassigned for the platoon review`);
+            } else {
+                warnings.push(`${person.name}: No platoon; left unassigned for the platoon review`);
+            }
+            person.platoon = 'Unassigned';
+            person.unit = 'Unassigned';
         }
         
-        // Validate medical status
+        // Validate medical status; medical entries, when the file has them, decide it
         if (!MEDICAL_STATUS_OPTIONS.includes(person.medicalStatus)) {
             person.medicalStatus = 'Fit';
         }
+        medicalTracker.syncPerson(person);
         
         // Validate dates - allow future dates for ORD dates
         if (person.ordDate && !validateDateInput(person.ordDate, true)) {
@@ -1166,244 +1301,179 @@ class SofunDataProcessor {
     /* ---------- Excel Export ---------- */
 
     /**
-     * Download modified original Excel file (preserves original structure)
+     * Download the original workbook with the tracker's changes written into it. Only cells
+     * whose value changed are written, at the cells each value was imported from (importSources),
+     * so ORD and window dates go back to the VOC sheet columns they were read from.
+     * .xlsx files are patched in place and keep their styles, column widths, merged cells,
+     * conditional formatting and formulas; .xls files cannot be patched and are rebuilt from values.
      * @param {Array} personnelData - Updated personnel data
-     * @param {Object} originalWorkbook - Original Excel workbook
+     * @param {Object} originalWorkbook - Parsed original workbook (the values changes are compared with)
      * @param {string} originalFileName - Original filename
+     * @param {ArrayBuffer} [originalFileData] - Original file contents, needed to keep the formatting
+     * @returns {Object|null} { filename, cellsWritten, formulaCells, notInWorkbook, preserved }, or null on failure
      */
-    downloadModifiedExcel(personnelData, originalWorkbook, originalFileName) {
-        try {
-            console.log('Generating modified Excel export (preserving original structure)...');
-            
-            if (!originalWorkbook) {
-                throw new Error('No original workbook available. Please import an Excel file first.');
-            }
-            
-            // Clone the original workbook to avoid modifying the stored copy
-            const wb = XLSX.utils.book_new();
-            Object.keys(originalWorkbook.Sheets).forEach(sheetName => {
-                const originalSheet = originalWorkbook.Sheets[sheetName];
-                const clonedSheet = XLSX.utils.aoa_to_sheet(XLSX.utils.sheet_to_json(originalSheet, { header: 1 }));
-                wb.SheetNames.push(sheetName);
-                wb.Sheets[sheetName] = clonedSheet;
-            });
-            
-            // Update the 'All in one view' sheet with current data
-            this.updateAllInOneViewSheet(wb, personnelData);
-            
-            // Update individual assessment sheets with current data
-            this.updateAssessmentSheets(wb, personnelData);
-            
-            // Generate filename with "Modified" prefix and timestamp
-            const timestamp = new Date().toISOString().split('T')[0];
-            const fileBaseName = originalFileName.replace(/\.[^/.]+$/, ""); // Remove extension
-            const filename = `Modified_${fileBaseName}_${timestamp}.xlsx`;
-            
-            // Download the modified file
-            XLSX.writeFile(wb, filename);
-            
-            console.log(`✅ Modified Excel export completed: ${filename}`);
-            storage.addAuditEntry(`Downloaded modified Excel file: ${filename}`);
-            
-            return filename;
-            
-        } catch (error) {
-            logError('Modified Excel export failed', error);
-            showErrorMessage('Failed to generate modified Excel file: ' + error.message);
-            return null;
-        }
-    }
-
-    /**
-     * Update the 'All in one view' sheet with current personnel data
-     * @param {Object} wb - Workbook object
-     * @param {Array} personnelData - Current personnel data
-     */
-    updateAllInOneViewSheet(wb, personnelData) {
-        const sheetName = wb.SheetNames.find(name => 
-            name.trim().toLowerCase() === 'all in one view'
-        );
-        
-        if (!sheetName) {
-            console.warn('All in one view sheet not found for update');
-            return;
-        }
-        
-        const sheet = wb.Sheets[sheetName];
-        const data = XLSX.utils.sheet_to_json(sheet, { header: 1 });
-        
-        // Find header row (should contain 'Name' or similar)
-        const headerRowIndex = data.findIndex(row => 
-            row.some(cell => cell && cell.toString().toLowerCase().includes('name'))
-        );
-        
-        if (headerRowIndex === -1) {
-            console.warn('Could not find header row in All in one view sheet');
-            return;
-        }
-        
-        const headers = data[headerRowIndex];
-        
-        // Map column indices
-        const columnMap = {};
-        headers.forEach((header, index) => {
-            if (header) {
-                const headerStr = header.toString().toLowerCase().trim();
-                if (headerStr.includes('name')) columnMap.name = index;
-                if (headerStr.includes('platoon')) columnMap.platoon = index;
-                if (headerStr.includes('pes')) columnMap.pes = index;
-                if (headerStr.includes('ord')) columnMap.ordDate = index;
-                if (headerStr.includes('medical')) columnMap.medicalStatus = index;
-            }
-        });
-        
-        // Update data rows with current personnel data
-        const newData = [...data];
-        
-        // Clear existing data rows (keep headers)
-        newData.splice(headerRowIndex + 1);
-        
-        // Add updated personnel data
-        personnelData.forEach(person => {
-            const row = new Array(headers.length).fill('');
-            if (columnMap.name !== undefined) row[columnMap.name] = person.name || '';
-            if (columnMap.platoon !== undefined) row[columnMap.platoon] = person.platoon || '';
-            if (columnMap.pes !== undefined) row[columnMap.pes] = person.pes || '';
-            if (columnMap.ordDate !== undefined) row[columnMap.ordDate] = person.ordDate || '';
-            if (columnMap.medicalStatus !== undefined) row[columnMap.medicalStatus] = person.medicalStatus || 'Fit';
-            newData.push(row);
-        });
-        
-        // Replace the sheet with updated data
-        wb.Sheets[sheetName] = XLSX.utils.aoa_to_sheet(newData);
-        console.log(`Updated 'All in one view' sheet with ${personnelData.length} personnel records`);
-    }
-
-    /**
-     * Update individual assessment sheets (IPPT, VOC, RANGE) with current data
-     * @param {Object} wb - Workbook object
-     * @param {Array} personnelData - Current personnel data
-     */
-    updateAssessmentSheets(wb, personnelData) {
-        const assessmentSheets = ['ippt', 'voc', 'range'];
-        
-        assessmentSheets.forEach(assessmentType => {
-            const sheetName = wb.SheetNames.find(name => 
-                name.trim().toLowerCase() === assessmentType
-            );
-            
-            if (sheetName) {
-                this.updateAssessmentSheet(wb, sheetName, assessmentType, personnelData);
-            }
-        });
-    }
-
-    /**
-     * Update a specific assessment sheet
-     * @param {Object} wb - Workbook object
-     * @param {string} sheetName - Sheet name
-     * @param {string} assessmentType - Type of assessment (ippt, voc, range)
-     * @param {Array} personnelData - Current personnel data
-     */
-    updateAssessmentSheet(wb, sheetName, assessmentType, personnelData) {
+    downloadModifiedExcel(personnelData, originalWorkbook, originalFileName, originalFileData) {
         try {
-            const sheet = wb.Sheets[sheetName];
-            const data = XLSX.utils.sheet_to_json(sheet, { header: 1 });
-            
-            // Find header row
-            const headerRowIndex = data.findIndex(row => 
-                row.some(cell => cell && cell.toString().toLowerCase().includes('name'))
-            );
+            console.log('Generating modified Excel export (preserving original structure)...');
             
-            if (headerRowIndex === -1) {
-                console.warn(`Could not find header row in ${sheetName} sheet`);
-                return;
+            if (!originalWorkbook) {
+                throw new Error('No original workbook available. Please import an Excel file first.');
             }
             
-            const headers = data[headerRowIndex];
-            const nameColumnIndex = headers.findIndex(header => 
-                header && header.toString().toLowerCase().includes('name')
-            );
+            const { changes, notInWorkbook } = this.collectWorkbookChanges(personnelData, originalWorkbook);
             
-            if (nameColumnIndex === -1) {
-                console.warn(`Could not find name column in ${sheetName} sheet`);
-                return;
-            }
+            // Generate filename with "Modified" prefix and timestamp
+            const timestamp = getTodayDateOnly();
+            const fileBaseName = originalFileName.replace(/\.[^/.]+$/, ""); // Remove extension
+            const filename = `Modified_${fileBaseName}_${timestamp}.xlsx`;
+            const result = { filename, cellsWritten: 0, formulaCells: 0, notInWorkbook, preserved: false };
             
-            // Update existing rows with current data
-            for (let rowIndex = headerRowIndex + 1; rowIndex < data.length; rowIndex++) {
-                const row = data[rowIndex];
-                if (!row || !row[nameColumnIndex]) continue;
-                
-                const personName = row[nameColumnIndex].toString().trim();
-                const person = personnelData.find(p => p.name === personName);
-                
-                if (person) {
-                    // Update assessment data based on type
-                    this.updateAssessmentRowData(row, headers, person, assessmentType);
+            let patched = null;
+            if (originalFileData && SofunWorkbookPatcher.canPatch(originalFileName)) {
+                try {
+                    const patcher = new SofunWorkbookPatcher(originalFileData);
+                    changes.forEach(change => {
+                        if (patcher.setCellValue(change.sheet, change.address, change.value, { date: change.isDate })) {
+                            result.cellsWritten++;
+                        } else {
+                            result.formulaCells++;
+                        }
+                    });
+                    if (result.cellsWritten > 0) patcher.requestFullCalculation();
+                    patched = patcher.toArray();
+                    result.preserved = true;
+                } catch (patchError) {
+                    console.warn('Could not patch the original workbook, rebuilding it instead:', patchError.message);
+                    Object.assign(result, { cellsWritten: 0, formulaCells: 0 });
                 }
             }
+
+            if (patched) {
+                this.saveWorkbookFile(patched, filename);
+            } else {
+                const wb = this.createRebuiltModifiedWorkbook(originalWorkbook, changes);
+                result.cellsWritten = changes.length;
+                XLSX.writeFile(wb, filename);
+            }
             
-            // Replace the sheet with updated data
-            wb.Sheets[sheetName] = XLSX.utils.aoa_to_sheet(data);
-            console.log(`Updated ${sheetName} sheet`);
+            console.log(`✅ Modified Excel export completed: ${filename} (${result.cellsWritten} cells updated)`);
+            return result;
             
         } catch (error) {
-            console.warn(`Failed to update ${sheetName} sheet:`, error);
+            logError('Modified Excel export failed', error);
+            showErrorMessage('Failed to generate modified Excel file: ' + error.message);
+            return null;
         }
     }
 
     /**
-     * Update assessment row data based on assessment type
-     * @param {Array} row - Row data
-     * @param {Array} headers - Header row
-     * @param {Object} person - Personnel data
-     * @param {string} assessmentType - Type of assessment
+     * Cells of the original workbook whose value differs from the tracker's data.
+     * Only fields with a recorded source cell can be written back. Service numbers are stored
+     * masked and platoons come from header rows, so neither is written. An attempt history is
+     * not written either; the result goes back to the cell of the attempt that gives it.
+     * @param {Array} personnelData - Personnel data
+     * @param {Object} originalWorkbook - Parsed original workbook
+     * @returns {Object} { changes: [{ sheet, address, path, value, isDate }], notInWorkbook }
      */
-    updateAssessmentRowData(row, headers, person, assessmentType) {
-        headers.forEach((header, columnIndex) => {
-            if (!header) return;
-            
-            const headerStr = header.toString().toLowerCase().trim();
-            
-            // Update based on assessment type and header content
-            if (assessmentType === 'ippt') {
-                if (headerStr.includes('y1') && headerStr.includes('result')) {
-                    row[columnIndex] = person.y1?.ippt || '';
-                } else if (headerStr.includes('y2') && headerStr.includes('result')) {
-                    row[columnIndex] = person.y2?.ippt || '';
-                } else if (headerStr.includes('y1') && headerStr.includes('date')) {
-                    row[columnIndex] = person.y1?.ipptDate || '';
-                } else if (headerStr.includes('y2') && headerStr.includes('date')) {
-                    row[columnIndex] = person.y2?.ipptDate || '';
-                }
-            } else if (assessmentType === 'voc') {
-                if (headerStr.includes('y1') && headerStr.includes('result')) {
-                    row[columnIndex] = person.y1?.voc || '';
-                } else if (headerStr.includes('y2') && headerStr.includes('result')) {
-                    row[columnIndex] = person.y2?.voc || '';
-                } else if (headerStr.includes('y1') && headerStr.includes('date')) {
-                    row[columnIndex] = person.y1?.vocDate || '';
-                } else if (headerStr.includes('y2') && headerStr.includes('date')) {
-                    row[columnIndex] = person.y2?.vocDate || '';
-                }
-            } else if (assessmentType === 'range') {
-                if (headerStr.includes('y2') && headerStr.includes('result')) {
-                    row[columnIndex] = person.y2?.range || '';
-                } else if (headerStr.includes('y2') && headerStr.includes('date')) {
-                    row[columnIndex] = person.y2?.rangeDate || '';
-                }
-            }
-            
-            // Update common fields
-            if (headerStr.includes('platoon')) {
-                row[columnIndex] = person.platoon || '';
-            } else if (headerStr.includes('pes')) {
-                row[columnIndex] = person.pes || '';
-            } else if (headerStr.includes('medical')) {
-                row[columnIndex] = person.medicalStatus || 'Fit';
+    collectWorkbookChanges(personnelData, originalWorkbook) {
+        const changes = [];
+        let notInWorkbook = 0;
+
+        personnelData.forEach(person => {
+            const sources = Object.entries(person.importSources || {})
+                .filter(([path, source]) => !['serviceNumber', 'platoon'].includes(path) && !/Attempts$/.test(path)
+                    && originalWorkbook.Sheets[source.sheet]);
+            if (sources.length === 0) {
+                notInWorkbook++;
+                return;
             }
+
+            sources.forEach(([path, source]) => {
+                const cell = originalWorkbook.Sheets[source.sheet][source.cell];
+                const change = this.getCellChange(path, cell, getNestedValue(person, path), person.category);
+                if (change) {
+                    changes.push({ sheet: source.sheet, address: XLSX.utils.decode_cell(source.cell), path, ...change });
+                }
+            });
+        });
+
+        return { changes, notInWorkbook };
+    }
+
+    /**
+     * Compare one tracker value with the cell it was imported from
+     * @param {string} path - Field path
+     * @param {Object} [cell] - SheetJS cell of the original workbook
+     * @param {*} value - Tracker value
+     * @param {string} category - Person's category
+     * @returns {Object|null} { value, isDate } to write, or null if the cell already agrees
+     */
+    getCellChange(path, cell, value, category) {
+        const cellText = cell && cell.v !== undefined && cell.v !== null ? String(cell.v).trim() : '';
+
+        if (/Date$/.test(path)) {
+            const date = toDateOnly(value) || '';
+            if ((this.parseDateCell(cell?.v) || '') === date) return null;
+            if (!date) return { value: '', isDate: false };
+            // Dates typed as text stay text; real date cells get a serial number
+            return cell?.t === 's' ? { value: formatDate(date), isDate: false } : { value: toExcelSerial(date), isDate: true };
+        }
+
+        const text = value === null || value === undefined ? '' : String(value).trim();
+        let current = cellText;
+        const field = columnMapper.getResultFields().find(resultField => resultField.key === path);
+        if (field) {
+            const normalised = normalizeGrade(cellText, getGradeType(field.test));
+            // A result the import could not read was never taken in; a blank here does not clear it
+            if (!normalised.recognised && !text) return null;
+            current = normalised.recognised ? normalised.grade : cellText;
+        } else if (path === 'name') {
+            current = sanitizePersonnelName(cellText);
+        } else if (path === 'category') {
+            current = cellText.toUpperCase().includes('REG') ? 'Regular' : 'NSF';
+            return current === category ? null : { value: category === 'Regular' ? 'REGULAR' : 'NSF', isDate: false };
+        }
+
+        return current.toUpperCase() === text.toUpperCase() ? null : { value: text, isDate: false };
+    }
+
+    /**
+     * Copy of the original workbook's values with the changes applied (for .xls files,
+     * whose formatting cannot be kept). Merged cells are kept.
+     * @param {Object} originalWorkbook - Parsed original workbook
+     * @param {Array} changes - Changes from collectWorkbookChanges
+     * @returns {Object} SheetJS workbook
+     */
+    createRebuiltModifiedWorkbook(originalWorkbook, changes) {
+        const wb = XLSX.utils.book_new();
+        originalWorkbook.SheetNames.forEach(sheetName => {
+            const originalSheet = originalWorkbook.Sheets[sheetName];
+            const sheet = XLSX.utils.aoa_to_sheet(XLSX.utils.sheet_to_json(originalSheet, { header: 1, raw: true }), { cellDates: true, dateNF: DATE_CONFIG.excelFormat });
+            if (originalSheet['!merges']) sheet['!merges'] = originalSheet['!merges'];
+            if (originalSheet['!cols']) sheet['!cols'] = originalSheet['!cols'];
+            XLSX.utils.book_append_sheet(wb, sheet, sheetName);
+        });
+
+        changes.forEach(change => {
+            const value = change.isDate ? dateOnlyToDate(toDateOnly(change.value)) : change.value;
+            XLSX.utils.sheet_add_aoa(wb.Sheets[change.sheet], [[value === '' ? null : value]], { origin: change.address, cellDates: true, dateNF: DATE_CONFIG.excelFormat });
         });
+        return wb;
+    }
+
+    /**
+     * Download a patched .xlsx file
+     * @param {Uint8Array} data - File contents
+     * @param {string} filename - Download name
+     */
+    saveWorkbookFile(data, filename) {
+        const blob = new Blob([data], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.click();
+        URL.revokeObjectURL(url);
     }
 
     /**
@@ -1423,6 +1493,7 @@ class SofunDataProcessor {
             this.createPlatoonAnalysisSheet(wb, personnelData);
             this.createAssessmentProgressSheet(wb, personnelData);
             this.createOverdueAssessmentsSheet(wb, personnelData);
+            this.createRemedialTrainingSheet(wb, personnelData);
             this.createCompletionRatesSheet(wb, personnelData);
             this.createTrendAnalysisSheet(wb, personnelData);
             
@@ -1433,7 +1504,7 @@ class SofunDataProcessor {
             this.createAuditSheet(wb, auditLog);
             
             // Download the file
-            const filename = `SOFUN_Tracker_Complete_Dashboard_v${APP_CONFIG.version}_${new Date().toISOString().split('T')[0]}.xlsx`;
+            const filename = `SOFUN_Tracker_Complete_Dashboard_v${APP_CONFIG.version}_${getTodayDateOnly()}.xlsx`;
             XLSX.writeFile(wb, filename);
             
             console.log(`✅ Comprehensive Excel export completed: ${filename}`);
@@ -1445,13 +1516,170 @@ class SofunDataProcessor {
         }
     }
 
+    /**
+     * Download the personnel dataset as CSV, one file per category, with the column headers in
+     * PERSONNEL_CSV_COLUMNS (js/utils.js). Dates are written as YYYY-MM-DD, IPPT run times as m:ss,
+     * range hits as 7/8/6/8, and posted-out personnel are left out. A category with no personnel produces no file.
+     * @param {Array} personnelData - Personnel data to export
+     * @returns {Array<string>|null} Downloaded file names, or null on failure
+     */
+    downloadCsv(personnelData) {
+        try {
+            const activePersonnel = personnelData.filter(p => isActivePersonnel(p));
+            const filenames = [];
+
+            Object.entries(PERSONNEL_CSV_COLUMNS).forEach(([category, columns]) => {
+                const personnel = activePersonnel.filter(p => p.category === category);
+                if (personnel.length === 0) return;
+
+                const rows = [
+                    columns.map(column => column.header),
+                    ...personnel.map(person => columns.map(column => this.getCsvValue(person, column.path)))
+                ];
+                const wb = XLSX.utils.book_new();
+                XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(rows), category);
+
+                const filename = `SOFUN_${category === 'Regular' ? 'Regulars' : category}_${getTodayDateOnly()}.csv`;
+                XLSX.writeFile(wb, filename, { bookType: 'csv' });
+                filenames.push(filename);
+            });
+
+            if (filenames.length === 0) {
+                throw new Error('No active personnel to export');
+            }
+
+            console.log(`✅ CSV export completed: ${filenames.join(', ')}`);
+            return filenames;
+        } catch (error) {
+            logError('CSV export failed', error);
+            showErrorMessage('Failed to generate CSV files: ' + error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Value of one CSV export column for a person
+     * @param {Object} person - Personnel record
+     * @param {string} path - Column path from PERSONNEL_CSV_COLUMNS ('status' is computed)
+     * @returns {string} Cell text
+     */
+    getCsvValue(person, path) {
+        if (path === 'status') return getPersonStatus(person).text;
+        const value = getNestedValue(person, path);
+        if (/Date$/.test(path)) return toDateOnly(value) || '';
+        if (/\.ipptScore\./.test(path)) return ipptCalculator.formatScoreValue(path.split('.').pop(), value);
+        if (/Shoot\./.test(path)) return rangeClassifier.formatShootValue(path.split('.').pop(), value);
+        if (/Attempts$/.test(path)) return attemptHistory.formatHistory(value);
+        if (path === 'medicalEntries') return medicalTracker.formatEntries(value);
+        return value === null || value === undefined ? '' : String(value);
+    }
+
+    /* ---------- Blank Template ---------- */
+
+    /**
+     * Download an empty "All in one view" workbook for a new unit. Columns sit at the default
+     * positions of the column mapper's All in one view and VOC layouts (tests without a legacy
+     * position follow column O), with a header row for each platoon of the organisation structure
+     * and blank rows under it. Result cells get dropdowns from the test's grade scale (GRADE_SCALES),
+     * so a filled-in template imports without warnings.
+     * @param {number} [rowsPerPlatoon] - Blank person rows under each platoon header
+     * @returns {string|null} Downloaded file name, or null on failure
+     */
+    downloadBlankTemplate(rowsPerPlatoon = 15) {
+        try {
+            let nextColumn = Math.max(...columnMapper.getResultFields().map(field => field.defaultIndex)) + 1;
+            const resultFields = columnMapper.getResultFields().map(field => ({
+                ...field,
+                column: field.defaultIndex >= 0 ? field.defaultIndex : nextColumn++
+            }));
+            const width = nextColumn;
+            const groupRow = new Array(width).fill('');
+            const headerRow = ['PLATOON', 'RANK', 'NAME', 'PES', 'SERVICE', ...new Array(width - 5).fill('')];
+            const merges = [];
+            resultFields.forEach(field => {
+                // The phase goes in a merged group row above the tests next to each other
+                const group = ASSESSMENT_PHASES.find(phase => phase.key === field.phase).label.toUpperCase();
+                headerRow[field.column] = getAssessmentTest(field.test).label.toUpperCase();
+                const merge = merges.find(range => range.group === group && range.e.c === field.column - 1);
+                if (merge) {
+                    merge.e.c = field.column;
+                } else {
+                    groupRow[field.column] = group;
+                    merges.push({ group, s: { r: 2, c: field.column }, e: { r: 2, c: field.column } });
+                }
+            });
+
+            // Both sheets share the platoon blocks, so a block can be copied between them
+            const dataStartRow = 4;
+            const platoonRows = [];
+            const blockRows = [];
+            orgStructure.getPlatoonNames().forEach(platoon => {
+                platoonRows.push(dataStartRow + blockRows.length);
+                blockRows.push([platoon.toUpperCase()]);
+                for (let i = 0; i < rowsPerPlatoon; i++) blockRows.push([]);
+            });
+            const lastRow = dataStartRow + blockRows.length - 1;
+            const columnRange = c => XLSX.utils.encode_range({ s: { r: dataStartRow, c }, e: { r: lastRow, c } });
+
+            const allInOne = XLSX.utils.aoa_to_sheet([
+                ['SOFUN TRACKER'],
+                ['One person per row under their platoon header. SERVICE is NSF or REGULAR (blank means NSF). Pick results from the dropdowns and leave untaken tests blank.'],
+                groupRow,
+                headerRow,
+                ...blockRows
+            ]);
+            allInOne['!merges'] = merges.map(({ s, e }) => ({ s, e }));
+            allInOne['!cols'] = headerRow.map((_, c) => ({ wch: [18, 8, 30, 6, 10][c] || 10 }));
+            allInOne['!ref'] = XLSX.utils.encode_range({ s: { r: 0, c: 0 }, e: { r: lastRow, c: width - 1 } });
+
+            // The VOC sheet is matched to people by name; its columns are those the VOC layout reads by default
+            const voc = XLSX.utils.aoa_to_sheet([
+                ['VOC'],
+                ['NSF only. Enter each name as on the All in one view sheet. Y2 last window can be left blank when it is the ORD date.'],
+                [],
+                ['PLATOON', 'RANK', 'NAME', '', '', 'Y1 LAST WINDOW', 'ORD DATE', 'Y2 LAST WINDOW'],
+                ...blockRows
+            ]);
+            voc['!cols'] = [18, 8, 30, 6, 6, 16, 16, 16].map(wch => ({ wch }));
+            voc['!ref'] = XLSX.utils.encode_range({ s: { r: 0, c: 0 }, e: { r: lastRow, c: 7 } });
+
+            const wb = XLSX.utils.book_new();
+            XLSX.utils.book_append_sheet(wb, allInOne, 'All in one view');
+            XLSX.utils.book_append_sheet(wb, voc, 'VOC');
+
+            // Dropdowns, date checks and shading are added to the written file (SheetJS cannot write them)
+            const patcher = new SofunWorkbookPatcher(XLSX.write(wb, { bookType: 'xlsx', type: 'array' }));
+            Object.entries(GRADE_SCALES).forEach(([type, list]) => {
+                const ranges = resultFields
+                    .filter(field => getGradeType(field.test) === type)
+                    .map(field => columnRange(field.column));
+                if (ranges.length > 0) patcher.addDataValidation('All in one view', ranges, { list });
+            });
+            patcher.addDataValidation('All in one view', [columnRange(4)], { list: ['NSF', 'REGULAR'] });
+            patcher.addDataValidation('VOC', [5, 6, 7].map(columnRange), { date: true });
+            ['All in one view', 'VOC'].forEach(sheetName => {
+                patcher.highlightRows(sheetName, [2, 3], 'FFD9D9D9');
+                patcher.highlightRows(sheetName, platoonRows, 'FFFFF2CC');
+            });
+
+            const filename = `SOFUN_Template_${getTodayDateOnly()}.xlsx`;
+            this.saveWorkbookFile(patcher.toArray(), filename);
+            console.log(`✅ Blank template downloaded: ${filename}`);
+            return filename;
+        } catch (error) {
+            logError('Template generation failed', error);
+            showErrorMessage('Failed to generate the blank template: ' + error.message);
+            return null;
+        }
+    }
+
     /**
      * Create main dashboard summary sheet
      * @param {Object} wb - Workbook object
      * @param {Array} personnelData - Personnel data
      */
     createMainDashboardSheet(wb, personnelData) {
-        const activePersonnel = personnelData.filter(p => !p.isORD);
+        const activePersonnel = personnelData.filter(p => isActivePersonnel(p));
         
         const dashboardData = [
             ['SOFUN Tracker - Main Dashboard Summary v' + APP_CONFIG.version, '', '', '', '', '', '', ''],
@@ -1466,66 +1694,91 @@ class SofunDataProcessor {
         XLSX.utils.book_append_sheet(wb, dashboardWS, 'Main_Dashboard');
     }
 
+    /**
+     * Phases and tests of the assessment registry as listed in the summary sheets: Y2 first,
+     * as it is the phase most personnel are in, then Y1 and Work Year
+     * @returns {Array<Object>} { phase, test, label } with entries of ASSESSMENT_PHASES and ASSESSMENT_REGISTRY
+     */
+    getSheetAssessments() {
+        return ['y2', 'y1', 'workYear'].flatMap(phaseKey => {
+            const phase = ASSESSMENT_PHASES.find(entry => entry.key === phaseKey);
+            return getPhaseTests(phaseKey).map(test => ({ phase, test, label: `${phase.label} ${test.label}` }));
+        });
+    }
+
+    /**
+     * Personnel whose category takes a phase
+     * @param {Array} personnel - Personnel data
+     * @param {Object} phase - Entry of ASSESSMENT_PHASES
+     * @returns {Array} Personnel of the phase's category
+     */
+    getPhasePersonnel(personnel, phase) {
+        return personnel.filter(p => (p.category === 'Regular' ? 'Regular' : 'NSF') === phase.category);
+    }
+
+    /**
+     * Whether every phase of a person's category is complete
+     * @param {Object} person - Personnel record
+     * @returns {boolean} True if complete
+     */
+    isOverallComplete(person) {
+        return getCategoryPhases(person.category).every(phase => isPhaseComplete(person, phase.key));
+    }
+
+    /**
+     * Grades above a plain pass on a scale (Gold and Silver, Marksman and Sharpshooter)
+     * @param {string} scale - Key of GRADE_SCALES
+     * @returns {Array<string>} Grades, best first
+     */
+    getDistinctionGrades(scale) {
+        return (GRADE_SCALES[scale] || []).filter(grade => grade !== 'Pass' && grade !== 'Fail');
+    }
+
     /**
      * Create comprehensive statistics sheet
      * @param {Object} wb - Workbook object
      * @param {Array} personnelData - Personnel data
      */
     createStatisticsSheet(wb, personnelData) {
-        const activePersonnel = personnelData.filter(p => !p.isORD);
+        const activePersonnel = personnelData.filter(p => isActivePersonnel(p));
         const nsfPersonnel = activePersonnel.filter(p => p.category === 'NSF');
         const regularPersonnel = activePersonnel.filter(p => p.category === 'Regular');
+        const row = (label, value = '') => [label, value, '', '', '', '', '', ''];
+
+        // One block per phase with a row per grade of each test
+        const assessmentRows = ['y2', 'y1', 'workYear'].flatMap(phaseKey => {
+            const phase = ASSESSMENT_PHASES.find(entry => entry.key === phaseKey);
+            const phasePersonnel = this.getPhasePersonnel(activePersonnel, phase);
+            return [
+                row(`${phase.label} Assessment Statistics`),
+                ...getPhaseTests(phaseKey).flatMap(test => [
+                    ...GRADE_SCALES[test.scale].map(grade => row(`${phase.label} ${test.label} ${grade}`,
+                        phasePersonnel.filter(p => p[phaseKey]?.[test.key] === grade).length)),
+                    row(`${phase.label} ${test.label} Pending`,
+                        phasePersonnel.filter(p => !hasAssessmentResult(p[phaseKey]?.[test.key])).length)
+                ]),
+                row('')
+            ];
+        });
         
         const statsData = [
-            ['SOFUN Tracker - Comprehensive Statistics', '', '', '', '', '', '', ''],
-            ['Generated on:', new Date().toLocaleDateString(), '', '', '', '', '', ''],
-            ['', '', '', '', '', '', '', ''],
-            ['Overall Statistics', '', '', '', '', '', '', ''],
-            ['Total Active Personnel', activePersonnel.length, '', '', '', '', '', ''],
-            ['NSF Personnel', nsfPersonnel.length, '', '', '', '', '', ''],
-            ['Regular Personnel', regularPersonnel.length, '', '', '', '', '', ''],
-            ['', '', '', '', '', '', '', ''],
-            ['Y2 Assessment Statistics', '', '', '', '', '', '', ''],
-            ['Y2 IPPT Gold', activePersonnel.filter(p => p.y2?.ippt === 'Gold').length, '', '', '', '', '', ''],
-            ['Y2 IPPT Silver', activePersonnel.filter(p => p.y2?.ippt === 'Silver').length, '', '', '', '', '', ''],
-            ['Y2 IPPT Pass', activePersonnel.filter(p => p.y2?.ippt === 'Pass').length, '', '', '', '', '', ''],
-            ['Y2 IPPT Fail', activePersonnel.filter(p => p.y2?.ippt === 'Fail').length, '', '', '', '', '', ''],
-            ['Y2 IPPT Pending', activePersonnel.filter(p => !p.y2?.ippt).length, '', '', '', '', '', ''],
-            ['Y2 VOC Pass', activePersonnel.filter(p => p.y2?.voc === 'Pass').length, '', '', '', '', '', ''],
-            ['Y2 VOC Fail', activePersonnel.filter(p => p.y2?.voc === 'Fail').length, '', '', '', '', '', ''],
-            ['Y2 VOC Pending', activePersonnel.filter(p => !p.y2?.voc).length, '', '', '', '', '', ''],
-            ['Y2 Range Marksman', activePersonnel.filter(p => p.y2?.range === 'Marksman').length, '', '', '', '', '', ''],
-            ['Y2 Range Sharpshooter', activePersonnel.filter(p => p.y2?.range === 'Sharpshooter').length, '', '', '', '', '', ''],
-            ['Y2 Range Pass', activePersonnel.filter(p => p.y2?.range === 'Pass').length, '', '', '', '', '', ''],
-            ['Y2 Range Fail', activePersonnel.filter(p => p.y2?.range === 'Fail').length, '', '', '', '', '', ''],
-            ['Y2 Range Pending', activePersonnel.filter(p => !p.y2?.range).length, '', '', '', '', '', ''],
-            ['', '', '', '', '', '', '', ''],
-            ['Y1 Assessment Statistics', '', '', '', '', '', '', ''],
-            ['Y1 IPPT Gold', activePersonnel.filter(p => p.y1?.ippt === 'Gold').length, '', '', '', '', '', ''],
-            ['Y1 IPPT Silver', activePersonnel.filter(p => p.y1?.ippt === 'Silver').length, '', '', '', '', '', ''],
-            ['Y1 IPPT Pass', activePersonnel.filter(p => p.y1?.ippt === 'Pass').length, '', '', '', '', '', ''],
-            ['Y1 IPPT Fail', activePersonnel.filter(p => p.y1?.ippt === 'Fail').length, '', '', '', '', '', ''],
-            ['Y1 IPPT Pending', activePersonnel.filter(p => !p.y1?.ippt).length, '', '', '', '', '', ''],
-            ['Y1 VOC Pass', activePersonnel.filter(p => p.y1?.voc === 'Pass').length, '', '', '', '', '', ''],
-            ['Y1 VOC Fail', activePersonnel.filter(p => p.y1?.voc === 'Fail').length, '', '', '', '', '', ''],
-            ['Y1 VOC Pending', activePersonnel.filter(p => !p.y1?.voc).length, '', '', '', '', '', ''],
-            ['Y1 ATP Pass', activePersonnel.filter(p => p.y1?.atp === 'Pass').length, '', '', '', '', '', ''],
-            ['Y1 ATP Fail', activePersonnel.filter(p => p.y1?.atp === 'Fail').length, '', '', '', '', '', ''],
-            ['Y1 ATP Pending', activePersonnel.filter(p => !p.y1?.atp).length, '', '', '', '', '', ''],
-            ['', '', '', '', '', '', '', ''],
-            ['Completion Statistics', '', '', '', '', '', '', ''],
-            ['Y1 Complete', activePersonnel.filter(p => p.y1?.ippt && p.y1?.voc && p.y1?.atp).length, '', '', '', '', '', ''],
-            ['Y2 Complete', activePersonnel.filter(p => p.y2?.ippt && p.y2?.voc && p.y2?.range).length, '', '', '', '', '', ''],
-            ['Overall Complete', activePersonnel.filter(p => 
-                (p.y1?.ippt && p.y1?.voc && p.y1?.atp) && (p.y2?.ippt && p.y2?.voc && p.y2?.range)
-            ).length, '', '', '', '', '', '', ''],
-            ['', '', '', '', '', '', '', ''],
-            ['Medical Status Statistics', '', '', '', '', '', '', ''],
-            ['Fit', activePersonnel.filter(p => p.medicalStatus === 'Fit').length, '', '', '', '', '', ''],
-            ['Light Duty', activePersonnel.filter(p => p.medicalStatus === 'Light Duty').length, '', '', '', '', '', ''],
-            ['Excused IPPT', activePersonnel.filter(p => p.medicalStatus === 'Excused IPPT').length, '', '', '', '', '', ''],
-            ['Medical Board', activePersonnel.filter(p => p.medicalStatus === 'Medical Board').length, '', '', '', '', '', ''],
-            ['Not Specified', activePersonnel.filter(p => !p.medicalStatus).length, '', '', '', '', '', '']
+            row('SOFUN Tracker - Comprehensive Statistics'),
+            row('Generated on:', new Date().toLocaleDateString()),
+            row(''),
+            row('Overall Statistics'),
+            row('Total Active Personnel', activePersonnel.length),
+            row('NSF Personnel', nsfPersonnel.length),
+            row('Regular Personnel', regularPersonnel.length),
+            row(''),
+            ...assessmentRows,
+            row('Completion Statistics'),
+            ...ASSESSMENT_PHASES.map(phase => row(`${phase.label} Complete`,
+                this.getPhasePersonnel(activePersonnel, phase).filter(p => isPhaseComplete(p, phase.key)).length)),
+            row('Overall Complete', activePersonnel.filter(p => this.isOverallComplete(p)).length),
+            row(''),
+            row('Medical Status Statistics'),
+            ...MEDICAL_STATUS_OPTIONS.map(status => row(status, activePersonnel.filter(p => p.medicalStatus === status).length)),
+            row('Not Specified', activePersonnel.filter(p => !p.medicalStatus).length)
         ];
         
         const statsWS = XLSX.utils.aoa_to_sheet(statsData);
@@ -1538,23 +1791,21 @@ class SofunDataProcessor {
      * @param {Array} personnelData - Personnel data
      */
     createPlatoonAnalysisSheet(wb, personnelData) {
-        const activePersonnel = personnelData.filter(p => !p.isORD);
+        const activePersonnel = personnelData.filter(p => isActivePersonnel(p));
         const platoons = [...new Set(activePersonnel.map(p => p.platoon).filter(Boolean))];
         
         const platoonData = [
             ['SOFUN Tracker - Platoon Analysis', '', '', '', '', '', '', ''],
             ['Generated on:', new Date().toLocaleDateString(), '', '', '', '', '', ''],
             ['', '', '', '', '', '', '', ''],
-            ['Platoon', 'Total Personnel', 'NSF', 'Regular', 'Y1 Complete', 'Y2 Complete', 'Overall Complete', 'Medical Issues'],
+            ['Platoon', 'Total Personnel', 'NSF', 'Regular', ...ASSESSMENT_PHASES.map(phase => `${phase.label} Complete`), 'Overall Complete', 'Medical Issues'],
             ...platoons.map(platoon => {
                 const platoonPersonnel = activePersonnel.filter(p => p.platoon === platoon);
                 const nsfCount = platoonPersonnel.filter(p => p.category === 'NSF').length;
                 const regularCount = platoonPersonnel.filter(p => p.category === 'Regular').length;
-                const y1Complete = platoonPersonnel.filter(p => p.y1?.ippt && p.y1?.voc && p.y1?.atp).length;
-                const y2Complete = platoonPersonnel.filter(p => p.y2?.ippt && p.y2?.voc && p.y2?.range).length;
-                const overallComplete = platoonPersonnel.filter(p => 
-                    (p.y1?.ippt && p.y1?.voc && p.y1?.atp) && (p.y2?.ippt && p.y2?.voc && p.y2?.range)
-                ).length;
+                const phaseComplete = ASSESSMENT_PHASES.map(phase =>
+                    this.getPhasePersonnel(platoonPersonnel, phase).filter(p => isPhaseComplete(p, phase.key)).length);
+                const overallComplete = platoonPersonnel.filter(p => this.isOverallComplete(p)).length;
                 const medicalIssues = platoonPersonnel.filter(p => 
                     p.medicalStatus && p.medicalStatus !== 'Fit'
                 ).length;
@@ -1564,8 +1815,7 @@ class SofunDataProcessor {
                     platoonPersonnel.length,
                     nsfCount,
                     regularCount,
-                    y1Complete,
-                    y2Complete,
+                    ...phaseComplete,
                     overallComplete,
                     medicalIssues
                 ];
@@ -1582,61 +1832,29 @@ class SofunDataProcessor {
      * @param {Array} personnelData - Personnel data
      */
     createAssessmentProgressSheet(wb, personnelData) {
-        const activePersonnel = personnelData.filter(p => !p.isORD);
+        const activePersonnel = personnelData.filter(p => isActivePersonnel(p));
         
         const progressData = [
             ['SOFUN Tracker - Assessment Progress Analysis', '', '', '', '', '', '', ''],
             ['Generated on:', new Date().toLocaleDateString(), '', '', '', '', '', ''],
             ['', '', '', '', '', '', '', ''],
-            ['Assessment Type', 'Total Personnel', 'Completed', 'Pending', 'Pass Rate', 'Gold/Silver Rate', 'Average Grade', 'Notes'],
-            ['Y2 IPPT', activePersonnel.length, 
-             activePersonnel.filter(p => p.y2?.ippt).length,
-             activePersonnel.filter(p => !p.y2?.ippt).length,
-             this.calculatePassRate(activePersonnel, 'y2', 'ippt') + '%',
-             this.calculateGoldSilverRate(activePersonnel, 'y2', 'ippt') + '%',
-             this.calculateAverageGrade(activePersonnel, 'y2', 'ippt'),
-             'Fitness assessment'
-            ],
-            ['Y2 VOC', activePersonnel.length,
-             activePersonnel.filter(p => p.y2?.voc).length,
-             activePersonnel.filter(p => !p.y2?.voc).length,
-             this.calculatePassRate(activePersonnel, 'y2', 'voc') + '%',
-             'N/A',
-             this.calculateAverageGrade(activePersonnel, 'y2', 'voc'),
-             'Vocational assessment'
-            ],
-            ['Y2 Range', activePersonnel.length,
-             activePersonnel.filter(p => p.y2?.range).length,
-             activePersonnel.filter(p => !p.y2?.range).length,
-             this.calculatePassRate(activePersonnel, 'y2', 'range') + '%',
-             this.calculateMarksmanRate(activePersonnel, 'y2', 'range') + '%',
-             this.calculateAverageGrade(activePersonnel, 'y2', 'range'),
-             'Marksmanship assessment'
-            ],
-            ['Y1 IPPT', activePersonnel.length,
-             activePersonnel.filter(p => p.y1?.ippt).length,
-             activePersonnel.filter(p => !p.y1?.ippt).length,
-             this.calculatePassRate(activePersonnel, 'y1', 'ippt') + '%',
-             this.calculateGoldSilverRate(activePersonnel, 'y1', 'ippt') + '%',
-             this.calculateAverageGrade(activePersonnel, 'y1', 'ippt'),
-             'Initial fitness assessment'
-            ],
-            ['Y1 VOC', activePersonnel.length,
-             activePersonnel.filter(p => p.y1?.voc).length,
-             activePersonnel.filter(p => !p.y1?.voc).length,
-             this.calculatePassRate(activePersonnel, 'y1', 'voc') + '%',
-             'N/A',
-             this.calculateAverageGrade(activePersonnel, 'y1', 'voc'),
-             'Initial vocational assessment'
-            ],
-            ['Y1 ATP', activePersonnel.length,
-             activePersonnel.filter(p => p.y1?.atp).length,
-             activePersonnel.filter(p => !p.y1?.atp).length,
-             this.calculatePassRate(activePersonnel, 'y1', 'atp') + '%',
-             'N/A',
-             this.calculateAverageGrade(activePersonnel, 'y1', 'atp'),
-             'Advanced training assessment'
-            ]
+            ['Assessment Type', 'Total Personnel', 'Completed', 'Pending', 'Pass Rate', 'Gold/Silver or Marksman Rate', 'Average Grade', 'Notes'],
+            ...this.getSheetAssessments().map(({ phase, test, label }) => {
+                const phasePersonnel = this.getPhasePersonnel(activePersonnel, phase);
+                const completed = phasePersonnel.filter(p => hasAssessmentResult(p[phase.key]?.[test.key])).length;
+                return [
+                    label,
+                    phasePersonnel.length,
+                    completed,
+                    phasePersonnel.length - completed,
+                    this.calculatePassRate(phasePersonnel, phase.key, test.key) + '%',
+                    this.getDistinctionGrades(test.scale).length > 0
+                        ? this.calculateDistinctionRate(phasePersonnel, phase.key, test.key) + '%'
+                        : 'N/A',
+                    this.calculateAverageGrade(phasePersonnel, phase.key, test.key),
+                    [test.name, statusRules.getRequiredTests(null, phase.key).includes(test) ? '' : 'not counted toward completion'].filter(Boolean).join('; ')
+                ];
+            })
         ];
         
         const progressWS = XLSX.utils.aoa_to_sheet(progressData);
@@ -1644,12 +1862,13 @@ class SofunDataProcessor {
     }
 
     /**
-     * Create overdue assessments sheet
+     * Create overdue assessments sheet: every test the status rules require of a person that is not
+     * done yet (no result, or a Fail when a Fail counts as outstanding), in the phases of their category
      * @param {Object} wb - Workbook object
      * @param {Array} personnelData - Personnel data
      */
     createOverdueAssessmentsSheet(wb, personnelData) {
-        const activePersonnel = personnelData.filter(p => !p.isORD);
+        const activePersonnel = personnelData.filter(p => isActivePersonnel(p));
         
         const overdueData = [
             ['SOFUN Tracker - Overdue Assessments Report', '', '', '', '', '', '', ''],
@@ -1658,144 +1877,93 @@ class SofunDataProcessor {
             ['Name', 'Platoon', 'Category', 'Assessment Type', 'Last Test Date', 'Days Overdue', 'Status', 'Priority']
         ];
         
-        // Check for overdue assessments
         const overdueAssessments = [];
         
         activePersonnel.forEach(person => {
-            // Check Y2 assessments
-            if (!person.y2?.ippt) {
-                overdueAssessments.push([
-                    person.name,
-                    person.platoon || '',
-                    person.category,
-                    'Y2 IPPT',
-                    person.y2?.ipptDate || 'Not taken',
-                    'Overdue',
-                    'Pending',
-                    'High'
-                ]);
-            }
-            
-            if (!person.y2?.voc) {
-                overdueAssessments.push([
-                    person.name,
-                    person.platoon || '',
-                    person.category,
-                    'Y2 VOC',
-                    person.y2?.vocDate || 'Not taken',
-                    'Overdue',
-                    'Pending',
-                    'High'
-                ]);
-            }
-            
-            if (!person.y2?.range) {
-                overdueAssessments.push([
-                    person.name,
-                    person.platoon || '',
-                    person.category,
-                    'Y2 Range',
-                    person.y2?.rangeDate || 'Not taken',
-                    'Overdue',
-                    'Pending',
-                    'High'
-                ]);
-            }
-            
-            // Check Y1 assessments for NSF
-            if (person.category === 'NSF') {
-                if (!person.y1?.ippt) {
-                    overdueAssessments.push([
-                        person.name,
-                        person.platoon || '',
-                        person.category,
-                        'Y1 IPPT',
-                        person.y1?.ipptDate || 'Not taken',
-                        'Overdue',
-                        'Pending',
-                        'Medium'
-                    ]);
-                }
-                
-                if (!person.y1?.voc) {
-                    overdueAssessments.push([
-                        person.name,
-                        person.platoon || '',
-                        person.category,
-                        'Y1 VOC',
-                        person.y1?.vocDate || 'Not taken',
-                        'Overdue',
-                        'Pending',
-                        'Medium'
-                    ]);
-                }
-                
-                if (!person.y1?.atp) {
-                    overdueAssessments.push([
-                        person.name,
-                        person.platoon || '',
-                        person.category,
-                        'Y1 ATP',
-                        person.y1?.atpDate || 'Not taken',
-                        'Overdue',
-                        'Pending',
-                        'Medium'
-                    ]);
-                }
-            }
+            getCategoryPhases(person.category).forEach(phase => {
+                // Y1 results are from an earlier window, so they come after the current phase's
+                const priority = phase.key === 'y1' ? 'Medium' : 'High';
+                statusRules.getRequiredTests(person, phase.key)
+                    .filter(test => !statusRules.isTestDone(person, phase.key, test.key))
+                    .forEach(test => {
+                        overdueAssessments.push([
+                            person.name,
+                            person.platoon || '',
+                            person.category,
+                            `${phase.label} ${test.label}`,
+                            toExcelDate(person[phase.key]?.[`${test.key}Date`], 'Not taken'),
+                            'Overdue',
+                            person[phase.key]?.[test.key] === 'Fail' ? 'Fail' : 'Pending',
+                            priority
+                        ]);
+                    });
+            });
         });
         
         overdueData.push(...overdueAssessments);
         
-        const overdueWS = XLSX.utils.aoa_to_sheet(overdueData);
+        const overdueWS = XLSX.utils.aoa_to_sheet(overdueData, { dateNF: DATE_CONFIG.excelFormat });
         XLSX.utils.book_append_sheet(wb, overdueWS, 'Overdue_Assessments');
     }
 
+    /**
+     * Create remedial training sheet: every requirement of the active personnel, open ones first
+     * @param {Object} wb - Workbook object
+     * @param {Array} personnelData - Personnel data
+     */
+    createRemedialTrainingSheet(wb, personnelData) {
+        const rows = remedialTracker.getSheetRows(personnelData);
+        const remedialData = [
+            ['SOFUN Tracker - Remedial Training Report', '', '', '', '', '', '', '', '', '', ''],
+            ['Generated on:', new Date().toLocaleDateString(), '', '', '', '', '', '', '', '', ''],
+            ['Personnel outstanding:', remedialTracker.countOutstanding(personnelData.filter(p => isActivePersonnel(p))), '', '', '', '', '', '', '', '', ''],
+            ['', '', '', '', '', '', '', '', '', '', ''],
+            ...rows
+        ];
+
+        const remedialWS = XLSX.utils.aoa_to_sheet(remedialData, { dateNF: DATE_CONFIG.excelFormat });
+        remedialWS['!cols'] = rows[0].map((header, index) => ({ wch: index === 0 ? 30 : Math.max(12, header.length + 2) }));
+        XLSX.utils.book_append_sheet(wb, remedialWS, 'Remedial_Training');
+    }
+
     /**
      * Create completion rates sheet
      * @param {Object} wb - Workbook object
      * @param {Array} personnelData - Personnel data
      */
     createCompletionRatesSheet(wb, personnelData) {
-        const activePersonnel = personnelData.filter(p => !p.isORD);
+        const activePersonnel = personnelData.filter(p => isActivePersonnel(p));
+        const rate = (count, total) => total > 0 ? ((count / total) * 100).toFixed(1) + '%' : '0%';
+        
+        // Phases a category does not take are shown as N/A
+        const completionRow = (label, personnel, category) => {
+            const phaseComplete = ASSESSMENT_PHASES.map(phase => (!category || phase.category === category)
+                ? this.getPhasePersonnel(personnel, phase).filter(p => isPhaseComplete(p, phase.key)).length
+                : 'N/A');
+            const overallComplete = personnel.filter(p => this.isOverallComplete(p)).length;
+            return [
+                label,
+                personnel.length,
+                ...phaseComplete,
+                overallComplete,
+                ...phaseComplete.map(count => count === 'N/A' ? 'N/A' : rate(count, personnel.length)),
+                rate(overallComplete, personnel.length)
+            ];
+        };
         
         const completionData = [
             ['SOFUN Tracker - Completion Rates Analysis', '', '', '', '', '', '', ''],
             ['Generated on:', new Date().toLocaleDateString(), '', '', '', '', '', ''],
             ['', '', '', '', '', '', '', ''],
-            ['Category', 'Total Personnel', 'Y1 Complete', 'Y2 Complete', 'Overall Complete', 'Y1 Rate', 'Y2 Rate', 'Overall Rate'],
-            ...['NSF', 'Regular'].map(category => {
-                const catPersonnel = activePersonnel.filter(p => p.category === category);
-                const y1Complete = catPersonnel.filter(p => p.y1?.ippt && p.y1?.voc && p.y1?.atp).length;
-                const y2Complete = catPersonnel.filter(p => p.y2?.ippt && p.y2?.voc && p.y2?.range).length;
-                const overallComplete = catPersonnel.filter(p => 
-                    (p.y1?.ippt && p.y1?.voc && p.y1?.atp) && (p.y2?.ippt && p.y2?.voc && p.y2?.range)
-                ).length;
-                
-                return [
-                    category,
-                    catPersonnel.length,
-                    y1Complete,
-                    y2Complete,
-                    overallComplete,
-                    catPersonnel.length > 0 ? ((y1Complete / catPersonnel.length) * 100).toFixed(1) + '%' : '0%',
-                    catPersonnel.length > 0 ? ((y2Complete / catPersonnel.length) * 100).toFixed(1) + '%' : '0%',
-                    catPersonnel.length > 0 ? ((overallComplete / catPersonnel.length) * 100).toFixed(1) + '%' : '0%'
-                ];
-            }),
+            [
+                'Category', 'Total Personnel',
+                ...ASSESSMENT_PHASES.map(phase => `${phase.label} Complete`), 'Overall Complete',
+                ...ASSESSMENT_PHASES.map(phase => `${phase.label} Rate`), 'Overall Rate'
+            ],
+            ...['NSF', 'Regular'].map(category =>
+                completionRow(category, activePersonnel.filter(p => p.category === category), category)),
             ['', '', '', '', '', '', '', ''],
-            ['Overall Unit', activePersonnel.length,
-             activePersonnel.filter(p => p.y1?.ippt && p.y1?.voc && p.y1?.atp).length,
-             activePersonnel.filter(p => p.y2?.ippt && p.y2?.voc && p.y2?.range).length,
-             activePersonnel.filter(p => 
-                 (p.y1?.ippt && p.y1?.voc && p.y1?.atp) && (p.y2?.ippt && p.y2?.voc && p.y2?.range)
-             ).length,
-             activePersonnel.length > 0 ? ((activePersonnel.filter(p => p.y1?.ippt && p.y1?.voc && p.y1?.atp).length / activePersonnel.length) * 100).toFixed(1) + '%' : '0%',
-             activePersonnel.length > 0 ? ((activePersonnel.filter(p => p.y2?.ippt && p.y2?.voc && p.y2?.range).length / activePersonnel.length) * 100).toFixed(1) + '%' : '0%',
-             activePersonnel.length > 0 ? ((activePersonnel.filter(p => 
-                 (p.y1?.ippt && p.y1?.voc && p.y1?.atp) && (p.y2?.ippt && p.y2?.voc && p.y2?.range)
-             ).length / activePersonnel.length) * 100).toFixed(1) + '%' : '0%'
-            ]
+            completionRow('Overall Unit', activePersonnel)
         ];
         
         const completionWS = XLSX.utils.aoa_to_sheet(completionData);
@@ -1808,67 +1976,30 @@ class SofunDataProcessor {
      * @param {Array} personnelData - Personnel data
      */
     createTrendAnalysisSheet(wb, personnelData) {
-        const activePersonnel = personnelData.filter(p => !p.isORD);
+        const activePersonnel = personnelData.filter(p => isActivePersonnel(p));
         
         const trendData = [
             ['SOFUN Tracker - Trend Analysis', '', '', '', '', '', '', ''],
             ['Generated on:', new Date().toLocaleDateString(), '', '', '', '', '', ''],
             ['', '', '', '', '', '', '', ''],
             ['Assessment Type', 'Gold/Marksman', 'Silver/Sharpshooter', 'Pass', 'Fail', 'Pending', 'Total', 'Success Rate'],
-            ['Y2 IPPT', 
-             activePersonnel.filter(p => p.y2?.ippt === 'Gold').length,
-             activePersonnel.filter(p => p.y2?.ippt === 'Silver').length,
-             activePersonnel.filter(p => p.y2?.ippt === 'Pass').length,
-             activePersonnel.filter(p => p.y2?.ippt === 'Fail').length,
-             activePersonnel.filter(p => !p.y2?.ippt).length,
-             activePersonnel.length,
-             this.calculateSuccessRate(activePersonnel, 'y2', 'ippt') + '%'
-            ],
-            ['Y2 VOC',
-             'N/A',
-             'N/A',
-             activePersonnel.filter(p => p.y2?.voc === 'Pass').length,
-             activePersonnel.filter(p => p.y2?.voc === 'Fail').length,
-             activePersonnel.filter(p => !p.y2?.voc).length,
-             activePersonnel.length,
-             this.calculateSuccessRate(activePersonnel, 'y2', 'voc') + '%'
-            ],
-            ['Y2 Range',
-             activePersonnel.filter(p => p.y2?.range === 'Marksman').length,
-             activePersonnel.filter(p => p.y2?.range === 'Sharpshooter').length,
-             activePersonnel.filter(p => p.y2?.range === 'Pass').length,
-             activePersonnel.filter(p => p.y2?.range === 'Fail').length,
-             activePersonnel.filter(p => !p.y2?.range).length,
-             activePersonnel.length,
-             this.calculateSuccessRate(activePersonnel, 'y2', 'range') + '%'
-            ],
-            ['Y1 IPPT',
-             activePersonnel.filter(p => p.y1?.ippt === 'Gold').length,
-             activePersonnel.filter(p => p.y1?.ippt === 'Silver').length,
-             activePersonnel.filter(p => p.y1?.ippt === 'Pass').length,
-             activePersonnel.filter(p => p.y1?.ippt === 'Fail').length,
-             activePersonnel.filter(p => !p.y1?.ippt).length,
-             activePersonnel.length,
-             this.calculateSuccessRate(activePersonnel, 'y1', 'ippt') + '%'
-            ],
-            ['Y1 VOC',
-             'N/A',
-             'N/A',
-             activePersonnel.filter(p => p.y1?.voc === 'Pass').length,
-             activePersonnel.filter(p => p.y1?.voc === 'Fail').length,
-             activePersonnel.filter(p => !p.y1?.voc).length,
-             activePersonnel.length,
-             this.calculateSuccessRate(activePersonnel, 'y1', 'voc') + '%'
-            ],
-            ['Y1 ATP',
-             'N/A',
-             'N/A',
-             activePersonnel.filter(p => p.y1?.atp === 'Pass').length,
-             activePersonnel.filter(p => p.y1?.atp === 'Fail').length,
-             activePersonnel.filter(p => !p.y1?.atp).length,
-             activePersonnel.length,
-             this.calculateSuccessRate(activePersonnel, 'y1', 'atp') + '%'
-            ]
+            ...this.getSheetAssessments().map(({ phase, test, label }) => {
+                const phasePersonnel = this.getPhasePersonnel(activePersonnel, phase);
+                const countGrade = grade => grade
+                    ? phasePersonnel.filter(p => p[phase.key]?.[test.key] === grade).length
+                    : 'N/A';
+                const [first, second] = this.getDistinctionGrades(test.scale);
+                return [
+                    label,
+                    countGrade(first),
+                    countGrade(second),
+                    countGrade('Pass'),
+                    countGrade('Fail'),
+                    phasePersonnel.filter(p => !hasAssessmentResult(p[phase.key]?.[test.key])).length,
+                    phasePersonnel.length,
+                    this.calculateSuccessRate(phasePersonnel, phase.key, test.key) + '%'
+                ];
+            })
         ];
         
         const trendWS = XLSX.utils.aoa_to_sheet(trendData);
@@ -1878,8 +2009,8 @@ class SofunDataProcessor {
     /**
      * Calculate pass rate for an assessment
      * @param {Array} personnel - Personnel data
-     * @param {string} phase - Assessment phase (y1/y2)
-     * @param {string} type - Assessment type (ippt/voc/range/atp)
+     * @param {string} phase - Assessment phase (y1/y2/workYear)
+     * @param {string} type - Test key of ASSESSMENT_REGISTRY
      * @returns {string} Pass rate percentage
      */
     calculatePassRate(personnel, phase, type) {
@@ -1896,48 +2027,27 @@ class SofunDataProcessor {
     }
 
     /**
-     * Calculate gold/silver rate for IPPT
-     * @param {Array} personnel - Personnel data
-     * @param {string} phase - Assessment phase (y1/y2)
-     * @param {string} type - Assessment type (ippt)
-     * @returns {string} Gold/silver rate percentage
-     */
-    calculateGoldSilverRate(personnel, phase, type) {
-        const completed = personnel.filter(p => p[phase]?.[type]);
-        if (completed.length === 0) return '0';
-        
-        const goldSilver = completed.filter(p => {
-            const result = p[phase]?.[type];
-            return result === 'Gold' || result === 'Silver';
-        }).length;
-        
-        return ((goldSilver / completed.length) * 100).toFixed(1);
-    }
-
-    /**
-     * Calculate marksman rate for range
+     * Calculate the share of results above a plain pass (Gold/Silver for IPPT, Marksman/Sharpshooter for shooting)
      * @param {Array} personnel - Personnel data
-     * @param {string} phase - Assessment phase (y1/y2)
-     * @param {string} type - Assessment type (range)
-     * @returns {string} Marksman rate percentage
+     * @param {string} phase - Assessment phase (y1/y2/workYear)
+     * @param {string} type - Test key of ASSESSMENT_REGISTRY
+     * @returns {string} Distinction rate percentage
      */
-    calculateMarksmanRate(personnel, phase, type) {
+    calculateDistinctionRate(personnel, phase, type) {
         const completed = personnel.filter(p => p[phase]?.[type]);
         if (completed.length === 0) return '0';
         
-        const marksman = completed.filter(p => {
-            const result = p[phase]?.[type];
-            return result === 'Marksman' || result === 'Sharpshooter';
-        }).length;
+        const distinctions = this.getDistinctionGrades(getGradeType(type));
+        const distinguished = completed.filter(p => distinctions.includes(p[phase]?.[type])).length;
         
-        return ((marksman / completed.length) * 100).toFixed(1);
+        return ((distinguished / completed.length) * 100).toFixed(1);
     }
 
     /**
      * Calculate average grade for an assessment
      * @param {Array} personnel - Personnel data
-     * @param {string} phase - Assessment phase (y1/y2)
-     * @param {string} type - Assessment type (ippt/voc/range/atp)
+     * @param {string} phase - Assessment phase (y1/y2/workYear)
+     * @param {string} type - Test key of ASSESSMENT_REGISTRY
      * @returns {string} Average grade
      */
     calculateAverageGrade(personnel, phase, type) {
@@ -1967,8 +2077,8 @@ class SofunDataProcessor {
     /**
      * Calculate success rate for an assessment
      * @param {Array} personnel - Personnel data
-     * @param {string} phase - Assessment phase (y1/y2)
-     * @param {string} type - Assessment type (ippt/voc/range/atp)
+     * @param {string} phase - Assessment phase (y1/y2/workYear)
+     * @param {string} type - Test key of ASSESSMENT_REGISTRY
      * @returns {string} Success rate percentage
      */
     calculateSuccessRate(personnel, phase, type) {
@@ -1996,67 +2106,35 @@ class SofunDataProcessor {
             return [
                 `${cat} Personnel`,
                 catPersonnel.length,
-                catPersonnel.filter(p => p.y2.ippt === 'Gold').length,
-                catPersonnel.filter(p => p.y2.ippt === 'Silver').length,
-                catPersonnel.filter(p => p.y2.voc === 'Pass').length,
-                catPersonnel.filter(p => p.y2.range === 'Marksman' || p.y2.range === 'Sharpshooter').length,
-                catPersonnel.filter(p => p.y1.ippt && p.y1.voc && p.y1.atp).length,
-                catPersonnel.filter(p => p.y2.ippt && p.y2.voc && p.y2.range).length
+                catPersonnel.filter(p => p.y2?.ippt === 'Gold').length,
+                catPersonnel.filter(p => p.y2?.ippt === 'Silver').length,
+                catPersonnel.filter(p => p.y2?.voc === 'Pass').length,
+                catPersonnel.filter(p => p.y2?.range === 'Marksman' || p.y2?.range === 'Sharpshooter').length,
+                catPersonnel.filter(p => isPhaseComplete(p, 'y1')).length,
+                catPersonnel.filter(p => isPhaseComplete(p, 'y2')).length
             ];
         });
     }
 
     /**
-     * Create detailed personnel sheets
+     * Create one personnel sheet per category with the CSV export's columns (PERSONNEL_CSV_COLUMNS)
+     * and real date cells. These sheets are read back by the 'dashboard' import format, so the
+     * workbook can be loaded by another company with every field.
      * @param {Object} wb - Workbook object
      * @param {Array} personnelData - Personnel data
      */
     createPersonnelSheets(wb, personnelData) {
-        const categories = {
-            'NSF_Personnel': personnelData.filter(p => !p.isORD && p.category === 'NSF'),
-            'Regular_Personnel': personnelData.filter(p => !p.isORD && p.category === 'Regular')
-        };
-        
-        Object.entries(categories).forEach(([sheetName, data]) => {
-                            const headers = [
-                    'Name', 'Platoon', 'PES Status', 'ORD Date', 'Medical Status',
-                    'Y1 IPPT', 'Y1 IPPT Date', 'Y1 VOC', 'Y1 VOC Date', 'Y1 ATP', 'Y1 ATP Date',
-                    'Y2 IPPT', 'Y2 IPPT Date', 'Y2 VOC', 'Y2 VOC Date', 'Y2 Range', 'Y2 Range Date',
-                    'Y1 Complete', 'Y2 Complete', 'Overall Status'
-                ];
-            
-            const rows = data.map(person => {
-                const y1Complete = person.y1.ippt && person.y1.voc && person.y1.atp ? 'Yes' : 'No';
-                const y2Complete = person.y2.ippt && person.y2.voc && person.y2.range ? 'Yes' : 'No';
-                const status = getPersonStatus(person);
-                
-                                    return [
-                        person.name,
-                        person.platoon || '',
-                        person.pes || '',
-                        person.ordDate || '',
-                        person.medicalStatus || 'Fit',
-                    person.y1.ippt || '',
-                    person.y1.ipptDate || '',
-                    person.y1.voc || '',
-                    person.y1.vocDate || '',
-                    person.y1.atp || '',
-                    person.y1.atpDate || '',
-                    person.y2.ippt || '',
-                    person.y2.ipptDate || '',
-                    person.y2.voc || '',
-                    person.y2.vocDate || '',
-                    person.y2.range || '',
-                    person.y2.rangeDate || '',
-                    y1Complete,
-                    y2Complete,
-                    status.text
-                ];
-            });
-            
-            const wsData = [headers, ...rows];
-            const ws = XLSX.utils.aoa_to_sheet(wsData);
-            XLSX.utils.book_append_sheet(wb, ws, sheetName);
+        const sheetNames = { NSF: 'NSF_Personnel', Regular: 'Regular_Personnel' };
+
+        Object.entries(PERSONNEL_CSV_COLUMNS).forEach(([category, columns]) => {
+            const personnel = personnelData.filter(p => isActivePersonnel(p) && p.category === category);
+            const rows = personnel.map(person => columns.map(column => /Date$/.test(column.path)
+                ? toExcelDate(getNestedValue(person, column.path))
+                : this.getCsvValue(person, column.path)));
+
+            const ws = XLSX.utils.aoa_to_sheet([columns.map(column => column.header), ...rows], { dateNF: DATE_CONFIG.excelFormat });
+            ws['!cols'] = columns.map(column => ({ wch: column.path === 'name' ? 30 : Math.max(10, column.header.length + 2) }));
+            XLSX.utils.book_append_sheet(wb, ws, sheetNames[category]);
         });
     }
 
@@ -2077,44 +2155,158 @@ class SofunDataProcessor {
         XLSX.utils.book_append_sheet(wb, auditWS, 'Audit_Log');
     }
 
-    /* ---------- Platoon Fixing Utility ---------- */
+    /* ---------- Import Issue Workbook ---------- */
 
     /**
-     * Fix existing invalid platoon names
-     * @param {Array} personnelData - Personnel data to fix
-     * @returns {Object} Fix results
+     * Rows of the "Import Issues" sheet
+     * @param {Array} issues - Import issues (see createImportIssue)
+     * @returns {Array<Array>} Header row followed by one row per issue
      */
-    fixExistingPlatoonNames(personnelData) {
-        console.log('Starting platoon name fixes...');
-        
-        let fixedCount = 0;
-        const invalidPlatoons = ['Retry', 'First Attempt', 'retry', 'first attempt', '-', '', null, undefined];
-        
-        personnelData.forEach(person => {
-            if (!person.platoon || 
-                invalidPlatoons.includes(person.platoon) || 
-                !isValidPlatoon(person.platoon)) {
-                
-                // Assign based on category
-                if (person.category === 'NSF') {
-                    const nsfPlatoons = ['Platoon 1', 'Platoon 2', 'Platoon 3'];
-                    person.platoon = getRandomElement(nsfPlatoons);
-                } else {
-                    person.platoon = 'COY HQ';
+    createImportIssueRows(issues) {
+        return [
+            ['Sheet', 'Row', 'Column', 'Value', 'Problem', 'Suggested fix'],
+            ...issues.map(issue => [
+                issue.sheet || '',
+                issue.rowIndex >= 0 ? issue.rowIndex + 1 : '',
+                issue.columnIndex >= 0 ? XLSX.utils.encode_col(issue.columnIndex) : '',
+                issue.value || '',
+                issue.problem,
+                issue.fix || ''
+            ])
+        ];
+    }
+
+    /**
+     * Download a copy of the uploaded workbook with problem rows highlighted and an
+     * "Import Issues" sheet, so the owner of the spreadsheet can correct the source.
+     * .xlsx files are patched in place and keep their formatting; other files are rebuilt
+     * from their values, with a comment on each problem cell instead of highlighting.
+     * @param {Object} report - { fileName, fileData, workbook, issues }
+     * @returns {string|null} Downloaded file name, or null on failure
+     */
+    downloadImportIssues(report) {
+        try {
+            const { fileName, fileData, workbook, issues } = report;
+            if (!issues || issues.length === 0) {
+                throw new Error('The last import reported no issues');
+            }
+
+            const baseName = (fileName || 'import').replace(/\.[^/.]+$/, '');
+            const filename = `${baseName}_Import_Issues.xlsx`;
+            const issueRows = this.createImportIssueRows(issues);
+            let patched = null;
+
+            if (fileData && SofunWorkbookPatcher.canPatch(fileName)) {
+                try {
+                    patched = this.createPatchedIssueWorkbook(fileData, issues, issueRows);
+                } catch (patchError) {
+                    console.warn('Could not patch the original workbook, rebuilding it instead:', patchError.message);
                 }
-                
-                // Keep unit in sync
-                person.unit = person.platoon;
-                fixedCount++;
-                console.log(`Fixed platoon for ${person.name}: ${person.platoon}`);
             }
+
+            if (patched) {
+                this.saveWorkbookFile(patched, filename);
+            } else {
+                XLSX.writeFile(this.createRebuiltIssueWorkbook(workbook, issues, issueRows), filename);
+            }
+
+            console.log(`✅ Import issue workbook downloaded: ${filename} (${issues.length} issues)`);
+            return filename;
+        } catch (error) {
+            logError('Import issue export failed', error);
+            showErrorMessage('Failed to create the import issues file: ' + error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Highlight problem rows (and their cells) in the original .xlsx and append the issue list
+     * @param {ArrayBuffer} fileData - Uploaded file
+     * @param {Array} issues - Import issues
+     * @param {Array<Array>} issueRows - Rows of the issue sheet
+     * @returns {Uint8Array} Patched file
+     */
+    createPatchedIssueWorkbook(fileData, issues, issueRows) {
+        const patcher = new SofunWorkbookPatcher(fileData);
+        const bySheet = new Map();
+        issues.filter(issue => issue.sheet && issue.rowIndex >= 0).forEach(issue => {
+            if (!bySheet.has(issue.sheet)) bySheet.set(issue.sheet, []);
+            bySheet.get(issue.sheet).push(issue);
         });
-        
-        console.log(`✅ Fixed ${fixedCount} invalid platoon assignments`);
-        
+
+        bySheet.forEach((sheetIssues, sheetName) => {
+            patcher.highlightRows(sheetName, sheetIssues.map(issue => issue.rowIndex), this.issueColors.row);
+            patcher.highlightCells(sheetName, sheetIssues
+                .filter(issue => issue.columnIndex >= 0)
+                .map(issue => ({ r: issue.rowIndex, c: issue.columnIndex })), this.issueColors.cell);
+        });
+        patcher.addSheet('Import Issues', issueRows);
+        return patcher.toArray();
+    }
+
+    /**
+     * Rebuild the workbook from its values with a comment on each problem cell
+     * (used for .xls files, which cannot be patched)
+     * @param {Object} workbook - Parsed SheetJS workbook
+     * @param {Array} issues - Import issues
+     * @param {Array<Array>} issueRows - Rows of the issue sheet
+     * @returns {Object} SheetJS workbook
+     */
+    createRebuiltIssueWorkbook(workbook, issues, issueRows) {
+        const wb = XLSX.utils.book_new();
+        (workbook?.SheetNames || []).forEach(sheetName => {
+            const rows = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { header: 1, raw: true, defval: '' });
+            const sheet = XLSX.utils.aoa_to_sheet(rows, { cellDates: true });
+            if (workbook.Sheets[sheetName]['!merges']) sheet['!merges'] = workbook.Sheets[sheetName]['!merges'];
+
+            issues.filter(issue => issue.sheet === sheetName && issue.rowIndex >= 0).forEach(issue => {
+                const address = XLSX.utils.encode_cell({ r: issue.rowIndex, c: Math.max(issue.columnIndex, 0) });
+                if (!sheet[address]) sheet[address] = { t: 's', v: '' };
+                sheet[address].c = sheet[address].c || [];
+                sheet[address].c.push({ a: 'SOFUN Tracker', t: `${issue.problem}\nFix: ${issue.fix}` });
+            });
+            XLSX.utils.book_append_sheet(wb, sheet, sheetName);
+        });
+
+        const issueSheetName = wb.SheetNames.includes('Import Issues') ? 'Import Issues (2)' : 'Import Issues';
+        XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(issueRows), issueSheetName);
+        return wb;
+    }
+
+    /* ---------- Grade Normalisation ---------- */
+
+    /**
+     * Re-normalise stored assessment results to the canonical grades (see the Grade Spellings window).
+     * Blank and 'Pending' results count as no result and are left alone.
+     * @param {Array} personnelData - Personnel data, updated in place
+     * @returns {Object} { changedCount, recordCount, unrecognised: [{ name, label, value }] }
+     */
+    normalizePersonnelGrades(personnelData) {
+        let changedCount = 0;
+        const changedRecords = new Set();
+        const unrecognised = [];
+
+        personnelData.forEach(person => {
+            columnMapper.getResultFields().forEach(field => {
+                const value = getNestedValue(person, field.key);
+                if (!hasAssessmentResult(value)) return;
+
+                const normalised = normalizeGrade(value, getGradeType(field.test));
+                if (!normalised.recognised) {
+                    // Unknown values are reported, not guessed at or cleared
+                    unrecognised.push({ name: person.name, label: field.label, value: value.toString() });
+                } else if (normalised.grade !== value) {
+                    setNestedValue(person, field.key, normalised.grade);
+                    changedCount++;
+                    changedRecords.add(person);
+                }
+            });
+        });
+
         return {
-            fixedCount: fixedCount,
-            totalPersonnel: personnelData.length
+            changedCount: changedCount,
+            recordCount: changedRecords.size,
+            unrecognised: unrecognised
         };
     }
 }
@@ -2131,10 +2323,11 @@ const dataProcessor = new SofunDataProcessor();
 /**
  * Global function to process Excel file
  * @param {File} file - Excel file to process
+ * @param {Object} [options] - Processing options (e.g. { mapping })
  * @returns {Promise} Processing result
  */
-function processExcelFile(file) {
-    return dataProcessor.processExcelFile(file);
+function processExcelFile(file, options) {
+    return dataProcessor.processExcelFile(file, options);
 }
 
 /**
@@ -2156,13 +2349,4 @@ function downloadModifiedExcel(personnelData, originalWorkbook, originalFileName
     return dataProcessor.downloadModifiedExcel(personnelData, originalWorkbook, originalFileName);
 }
 
-/**
- * Global function to fix platoon names
- * @param {Array} personnelData - Personnel data
- * @returns {Object} Fix results
- */
-function fixExistingPlatoonNames(personnelData) {
-    return dataProcessor.fixExistingPlatoonNames(personnelData);
-}
-
 console.log('✅ SOFUN Data Processor loaded - Excel processing ready');
\ No newline at end of file
@@ -0,0 +1,250 @@
+/* =================================================================
+   SOFUN TRACKER - DATE SETTINGS
+   Day/month order and two-digit-year pivot for typed and imported dates
+   ================================================================= */
+
+/**
+ * SOFUN Date Settings
+ * How toDateOnly reads a numeric date such as 03/04/25: day or month first, and which century
+ * a two-digit year falls in. Stored dates are always YYYY-MM-DD, so the settings only change
+ * how dates are read from now on. They are saved in user preferences and edited in the Date
+ * Settings window.
+ */
+class SofunDateSettings {
+    constructor() {
+        this.preferencesKey = 'dateSettings';
+        this.config = null;
+        this.draft = null;
+    }
+
+    /* ---------- Configuration ---------- */
+
+    /**
+     * The settings in use, loaded from user preferences on first use
+     * @returns {Object} { dayFirst, twoDigitYearPivot } (see DEFAULT_DATE_SETTINGS)
+     */
+    getConfig() {
+        if (!this.config) {
+            const saved = typeof storage !== 'undefined' ? storage.loadUserPreferences()[this.preferencesKey] : null;
+            this.config = this.normalizeConfig(saved || DEFAULT_DATE_SETTINGS);
+        }
+        return this.config;
+    }
+
+    /**
+     * Use settings without saving them
+     * @param {Object} config - Date settings
+     */
+    setConfig(config) {
+        this.config = this.normalizeConfig(config || DEFAULT_DATE_SETTINGS);
+    }
+
+    /**
+     * Read the saved settings again on next use, e.g. after a backup replaced the preferences
+     */
+    reloadConfig() {
+        this.config = null;
+    }
+
+    /**
+     * Save settings to user preferences and start using them
+     * @param {Object} config - Date settings
+     * @returns {boolean} Success status
+     */
+    saveConfig(config) {
+        this.setConfig(config);
+        const preferences = storage.loadUserPreferences();
+        return storage.saveUserPreferences({ ...preferences, [this.preferencesKey]: this.config });
+    }
+
+    /**
+     * Copy settings, falling back to the default for a missing order or a pivot outside 0-100
+     * @param {Object} config - Date settings
+     * @returns {Object} Normalised copy
+     */
+    normalizeConfig(config) {
+        const pivot = Number(config?.twoDigitYearPivot);
+        return {
+            dayFirst: typeof config?.dayFirst === 'boolean' ? config.dayFirst : DEFAULT_DATE_SETTINGS.dayFirst,
+            twoDigitYearPivot: Number.isInteger(pivot) && pivot >= 0 && pivot <= 100 ? pivot : DEFAULT_DATE_SETTINGS.twoDigitYearPivot
+        };
+    }
+
+    /* ---------- Date Settings Editor ---------- */
+
+    /**
+     * Open the editor on a copy of the current settings
+     */
+    openEditor() {
+        const modal = document.getElementById('dateSettingsModal');
+        if (!modal) return;
+
+        this.draft = this.createDraft(this.getConfig());
+        this.renderEditor();
+        modal.style.display = 'block';
+    }
+
+    /**
+     * Close the editor, discarding unsaved changes
+     */
+    closeEditor() {
+        const modal = document.getElementById('dateSettingsModal');
+        if (modal) modal.style.display = 'none';
+        this.draft = null;
+    }
+
+    /**
+     * Editable copy of the settings; the pivot is edited as text
+     * @param {Object} config - Date settings
+     * @returns {Object} Draft
+     */
+    createDraft(config) {
+        return { dayFirst: config.dayFirst, twoDigitYearPivot: String(config.twoDigitYearPivot) };
+    }
+
+    /**
+     * Change a setting in the draft
+     * @param {string} field - 'dayFirst' or 'twoDigitYearPivot'
+     * @param {string} value - New value ('true' or 'false' for the order)
+     */
+    setField(field, value) {
+        if (!this.draft) return;
+        this.draft[field] = field === 'dayFirst' ? value === 'true' : value;
+        this.renderExample();
+    }
+
+    /**
+     * Replace the draft with the default settings
+     */
+    resetDraft() {
+        if (!this.draft) return;
+        this.draft = this.createDraft(DEFAULT_DATE_SETTINGS);
+        this.renderEditor();
+    }
+
+    /**
+     * Check a draft and turn it into settings
+     * @param {Object} draft - Editor draft
+     * @returns {Object} { config, problems } with problems empty if the draft can be saved
+     */
+    readDraft(draft) {
+        const problems = [];
+        const pivot = Number(draft.twoDigitYearPivot);
+        if (String(draft.twoDigitYearPivot).trim() === '' || !Number.isInteger(pivot) || pivot < 0 || pivot > 100) {
+            problems.push('The two-digit-year pivot must be a whole number from 0 to 100');
+        }
+        return { config: { dayFirst: !!draft.dayFirst, twoDigitYearPivot: pivot }, problems };
+    }
+
+    /**
+     * Save the draft
+     */
+    saveEditor() {
+        if (!this.draft) return;
+
+        const { config, problems } = this.readDraft(this.draft);
+        if (problems.length > 0) {
+            showErrorMessage(`The date settings cannot be saved:\n\n${problems.join('\n')}`);
+            return;
+        }
+
+        this.saveConfig(config);
+        this.closeEditor();
+
+        if (window.app) {
+            window.app.addAuditEntry(`Updated date settings: ${getDateInputFormat()}, two-digit years below ${this.config.twoDigitYearPivot} are 20xx`);
+        }
+        showSuccessMessage('Date settings saved.\n\nThey apply to dates typed or imported from now on; saved dates are not changed.');
+    }
+
+    /**
+     * How the draft reads an example date
+     * @returns {string} Description, e.g. '03/04/25 is read as 3 April 2025'
+     */
+    describeDraft() {
+        const { config, problems } = this.readDraft(this.draft);
+        if (problems.length > 0) return problems[0];
+        const [first, second] = config.dayFirst ? [3, 4] : [4, 3];
+        const year = 25 < config.twoDigitYearPivot ? 2025 : 1925;
+        const month = new Date(Date.UTC(2000, second - 1, 1)).toLocaleDateString('en-GB', { month: 'long', timeZone: 'UTC' });
+        return `03/04/25 is read as ${first} ${month} ${year}`;
+    }
+
+    /**
+     * Show how the draft reads an example date
+     */
+    renderExample() {
+        const example = document.getElementById('dateSettingsExample');
+        if (example && this.draft) example.textContent = this.describeDraft();
+    }
+
+    /**
+     * Render the editor from the draft
+     */
+    renderEditor() {
+        const container = document.getElementById('dateSettingsEditor');
+        if (!container || !this.draft) return;
+        const draft = this.draft;
+
+        container.innerHTML = `
+            <div class="form-grid">
+                <div class="form-group">
+                    <label for="dateSettingsDayFirst">Numeric dates:</label>
+                    <select id="dateSettingsDayFirst" onchange="setDateSettingsField('dayFirst', this.value)">
+                        <option value="true" ${draft.dayFirst ? 'selected' : ''}>Day first (DD/MM/YYYY)</option>
+                        <option value="false" ${draft.dayFirst ? '' : 'selected'}>Month first (MM/DD/YYYY)</option>
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label for="dateSettingsPivot">Two-digit years below this are 20xx, the rest 19xx:</label>
+                    <input type="number" id="dateSettingsPivot" min="0" max="100" value="${escapeHtml(draft.twoDigitYearPivot)}"
+                           oninput="setDateSettingsField('twoDigitYearPivot', this.value)">
+                </div>
+            </div>
+            <p class="modal-hint" id="dateSettingsExample">${escapeHtml(this.describeDraft())}</p>`;
+    }
+}
+
+/* ---------- Global Date Settings Instance ---------- */
+
+// Create global date settings instance
+const dateSettings = new SofunDateSettings();
+
+/* ---------- Global Functions (for backward compatibility) ---------- */
+
+/**
+ * Open the date settings editor
+ */
+function openDateSettingsEditor() {
+    dateSettings.openEditor();
+}
+
+/**
+ * Close the date settings editor without saving
+ */
+function closeDateSettingsEditor() {
+    dateSettings.closeEditor();
+}
+
+/**
+ * Save the date settings editor
+ */
+function saveDateSettings() {
+    dateSettings.saveEditor();
+}
+
+/**
+ * Reset the date settings editor to the default settings
+ */
+function resetDateSettings() {
+    dateSettings.resetDraft();
+}
+
+/**
+ * Change a setting in the date settings editor
+ */
+function setDateSettingsField(field, value) {
+    dateSettings.setField(field, value);
+}
+
+console.log('✅ SOFUN Date Settings loaded - date order ready');
\ No newline at end of file
@@ -0,0 +1,586 @@
+/* =================================================================
+   SOFUN TRACKER - DUPLICATE FINDER
+   Scores likely duplicate personnel and merges them field by field
+   ================================================================= */
+
+/**
+ * SOFUN Duplicate Finder
+ * Finds records that probably describe the same person (e.g. "TAN KAI EN TERENCE"
+ * and "TAN KAI EN, TERENCE") and merges a pair into one record
+ */
+class SofunDuplicateFinder {
+    constructor() {
+        this.review = null;
+        this.dismissedKey = 'dismissedDuplicates';
+        // Names must be at least this similar before the other fields are looked at
+        this.nameThreshold = 0.8;
+        // Minimum overall score for a pair to be listed
+        this.scoreThreshold = 0.7;
+        this.weights = { name: 0.6, rank: 0.1, platoon: 0.15, ordDate: 0.15 };
+    }
+
+    /* ---------- Scoring ---------- */
+
+    /**
+     * Name reduced to letters, digits and single spaces
+     * @param {string} name - Personnel name
+     * @returns {string} Normalised name
+     */
+    normalizeName(name) {
+        return sanitizePersonnelName(name || '')
+            .replace(/[^A-Z0-9]+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Edit distance between two strings
+     * @param {string} a - First string
+     * @param {string} b - Second string
+     * @returns {number} Levenshtein distance
+     */
+    levenshtein(a, b) {
+        if (a === b) return 0;
+        if (!a.length) return b.length;
+        if (!b.length) return a.length;
+
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            }
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    /**
+     * Similarity of two strings from 0 (different) to 1 (equal)
+     * @param {string} a - First string
+     * @param {string} b - Second string
+     * @returns {number} Similarity
+     */
+    stringSimilarity(a, b) {
+        const length = Math.max(a.length, b.length);
+        if (length === 0) return 1;
+        return 1 - this.levenshtein(a, b) / length;
+    }
+
+    /**
+     * Comparable forms of a record's name, computed once per scan
+     * @param {Object} person - Personnel record
+     * @returns {Object} { plain, sorted }
+     */
+    getNameKeys(person) {
+        const plain = this.normalizeName(person.name);
+        return { plain, sorted: plain.split(' ').sort().join(' ') };
+    }
+
+    /**
+     * Similarity of two names, ignoring punctuation and word order
+     * @param {Object} a - Name keys from getNameKeys
+     * @param {Object} b - Name keys from getNameKeys
+     * @returns {number} Similarity from 0 to 1
+     */
+    nameSimilarity(a, b) {
+        if (!a.plain || !b.plain) return 0;
+        // Names of very different length cannot reach the threshold; skip the edit distance
+        const longest = Math.max(a.plain.length, b.plain.length);
+        if (Math.abs(a.plain.length - b.plain.length) / longest > 1 - this.nameThreshold) return 0;
+        return Math.max(
+            this.stringSimilarity(a.plain, b.plain),
+            this.stringSimilarity(a.sorted, b.sorted)
+        );
+    }
+
+    /**
+     * Compare one field of two records
+     * @param {string} path - Field path
+     * @param {Object} a - First record
+     * @param {Object} b - Second record
+     * @returns {number|null} 1 if equal, 0 if different, null if either side is empty
+     */
+    compareField(path, a, b) {
+        const first = this.normalizeValue(path, getNestedValue(a, path));
+        const second = this.normalizeValue(path, getNestedValue(b, path));
+        if (!first || !second) return null;
+        return first.toUpperCase() === second.toUpperCase() ? 1 : 0;
+    }
+
+    /**
+     * Score how likely two records describe the same person
+     * @param {Object} a - First record
+     * @param {Object} b - Second record
+     * @param {Object} keysA - Name keys of the first record
+     * @param {Object} keysB - Name keys of the second record
+     * @returns {Object|null} { score, reasons }, or null if they cannot be the same person
+     */
+    scorePair(a, b, keysA, keysB) {
+        // Two different service numbers are two different people
+        if (a.serviceNumber && b.serviceNumber && a.serviceNumber !== b.serviceNumber) return null;
+
+        const name = this.nameSimilarity(keysA, keysB);
+        if (name < this.nameThreshold) return null;
+
+        const reasons = [
+            keysA.sorted === keysB.sorted
+                ? 'Same name apart from punctuation or word order'
+                : `Names ${Math.round(name * 100)}% similar`
+        ];
+        let score = name * this.weights.name;
+
+        [
+            ['rank', 'rank'],
+            ['platoon', 'platoon'],
+            ['ordDate', 'ORD date']
+        ].forEach(([path, label]) => {
+            const match = this.compareField(path, a, b);
+            // A missing value neither supports nor rules out a match
+            score += (match === null ? 0.5 : match) * this.weights[path];
+            if (match === 1) reasons.push(`Same ${label}`);
+            if (match === 0) reasons.push(`Different ${label}`);
+        });
+
+        // Only the last 4 characters are kept, so a shared number alone does not make a duplicate
+        if (isSameServiceNumberHolder(a, b)) {
+            score = Math.max(score, 0.95);
+            reasons.push('Same service number');
+        } else if (a.serviceNumber && a.serviceNumber === b.serviceNumber) {
+            reasons.push('Service numbers end the same');
+        }
+        if (a.category !== b.category) {
+            score -= 0.15;
+            reasons.push(`${a.category} and ${b.category}`);
+        }
+
+        score = Math.max(0, Math.min(1, score));
+        return score >= this.scoreThreshold ? { score, reasons } : null;
+    }
+
+    /**
+     * Find likely duplicate pairs, best match first
+     * @param {Array} personnel - Personnel records
+     * @returns {Array<Object>} Pairs ({ a, b, score, reasons })
+     */
+    findDuplicates(personnel) {
+        const records = (personnel || []).filter(person => person && person.id);
+        const keys = records.map(person => this.getNameKeys(person));
+        const dismissed = new Set(this.loadDismissed());
+        const pairs = [];
+
+        for (let i = 0; i < records.length; i++) {
+            for (let j = i + 1; j < records.length; j++) {
+                if (dismissed.has(this.getPairKey(records[i], records[j]))) continue;
+                const match = this.scorePair(records[i], records[j], keys[i], keys[j]);
+                if (match) pairs.push({ a: records[i], b: records[j], ...match });
+            }
+        }
+
+        return pairs.sort((x, y) => y.score - x.score);
+    }
+
+    /* ---------- Dismissed Pairs ---------- */
+
+    /**
+     * Key of a pair that does not depend on its order
+     * @returns {string} "idA|idB"
+     */
+    getPairKey(a, b) {
+        return [a.id, b.id].sort().join('|');
+    }
+
+    /**
+     * Pairs the user marked as different people
+     * @returns {Array<string>} Pair keys
+     */
+    loadDismissed() {
+        const preferences = storage.loadUserPreferences();
+        return Array.isArray(preferences[this.dismissedKey]) ? preferences[this.dismissedKey] : [];
+    }
+
+    /**
+     * Remember that two records are different people
+     * @returns {boolean} Success status
+     */
+    dismissPair(a, b) {
+        const preferences = storage.loadUserPreferences();
+        const dismissed = new Set(this.loadDismissed());
+        dismissed.add(this.getPairKey(a, b));
+        return storage.saveUserPreferences({ ...preferences, [this.dismissedKey]: [...dismissed] });
+    }
+
+    /* ---------- Merging ---------- */
+
+    /**
+     * Fields offered when merging. Results and their test dates (and IPPT raw scores, shoot
+     * detail and attempt history) are one choice, so a result never ends up with the other
+     * record's date, score or attempts. The medical status is not a choice: mergePair keeps the
+     * medical entries of both records.
+     * @returns {Array<Object>} Field definitions ({ path, label, datePath, scorePath, historyPath })
+     */
+    getMergeFields() {
+        return [
+            { path: 'name', label: 'Name' },
+            { path: 'serviceNumber', label: 'Service No.' },
+            { path: 'rank', label: 'Rank' },
+            { path: 'pes', label: 'PES' },
+            { path: 'category', label: 'Category' },
+            { path: 'platoon', label: 'Platoon' },
+            { path: 'enlistmentDate', label: 'Enlistment Date' },
+            { path: 'birthDate', label: 'Date of Birth' },
+            { path: 'ordDate', label: 'ORD Date' },
+            { path: 'y1WindowEndDate', label: 'Y1 Last Window' },
+            { path: 'y2WindowEndDate', label: 'Y2 Last Window' },
+            ...columnMapper.getResultFields().map(field => ({
+                path: field.key,
+                label: field.label,
+                datePath: `${field.key}Date`,
+                historyPath: `${field.key}Attempts`,
+                ...(field.test === 'ippt' ? { scorePath: `${field.phase}.ipptScore` } : {}),
+                ...(ASSESSMENT_REGISTRY.find(test => test.key === field.test)?.shoot ? { scorePath: `${field.key}Shoot` } : {})
+            }))
+        ];
+    }
+
+    /**
+     * Comparable text of a field value (dates as YYYY-MM-DD)
+     * @param {string} path - Field path
+     * @param {*} value - Field value
+     * @returns {string} Normalised value
+     */
+    normalizeValue(path, value) {
+        return importPreview.normalizeValue(path, value);
+    }
+
+    /**
+     * When a record's field was last known to change
+     * @param {Object} person - Personnel record
+     * @param {string} path - Field path
+     * @returns {number} Timestamp in ms (0 if unknown)
+     */
+    getValueTime(person, path) {
+        const edited = importPreview.getLocalEditTime(person, path);
+        if (edited !== null) return edited;
+        const updated = new Date(person.lastUpdated || 0).getTime();
+        return isNaN(updated) ? 0 : updated;
+    }
+
+    /**
+     * Pick the side to keep for a field: the non-empty value, otherwise the newer one.
+     * Results are dated by their test date where both have one.
+     * @param {Object} field - Merge field
+     * @param {Object} a - First record
+     * @param {Object} b - Second record
+     * @returns {string} 'a' or 'b'
+     */
+    pickDefault(field, a, b) {
+        const valueA = this.normalizeValue(field.path, getNestedValue(a, field.path));
+        const valueB = this.normalizeValue(field.path, getNestedValue(b, field.path));
+        if (!valueA) return 'b';
+        if (!valueB) return 'a';
+
+        if (field.datePath) {
+            const dateA = this.normalizeValue(field.datePath, getNestedValue(a, field.datePath));
+            const dateB = this.normalizeValue(field.datePath, getNestedValue(b, field.datePath));
+            if (dateA && dateB && dateA !== dateB) return dateB > dateA ? 'b' : 'a';
+            if (dateA && !dateB) return 'a';
+            if (dateB && !dateA) return 'b';
+        }
+
+        return this.getValueTime(b, field.path) > this.getValueTime(a, field.path) ? 'b' : 'a';
+    }
+
+    /**
+     * Side-by-side comparison of a pair
+     * @param {Object} pair - Pair from findDuplicates
+     * @returns {Array<Object>} Rows ({ field, valueA, valueB, differs, choice })
+     */
+    buildComparison(pair) {
+        const display = (person, field) => {
+            const value = this.normalizeValue(field.path, getNestedValue(person, field.path));
+            const date = field.datePath ? this.normalizeValue(field.datePath, getNestedValue(person, field.datePath)) : '';
+            const history = field.historyPath ? getNestedValue(person, field.historyPath) : null;
+            const detail = [date, Array.isArray(history) ? `${history.length} attempts` : ''].filter(Boolean).join(', ');
+            return detail ? `${value || '-'} (${detail})` : value;
+        };
+
+        return this.getMergeFields()
+            .map(field => {
+                const valueA = display(pair.a, field);
+                const valueB = display(pair.b, field);
+                const differs = valueA !== valueB;
+                return {
+                    field,
+                    valueA,
+                    valueB,
+                    differs,
+                    choice: differs ? this.pickDefault(field, pair.a, pair.b) : 'a'
+                };
+            })
+            .filter(row => row.valueA || row.valueB);
+    }
+
+    /**
+     * Merge the second record of a pair into the first
+     * @param {Object} pair - Pair from findDuplicates
+     * @param {Array<Object>} rows - Comparison rows with the chosen side per field
+     * @returns {Object} The merged record (the first record, updated in place)
+     */
+    mergePair(pair, rows) {
+        const { a: kept, b: other } = pair;
+        const taken = [];
+
+        rows.filter(row => row.differs && row.choice === 'b').forEach(row => {
+            const paths = [row.field.path, row.field.datePath, row.field.scorePath, row.field.historyPath].filter(Boolean);
+            paths.forEach(path => {
+                const value = getNestedValue(other, path);
+                if (path === row.field.historyPath) {
+                    // A result taken once has no history, so the kept record drops its own
+                    const [phaseKey, key] = path.split('.');
+                    if (kept[phaseKey]) delete kept[phaseKey][key];
+                    if (value) setNestedValue(kept, path, value);
+                } else {
+                    setNestedValue(kept, path, value ?? '');
+                }
+                if (other.importSources?.[path]) {
+                    kept.importSources = kept.importSources || {};
+                    kept.importSources[path] = other.importSources[path];
+                }
+                if (other.localEdits?.[path]) {
+                    kept.localEdits = kept.localEdits || {};
+                    kept.localEdits[path] = other.localEdits[path];
+                }
+            });
+            taken.push(row.field.path);
+        });
+
+        if (taken.includes('platoon')) kept.unit = kept.platoon;
+        if (taken.includes('serviceNumber')) kept.serviceNumber = maskServiceNumber(kept.serviceNumber);
+
+        // Remedial training is a history, so both records' requirements are kept; open ones for the
+        // same test become one, and saving closes them if the merged result is a pass
+        kept.remedialTraining = remedialTracker.mergeRequirements(kept.remedialTraining, other.remedialTraining);
+        // Medical entries are kept from both records too, and the medical status follows them
+        medicalTracker.setEntries(kept, medicalTracker.mergeEntries(kept.medicalEntries, other.medicalEntries));
+
+        kept.lastUpdated = new Date();
+        return kept;
+    }
+
+    /* ---------- Review Modal ---------- */
+
+    /**
+     * Open the review for the current database
+     * @param {Object} [options] - { onlyIfFound } to stay closed when nothing is found
+     * @returns {number} Number of likely duplicate pairs
+     */
+    open(options = {}) {
+        const personnel = window.app?.personnelData || [];
+        const pairs = this.findDuplicates(personnel);
+        const modal = document.getElementById('duplicateFinderModal');
+
+        if (pairs.length === 0 && options.onlyIfFound) return 0;
+        if (!modal) return pairs.length;
+
+        this.review = { pairs: pairs.map(pair => ({ ...pair, rows: this.buildComparison(pair) })) };
+        this.render();
+        modal.style.display = 'block';
+        return pairs.length;
+    }
+
+    /**
+     * Close the review
+     */
+    close() {
+        const modal = document.getElementById('duplicateFinderModal');
+        if (modal) modal.style.display = 'none';
+        this.review = null;
+    }
+
+    /**
+     * Re-scan after a merge or dismissal, keeping the choices made on untouched pairs
+     * @param {Array<string>} [changedIds] - IDs of records whose values changed
+     */
+    refresh(changedIds = []) {
+        const previous = new Map((this.review?.pairs || [])
+            .filter(pair => !changedIds.includes(pair.a.id) && !changedIds.includes(pair.b.id))
+            .map(pair => [this.getPairKey(pair.a, pair.b), pair.rows]));
+        const pairs = this.findDuplicates(window.app?.personnelData || []);
+        this.review = {
+            pairs: pairs.map(pair => ({
+                ...pair,
+                rows: previous.get(this.getPairKey(pair.a, pair.b)) || this.buildComparison(pair)
+            }))
+        };
+        this.render();
+    }
+
+    /**
+     * Choose which record's value a field keeps
+     * @param {number} pairIndex - Pair index
+     * @param {number} rowIndex - Comparison row index
+     * @param {string} side - 'a' or 'b'
+     */
+    choose(pairIndex, rowIndex, side) {
+        const row = this.review?.pairs[pairIndex]?.rows[rowIndex];
+        if (row) row.choice = side;
+    }
+
+    /**
+     * Merge a pair with the chosen values and save
+     * @param {number} pairIndex - Pair index
+     */
+    merge(pairIndex) {
+        const pair = this.review?.pairs[pairIndex];
+        if (!pair || !window.app) return;
+
+        const personnel = window.app.personnelData;
+        const index = personnel.findIndex(person => person.id === pair.b.id);
+        if (index === -1 || !findPersonnelById(personnel, pair.a.id)) {
+            showErrorMessage('One of these records no longer exists. The list has been refreshed.');
+            this.refresh();
+            return;
+        }
+
+        const otherName = pair.b.name;
+        const merged = this.mergePair(pair, pair.rows);
+        personnel.splice(index, 1);
+        personnelManager.selectedPersonnel.delete(pair.b.id);
+
+        window.app.saveData();
+        window.app.updateAll();
+        if (typeof handleSearch === 'function') handleSearch();
+        window.app.addAuditEntry(`Merged duplicate record "${otherName}" into "${merged.name}"`);
+
+        this.refresh([merged.id]);
+    }
+
+    /**
+     * Mark a pair as different people so it is not listed again
+     * @param {number} pairIndex - Pair index
+     */
+    dismiss(pairIndex) {
+        const pair = this.review?.pairs[pairIndex];
+        if (!pair) return;
+        if (!this.dismissPair(pair.a, pair.b)) {
+            showErrorMessage('Could not save the choice. Please try again.');
+            return;
+        }
+        this.refresh();
+    }
+
+    /**
+     * Render the list of pairs
+     */
+    render() {
+        const container = document.getElementById('duplicateFinderPairs');
+        const summary = document.getElementById('duplicateFinderSummary');
+        if (!container || !this.review) return;
+
+        const { pairs } = this.review;
+        if (summary) {
+            summary.textContent = pairs.length > 0
+                ? `${pairs.length} likely duplicate pair(s). Pick the value to keep for each differing field, then merge, or mark the pair as different people.`
+                : 'No likely duplicates found.';
+        }
+
+        if (pairs.length === 0) {
+            container.innerHTML = '<div class="alert alert-success">✅ Every record looks like a different person.</div>';
+            return;
+        }
+
+        container.innerHTML = pairs.map((pair, pairIndex) => this.renderPair(pair, pairIndex)).join('');
+    }
+
+    /**
+     * @param {Object} pair - Pair with comparison rows
+     * @param {number} pairIndex - Pair index
+     * @returns {string} HTML
+     */
+    renderPair(pair, pairIndex) {
+        const cell = (row, rowIndex, side) => {
+            const value = side === 'a' ? row.valueA : row.valueB;
+            const text = value ? escapeHtml(value) : '<em>(empty)</em>';
+            if (!row.differs) return `<td>${text}</td>`;
+            return `
+                <td><label class="duplicate-choice">
+                    <input type="radio" name="duplicate-${pairIndex}-${rowIndex}" ${row.choice === side ? 'checked' : ''}
+                           onchange="chooseDuplicateValue(${pairIndex}, ${rowIndex}, '${side}')">
+                    ${text}
+                </label></td>`;
+        };
+
+        const rows = pair.rows.map((row, rowIndex) => `
+            <tr class="${row.differs ? 'duplicate-differs' : ''}">
+                <td>${escapeHtml(row.field.label)}</td>
+                ${cell(row, rowIndex, 'a')}
+                ${cell(row, rowIndex, 'b')}
+            </tr>`).join('');
+
+        return `
+            <details class="form-section" open>
+                <summary>
+                    ${escapeHtml(pair.a.name)} ↔ ${escapeHtml(pair.b.name)}
+                    <strong>${Math.round(pair.score * 100)}% match</strong>
+                    <span class="modal-hint">${escapeHtml(pair.reasons.join(' · '))}</span>
+                </summary>
+                <div class="table-container">
+                    <table class="preview-table">
+                        <thead><tr><th>Field</th><th>Record 1 (kept)</th><th>Record 2</th></tr></thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+                <div class="modal-toolbar">
+                    <button type="button" class="btn btn-primary" onclick="mergeDuplicatePair(${pairIndex})">🔗 Merge</button>
+                    <button type="button" class="btn btn-secondary" onclick="dismissDuplicatePair(${pairIndex})">Not the same person</button>
+                </div>
+            </details>`;
+    }
+}
+
+/* ---------- Global Duplicate Finder Instance ---------- */
+
+// Create global duplicate finder instance
+const duplicateFinder = new SofunDuplicateFinder();
+
+/* ---------- Global Functions (for backward compatibility) ---------- */
+
+/**
+ * Scan the database for likely duplicates and show them
+ */
+function openDuplicateFinder() {
+    duplicateFinder.open();
+}
+
+/**
+ * Close the duplicate review
+ */
+function closeDuplicateFinder() {
+    duplicateFinder.close();
+}
+
+/**
+ * Choose which record's value a field keeps when merging
+ */
+function chooseDuplicateValue(pairIndex, rowIndex, side) {
+    duplicateFinder.choose(pairIndex, rowIndex, side);
+}
+
+/**
+ * Merge a likely duplicate pair
+ * @param {number} pairIndex - Pair index
+ */
+function mergeDuplicatePair(pairIndex) {
+    duplicateFinder.merge(pairIndex);
+}
+
+/**
+ * Mark a pair as different people
+ * @param {number} pairIndex - Pair index
+ */
+function dismissDuplicatePair(pairIndex) {
+    duplicateFinder.dismiss(pairIndex);
+}
+
+console.log('✅ SOFUN Duplicate Finder loaded - Duplicate detection and merge ready');
@@ -0,0 +1,107 @@
+/* =================================================================
+   SOFUN TRACKER - EXCEL WORKER
+   Parses workbooks and runs the import pipeline off the main thread
+   ================================================================= */
+
+/*
+ * Protocol (main thread -> worker):
+ *   { type: 'parse', arrayBuffer }  parse the file and keep the workbook here
+ *   { type: 'process', mapping, orgStructure, ipptScoring, rangeClassification, gradeAliases, dateSettings }
+ *                                   run the row pipeline on the parsed workbook, matching
+ *                                   platoons against the main thread's organisation structure,
+ *                                   scoring IPPT results and shoots with its tables and reading grades
+ *                                   and dates with its grade spellings and date settings
+ *
+ * Replies (worker -> main thread):
+ *   { type: 'progress', progress: { stage, processed, total, warnings } }
+ *   { type: 'parsed', preview: { sheetNames, sheets } }      first rows of every sheet
+ *   { type: 'result', result, sheetNames, sheets }           processing result and all sheet rows
+ *   { type: 'error', message }
+ */
+
+importScripts(
+    'https://cdnjs.cloudflare.com/ajax/libs/xlsx/0.18.5/xlsx.full.min.js',
+    'utils.js',
+    'date-settings.js',
+    'grade-aliases.js',
+    'org-structure.js',
+    'ippt-calculator.js',
+    'range-classifier.js',
+    'attempt-history.js',
+    'medical-status.js',
+    'column-mapper.js',
+    'data-processor.js'
+);
+
+// Rows per sheet sent back for header detection and the mapping wizard
+const PREVIEW_ROWS = 60;
+
+let workbook = null;
+
+/**
+ * Rows and merges of every sheet, optionally limited to the first rows
+ * @param {Object} wb - SheetJS workbook
+ * @param {number} [rowLimit] - Maximum rows per sheet
+ * @returns {Object} { [name]: { rows, merges } }
+ */
+function collectSheets(wb, rowLimit) {
+    const sheets = {};
+    wb.SheetNames.forEach(name => {
+        const sheet = wb.Sheets[name];
+        const rows = columnMapper.getSheetRows(sheet);
+        sheets[name] = {
+            rows: rowLimit ? rows.slice(0, rowLimit) : rows,
+            merges: sheet['!merges'] || []
+        };
+    });
+    return sheets;
+}
+
+/**
+ * Post a progress message
+ * @param {Object} progress - { stage, processed, total, warnings }
+ */
+function postProgress(progress) {
+    self.postMessage({ type: 'progress', progress });
+}
+
+self.onmessage = (e) => {
+    const message = e.data || {};
+    try {
+        if (message.type === 'parse') {
+            postProgress({ stage: 'parsing' });
+            workbook = XLSX.read(message.arrayBuffer, message.readOptions || { type: 'array', cellDates: true });
+            self.postMessage({
+                type: 'parsed',
+                preview: {
+                    sheetNames: workbook.SheetNames,
+                    sheets: collectSheets(workbook, PREVIEW_ROWS)
+                }
+            });
+        } else if (message.type === 'process') {
+            if (!workbook) throw new Error('No workbook has been parsed');
+            // The worker has no storage of its own, so it cannot load the saved structure
+            orgStructure.setConfig(message.orgStructure);
+            ipptCalculator.setConfig(message.ipptScoring);
+            rangeClassifier.setConfig(message.rangeClassification);
+            gradeAliases.setConfig(message.gradeAliases);
+            dateSettings.setConfig(message.dateSettings);
+            const result = dataProcessor.processWorkbook(workbook, {
+                mapping: message.mapping,
+                onProgress: postProgress
+            });
+            // The workbook object itself cannot be cloned across threads; send its rows instead
+            delete result.originalWorkbook;
+            self.postMessage({
+                type: 'result',
+                result,
+                sheetNames: workbook.SheetNames,
+                sheets: collectSheets(workbook)
+            });
+        } else {
+            throw new Error(`Unknown worker request: ${message.type}`);
+        }
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
@@ -0,0 +1,329 @@
+/* =================================================================
+   SOFUN TRACKER - GRADE ALIASES
+   Local spellings of assessment results and the grade each one means
+   ================================================================= */
+
+/**
+ * SOFUN Grade Aliases
+ * The spellings unit spreadsheets use for a grade (e.g. "MM" for Marksman), per grade scale.
+ * normalizeGrade maps an alias to its grade on import, paste and Normalise Grades; any other
+ * value is reported instead of being stored. The aliases are saved in user preferences and
+ * edited in the Grade Spellings window.
+ */
+class SofunGradeAliases {
+    constructor() {
+        this.preferencesKey = 'gradeAliases';
+        this.config = null;
+        this.draft = null;
+    }
+
+    /* ---------- Configuration ---------- */
+
+    /**
+     * The aliases in use, loaded from user preferences on first use
+     * @returns {Object} Aliases by grade scale (see DEFAULT_GRADE_ALIASES)
+     */
+    getConfig() {
+        if (!this.config) {
+            const saved = typeof storage !== 'undefined' ? storage.loadUserPreferences()[this.preferencesKey] : null;
+            this.config = this.normalizeConfig(saved || DEFAULT_GRADE_ALIASES);
+        }
+        return this.config;
+    }
+
+    /**
+     * Use aliases without saving them
+     * @param {Object} config - Aliases by grade scale
+     */
+    setConfig(config) {
+        this.config = this.normalizeConfig(config || DEFAULT_GRADE_ALIASES);
+    }
+
+    /**
+     * Read the saved aliases again on next use, e.g. after a backup replaced the preferences
+     */
+    reloadConfig() {
+        this.config = null;
+    }
+
+    /**
+     * Save aliases to user preferences and start using them
+     * @param {Object} config - Aliases by grade scale
+     * @returns {boolean} Success status
+     */
+    saveConfig(config) {
+        this.setConfig(config);
+        const preferences = storage.loadUserPreferences();
+        return storage.saveUserPreferences({ ...preferences, [this.preferencesKey]: this.config });
+    }
+
+    /**
+     * Copy aliases, keeping only those of known scales that name a grade of their scale.
+     * Spellings are stored upper case with single spaces; a grade or blank value is not an alias.
+     * @param {Object} config - Aliases by grade scale
+     * @returns {Object} Normalised copy with an entry for every scale
+     */
+    normalizeConfig(config) {
+        return Object.fromEntries(Object.entries(GRADE_SCALES).map(([type, grades]) => {
+            const aliases = config?.[type] && typeof config[type] === 'object' ? config[type] : {};
+            return [type, Object.fromEntries(Object.entries(aliases)
+                .map(([spelling, grade]) => [this.normalizeSpelling(spelling), grade])
+                .filter(([spelling, grade]) => spelling && grades.includes(grade) && !this.isReserved(spelling, type)))];
+        }));
+    }
+
+    /**
+     * @param {string} spelling - Spelling as typed
+     * @returns {string} Spelling as compared by normalizeGrade: upper case, single spaces
+     */
+    normalizeSpelling(spelling) {
+        return String(spelling ?? '').replace(/\s+/g, ' ').trim().toUpperCase();
+    }
+
+    /**
+     * Whether a spelling already has a fixed meaning: a grade of the scale, or a blank value
+     * @param {string} spelling - Normalised spelling
+     * @param {string} type - Key of GRADE_SCALES
+     * @returns {boolean} True if it cannot be an alias
+     */
+    isReserved(spelling, type) {
+        return GRADE_BLANK_VALUES.includes(spelling) || (GRADE_SCALES[type] || []).some(grade => grade.toUpperCase() === spelling);
+    }
+
+    /**
+     * Aliases of one grade scale
+     * @param {string} type - Key of GRADE_SCALES
+     * @returns {Object} Upper-case spelling -> grade
+     */
+    getAliases(type) {
+        return this.getConfig()[type] || {};
+    }
+
+    /**
+     * Tests graded on a scale, for labelling it
+     * @param {string} type - Key of GRADE_SCALES
+     * @returns {string} Test labels, e.g. "ATP, Range, CS"
+     */
+    getScaleTests(type) {
+        return ASSESSMENT_REGISTRY.filter(test => test.scale === type).map(test => test.label).join(', ');
+    }
+
+    /* ---------- Grade Spellings Editor ---------- */
+
+    /**
+     * Open the editor on a copy of the current aliases
+     */
+    openEditor() {
+        const modal = document.getElementById('gradeAliasesModal');
+        if (!modal) return;
+
+        this.draft = this.createDraft(this.getConfig());
+        this.renderEditor();
+        modal.style.display = 'block';
+    }
+
+    /**
+     * Close the editor, discarding unsaved changes
+     */
+    closeEditor() {
+        const modal = document.getElementById('gradeAliasesModal');
+        if (modal) modal.style.display = 'none';
+        this.draft = null;
+    }
+
+    /**
+     * Editable copy of the aliases: a list of { spelling, grade } per scale
+     * @param {Object} config - Aliases by grade scale
+     * @returns {Object} Draft
+     */
+    createDraft(config) {
+        return Object.fromEntries(Object.keys(GRADE_SCALES).map(type => [type,
+            Object.entries(config[type] || {}).map(([spelling, grade]) => ({ spelling, grade }))]));
+    }
+
+    /**
+     * Change an alias in the draft
+     * @param {string} type - Key of GRADE_SCALES
+     * @param {number} index - Alias index
+     * @param {string} field - 'spelling' or 'grade'
+     * @param {string} value - New value
+     */
+    setAliasField(type, index, field, value) {
+        const alias = this.draft?.[type]?.[index];
+        if (alias) alias[field] = value;
+    }
+
+    /**
+     * Add a blank alias to a scale
+     * @param {string} type - Key of GRADE_SCALES
+     */
+    addAlias(type) {
+        if (!this.draft?.[type]) return;
+        this.draft[type].push({ spelling: '', grade: GRADE_SCALES[type][0] });
+        this.renderEditor();
+    }
+
+    /**
+     * Remove an alias from the draft
+     * @param {string} type - Key of GRADE_SCALES
+     * @param {number} index - Alias index
+     */
+    removeAlias(type, index) {
+        if (!this.draft?.[type]) return;
+        this.draft[type].splice(index, 1);
+        this.renderEditor();
+    }
+
+    /**
+     * Replace the draft with the default aliases
+     */
+    resetDraft() {
+        if (!this.draft) return;
+        this.draft = this.createDraft(this.normalizeConfig(DEFAULT_GRADE_ALIASES));
+        this.renderEditor();
+    }
+
+    /**
+     * Check a draft and turn it into aliases
+     * @param {Object} draft - Editor draft
+     * @returns {Object} { config, problems } with problems empty if the draft can be saved
+     */
+    readDraft(draft) {
+        const problems = [];
+        const config = Object.fromEntries(Object.keys(GRADE_SCALES).map(type => {
+            const aliases = {};
+            const scaleLabel = this.getScaleTests(type);
+            (draft[type] || []).forEach(alias => {
+                const spelling = this.normalizeSpelling(alias.spelling);
+                if (!spelling) {
+                    problems.push(`${scaleLabel}: enter a spelling or remove the empty row`);
+                } else if (this.isReserved(spelling, type)) {
+                    problems.push(`${scaleLabel}: "${spelling}" is already read as ${GRADE_BLANK_VALUES.includes(spelling) ? 'no result' : 'a grade'}`);
+                } else if (aliases[spelling]) {
+                    problems.push(`${scaleLabel}: "${spelling}" is listed more than once`);
+                } else if (!GRADE_SCALES[type].includes(alias.grade)) {
+                    problems.push(`${scaleLabel}: choose the grade "${spelling}" means`);
+                } else {
+                    aliases[spelling] = alias.grade;
+                }
+            });
+            return [type, aliases];
+        }));
+
+        return { config, problems };
+    }
+
+    /**
+     * Save the draft and report saved results the new spellings would change
+     */
+    saveEditor() {
+        if (!this.draft) return;
+
+        const { config, problems } = this.readDraft(this.draft);
+        if (problems.length > 0) {
+            showErrorMessage(`The grade spellings cannot be saved:\n\n${problems.join('\n')}`);
+            return;
+        }
+
+        this.saveConfig(config);
+        this.closeEditor();
+
+        const count = Object.values(this.config).reduce((sum, aliases) => sum + Object.keys(aliases).length, 0);
+        if (window.app) {
+            window.app.addAuditEntry(`Updated grade spellings: ${count} spelling(s)`);
+        }
+        showSuccessMessage('Grade spellings saved.\n\nThey apply to the next import or paste. Use "Normalise Grades" to apply them to results already saved.');
+    }
+
+    /**
+     * Render the editor from the draft
+     */
+    renderEditor() {
+        const container = document.getElementById('gradeAliasesEditor');
+        if (!container || !this.draft) return;
+
+        container.innerHTML = Object.entries(GRADE_SCALES).map(([type, grades]) => {
+            const rows = this.draft[type].map((alias, index) => `
+                <tr>
+                    <td><input type="text" class="ippt-scoring-input range-practice-input" value="${escapeHtml(alias.spelling)}" placeholder="e.g. ${escapeHtml(grades[0].slice(0, 1))}"
+                               oninput="setGradeAliasField('${type}', ${index}, 'spelling', this.value)"></td>
+                    <td><select onchange="setGradeAliasField('${type}', ${index}, 'grade', this.value)">
+                        ${grades.map(grade => `<option value="${escapeHtml(grade)}" ${alias.grade === grade ? 'selected' : ''}>${escapeHtml(grade)}</option>`).join('')}
+                    </select></td>
+                    <td><button type="button" class="btn btn-danger" onclick="removeGradeAlias('${type}', ${index})">✕</button></td>
+                </tr>`).join('');
+
+            return `
+            <details class="form-section" open>
+                <summary>🔤 ${escapeHtml(this.getScaleTests(type))} (${escapeHtml(grades.join(', '))})</summary>
+                <div class="table-container">
+                    <table class="preview-table mapping-table ippt-scoring-table">
+                        <thead><tr><th>Spelling</th><th>Grade</th><th></th></tr></thead>
+                        <tbody>${rows || '<tr><td colspan="3">No spellings</td></tr>'}</tbody>
+                    </table>
+                </div>
+                <div class="modal-toolbar">
+                    <button type="button" class="btn btn-secondary" onclick="addGradeAlias('${type}')">➕ Add Spelling</button>
+                </div>
+            </details>`;
+        }).join('');
+    }
+}
+
+/* ---------- Global Grade Aliases Instance ---------- */
+
+// Create global grade aliases instance
+const gradeAliases = new SofunGradeAliases();
+
+/* ---------- Global Functions (for backward compatibility) ---------- */
+
+/**
+ * Open the grade spellings editor
+ */
+function openGradeAliasesEditor() {
+    gradeAliases.openEditor();
+}
+
+/**
+ * Close the grade spellings editor without saving
+ */
+function closeGradeAliasesEditor() {
+    gradeAliases.closeEditor();
+}
+
+/**
+ * Save the grade spellings editor
+ */
+function saveGradeAliases() {
+    gradeAliases.saveEditor();
+}
+
+/**
+ * Reset the grade spellings editor to the default spellings
+ */
+function resetGradeAliases() {
+    gradeAliases.resetDraft();
+}
+
+/**
+ * Change a spelling in the grade spellings editor
+ */
+function setGradeAliasField(type, index, field, value) {
+    gradeAliases.setAliasField(type, index, field, value);
+}
+
+/**
+ * Add a spelling in the grade spellings editor
+ */
+function addGradeAlias(type) {
+    gradeAliases.addAlias(type);
+}
+
+/**
+ * Remove a spelling in the grade spellings editor
+ */
+function removeGradeAlias(type, index) {
+    gradeAliases.removeAlias(type, index);
+}
+
+console.log('✅ SOFUN Grade Aliases loaded - grade spellings ready');
\ No newline at end of file
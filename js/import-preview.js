@@ -0,0 +1,587 @@
+/* =================================================================
+   SOFUN TRACKER - IMPORT PREVIEW
+   Field-by-field diff between an imported file and the saved database
+   ================================================================= */
+
+/**
+ * SOFUN Import Preview
+ * Lists added, removed and changed personnel before an import is committed,
+ * and applies only the changes the user accepts
+ */
+class SofunImportPreview {
+    constructor() {
+        this.preview = null;
+        this.modes = {
+            replace: 'Use file values for every change',
+            merge: 'Merge: keep local edits newer than the file'
+        };
+    }
+
+    /* ---------- Diff ---------- */
+
+    /**
+     * Fields that come from the import file and can therefore be compared. Medical status and
+     * entries are only read from dashboard exports; remedial training is only maintained in the
+     * tracker. An attempt history, like medical entries, is compared as a whole, the way the CSV
+     * export writes it.
+     * @returns {Array<Object>} Field definitions ({ path, label })
+     */
+    getFieldDefinitions() {
+        return [
+            { path: 'name', label: 'Name' },
+            { path: 'serviceNumber', label: 'Service No.' },
+            { path: 'rank', label: 'Rank' },
+            { path: 'pes', label: 'PES' },
+            { path: 'category', label: 'Category' },
+            { path: 'platoon', label: 'Platoon' },
+            { path: 'enlistmentDate', label: 'Enlistment Date' },
+            { path: 'birthDate', label: 'Date of Birth' },
+            { path: 'ordDate', label: 'ORD Date' },
+            { path: 'y1WindowEndDate', label: 'Y1 Last Window' },
+            { path: 'y2WindowEndDate', label: 'Y2 Last Window' },
+            { path: 'medicalStatus', label: 'Medical Status' },
+            { path: 'medicalEntries', label: 'Medical Entries' },
+            ...columnMapper.getResultFields().flatMap(field => [
+                { path: field.key, label: field.label, phase: field.phase },
+                { path: `${field.key}Date`, label: `${field.label} Date`, phase: field.phase },
+                { path: `${field.key}Attempts`, label: `${field.label} Attempts`, phase: field.phase, test: field.test, attempts: true }
+            ]),
+            ...columnMapper.getIpptScoreFields().map(field => ({ path: field.key, label: field.label, phase: field.phase })),
+            ...columnMapper.getShootFields().map(field => ({ path: field.key, label: field.label, phase: field.phase }))
+        ];
+    }
+
+    /**
+     * Whether the import actually read a field for this record. Fields without a mapped
+     * column (e.g. test dates in an All in one view file) are unknown, not blank.
+     * @param {Object} incoming - Imported record
+     * @param {string} path - Field path
+     * @returns {boolean} True if the field should be compared
+     */
+    isFieldImported(incoming, path) {
+        const sources = incoming.importSources;
+        if (!sources) return true;
+        // Name, category and platoon come from every row or the sheet structure rather than one cell
+        if (path === 'name' || path === 'category') return true;
+        // An unrecognised platoon goes to the platoon review; it never unassigns a saved person
+        if (path === 'platoon') return incoming.platoon !== 'Unassigned';
+        // The Y2 window falls back to the ORD date when the file has no Y2 window column
+        if (path === 'y2WindowEndDate') return !!(sources.y2WindowEndDate || sources.ordDate);
+        return !!sources[path];
+    }
+
+    /**
+     * Pair imported records with saved ones. A service number present on both sides decides,
+     * together with the name since only its last 4 characters are kept (isSameServiceNumberHolder);
+     * otherwise records are paired by name, as long as the name does not belong to several people.
+     * @param {Array} currentData - Saved personnel records
+     * @param {Array} importedData - Records produced by the import
+     * @returns {Map} Imported record -> saved record
+     */
+    matchRecords(currentData, importedData) {
+        const matches = new Map();
+        const matched = new Set();
+        const byServiceNumber = new Map();
+        const byName = new Map();
+        (currentData || []).forEach(person => {
+            if (person.serviceNumber) {
+                if (!byServiceNumber.has(person.serviceNumber)) byServiceNumber.set(person.serviceNumber, []);
+                byServiceNumber.get(person.serviceNumber).push(person);
+            }
+            const name = sanitizePersonnelName(person.name || '');
+            if (!byName.has(name)) byName.set(name, []);
+            byName.get(name).push(person);
+        });
+
+        // Service numbers first, so a numbered person is not taken by a name match
+        (importedData || []).forEach(incoming => {
+            const current = (byServiceNumber.get(incoming.serviceNumber) || [])
+                .find(person => !matched.has(person) && isSameServiceNumberHolder(person, incoming));
+            if (current) {
+                matches.set(incoming, current);
+                matched.add(current);
+            }
+        });
+
+        (importedData || []).forEach(incoming => {
+            if (matches.has(incoming)) return;
+            const candidates = (byName.get(sanitizePersonnelName(incoming.name || '')) || []).filter(person =>
+                !matched.has(person) &&
+                (!incoming.serviceNumber || !person.serviceNumber || person.serviceNumber === incoming.serviceNumber)
+            );
+            if (candidates.length === 1) {
+                matches.set(incoming, candidates[0]);
+                matched.add(candidates[0]);
+            }
+        });
+
+        return matches;
+    }
+
+    /**
+     * Normalise a field value for comparison (dates compare as YYYY-MM-DD, IPPT run times as m:ss,
+     * range hits as 7/8/6/8, attempt histories as "1: Fail 2025-03-04; 2: Pass 2025-04-10" and
+     * medical entries as "Light Duty 2025-03-04 to 2025-03-18 excusing IPPT")
+     * @param {string} path - Field path
+     * @param {*} value - Field value
+     * @returns {string} Comparable value
+     */
+    normalizeValue(path, value) {
+        if (value === null || value === undefined) return '';
+        if (/Date$/.test(path)) return formatDateForInput(value);
+        if (/\.ipptScore\./.test(path)) return ipptCalculator.formatScoreValue(path.split('.').pop(), value);
+        if (/Shoot\./.test(path)) return rangeClassifier.formatShootValue(path.split('.').pop(), value);
+        if (/Attempts$/.test(path)) return attemptHistory.formatHistory(value);
+        if (path === 'medicalEntries') return medicalTracker.formatEntries(value);
+        return value.toString().trim();
+    }
+
+    /**
+     * Latest local edit of a record, optionally restricted to one field
+     * @param {Object} person - Personnel record
+     * @param {string} [path] - Field path
+     * @returns {number|null} Timestamp in ms, or null if never edited locally
+     */
+    getLocalEditTime(person, path) {
+        const edits = person?.localEdits || {};
+        const stamps = path ? [edits[path]] : Object.values(edits);
+        const times = stamps.filter(Boolean).map(stamp => new Date(stamp).getTime()).filter(time => !isNaN(time));
+        return times.length > 0 ? Math.max(...times) : null;
+    }
+
+    /**
+     * Compare the saved database with freshly imported records
+     * @param {Array} currentData - Saved personnel records
+     * @param {Array} importedData - Records produced by the import
+     * @param {Object} [options] - Scope of the file
+     * @param {Array<string>} [options.categories] - Categories the file covers; saved personnel of
+     *   other categories are not listed as removed (default: the file covers everyone)
+     * @param {boolean} [options.keepImportSources] - Keep the saved cell locations (the file is not
+     *   the workbook the modified export patches, e.g. a CSV)
+     * @param {boolean} [options.activeOnly] - The file lists active personnel only, so posted-out
+     *   personnel are not listed as removed
+     * @returns {Object} Diff ({ added, removed, changed, unchangedCount })
+     */
+    buildDiff(currentData, importedData, options = {}) {
+        const { categories, keepImportSources, activeOnly } = options;
+        const fields = this.getFieldDefinitions();
+        const matches = this.matchRecords(currentData, importedData);
+        const matchedIds = new Set();
+        const diff = { added: [], removed: [], changed: [], unchangedCount: 0, importSources: new Map(), keepImportSources: !!keepImportSources };
+
+        (importedData || []).forEach(incoming => {
+            const current = matches.get(incoming);
+            if (!current) {
+                diff.added.push({ key: incoming.id, record: incoming, accepted: true });
+                return;
+            }
+
+            // Items are keyed by the saved record's ID, which the import keeps
+            const key = current.id;
+            matchedIds.add(key);
+            if (incoming.importSources && !keepImportSources) diff.importSources.set(key, incoming.importSources);
+
+            const changes = fields
+                // Only compare assessment phases that either record actually tracks
+                .filter(field => !field.phase || current[field.phase] || incoming[field.phase])
+                .filter(field => this.isFieldImported(incoming, field.path))
+                .map(field => ({
+                    ...field,
+                    from: this.normalizeValue(field.path, getNestedValue(current, field.path)),
+                    to: this.normalizeValue(field.path, getNestedValue(incoming, field.path)),
+                    localEditedAt: this.getLocalEditTime(current, field.path),
+                    accepted: true
+                }))
+                .filter(change => change.from !== change.to);
+
+            if (changes.length > 0) {
+                diff.changed.push({ key, current, incoming, fields: changes });
+            } else {
+                diff.unchangedCount++;
+            }
+        });
+
+        (currentData || []).forEach(person => {
+            if (!matchedIds.has(person.id) && (!categories || categories.includes(person.category)) &&
+                (!activeOnly || isActivePersonnel(person))) {
+                diff.removed.push({ key: person.id, record: person, localEditedAt: this.getLocalEditTime(person), accepted: true });
+            }
+        });
+
+        return diff;
+    }
+
+    /**
+     * Set the accepted flag of every item according to an import mode
+     * @param {Object} diff - Diff from buildDiff
+     * @param {string} mode - 'replace' or 'merge'
+     * @param {number} fileLastModified - File modification time in ms
+     */
+    applyMode(diff, mode, fileLastModified) {
+        const isNewerThanFile = (time) => mode === 'merge' && time !== null && time > fileLastModified;
+
+        diff.added.forEach(item => { item.accepted = true; });
+        diff.removed.forEach(item => { item.accepted = !isNewerThanFile(item.localEditedAt); });
+        diff.changed.forEach(item => {
+            item.fields.forEach(change => { change.accepted = !isNewerThanFile(change.localEditedAt); });
+        });
+    }
+
+    /**
+     * Build the new personnel list from the saved data and the accepted changes. Results go
+     * through attemptHistory.applyUpdates, so a retake in the file becomes a new attempt, and the
+     * medical status through medicalTracker.applyUpdates, so it is kept as an entry.
+     * @param {Array} currentData - Saved personnel records
+     * @param {Object} diff - Diff with accepted flags
+     * @returns {Object} { data, summary }
+     */
+    applyDiff(currentData, diff) {
+        const removedKeys = new Set(diff.removed.filter(item => item.accepted).map(item => item.key));
+        const changedByKey = new Map(diff.changed.map(item => [item.key, item]));
+        const summary = {
+            added: 0,
+            removed: removedKeys.size,
+            keptNotInFile: diff.removed.length - removedKeys.size,
+            fieldsChanged: 0,
+            fieldsRejected: 0
+        };
+
+        const data = [];
+        (currentData || []).forEach(person => {
+            const key = person.id;
+            if (removedKeys.has(key)) return;
+
+            const item = changedByKey.get(key);
+            if (item) {
+                const updates = [];
+                item.fields.forEach(change => {
+                    if (!change.accepted) {
+                        summary.fieldsRejected++;
+                        return;
+                    }
+                    if (change.phase && !person[change.phase]) {
+                        person[change.phase] = { ...item.incoming[change.phase] };
+                    }
+                    updates.push({
+                        path: change.path,
+                        value: change.attempts
+                            ? attemptHistory.getAttempts(item.incoming, change.phase, change.test)
+                            : getNestedValue(item.incoming, change.path) ?? ''
+                    });
+                    if (change.path === 'platoon') updates.push({ path: 'unit', value: item.incoming.platoon });
+                    summary.fieldsChanged++;
+                });
+                if (updates.length > 0) {
+                    attemptHistory.applyUpdates(person, updates.filter(update => !medicalTracker.isMedicalPath(update.path)));
+                    medicalTracker.applyUpdates(person, updates.filter(update => medicalTracker.isMedicalPath(update.path)));
+                    person.lastUpdated = new Date();
+                }
+            }
+            // Cell locations always follow the latest file, even for rejected or unchanged values
+            if (diff.importSources.has(key)) person.importSources = diff.importSources.get(key);
+            data.push(person);
+        });
+
+        diff.added.filter(item => item.accepted).forEach(item => {
+            if (diff.keepImportSources) item.record.importSources = {};
+            data.push(item.record);
+            summary.added++;
+        });
+
+        return { data, summary };
+    }
+
+    /* ---------- Preview Modal ---------- */
+
+    /**
+     * Show the preview and wait for the user's decision
+     * @param {Array} currentData - Saved personnel records
+     * @param {Array} importedData - Records produced by the import
+     * @param {Object} fileInfo - { fileName, lastModified, categories, keepImportSources, activeOnly } (see buildDiff)
+     * @returns {Promise<Object|null>} { data, summary } to commit, or null if cancelled
+     */
+    openPreview(currentData, importedData, fileInfo) {
+        const diff = this.buildDiff(currentData, importedData, fileInfo);
+        const modal = document.getElementById('importPreviewModal');
+        if (!modal) {
+            return Promise.resolve(this.applyDiff(currentData, diff));
+        }
+
+        if (this.preview) this.closePreview();
+
+        return new Promise(resolve => {
+            const hasLocalEdits = (currentData || []).some(person => this.getLocalEditTime(person) !== null);
+            this.preview = {
+                currentData,
+                diff,
+                fileInfo,
+                mode: hasLocalEdits ? 'merge' : 'replace',
+                resolve
+            };
+            this.applyMode(diff, this.preview.mode, fileInfo.lastModified);
+
+            const info = document.getElementById('importPreviewFileInfo');
+            if (info) {
+                info.textContent = `File: ${fileInfo.fileName} (last modified ${new Date(fileInfo.lastModified).toLocaleString('en-SG')})`;
+            }
+
+            this.renderPreview();
+            modal.style.display = 'block';
+        });
+    }
+
+    /**
+     * Close the preview; resolves the pending import (null cancels)
+     * @param {Object|null} decision - { data, summary } to commit
+     */
+    closePreview(decision = null) {
+        const modal = document.getElementById('importPreviewModal');
+        if (modal) modal.style.display = 'none';
+
+        if (this.preview) {
+            const { resolve } = this.preview;
+            this.preview = null;
+            resolve(decision);
+        }
+    }
+
+    /**
+     * Commit the accepted changes
+     */
+    confirmPreview() {
+        if (!this.preview) return;
+        this.closePreview(this.applyDiff(this.preview.currentData, this.preview.diff));
+    }
+
+    /**
+     * Switch import mode and reset the accept/reject choices accordingly
+     * @param {string} mode - 'replace' or 'merge'
+     */
+    setMode(mode) {
+        if (!this.preview || !this.modes[mode]) return;
+        this.preview.mode = mode;
+        this.applyMode(this.preview.diff, mode, this.preview.fileInfo.lastModified);
+        this.renderPreview();
+    }
+
+    /**
+     * Accept or reject every listed change
+     * @param {boolean} accepted - New state
+     */
+    setAll(accepted) {
+        if (!this.preview) return;
+        const { diff } = this.preview;
+        diff.added.forEach(item => { item.accepted = accepted; });
+        diff.removed.forEach(item => { item.accepted = accepted; });
+        diff.changed.forEach(item => item.fields.forEach(change => { change.accepted = accepted; }));
+        this.renderPreview();
+    }
+
+    /**
+     * Accept or reject one item
+     * @param {string} type - 'added', 'removed' or 'changed'
+     * @param {number} index - Item index in its list
+     * @param {number} fieldIndex - Field index (changed items only)
+     * @param {boolean} accepted - New state
+     */
+    setItem(type, index, fieldIndex, accepted) {
+        const item = this.preview?.diff[type]?.[index];
+        if (!item) return;
+        if (type === 'changed') {
+            if (item.fields[fieldIndex]) item.fields[fieldIndex].accepted = accepted;
+        } else {
+            item.accepted = accepted;
+        }
+        this.renderSummary();
+    }
+
+    /**
+     * Render the summary line
+     */
+    renderSummary() {
+        const summaryDiv = document.getElementById('importPreviewSummary');
+        if (!summaryDiv || !this.preview) return;
+
+        const { diff } = this.preview;
+        const fieldChanges = diff.changed.reduce((sum, item) => sum + item.fields.length, 0);
+        const acceptedFields = diff.changed.reduce((sum, item) => sum + item.fields.filter(change => change.accepted).length, 0);
+        summaryDiv.innerHTML = `
+            <strong>${diff.added.length}</strong> added (${diff.added.filter(item => item.accepted).length} selected) ·
+            <strong>${diff.removed.length}</strong> not in file (${diff.removed.filter(item => item.accepted).length} to remove) ·
+            <strong>${diff.changed.length}</strong> changed with ${fieldChanges} field change(s) (${acceptedFields} accepted) ·
+            <strong>${diff.unchangedCount}</strong> unchanged`;
+    }
+
+    /**
+     * Render the whole preview from the current state
+     */
+    renderPreview() {
+        if (!this.preview) return;
+
+        const modeSelect = document.getElementById('importPreviewMode');
+        if (modeSelect) modeSelect.value = this.preview.mode;
+
+        this.renderSummary();
+
+        const container = document.getElementById('importPreviewChanges');
+        if (!container) return;
+
+        const { diff } = this.preview;
+        if (diff.added.length === 0 && diff.removed.length === 0 && diff.changed.length === 0) {
+            container.innerHTML = '<div class="alert alert-success">✅ The file matches the saved data. Nothing will change.</div>';
+            return;
+        }
+
+        container.innerHTML = [
+            this.renderAdded(diff.added),
+            this.renderRemoved(diff.removed),
+            this.renderChanged(diff.changed)
+        ].join('');
+    }
+
+    /**
+     * Checkbox bound to an item
+     * @returns {string} HTML
+     */
+    renderCheckbox(type, index, fieldIndex, accepted) {
+        return `<input type="checkbox" ${accepted ? 'checked' : ''}
+                       onchange="toggleImportPreviewItem('${type}', ${index}, ${fieldIndex}, this.checked)">`;
+    }
+
+    /**
+     * Note shown next to a locally edited value
+     * @param {number|null} time - Local edit time in ms
+     * @returns {string} HTML
+     */
+    renderLocalEditNote(time) {
+        if (time === null) return '';
+        const newer = time > this.preview.fileInfo.lastModified;
+        return `<span class="preview-local-edit${newer ? ' newer' : ''}">✏️ edited ${escapeHtml(new Date(time).toLocaleString('en-SG'))}${newer ? ' (after file)' : ''}</span>`;
+    }
+
+    /**
+     * @param {Array} items - Added items
+     * @returns {string} HTML
+     */
+    renderAdded(items) {
+        if (items.length === 0) return '';
+        const rows = items.map((item, index) => `
+            <tr>
+                <td>${this.renderCheckbox('added', index, -1, item.accepted)}</td>
+                <td>${escapeHtml(item.record.name)}</td>
+                <td>${escapeHtml(item.record.rank || '-')}</td>
+                <td>${escapeHtml(item.record.category)}</td>
+                <td>${escapeHtml(item.record.platoon || '-')}</td>
+            </tr>`).join('');
+        return `
+            <details class="form-section" open>
+                <summary>➕ New in file (${items.length})</summary>
+                <div class="table-container">
+                    <table class="preview-table">
+                        <thead><tr><th>Add</th><th>Name</th><th>Rank</th><th>Category</th><th>Platoon</th></tr></thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+            </details>`;
+    }
+
+    /**
+     * @param {Array} items - Removed items
+     * @returns {string} HTML
+     */
+    renderRemoved(items) {
+        if (items.length === 0) return '';
+        const rows = items.map((item, index) => `
+            <tr>
+                <td>${this.renderCheckbox('removed', index, -1, item.accepted)}</td>
+                <td>${escapeHtml(item.record.name)}</td>
+                <td>${escapeHtml(item.record.category)}</td>
+                <td>${escapeHtml(item.record.platoon || '-')}</td>
+                <td>${this.renderLocalEditNote(item.localEditedAt)}</td>
+            </tr>`).join('');
+        return `
+            <details class="form-section" open>
+                <summary>➖ Not in file (${items.length})</summary>
+                <div class="table-container">
+                    <table class="preview-table">
+                        <thead><tr><th>Remove</th><th>Name</th><th>Category</th><th>Platoon</th><th>Local edits</th></tr></thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+            </details>`;
+    }
+
+    /**
+     * @param {Array} items - Changed items
+     * @returns {string} HTML
+     */
+    renderChanged(items) {
+        if (items.length === 0) return '';
+        const rows = items.map((item, index) => item.fields.map((change, fieldIndex) => `
+            <tr>
+                <td>${this.renderCheckbox('changed', index, fieldIndex, change.accepted)}</td>
+                <td>${fieldIndex === 0 ? `<strong>${escapeHtml(item.current.name)}</strong>` : ''}</td>
+                <td>${escapeHtml(change.label)}</td>
+                <td>${change.from ? escapeHtml(change.from) : '<em>(empty)</em>'}</td>
+                <td>${change.to ? escapeHtml(change.to) : '<em>(empty)</em>'}</td>
+                <td>${escapeHtml(columnMapper.formatCellSource(item.incoming.importSources?.[change.path]))}</td>
+                <td>${this.renderLocalEditNote(change.localEditedAt)}</td>
+            </tr>`).join('')).join('');
+        return `
+            <details class="form-section" open>
+                <summary>✏️ Changed (${items.length})</summary>
+                <div class="table-container">
+                    <table class="preview-table">
+                        <thead><tr><th>Accept</th><th>Name</th><th>Field</th><th>Current</th><th>File</th><th>Source</th><th>Local edits</th></tr></thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+            </details>`;
+    }
+}
+
+/* ---------- Global Import Preview Instance ---------- */
+
+// Create global import preview instance
+const importPreview = new SofunImportPreview();
+
+/* ---------- Global Functions (for backward compatibility) ---------- */
+
+/**
+ * Cancel the import from the preview
+ */
+function closeImportPreview() {
+    importPreview.closePreview(null);
+}
+
+/**
+ * Commit the accepted import changes
+ */
+function confirmImportPreview() {
+    importPreview.confirmPreview();
+}
+
+/**
+ * Switch the preview's import mode
+ * @param {string} mode - 'replace' or 'merge'
+ */
+function setImportPreviewMode(mode) {
+    importPreview.setMode(mode);
+}
+
+/**
+ * Accept or reject every change in the preview
+ * @param {boolean} accepted - New state
+ */
+function setAllImportPreviewItems(accepted) {
+    importPreview.setAll(accepted);
+}
+
+/**
+ * Accept or reject one change in the preview
+ */
+function toggleImportPreviewItem(type, index, fieldIndex, accepted) {
+    importPreview.setItem(type, index, fieldIndex, accepted);
+}
+
+console.log('✅ SOFUN Import Preview loaded - Import diff and merge ready');
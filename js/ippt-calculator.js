@@ -0,0 +1,672 @@
+/* =================================================================
+   SOFUN TRACKER - IPPT CALCULATOR
+   IPPT points and award grade from push-ups, sit-ups and run time
+   ================================================================= */
+
+/**
+ * SOFUN IPPT Calculator
+ * Scores the raw IPPT components kept with a result (person[phase].ipptScore) against an
+ * editable scoring table: points per station by age group, then the award the total reaches.
+ * The edit form fills in the grade from the score, and imports and tables flag a recorded
+ * grade the score does not give. The table is saved in user preferences and edited in the
+ * IPPT Scoring window; there is no built-in table, so nothing is scored until it is entered.
+ */
+class SofunIpptCalculator {
+    constructor() {
+        this.preferencesKey = 'ipptScoring';
+        this.config = null;
+        this.draft = null;
+        this.maxRepetitions = 200;
+        // A 2.4km run outside these limits (in seconds) is taken to be a typing error
+        this.runLimits = [300, 3600];
+    }
+
+    /* ---------- Configuration ---------- */
+
+    /**
+     * The scoring table in use, loaded from user preferences on first use
+     * @returns {Object} { ageGroups, awards, minStationPoints } (see DEFAULT_IPPT_SCORING)
+     */
+    getConfig() {
+        if (!this.config) {
+            const saved = typeof storage !== 'undefined' ? storage.loadUserPreferences()[this.preferencesKey] : null;
+            this.config = this.normalizeConfig(saved || DEFAULT_IPPT_SCORING);
+        }
+        return this.config;
+    }
+
+    /**
+     * Use a scoring table without saving it
+     * @param {Object} config - Scoring table
+     */
+    setConfig(config) {
+        this.config = this.normalizeConfig(config || DEFAULT_IPPT_SCORING);
+    }
+
+    /**
+     * Read the saved table again on next use, e.g. after a backup replaced the preferences
+     */
+    reloadConfig() {
+        this.config = null;
+    }
+
+    /**
+     * Save a scoring table to user preferences and start using it
+     * @param {Object} config - Scoring table
+     * @returns {boolean} Success status
+     */
+    saveConfig(config) {
+        this.setConfig(config);
+        const preferences = storage.loadUserPreferences();
+        return storage.saveUserPreferences({ ...preferences, [this.preferencesKey]: this.config });
+    }
+
+    /**
+     * Copy a scoring table, keeping only numeric figures, age groups in age order and award
+     * grades of the IPPT scale
+     * @param {Object} config - Scoring table
+     * @returns {Object} Normalised copy
+     */
+    normalizeConfig(config) {
+        const number = value => (Number.isFinite(Number(value)) && value !== '' && value !== null ? Number(value) : null);
+        const ageGroups = (Array.isArray(config?.ageGroups) ? config.ageGroups : DEFAULT_IPPT_SCORING.ageGroups)
+            .map(group => ({
+                maxAge: number(group.maxAge),
+                ...Object.fromEntries(IPPT_STATIONS.map(station => [station.key,
+                    (Array.isArray(group[station.key]) ? group[station.key] : []).slice(0, 2).map(number)]))
+            }))
+            .filter(group => group.maxAge !== null && IPPT_STATIONS.every(station =>
+                group[station.key].length === 2 && group[station.key].every(value => value !== null)))
+            .sort((a, b) => a.maxAge - b.maxAge);
+        const awards = (Array.isArray(config?.awards) ? config.awards : DEFAULT_IPPT_SCORING.awards)
+            .filter(award => IPPT_GRADES.includes(award.grade) && award.grade !== 'Fail' && number(award.points) !== null)
+            .map(award => ({ grade: award.grade, points: number(award.points) }))
+            .sort((a, b) => b.points - a.points);
+
+        return {
+            ageGroups,
+            awards,
+            minStationPoints: number(config?.minStationPoints) ?? DEFAULT_IPPT_SCORING.minStationPoints
+        };
+    }
+
+    /**
+     * Whether the unit has entered its scoring table: at least one age group and the points of
+     * every award
+     * @returns {boolean} True if scores can be calculated
+     */
+    isConfigured() {
+        const { ageGroups, awards } = this.getConfig();
+        const grades = IPPT_GRADES.filter(grade => grade !== 'Fail');
+        return ageGroups.length > 0 && grades.every(grade => awards.some(award => award.grade === grade));
+    }
+
+    /* ---------- Age Groups ---------- */
+
+    /**
+     * Label of an age group, e.g. "Up to 21", "22-24" or "58 and over"
+     * @param {number} index - Age group index
+     * @param {Array<Object>} [ageGroups] - Age groups (the table in use by default)
+     * @returns {string} Label
+     */
+    getAgeGroupLabel(index, ageGroups = this.getConfig().ageGroups) {
+        const group = ageGroups[index];
+        if (!group) return '';
+        if (index === 0) return `Up to ${group.maxAge}`;
+        const minAge = ageGroups[index - 1].maxAge + 1;
+        if (index === ageGroups.length - 1) return `${minAge} and over`;
+        return minAge === group.maxAge ? String(minAge) : `${minAge}-${group.maxAge}`;
+    }
+
+    /**
+     * Labels of every age group, youngest first
+     * @returns {Array<string>} Labels
+     */
+    getAgeGroupLabels() {
+        return this.getConfig().ageGroups.map((group, index) => this.getAgeGroupLabel(index));
+    }
+
+    /**
+     * Index of the age group an age falls in
+     * @param {number} age - Age in years
+     * @returns {number} Age group index (the last group for anyone older)
+     */
+    findAgeGroup(age) {
+        const ageGroups = this.getConfig().ageGroups;
+        const index = ageGroups.findIndex(group => age <= group.maxAge);
+        return index >= 0 ? index : ageGroups.length - 1;
+    }
+
+    /**
+     * Read an age group as written on a record or in a file ("22-24", "Up to 21", "25"): the
+     * first number is taken as an age, so labels stay readable after the table changes
+     * @param {string} text - Age group text
+     * @returns {number} Age group index, or -1 if the text holds no age
+     */
+    parseAgeGroup(text) {
+        const match = String(text ?? '').match(/\d+/);
+        return match ? this.findAgeGroup(Number(match[0])) : -1;
+    }
+
+    /**
+     * Age in whole years on a date
+     * @param {string} birthDate - YYYY-MM-DD
+     * @param {string} onDate - YYYY-MM-DD
+     * @returns {number} Age
+     */
+    getAge(birthDate, onDate) {
+        const [birthYear, birthMonth, birthDay] = birthDate.split('-').map(Number);
+        const [year, month, day] = onDate.split('-').map(Number);
+        const hadBirthday = month > birthMonth || (month === birthMonth && day >= birthDay);
+        return year - birthYear - (hadBirthday ? 0 : 1);
+    }
+
+    /**
+     * The age group a result is scored in: the recorded age group, otherwise the person's age
+     * on the test date (today if the result has no date)
+     * @param {Object} person - Personnel record
+     * @param {string} phaseKey - Phase key
+     * @returns {Object|null} { index, basis } with basis describing where the age group came from
+     */
+    resolveAgeGroup(person, phaseKey) {
+        const ageGroup = person?.[phaseKey]?.ipptScore?.ageGroup;
+        if (ageGroup) {
+            const index = this.parseAgeGroup(ageGroup);
+            return index >= 0 ? { index, basis: `age group ${ageGroup}` } : null;
+        }
+
+        const birthDate = toDateOnly(person?.birthDate);
+        if (!birthDate) return null;
+        const testDate = toDateOnly(person[phaseKey]?.ipptDate) || getTodayDateOnly();
+        const age = this.getAge(birthDate, testDate);
+        return { index: this.findAgeGroup(age), basis: `age ${age} on ${formatDate(testDate)}` };
+    }
+
+    /* ---------- Score Values ---------- */
+
+    /**
+     * Read a 2.4km run time: "10:30", "10.30", "10m30s", "1030", seconds, or an Excel time
+     * (a cell typed as 10:30 is read by Excel as hours and minutes, so that is taken as m:ss)
+     * @param {*} value - Cell or input value
+     * @returns {number|null} Seconds, or null if unreadable
+     */
+    parseRunTime(value) {
+        let seconds = null;
+        if (value instanceof Date && !isNaN(value)) {
+            const [first, second, third] = [value.getHours(), value.getMinutes(), value.getSeconds()];
+            seconds = first > 0 ? first * 60 + second : second * 60 + third;
+        } else if (typeof value === 'number') {
+            // Fractions of a day are Excel times; anything else is seconds
+            seconds = value > 0 && value < 1 ? Math.round(value * 86400) : value;
+            if (value < 1 && seconds >= 3600) seconds = Math.round(seconds / 60);
+        } else {
+            const text = String(value ?? '').trim().toLowerCase();
+            const parts = text.match(/^(\d{1,2})\s*(?::|\.|'|m(?:in)?)\s*(\d{1,2})\s*(?:s|"|sec)?$/);
+            if (parts && Number(parts[2]) < 60) {
+                seconds = Number(parts[1]) * 60 + Number(parts[2]);
+            } else if (/^\d{3,4}$/.test(text) && Number(text.slice(-2)) < 60) {
+                seconds = Number(text.slice(0, -2)) * 60 + Number(text.slice(-2));
+            }
+        }
+        if (!Number.isFinite(seconds)) return null;
+        seconds = Math.round(seconds);
+        return seconds >= this.runLimits[0] && seconds <= this.runLimits[1] ? seconds : null;
+    }
+
+    /**
+     * @param {number} seconds - Run time in seconds
+     * @returns {string} m:ss, or '' without a time
+     */
+    formatRunTime(seconds) {
+        if (!Number.isFinite(seconds)) return '';
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+
+    /**
+     * Read one score value as written in a file or the edit form
+     * @param {string} key - Station key of IPPT_STATIONS, or 'ageGroup'
+     * @param {*} value - Cell or input value
+     * @returns {number|string|null} Repetitions, run seconds or age group text; null if unreadable
+     */
+    parseScoreValue(key, value) {
+        if (key === 'ageGroup') {
+            // Read as an age, so the text is kept even before a scoring table is entered
+            const text = String(value ?? '').trim();
+            return /\d/.test(text) ? text : null;
+        }
+        if (IPPT_STATIONS.find(station => station.key === key)?.timed) return this.parseRunTime(value);
+        const repetitions = Number(String(value ?? '').trim());
+        return Number.isInteger(repetitions) && repetitions >= 0 && repetitions <= this.maxRepetitions ? repetitions : null;
+    }
+
+    /**
+     * How a score value should be written, for import issues and form errors
+     * @param {string} key - Station key, or 'ageGroup'
+     * @returns {string} Hint
+     */
+    getScoreHint(key) {
+        if (key === 'ageGroup') return `Write the age group as an age or a range, e.g. ${this.getAgeGroupLabel(1) || '22-24'}`;
+        if (IPPT_STATIONS.find(station => station.key === key)?.timed) return 'Write the run time as minutes:seconds, e.g. 10:30';
+        return `Write the number of repetitions (0 to ${this.maxRepetitions})`;
+    }
+
+    /**
+     * Score value as shown in tables and exports (the run as m:ss)
+     * @param {string} key - Station key, or 'ageGroup'
+     * @param {*} value - Stored value
+     * @returns {string} Display text
+     */
+    formatScoreValue(key, value) {
+        if (value === null || value === undefined || value === '') return '';
+        if (IPPT_STATIONS.find(station => station.key === key)?.timed) return this.formatRunTime(value);
+        return String(value);
+    }
+
+    /**
+     * @param {Object} score - ipptScore of a result
+     * @returns {boolean} True if any station has a figure
+     */
+    hasScore(score) {
+        return !!score && IPPT_STATIONS.some(station => Number.isFinite(score[station.key]));
+    }
+
+    /* ---------- Scoring ---------- */
+
+    /**
+     * Points for one station: full points at or beyond the full-points figure, none short of
+     * the 1-point figure, and interpolated (rounded down) in between
+     * @param {Object} station - Entry of IPPT_STATIONS
+     * @param {number} value - Repetitions or run seconds
+     * @param {Object} group - Age group of the scoring table
+     * @returns {number} Points
+     */
+    getStationPoints(station, value, group) {
+        const [onePoint, fullPoints] = group[station.key];
+        const reaches = target => (station.timed ? value <= target : value >= target);
+        if (reaches(fullPoints)) return station.maxPoints;
+        if (!reaches(onePoint)) return 0;
+        return Math.floor(1 + (station.maxPoints - 1) * (value - onePoint) / (fullPoints - onePoint));
+    }
+
+    /**
+     * Score a person's IPPT result for a phase
+     * @param {Object} person - Personnel record (birthDate and person[phase].ipptScore are read)
+     * @param {string} phaseKey - Phase key
+     * @returns {Object|null} null without a score; { error } if it cannot be scored (with
+     *   unconfigured set when no scoring table has been entered); otherwise
+     *   { points: { [station]: points }, total, grade, ageGroup, basis }
+     */
+    calculate(person, phaseKey) {
+        const score = person?.[phaseKey]?.ipptScore;
+        if (!this.hasScore(score)) return null;
+        if (!this.isConfigured()) {
+            return { error: 'no IPPT scoring table has been entered in the IPPT Scoring window', unconfigured: true };
+        }
+
+        const missing = IPPT_STATIONS.filter(station => !Number.isFinite(score[station.key]));
+        if (missing.length > 0) return { error: `no ${missing.map(station => station.label).join(' or ')} figure` };
+        const resolved = this.resolveAgeGroup(person, phaseKey);
+        if (!resolved) {
+            return { error: score.ageGroup ? `age group "${score.ageGroup}" is not recognised` : 'no date of birth or age group' };
+        }
+
+        const { ageGroups, awards, minStationPoints } = this.getConfig();
+        const points = Object.fromEntries(IPPT_STATIONS.map(station =>
+            [station.key, this.getStationPoints(station, score[station.key], ageGroups[resolved.index])]));
+        const total = Object.values(points).reduce((sum, value) => sum + value, 0);
+        const award = Object.values(points).every(value => value >= minStationPoints)
+            ? awards.find(entry => total >= entry.points)
+            : null;
+
+        return {
+            points,
+            total,
+            grade: award ? award.grade : 'Fail',
+            ageGroup: this.getAgeGroupLabel(resolved.index),
+            basis: resolved.basis
+        };
+    }
+
+    /**
+     * One line describing a calculation, e.g. "78 points (Push-ups 20, Sit-ups 21, 2.4km Run 37;
+     * age group 22-24, age 23 on 01/03/2025): Silver"
+     * @param {Object} result - Result of calculate()
+     * @returns {string} Description
+     */
+    describe(result) {
+        if (!result) return '';
+        if (result.error) return `Points not calculated: ${result.error}`;
+        const stations = IPPT_STATIONS.map(station => `${station.label} ${result.points[station.key]}`).join(', ');
+        const basis = result.basis.startsWith('age group') ? '' : `, ${result.basis}`;
+        return `${result.total} points (${stations}; age group ${result.ageGroup}${basis}): ${result.grade}`;
+    }
+
+    /**
+     * A recorded IPPT grade the person's score does not give
+     * @param {Object} person - Personnel record
+     * @param {string} phaseKey - Phase key
+     * @returns {Object|null} { grade, result } or null if they agree or cannot be compared
+     */
+    findMismatch(person, phaseKey) {
+        const grade = person?.[phaseKey]?.ippt;
+        const result = this.calculate(person, phaseKey);
+        if (!result?.grade || !hasAssessmentResult(grade) || grade === result.grade) return null;
+        return { grade, result };
+    }
+
+    /**
+     * Tooltip of an IPPT cell: the score and its points, with a warning when the grade disagrees
+     * @param {Object} person - Personnel record
+     * @param {string} phaseKey - Phase key
+     * @returns {Object|null} { text, mismatch } or null without a score
+     */
+    getCellNote(person, phaseKey) {
+        const score = person?.[phaseKey]?.ipptScore;
+        const result = this.calculate(person, phaseKey);
+        if (!result) return null;
+        const figures = IPPT_STATIONS.filter(station => Number.isFinite(score[station.key]))
+            .map(station => `${station.label} ${this.formatScoreValue(station.key, score[station.key])}`).join(', ');
+        const mismatch = this.findMismatch(person, phaseKey);
+        const warning = mismatch ? `\n⚠️ Recorded as ${mismatch.grade}, but the score gives ${mismatch.result.grade}` : '';
+        return { text: `${figures}\n${this.describe(result)}${warning}`, mismatch: !!mismatch };
+    }
+
+    /**
+     * Saved IPPT results whose grade the score does not give
+     * @param {Array} personnelData - Personnel records
+     * @returns {number} Count
+     */
+    countMismatches(personnelData) {
+        return (personnelData || []).reduce((count, person) =>
+            count + getCategoryPhases(person.category).filter(phase => this.findMismatch(person, phase.key)).length, 0);
+    }
+
+    /* ---------- IPPT Scoring Editor ---------- */
+
+    /**
+     * Open the editor on a copy of the current table
+     */
+    openEditor() {
+        const modal = document.getElementById('ipptScoringModal');
+        if (!modal) return;
+
+        this.draft = this.createDraft(this.getConfig());
+        this.renderEditor();
+        modal.style.display = 'block';
+    }
+
+    /**
+     * Close the editor, discarding unsaved changes
+     */
+    closeEditor() {
+        const modal = document.getElementById('ipptScoringModal');
+        if (modal) modal.style.display = 'none';
+        this.draft = null;
+    }
+
+    /**
+     * Editable copy of a scoring table; figures are edited as text and run times as m:ss. Every
+     * award grade gets a field, blank until its points are entered.
+     * @param {Object} config - Scoring table
+     * @returns {Object} Draft
+     */
+    createDraft(config) {
+        return {
+            ageGroups: config.ageGroups.map(group => ({
+                maxAge: String(group.maxAge),
+                ...Object.fromEntries(IPPT_STATIONS.map(station => [station.key,
+                    group[station.key].map(value => this.formatScoreValue(station.key, value))]))
+            })),
+            awards: IPPT_GRADES.filter(grade => grade !== 'Fail').map(grade =>
+                ({ grade, points: String(config.awards.find(award => award.grade === grade)?.points ?? '') })),
+            minStationPoints: String(config.minStationPoints)
+        };
+    }
+
+    /**
+     * Change a figure of an age group in the draft
+     * @param {number} index - Age group index
+     * @param {string} field - 'maxAge', or "station:0" (1 point) / "station:1" (full points)
+     * @param {string} value - New value
+     */
+    setAgeGroupField(index, field, value) {
+        const group = this.draft?.ageGroups[index];
+        if (!group) return;
+        const [key, position] = field.split(':');
+        if (position === undefined) {
+            group[key] = value;
+        } else if (group[key]) {
+            group[key][Number(position)] = value;
+        }
+    }
+
+    /**
+     * Add an age group after the oldest, with the oldest group's figures
+     */
+    addAgeGroup() {
+        if (!this.draft) return;
+        const last = this.draft.ageGroups[this.draft.ageGroups.length - 1];
+        this.draft.ageGroups.push({
+            ...last,
+            maxAge: String((Number(last?.maxAge) || 18) + 3),
+            ...Object.fromEntries(IPPT_STATIONS.map(station => [station.key, [...(last?.[station.key] || ['', ''])]]))
+        });
+        this.renderEditor();
+    }
+
+    /**
+     * Remove an age group from the draft
+     * @param {number} index - Age group index
+     */
+    removeAgeGroup(index) {
+        if (!this.draft || this.draft.ageGroups.length <= 1) return;
+        this.draft.ageGroups.splice(index, 1);
+        this.renderEditor();
+    }
+
+    /**
+     * Change an award threshold or the minimum points per station in the draft
+     * @param {string} field - Award grade, or 'minStationPoints'
+     * @param {string} value - New value
+     */
+    setAwardField(field, value) {
+        if (!this.draft) return;
+        if (field === 'minStationPoints') {
+            this.draft.minStationPoints = value;
+            return;
+        }
+        const award = this.draft.awards.find(entry => entry.grade === field);
+        if (award) award.points = value;
+    }
+
+    /**
+     * Check a draft and turn it into a scoring table
+     * @param {Object} draft - Editor draft
+     * @returns {Object} { config, problems } with problems empty if the draft can be saved
+     */
+    readDraft(draft) {
+        const problems = [];
+        if (draft.ageGroups.length === 0) problems.push('Add at least one age group from your IPPT chart');
+        let previousAge = 0;
+        const ageGroups = draft.ageGroups.map((group, index) => {
+            const maxAge = Number(group.maxAge);
+            if (!Number.isInteger(maxAge) || maxAge <= previousAge) {
+                problems.push(`Age group ${index + 1}: the oldest age must be a whole number above ${previousAge}`);
+            }
+            previousAge = Number.isInteger(maxAge) ? maxAge : previousAge;
+            const label = `Age group ${index + 1} (up to ${group.maxAge})`;
+
+            return {
+                maxAge,
+                ...Object.fromEntries(IPPT_STATIONS.map(station => {
+                    const [onePoint, fullPoints] = group[station.key].map(value => this.parseScoreValue(station.key, value));
+                    if (onePoint === null || fullPoints === null) {
+                        problems.push(`${label}: ${station.label} figures are not readable. ${this.getScoreHint(station.key)}`);
+                    } else if (station.timed ? fullPoints >= onePoint : fullPoints <= onePoint) {
+                        problems.push(`${label}: the ${station.label} full-points figure must be ${station.timed ? 'faster' : 'more'} than the 1-point figure`);
+                    }
+                    return [station.key, [onePoint, fullPoints]];
+                }))
+            };
+        });
+
+        const maxTotal = IPPT_STATIONS.reduce((sum, station) => sum + station.maxPoints, 0);
+        const awards = draft.awards.map(award => ({ grade: award.grade, points: Number(award.points) }));
+        awards.forEach((award, index) => {
+            if (!Number.isInteger(award.points) || award.points < 1 || award.points > maxTotal) {
+                problems.push(`${award.grade} must need a whole number of points from 1 to ${maxTotal}`);
+            } else if (index > 0 && award.points >= awards[index - 1].points) {
+                problems.push(`${award.grade} must need fewer points than ${awards[index - 1].grade}`);
+            }
+        });
+        const minStationPoints = Number(draft.minStationPoints);
+        if (!Number.isInteger(minStationPoints) || minStationPoints < 0) {
+            problems.push('The minimum points per station must be a whole number (0 for no minimum)');
+        }
+
+        return { config: { ageGroups, awards, minStationPoints }, problems };
+    }
+
+    /**
+     * Save the draft and refresh the tables
+     */
+    saveEditor() {
+        if (!this.draft) return;
+
+        const { config, problems } = this.readDraft(this.draft);
+        if (problems.length > 0) {
+            showErrorMessage(`The IPPT scoring table cannot be saved:\n\n${problems.join('\n')}`);
+            return;
+        }
+
+        this.saveConfig(config);
+        this.closeEditor();
+
+        if (window.app) {
+            const mismatches = this.countMismatches(window.app.personnelData);
+            window.app.updateAll();
+            if (typeof handleSearch === 'function') handleSearch();
+            window.app.addAuditEntry(`Updated IPPT scoring table: ${this.config.ageGroups.length} age group(s), ${this.config.awards.map(award => `${award.grade} ${award.points}`).join(', ')}; ${mismatches} recorded grade(s) disagree with their score`);
+            showSuccessMessage(`IPPT scoring table saved.${mismatches > 0 ? `\n\n⚠️ ${mismatches} recorded IPPT grade(s) disagree with their score; they are marked ⚠️ in the tables.` : ''}`);
+        } else {
+            showSuccessMessage('IPPT scoring table saved.');
+        }
+    }
+
+    /**
+     * Render the editor from the draft
+     */
+    renderEditor() {
+        const container = document.getElementById('ipptScoringEditor');
+        if (!container || !this.draft) return;
+        const draft = this.draft;
+        const labels = draft.ageGroups.map((group, index) =>
+            this.getAgeGroupLabel(index, draft.ageGroups.map(entry => ({ maxAge: Number(entry.maxAge) }))));
+
+        const input = (index, field, value, placeholder) => `
+                    <td><input type="text" class="ippt-scoring-input" value="${escapeHtml(value)}" placeholder="${placeholder}"
+                               oninput="setIpptAgeGroupField(${index}, '${field}', this.value)"></td>`;
+        const rows = draft.ageGroups.map((group, index) => `
+                <tr>
+                    <td>${escapeHtml(labels[index])}</td>
+                    ${input(index, 'maxAge', group.maxAge, 'age')}
+                    ${IPPT_STATIONS.map(station => [0, 1].map(position =>
+                        input(index, `${station.key}:${position}`, group[station.key][position], station.timed ? 'm:ss' : 'reps')).join('')).join('')}
+                    <td><button type="button" class="btn btn-danger" onclick="removeIpptAgeGroup(${index})" ${draft.ageGroups.length <= 1 ? 'disabled' : ''}>✕</button></td>
+                </tr>`).join('');
+
+        container.innerHTML = `
+            <details class="form-section" open>
+                <summary>📊 Points by Age Group</summary>
+                <p class="modal-hint">For each station, the figure that scores 1 point and the figure that scores full points
+                    (${IPPT_STATIONS.map(station => `${station.label} ${station.maxPoints}`).join(', ')}); points in between are interpolated.
+                    Age is taken on the test date, or from the age group recorded with the score.</p>
+                <div class="table-container">
+                    <table class="preview-table mapping-table ippt-scoring-table">
+                        <thead>
+                            <tr><th rowspan="2">Age group</th><th rowspan="2">Oldest age</th>
+                                ${IPPT_STATIONS.map(station => `<th colspan="2">${escapeHtml(station.label)}</th>`).join('')}<th rowspan="2"></th></tr>
+                            <tr>${IPPT_STATIONS.map(() => '<th>1 point</th><th>Full points</th>').join('')}</tr>
+                        </thead>
+                        <tbody>${rows || `<tr><td colspan="${3 + IPPT_STATIONS.length * 2}">No age groups: add one for each age group of your IPPT chart</td></tr>`}</tbody>
+                    </table>
+                </div>
+                <div class="modal-toolbar">
+                    <button type="button" class="btn btn-secondary" onclick="addIpptAgeGroup()">➕ Add Age Group</button>
+                </div>
+            </details>
+            <details class="form-section" open>
+                <summary>🏅 Awards</summary>
+                <p class="modal-hint">The highest award whose points the total reaches, as long as every station scores the minimum; otherwise Fail.</p>
+                <div class="form-grid">
+                    ${draft.awards.map(award => `
+                    <div class="form-group">
+                        <label>${escapeHtml(award.grade)} (points):</label>
+                        <input type="number" min="1" value="${escapeHtml(award.points)}" oninput="setIpptAwardField('${award.grade}', this.value)">
+                    </div>`).join('')}
+                    <div class="form-group">
+                        <label>Minimum points per station:</label>
+                        <input type="number" min="0" value="${escapeHtml(draft.minStationPoints)}" oninput="setIpptAwardField('minStationPoints', this.value)">
+                    </div>
+                </div>
+            </details>`;
+    }
+}
+
+/* ---------- Global IPPT Calculator Instance ---------- */
+
+// Create global IPPT calculator instance
+const ipptCalculator = new SofunIpptCalculator();
+
+/* ---------- Global Functions (for backward compatibility) ---------- */
+
+/**
+ * Open the IPPT scoring table editor
+ */
+function openIpptScoringEditor() {
+    ipptCalculator.openEditor();
+}
+
+/**
+ * Close the IPPT scoring table editor without saving
+ */
+function closeIpptScoringEditor() {
+    ipptCalculator.closeEditor();
+}
+
+/**
+ * Save the IPPT scoring table editor
+ */
+function saveIpptScoring() {
+    ipptCalculator.saveEditor();
+}
+
+/**
+ * Change a figure of an age group in the IPPT scoring table editor
+ */
+function setIpptAgeGroupField(index, field, value) {
+    ipptCalculator.setAgeGroupField(index, field, value);
+}
+
+/**
+ * Add an age group in the IPPT scoring table editor
+ */
+function addIpptAgeGroup() {
+    ipptCalculator.addAgeGroup();
+}
+
+/**
+ * Remove an age group in the IPPT scoring table editor
+ */
+function removeIpptAgeGroup(index) {
+    ipptCalculator.removeAgeGroup(index);
+}
+
+/**
+ * Change an award threshold in the IPPT scoring table editor
+ */
+function setIpptAwardField(field, value) {
+    ipptCalculator.setAwardField(field, value);
+}
+
+console.log('✅ SOFUN IPPT Calculator loaded - IPPT scoring ready');
\ No newline at end of file
@@ -0,0 +1,521 @@
+/* =================================================================
+   SOFUN TRACKER - MEDICAL STATUS
+   Medical status entries with validity periods, excused tests and expiry
+   ================================================================= */
+
+/**
+ * SOFUN Medical Status
+ * A person's medical status is kept as entries in person.medicalEntries, each with the dates it is
+ * in effect, the tests it excuses and its reference (e.g. the MC or memo number). person.medicalStatus
+ * is the status of the entry in effect today, or Fit when there is none, so a status reverts to Fit by
+ * itself the day after its expiry date. sync() is run whenever the data is loaded or saved. Tests
+ * excused by an entry in effect are not required (statusRules.getRequiredTests), so they are neither
+ * outstanding nor overdue.
+ *
+ * An entry is stored as:
+ * { id, status, effectiveDate, expiryDate, excusedTests: [test key], reference }
+ */
+class SofunMedicalStatus {
+    constructor() {
+        this.view = null;
+    }
+
+    /* ---------- Entries ---------- */
+
+    /**
+     * A person's entries (records from before medical entries have none)
+     * @param {Object} person - Personnel record
+     * @returns {Array<Object>} Entries, earliest first
+     */
+    getEntries(person) {
+        return Array.isArray(person?.medicalEntries) ? person.medicalEntries : [];
+    }
+
+    /**
+     * Statuses an entry can have: every medical status except Fit, which is having none in effect
+     * @returns {Array<string>} Statuses
+     */
+    getEntryStatuses() {
+        return MEDICAL_STATUS_OPTIONS.filter(status => status !== 'Fit');
+    }
+
+    /**
+     * @param {string} status - Medical status
+     * @returns {boolean} True if an entry of this status needs an expiry date
+     */
+    isTimeBound(status) {
+        return MEDICAL_STATUS_CONFIG.timeBound.includes(status);
+    }
+
+    /**
+     * Whether an entry is in effect on a date; an entry without dates has no start or end
+     * @param {Object} entry - Entry
+     * @param {string} [date] - 'YYYY-MM-DD', today by default
+     * @returns {boolean} True if in effect
+     */
+    isInEffect(entry, date = getTodayDateOnly()) {
+        return (!entry.effectiveDate || entry.effectiveDate <= date) && (!entry.expiryDate || entry.expiryDate >= date);
+    }
+
+    /**
+     * State of an entry as shown in the edit form and the Medical Status window
+     * @param {Object} entry - Entry
+     * @returns {string} 'Expired', 'In effect' or 'Upcoming'
+     */
+    getState(entry) {
+        const today = getTodayDateOnly();
+        if (entry.expiryDate && entry.expiryDate < today) return 'Expired';
+        return entry.effectiveDate && entry.effectiveDate > today ? 'Upcoming' : 'In effect';
+    }
+
+    /**
+     * The entry in effect on a date; of several, the one that took effect last
+     * @param {Object} person - Personnel record
+     * @param {string} [date] - 'YYYY-MM-DD', today by default
+     * @returns {Object|null} Entry, or null if the person is Fit
+     */
+    getCurrentEntry(person, date = getTodayDateOnly()) {
+        return this.getEntries(person)
+            .filter(entry => this.isInEffect(entry, date))
+            .reduce((current, entry) =>
+                (!current || (entry.effectiveDate || '') >= (current.effectiveDate || '') ? entry : current), null);
+    }
+
+    /**
+     * @param {Object} person - Personnel record
+     * @param {string} [date] - 'YYYY-MM-DD', today by default
+     * @returns {string} Status of the entry in effect, or Fit
+     */
+    getCurrentStatus(person, date) {
+        return this.getCurrentEntry(person, date)?.status || 'Fit';
+    }
+
+    /**
+     * New entry, excusing the status's tests of MEDICAL_STATUS_CONFIG unless others are given
+     * @param {string} status - Medical status
+     * @param {Object} [details] - { effectiveDate, expiryDate, excusedTests, reference }
+     * @returns {Object} Entry
+     */
+    createEntry(status, details = {}) {
+        return {
+            id: `m-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            status,
+            effectiveDate: toDateOnly(details.effectiveDate) || null,
+            expiryDate: toDateOnly(details.expiryDate) || null,
+            excusedTests: [...(details.excusedTests || MEDICAL_STATUS_CONFIG.excusedTests[status] || [])],
+            reference: String(details.reference || '').trim()
+        };
+    }
+
+    /**
+     * The list to store: entries of a known status, with date-only dates and the excused tests in
+     * registry order, earliest first
+     * @param {Array<Object>} entries - Entries
+     * @returns {Array<Object>} Entries to store
+     */
+    toStored(entries) {
+        return (entries || [])
+            .filter(entry => this.getEntryStatuses().includes(entry.status))
+            .map(entry => ({
+                id: entry.id || this.createEntry(entry.status).id,
+                status: entry.status,
+                effectiveDate: toDateOnly(entry.effectiveDate) || null,
+                expiryDate: toDateOnly(entry.expiryDate) || null,
+                excusedTests: ASSESSMENT_REGISTRY.map(test => test.key).filter(key => (entry.excusedTests || []).includes(key)),
+                reference: String(entry.reference || '').trim()
+            }))
+            .sort((a, b) => (a.effectiveDate || '').localeCompare(b.effectiveDate || ''));
+    }
+
+    /**
+     * Replace a person's entries and derive their status from them
+     * @param {Object} person - Personnel record, updated in place
+     * @param {Array<Object>} entries - Entries
+     */
+    setEntries(person, entries) {
+        const stored = this.toStored(entries);
+        if (stored.length > 0) {
+            person.medicalEntries = stored;
+        } else {
+            delete person.medicalEntries;
+        }
+        person.medicalStatus = this.getCurrentStatus(person);
+    }
+
+    /**
+     * Set a status from outside the edit form (the bulk update, or an import without medical
+     * entries). The entries in effect end yesterday, or are replaced when they took effect today,
+     * and a status other than Fit starts a new entry today. Setting the current status again only
+     * changes its expiry date and reference, when given.
+     * @param {Object} person - Personnel record, updated in place
+     * @param {string} status - Medical status
+     * @param {Object} [details] - { expiryDate, reference } of the new entry
+     * @returns {boolean} True if the record changed
+     */
+    setStatus(person, status, details = {}) {
+        const today = getTodayDateOnly();
+        const current = this.getCurrentEntry(person);
+        if ((current?.status || 'Fit') === status) {
+            if (!current) return false;
+            const expiryDate = toDateOnly(details.expiryDate) || current.expiryDate;
+            const reference = String(details.reference || '').trim() || current.reference;
+            if (expiryDate === current.expiryDate && reference === current.reference) return false;
+            current.expiryDate = expiryDate;
+            current.reference = reference;
+            this.setEntries(person, this.getEntries(person));
+            return true;
+        }
+
+        const entries = this.getEntries(person)
+            .filter(entry => !(this.isInEffect(entry, today) && (entry.effectiveDate || '') >= today))
+            .map(entry => (this.isInEffect(entry, today) ? { ...entry, expiryDate: addDaysToDate(today, -1) } : entry));
+        if (status !== 'Fit') entries.push(this.createEntry(status, { ...details, effectiveDate: today }));
+        this.setEntries(person, entries);
+        return true;
+    }
+
+    /**
+     * Whether a path is a medical field, written by applyUpdates rather than set directly
+     * @param {string} path - Field path
+     * @returns {boolean} True for medicalStatus and medicalEntries
+     */
+    isMedicalPath(path) {
+        return path === 'medicalStatus' || path === 'medicalEntries';
+    }
+
+    /**
+     * Write medical values from an import. Entries replace the saved ones and decide the status by
+     * themselves; a status alone goes through setStatus.
+     * @param {Object} person - Personnel record, updated in place
+     * @param {Array<Object>} updates - { path, value } of medical paths
+     */
+    applyUpdates(person, updates) {
+        const entries = updates.find(update => update.path === 'medicalEntries');
+        const status = updates.find(update => update.path === 'medicalStatus');
+        if (entries) {
+            this.setEntries(person, Array.isArray(entries.value) ? entries.value : []);
+        } else if (status) {
+            this.setStatus(person, MEDICAL_STATUS_OPTIONS.includes(status.value) ? status.value : 'Fit');
+        }
+    }
+
+    /**
+     * Bring a record's status in line with its entries. A status from before medical entries
+     * becomes an entry without dates.
+     * @param {Object} person - Personnel record, updated in place
+     * @returns {Object|null} { person, from, to } if the status changed
+     */
+    syncPerson(person) {
+        if (!person) return null;
+        const before = MEDICAL_STATUS_OPTIONS.includes(person.medicalStatus) ? person.medicalStatus : 'Fit';
+        if (!Array.isArray(person.medicalEntries) && before !== 'Fit') {
+            person.medicalEntries = [this.createEntry(before)];
+        }
+        person.medicalStatus = this.getCurrentStatus(person);
+        return person.medicalStatus !== before ? { person, from: before, to: person.medicalStatus } : null;
+    }
+
+    /**
+     * Bring the status of every record in line with its entries, e.g. Fit again after an expiry
+     * @param {Array} personnel - Personnel records, updated in place
+     * @returns {Array<Object>} Changes (see syncPerson)
+     */
+    sync(personnel) {
+        return (personnel || []).map(person => this.syncPerson(person)).filter(Boolean);
+    }
+
+    /**
+     * Audit text for statuses changed by sync()
+     * @param {Array<Object>} changes - Changes from sync()
+     * @returns {string} Description ('' if nothing changed)
+     */
+    describeChanges(changes) {
+        if (changes.length === 0) return '';
+        const listed = changes.slice(0, 5).map(({ person, from, to }) => (to === 'Fit'
+            ? `${from} of ${person.name} expired, now Fit`
+            : `${person.name} now ${to} (was ${from})`));
+        const more = changes.length > listed.length ? ` and ${changes.length - listed.length} more` : '';
+        return `Medical status: ${listed.join(', ')}${more}`;
+    }
+
+    /**
+     * Combine the entries of two records being merged; an entry already kept (the same ID, or the
+     * same status and dates) is not added twice
+     * @param {Array<Object>} kept - Entries of the record that is kept
+     * @param {Array<Object>} other - Entries of the record merged into it
+     * @returns {Array<Object>} Combined entries
+     */
+    mergeEntries(kept, other) {
+        const key = entry => `${entry.status}|${entry.effectiveDate || ''}|${entry.expiryDate || ''}`;
+        const merged = [...(kept || [])];
+        (other || []).forEach(entry => {
+            if (merged.some(candidate => candidate.id === entry.id || key(candidate) === key(entry))) return;
+            merged.push(entry);
+        });
+        return this.toStored(merged);
+    }
+
+    /* ---------- Excusals ---------- */
+
+    /**
+     * Entry excusing a test on a date
+     * @param {Object} person - Personnel record
+     * @param {string} testKey - Test key
+     * @param {string} [date] - 'YYYY-MM-DD', today by default
+     * @returns {Object|null} Entry, or null if the test is not excused
+     */
+    getExcusal(person, testKey, date = getTodayDateOnly()) {
+        return this.getEntries(person).find(entry =>
+            this.isInEffect(entry, date) && (entry.excusedTests || []).includes(testKey)) || null;
+    }
+
+    /**
+     * Entries in effect today that expire within a number of days, soonest first
+     * @param {Array} personnel - Personnel records (only active personnel are listed)
+     * @param {number} [days] - Days ahead, MEDICAL_STATUS_CONFIG.expiringDays by default
+     * @returns {Array<Object>} { person, entry }
+     */
+    getExpiring(personnel, days = MEDICAL_STATUS_CONFIG.expiringDays) {
+        const today = getTodayDateOnly();
+        const until = addDaysToDate(today, days);
+        return (personnel || []).filter(person => isActivePersonnel(person))
+            .flatMap(person => this.getEntries(person)
+                .filter(entry => entry.expiryDate && this.isInEffect(entry, today) && entry.expiryDate <= until)
+                .map(entry => ({ person, entry })))
+            .sort((a, b) => a.entry.expiryDate.localeCompare(b.entry.expiryDate) || a.person.name.localeCompare(b.person.name));
+    }
+
+    /* ---------- Text ---------- */
+
+    /**
+     * Labels of an entry's excused tests
+     * @param {Object} entry - Entry
+     * @returns {Array<string>} Test labels
+     */
+    getExcusedLabels(entry) {
+        return (entry.excusedTests || []).map(key => getAssessmentTest(key)?.label || key);
+    }
+
+    /**
+     * An entry in words, e.g. "Light Duty from 01/10/2026 until 21/10/2026, excusing IPPT, SOC (ref MC123)"
+     * @param {Object} entry - Entry
+     * @returns {string} Description
+     */
+    describeEntry(entry) {
+        const excused = this.getExcusedLabels(entry);
+        return [
+            entry.status,
+            entry.effectiveDate ? `from ${formatDate(entry.effectiveDate)}` : '',
+            entry.expiryDate ? `until ${formatDate(entry.expiryDate)}` : 'with no expiry date'
+        ].filter(Boolean).join(' ') +
+            (excused.length > 0 ? `, excusing ${excused.join(', ')}` : '') +
+            (entry.reference ? ` (ref ${entry.reference})` : '');
+    }
+
+    /**
+     * Why a test is excused, as the status explanation puts it
+     * @param {Object} entry - Entry excusing the test
+     * @returns {string} e.g. "excused by Light Duty until 21/10/2026, ref MC123"
+     */
+    describeExcusal(entry) {
+        return `excused by ${entry.status}${entry.expiryDate ? ` until ${formatDate(entry.expiryDate)}` : ''}` +
+            (entry.reference ? `, ref ${entry.reference}` : '');
+    }
+
+    /**
+     * Entries as one line of text, the way the CSV export writes them
+     * (e.g. "Light Duty 2026-10-01 to 2026-10-21 excusing IPPT, SOC (ref MC123); Medical Board - to -")
+     * @param {Array<Object>} entries - Entries
+     * @returns {string} Text ('' without entries)
+     */
+    formatEntries(entries) {
+        if (!Array.isArray(entries)) return '';
+        return entries.map(entry => {
+            const excused = this.getExcusedLabels(entry);
+            return `${entry.status} ${entry.effectiveDate || '-'} to ${entry.expiryDate || '-'}` +
+                (excused.length > 0 ? ` excusing ${excused.join(', ')}` : '') +
+                (entry.reference ? ` (ref ${entry.reference})` : '');
+        }).join('; ');
+    }
+
+    /**
+     * Read entries written by formatEntries
+     * @param {string} text - Cell text
+     * @returns {Object} { entries, problem } with problem '' when every entry was read
+     */
+    parseEntries(text) {
+        const entries = [];
+        let problem = '';
+        const readDate = value => (value === '-' ? null : toDateOnly(value) || undefined);
+        // A reference may hold a semicolon, so only one followed by a status starts a new entry
+        const separator = new RegExp(`;\\s*(?=(?:${this.getEntryStatuses().join('|')})\\s)`, 'i');
+        String(text || '').split(separator).map(part => part.trim()).filter(Boolean).forEach(part => {
+            const match = part.match(/^(.+?)\s+(\S+)\s+to\s+(\S+)(?:\s+excusing\s+(.+?))?(?:\s*\(ref\s+(.*)\))?$/i);
+            const status = match && this.getEntryStatuses().find(option => option.toUpperCase() === match[1].trim().toUpperCase());
+            const tests = (match?.[4] || '').split(',').map(label => label.trim()).filter(Boolean)
+                .map(label => ASSESSMENT_REGISTRY.find(test => [test.label, test.key].some(name => name.toUpperCase() === label.toUpperCase())));
+            const [effectiveDate, expiryDate] = match ? [readDate(match[2]), readDate(match[3])] : [];
+            if (!status || effectiveDate === undefined || expiryDate === undefined || tests.includes(undefined)) {
+                problem = problem || `"${part}" is not a medical entry`;
+                return;
+            }
+            entries.push(this.createEntry(status, {
+                effectiveDate, expiryDate, excusedTests: tests.map(test => test.key), reference: match[5]
+            }));
+        });
+        return { entries, problem };
+    }
+
+    /**
+     * Table cell of a person: their status, with the entry in effect as hover text and ⏳ when it
+     * expires within MEDICAL_STATUS_CONFIG.expiringDays
+     * @param {Object} person - Personnel record
+     * @returns {string} HTML
+     */
+    renderCell(person) {
+        const status = escapeHtml(person.medicalStatus || 'Fit');
+        const entry = this.getCurrentEntry(person);
+        if (!entry) return status;
+        const expiring = !!entry.expiryDate && entry.expiryDate <= addDaysToDate(getTodayDateOnly(), MEDICAL_STATUS_CONFIG.expiringDays);
+        return `<span title="${escapeHtml(this.describeEntry(entry))}">${status}${expiring ? ' ⏳' : ''}</span>`;
+    }
+
+    /* ---------- Medical Status Modal ---------- */
+
+    /**
+     * Open the Medical Status window, listing the entries about to expire
+     */
+    open() {
+        const modal = document.getElementById('medicalStatusModal');
+        if (!modal) return;
+        this.view = { showAll: false };
+        const showAll = document.getElementById('medicalShowAll');
+        if (showAll) showAll.checked = false;
+        this.render();
+        modal.style.display = 'block';
+    }
+
+    /**
+     * Close the Medical Status window
+     */
+    close() {
+        const modal = document.getElementById('medicalStatusModal');
+        if (modal) modal.style.display = 'none';
+        this.view = null;
+    }
+
+    /**
+     * List every entry in effect, or only those about to expire
+     * @param {boolean} showAll - New state
+     */
+    setShowAll(showAll) {
+        if (!this.view) return;
+        this.view.showAll = showAll;
+        this.render();
+    }
+
+    /**
+     * Open a person's edit form from the window, where their entries are changed
+     * @param {string} personId - Personnel ID
+     */
+    editPerson(personId) {
+        this.close();
+        if (typeof openEditModal === 'function') openEditModal(personId);
+    }
+
+    /**
+     * Render the entries of the window's view
+     */
+    render() {
+        const container = document.getElementById('medicalStatusItems');
+        const summary = document.getElementById('medicalStatusSummary');
+        if (!container || !this.view) return;
+
+        const today = getTodayDateOnly();
+        const personnel = (window.app?.personnelData || []).filter(person => isActivePersonnel(person));
+        const expiring = this.getExpiring(personnel);
+        const inEffect = personnel.flatMap(person => this.getEntries(person)
+            .filter(entry => this.isInEffect(entry, today))
+            .map(entry => ({ person, entry })))
+            .sort((a, b) => (a.entry.expiryDate || '9999').localeCompare(b.entry.expiryDate || '9999') ||
+                a.person.name.localeCompare(b.person.name));
+
+        if (summary) {
+            const onStatus = new Set(inEffect.map(item => item.person)).size;
+            summary.textContent = `Active personnel: ${onStatus} on a medical status, ` +
+                `${expiring.length} status(es) expiring within ${MEDICAL_STATUS_CONFIG.expiringDays} days.`;
+        }
+
+        const items = this.view.showAll ? inEffect : expiring;
+        if (items.length === 0) {
+            container.innerHTML = `<div class="alert alert-success">✅ ${this.view.showAll
+                ? 'Nobody is on a medical status.'
+                : `No medical status expires within ${MEDICAL_STATUS_CONFIG.expiringDays} days.`}</div>`;
+            return;
+        }
+
+        const rows = items.map(({ person, entry }) => {
+            const daysLeft = entry.expiryDate
+                ? Math.round((dateOnlyToDate(entry.expiryDate) - dateOnlyToDate(today)) / 86400000)
+                : null;
+            const expires = daysLeft === null ? 'No expiry date'
+                : `${formatDate(entry.expiryDate)}<br><small>${daysLeft === 0 ? 'Last day today' : `in ${daysLeft} day(s)`}</small>`;
+            const stateClass = daysLeft !== null && daysLeft <= MEDICAL_STATUS_CONFIG.expiringDays ? 'status-pending' : 'status-exempt';
+            return `
+                <tr>
+                    <td>${escapeHtml(`${person.rank || ''} ${person.name}`.trim())}<br><small>${escapeHtml(person.platoon || '-')}</small></td>
+                    <td><span class="status-badge ${stateClass}">${escapeHtml(entry.status)}</span></td>
+                    <td>${entry.effectiveDate ? formatDate(entry.effectiveDate) : '-'}</td>
+                    <td>${expires}</td>
+                    <td>${escapeHtml(this.getExcusedLabels(entry).join(', ') || '-')}</td>
+                    <td>${escapeHtml(entry.reference || '-')}</td>
+                    <td><button type="button" class="btn btn-secondary platoon-review-suggestion" onclick="editMedicalStatusPerson('${escapeHtml(person.id)}')">Edit</button></td>
+                </tr>`;
+        }).join('');
+
+        container.innerHTML = `
+            <div class="table-container">
+                <table class="preview-table">
+                    <thead><tr><th>Person</th><th>Status</th><th>From</th><th>Until</th><th>Excused tests</th><th>Reference</th><th></th></tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>`;
+    }
+}
+
+/* ---------- Global Medical Status Instance ---------- */
+
+// Create global medical status instance
+const medicalTracker = new SofunMedicalStatus();
+
+/* ---------- Global Functions (for backward compatibility) ---------- */
+
+/**
+ * Open the Medical Status window
+ */
+function openMedicalStatus() {
+    medicalTracker.open();
+}
+
+/**
+ * Close the Medical Status window
+ */
+function closeMedicalStatus() {
+    medicalTracker.close();
+}
+
+/**
+ * List every medical status in effect, or only those about to expire
+ */
+function toggleMedicalShowAll(showAll) {
+    medicalTracker.setShowAll(showAll);
+}
+
+/**
+ * Open a person's edit form from the Medical Status window
+ */
+function editMedicalStatusPerson(personId) {
+    medicalTracker.editPerson(personId);
+}
+
+console.log('✅ SOFUN Medical Status loaded - Medical status tracking ready');
\ No newline at end of file
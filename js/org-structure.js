@@ -0,0 +1,618 @@
+/* =================================================================
+   SOFUN TRACKER - ORGANISATION STRUCTURE
+   Companies, platoons and sections, with the aliases used on import
+   ================================================================= */
+
+/**
+ * SOFUN Organisation Structure
+ * Holds the unit's companies, their platoons (including HQ and support units) and each
+ * platoon's sections. Personnel store the platoon name; filters, dropdowns, validation,
+ * charts and the import's platoon matching all read the list from here.
+ * The structure is saved in user preferences and edited in the Organisation window.
+ */
+class SofunOrgStructure {
+    constructor() {
+        this.preferencesKey = 'orgStructure';
+        this.config = null;
+        this.draft = null;
+    }
+
+    /* ---------- Configuration ---------- */
+
+    /**
+     * The structure in use, loaded from user preferences on first use
+     * @returns {Object} { companies: [{ name, platoons: [{ name, aliases, sections, support }] }] }
+     */
+    getConfig() {
+        if (!this.config) {
+            const saved = typeof storage !== 'undefined' ? storage.loadUserPreferences()[this.preferencesKey] : null;
+            this.config = this.normalizeConfig(saved || DEFAULT_ORG_STRUCTURE);
+        }
+        return this.config;
+    }
+
+    /**
+     * Use a structure without saving it (the import worker receives the main thread's copy)
+     * @param {Object} config - Organisation structure
+     */
+    setConfig(config) {
+        this.config = this.normalizeConfig(config || DEFAULT_ORG_STRUCTURE);
+    }
+
+    /**
+     * Read the saved structure again on next use, e.g. after a backup replaced the preferences
+     */
+    reloadConfig() {
+        this.config = null;
+    }
+
+    /**
+     * Save a structure to user preferences and start using it
+     * @param {Object} config - Organisation structure
+     * @returns {boolean} Success status
+     */
+    saveConfig(config) {
+        this.setConfig(config);
+        const preferences = storage.loadUserPreferences();
+        return storage.saveUserPreferences({ ...preferences, [this.preferencesKey]: this.config });
+    }
+
+    /**
+     * Copy a structure with trimmed names, dropping blank aliases and sections
+     * @param {Object} config - Organisation structure
+     * @returns {Object} Normalised copy
+     */
+    normalizeConfig(config) {
+        const cleanList = list => (Array.isArray(list) ? list : [])
+            .map(value => String(value || '').trim())
+            .filter(Boolean);
+
+        return {
+            companies: (config?.companies || []).map(company => ({
+                name: String(company.name || '').trim(),
+                platoons: (company.platoons || []).map(platoon => ({
+                    name: String(platoon.name || '').trim(),
+                    aliases: cleanList(platoon.aliases),
+                    sections: cleanList(platoon.sections),
+                    support: !!platoon.support
+                }))
+            }))
+        };
+    }
+
+    /**
+     * Comparison key for names and aliases: upper case letters and digits only, so
+     * "Platoon 1", "PLATOON-1" and "platoon1" are the same
+     * @param {string} text - Name or alias
+     * @returns {string} Key
+     */
+    getMatchKey(text) {
+        return String(text || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    }
+
+    /* ---------- Lookups ---------- */
+
+    /**
+     * Every platoon in configuration order, with its company
+     * @returns {Array<Object>} Platoons ({ name, aliases, sections, support, company })
+     */
+    getPlatoons() {
+        return this.getConfig().companies.flatMap(company =>
+            company.platoons.map(platoon => ({ ...platoon, company: company.name }))
+        );
+    }
+
+    /**
+     * @returns {Array<string>} Platoon names in configuration order
+     */
+    getPlatoonNames() {
+        return this.getPlatoons().map(platoon => platoon.name);
+    }
+
+    /**
+     * @param {string} name - Platoon name
+     * @returns {Object|null} Platoon ({ name, aliases, sections, support, company })
+     */
+    getPlatoon(name) {
+        return this.getPlatoons().find(platoon => platoon.name === name) || null;
+    }
+
+    /**
+     * Company a person belongs to: the company of their platoon, or the only company when the
+     * structure has one (so unassigned personnel still count towards it)
+     * @param {string} platoon - Platoon name
+     * @returns {string} Company name ('' if it cannot be told)
+     */
+    getCompanyName(platoon) {
+        const found = this.getPlatoon(platoon);
+        if (found) return found.company;
+        const companies = this.getConfig().companies;
+        return companies.length === 1 ? companies[0].name : '';
+    }
+
+    /**
+     * Set the company of every record from its platoon. Records keep the company they were
+     * saved with, so backups carry the unit level for the battalion roll-up.
+     * @param {Array} personnelData - Personnel records, updated in place
+     * @returns {number} Number of records whose company changed
+     */
+    assignCompanies(personnelData) {
+        let changed = 0;
+        (personnelData || []).forEach(person => {
+            const company = this.getCompanyName(person.platoon);
+            if ((person.company || '') !== company) {
+                person.company = company;
+                changed++;
+            }
+        });
+        return changed;
+    }
+
+    /**
+     * @param {string} name - Platoon name
+     * @returns {boolean} True if the platoon is in the structure
+     */
+    isValidPlatoon(name) {
+        return !!name && this.getPlatoons().some(platoon => platoon.name === name);
+    }
+
+    /**
+     * Platoon a spreadsheet value refers to, by name or alias
+     * @param {string} text - Cell text ("PLATOON 2", "P2", "HQ", ...)
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.ignoreNumbers] - Skip number-only aliases such as "2"; used for platoon
+     *     header rows, whose column also holds serial numbers on person rows
+     * @returns {string} Platoon name, or '' if nothing matches
+     */
+    resolvePlatoon(text, options = {}) {
+        const key = this.getMatchKey(text);
+        if (!key) return '';
+
+        const platoons = this.getPlatoons();
+        const byName = platoons.find(platoon => this.getMatchKey(platoon.name) === key);
+        if (byName) return byName.name;
+
+        const byAlias = platoons.find(platoon => platoon.aliases.some(alias => {
+            const aliasKey = this.getMatchKey(alias);
+            return aliasKey === key && !(options.ignoreNumbers && /^\d+$/.test(aliasKey));
+        }));
+        return byAlias ? byAlias.name : '';
+    }
+
+    /**
+     * Add an import alias to a platoon and save the structure. Skipped when the text already
+     * refers to a platoon, so an alias never points to two platoons.
+     * @param {string} name - Platoon name
+     * @param {string} alias - Alias text as written in the spreadsheet
+     * @returns {boolean} True if the alias was added
+     */
+    addAlias(name, alias) {
+        const text = String(alias || '').trim();
+        if (!this.getMatchKey(text) || this.resolvePlatoon(text)) return false;
+
+        const config = this.normalizeConfig(this.getConfig());
+        const platoon = config.companies.flatMap(company => company.platoons).find(entry => entry.name === name);
+        if (!platoon) return false;
+        platoon.aliases.push(text);
+        return this.saveConfig(config);
+    }
+
+    /**
+     * Order platoon names as in the structure; names not in it follow alphabetically, then "Unassigned"
+     * @param {Array<string>} names - Platoon names
+     * @returns {Array<string>} Sorted copy
+     */
+    sortPlatoonNames(names) {
+        const order = this.getPlatoonNames();
+        const rank = name => {
+            if (name === 'Unassigned') return order.length + 1;
+            const index = order.indexOf(name);
+            return index >= 0 ? index : order.length;
+        };
+        return [...names].sort((a, b) => rank(a) - rank(b) || a.localeCompare(b));
+    }
+
+    /**
+     * Options for a platoon dropdown, grouped by company into platoons and support units
+     * @param {string} selected - Selected platoon name
+     * @returns {string} HTML of the option groups
+     */
+    renderPlatoonOptions(selected) {
+        const current = selected && selected !== 'Unassigned' && !this.isValidPlatoon(selected)
+            ? `<option value="${escapeHtml(selected)}" selected>${escapeHtml(selected)} (not in organisation)</option>`
+            : '';
+        const option = platoon =>
+            `<option value="${escapeHtml(platoon.name)}" ${platoon.name === selected ? 'selected' : ''}>${escapeHtml(platoon.name)}</option>`;
+        const groups = this.getConfig().companies.flatMap(company => [
+            { label: `${company.name} - Platoons`, platoons: company.platoons.filter(platoon => !platoon.support) },
+            { label: `${company.name} - Support Units`, platoons: company.platoons.filter(platoon => platoon.support) }
+        ])
+            .filter(group => group.platoons.length > 0)
+            .map(group => `<optgroup label="${escapeHtml(group.label)}">${group.platoons.map(option).join('')}</optgroup>`)
+            .join('');
+        return `<option value="Unassigned" ${selected === 'Unassigned' ? 'selected' : ''}>Unassigned</option>${current}${groups}`;
+    }
+
+    /**
+     * Fill the platoon dropdown of the edit form and the section dropdown for that platoon
+     * @param {string} platoon - Selected platoon
+     * @param {string} [section] - Selected section
+     */
+    populateEditForm(platoon, section = '') {
+        const platoonSelect = document.getElementById('editPlatoon');
+        if (platoonSelect) platoonSelect.innerHTML = this.renderPlatoonOptions(platoon || 'Unassigned');
+        this.populateSectionSelect(platoon, section);
+    }
+
+    /**
+     * Fill the edit form's section dropdown with the sections of a platoon
+     * @param {string} platoon - Platoon name
+     * @param {string} [section] - Selected section
+     */
+    populateSectionSelect(platoon, section = '') {
+        const sectionSelect = document.getElementById('editSection');
+        if (!sectionSelect) return;
+
+        const sections = this.getPlatoon(platoon)?.sections || [];
+        if (section && !sections.includes(section)) sections.unshift(section);
+        sectionSelect.innerHTML = '<option value="">(none)</option>' + sections
+            .map(name => `<option value="${escapeHtml(name)}" ${name === section ? 'selected' : ''}>${escapeHtml(name)}</option>`)
+            .join('');
+        sectionSelect.disabled = sections.length === 0;
+    }
+
+    /* ---------- Organisation Editor ---------- */
+
+    /**
+     * Open the organisation editor on a copy of the current structure
+     */
+    openEditor() {
+        const modal = document.getElementById('orgStructureModal');
+        if (!modal) return;
+
+        this.draft = this.createDraft(this.getConfig());
+        this.renderEditor();
+        modal.style.display = 'block';
+    }
+
+    /**
+     * Close the editor, discarding unsaved changes
+     */
+    closeEditor() {
+        const modal = document.getElementById('orgStructureModal');
+        if (modal) modal.style.display = 'none';
+        this.draft = null;
+    }
+
+    /**
+     * Editable copy of a structure. Each platoon remembers its saved name so a rename can be
+     * carried over to the personnel in it; aliases and sections are edited as comma-separated text.
+     * @param {Object} config - Organisation structure
+     * @returns {Object} Draft
+     */
+    createDraft(config) {
+        return {
+            companies: config.companies.map(company => ({
+                name: company.name,
+                platoons: company.platoons.map(platoon => ({
+                    originalName: platoon.name,
+                    name: platoon.name,
+                    aliases: platoon.aliases.join(', '),
+                    sections: platoon.sections.join(', '),
+                    support: platoon.support
+                }))
+            }))
+        };
+    }
+
+    /**
+     * Change a company name in the draft
+     * @param {number} companyIndex - Company index
+     * @param {string} value - New name
+     */
+    setCompanyName(companyIndex, value) {
+        const company = this.draft?.companies[companyIndex];
+        if (company) company.name = value;
+    }
+
+    /**
+     * Change one field of a platoon in the draft
+     * @param {number} companyIndex - Company index
+     * @param {number} platoonIndex - Platoon index
+     * @param {string} field - 'name', 'aliases', 'sections' or 'support'
+     * @param {*} value - New value
+     */
+    setPlatoonField(companyIndex, platoonIndex, field, value) {
+        const platoon = this.draft?.companies[companyIndex]?.platoons[platoonIndex];
+        if (platoon) platoon[field] = value;
+    }
+
+    /**
+     * Add a company with one empty platoon
+     */
+    addCompany() {
+        if (!this.draft) return;
+        this.draft.companies.push({
+            name: `Company ${this.draft.companies.length + 1}`,
+            platoons: [{ originalName: '', name: '', aliases: '', sections: '', support: false }]
+        });
+        this.renderEditor();
+    }
+
+    /**
+     * Add an empty platoon to a company
+     * @param {number} companyIndex - Company index
+     */
+    addPlatoon(companyIndex) {
+        const company = this.draft?.companies[companyIndex];
+        if (!company) return;
+        company.platoons.push({ originalName: '', name: '', aliases: '', sections: '', support: false });
+        this.renderEditor();
+    }
+
+    /**
+     * Remove a platoon from the draft
+     * @param {number} companyIndex - Company index
+     * @param {number} platoonIndex - Platoon index
+     */
+    removePlatoon(companyIndex, platoonIndex) {
+        const company = this.draft?.companies[companyIndex];
+        if (!company) return;
+        company.platoons.splice(platoonIndex, 1);
+        this.renderEditor();
+    }
+
+    /**
+     * Remove a company and its platoons from the draft
+     * @param {number} companyIndex - Company index
+     */
+    removeCompany(companyIndex) {
+        if (!this.draft) return;
+        this.draft.companies.splice(companyIndex, 1);
+        this.renderEditor();
+    }
+
+    /**
+     * Replace the draft with the default structure
+     */
+    resetDraft() {
+        if (!this.draft) return;
+        // Saved names are kept where the default has the same platoon, so its personnel stay put
+        const saved = new Set(this.getPlatoonNames());
+        this.draft = this.createDraft(this.normalizeConfig(DEFAULT_ORG_STRUCTURE));
+        this.draft.companies.forEach(company => company.platoons.forEach(platoon => {
+            platoon.originalName = saved.has(platoon.name) ? platoon.name : '';
+        }));
+        this.renderEditor();
+    }
+
+    /**
+     * Check a draft before saving
+     * @param {Object} draft - Editor draft
+     * @param {Array} personnelData - Saved personnel records
+     * @returns {Array<string>} Problems; empty if the draft can be saved
+     */
+    validateDraft(draft, personnelData) {
+        const problems = [];
+        const platoons = draft.companies.flatMap(company => company.platoons);
+        const keys = new Map();
+        const claim = (text, owner) => {
+            const key = this.getMatchKey(text);
+            if (!key) return;
+            if (keys.has(key) && keys.get(key) !== owner) {
+                problems.push(`"${text}" is used by both ${keys.get(key)} and ${owner}`);
+            }
+            keys.set(key, owner);
+        };
+
+        if (platoons.length === 0) problems.push('Add at least one platoon');
+        draft.companies.forEach((company, index) => {
+            if (!company.name.trim()) problems.push(`Company ${index + 1} has no name`);
+        });
+        platoons.forEach(platoon => {
+            const name = platoon.name.trim();
+            if (!name) {
+                problems.push(`A platoon${platoon.originalName ? ` (was ${platoon.originalName})` : ''} has no name`);
+                return;
+            }
+            if (this.getMatchKey(name) === 'UNASSIGNED') problems.push('"Unassigned" cannot be used as a platoon name');
+            // Names and aliases must point to a single platoon, or imports could not tell them apart
+            claim(name, name);
+            platoon.aliases.split(',').forEach(alias => claim(alias.trim(), name));
+        });
+
+        // Platoons with personnel cannot be removed; they have to be moved elsewhere first
+        const kept = new Set(platoons.map(platoon => platoon.originalName).filter(Boolean));
+        const removed = this.getPlatoonNames().filter(name => !kept.has(name));
+        removed.forEach(name => {
+            const count = (personnelData || []).filter(person => person.platoon === name).length;
+            if (count > 0) problems.push(`${name} still has ${count} personnel; move them to another platoon before removing it`);
+        });
+
+        return problems;
+    }
+
+    /**
+     * Save the draft, renaming the platoon of personnel in renamed platoons
+     */
+    saveEditor() {
+        if (!this.draft) return;
+        const personnelData = window.app?.personnelData || [];
+
+        const problems = this.validateDraft(this.draft, personnelData);
+        if (problems.length > 0) {
+            showErrorMessage(`The organisation cannot be saved:\n\n${problems.join('\n')}`);
+            return;
+        }
+
+        const renames = new Map();
+        this.draft.companies.forEach(company => company.platoons.forEach(platoon => {
+            const name = platoon.name.trim();
+            if (platoon.originalName && platoon.originalName !== name) renames.set(platoon.originalName, name);
+        }));
+
+        let moved = 0;
+        personnelData.forEach(person => {
+            if (!renames.has(person.platoon)) return;
+            person.platoon = renames.get(person.platoon);
+            person.unit = person.platoon;
+            moved++;
+        });
+
+        const before = this.getPlatoons().length;
+        this.saveConfig({
+            companies: this.draft.companies.map(company => ({
+                name: company.name,
+                platoons: company.platoons.map(platoon => ({
+                    name: platoon.name,
+                    aliases: platoon.aliases.split(','),
+                    sections: platoon.sections.split(','),
+                    support: platoon.support
+                }))
+            }))
+        });
+        this.closeEditor();
+
+        if (window.app) {
+            if (moved > 0) window.app.saveData();
+            window.app.updateAll();
+            if (typeof handleSearch === 'function') handleSearch();
+            const renameText = renames.size > 0
+                ? `, renamed ${[...renames].map(([from, to]) => `${from} to ${to}`).join(', ')} (${moved} personnel)`
+                : '';
+            window.app.addAuditEntry(`Updated organisation structure: ${this.getConfig().companies.length} company(s), ${before} -> ${this.getPlatoons().length} platoon(s)${renameText}`);
+        }
+        showSuccessMessage(`Organisation saved: ${this.getPlatoons().length} platoons${moved > 0 ? `, ${moved} personnel moved to renamed platoons` : ''}.`);
+    }
+
+    /**
+     * Render the editor from the draft
+     */
+    renderEditor() {
+        const container = document.getElementById('orgStructureCompanies');
+        if (!container || !this.draft) return;
+
+        const counts = {};
+        (window.app?.personnelData || []).filter(person => isActivePersonnel(person)).forEach(person => {
+            counts[person.platoon] = (counts[person.platoon] || 0) + 1;
+        });
+
+        container.innerHTML = this.draft.companies.map((company, c) => `
+            <details class="form-section" open>
+                <summary>🏢 ${escapeHtml(company.name || `Company ${c + 1}`)} (${company.platoons.length} platoons)</summary>
+                <div class="modal-toolbar">
+                    <input type="text" class="org-company-name" value="${escapeHtml(company.name)}" placeholder="Company name"
+                           oninput="setOrgCompanyName(${c}, this.value)">
+                    <button type="button" class="btn btn-secondary" onclick="addOrgPlatoon(${c})">➕ Add Platoon</button>
+                    <button type="button" class="btn btn-danger" onclick="removeOrgCompany(${c})">Remove Company</button>
+                </div>
+                <div class="table-container">
+                    <table class="preview-table mapping-table org-structure-table">
+                        <thead><tr><th>Platoon</th><th>Import aliases</th><th>Sections</th><th>Support unit</th><th>Personnel</th><th></th></tr></thead>
+                        <tbody>
+                            ${company.platoons.map((platoon, p) => `
+                            <tr>
+                                <td><input type="text" value="${escapeHtml(platoon.name)}" placeholder="e.g. Platoon 5"
+                                           oninput="setOrgPlatoonField(${c}, ${p}, 'name', this.value)"></td>
+                                <td><input type="text" value="${escapeHtml(platoon.aliases)}" placeholder="e.g. PLT 5, P5, 5"
+                                           oninput="setOrgPlatoonField(${c}, ${p}, 'aliases', this.value)"></td>
+                                <td><input type="text" value="${escapeHtml(platoon.sections)}" placeholder="e.g. Section 1, Section 2"
+                                           oninput="setOrgPlatoonField(${c}, ${p}, 'sections', this.value)"></td>
+                                <td><input type="checkbox" ${platoon.support ? 'checked' : ''}
+                                           onchange="setOrgPlatoonField(${c}, ${p}, 'support', this.checked)"></td>
+                                <td>${counts[platoon.originalName] || 0}</td>
+                                <td><button type="button" class="btn btn-danger" onclick="removeOrgPlatoon(${c}, ${p})">✕</button></td>
+                            </tr>`).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            </details>`).join('');
+    }
+}
+
+/* ---------- Global Organisation Structure Instance ---------- */
+
+// Create global organisation structure instance
+const orgStructure = new SofunOrgStructure();
+
+/* ---------- Global Functions (for backward compatibility) ---------- */
+
+/**
+ * Open the organisation editor
+ */
+function openOrgStructureEditor() {
+    orgStructure.openEditor();
+}
+
+/**
+ * Close the organisation editor without saving
+ */
+function closeOrgStructureEditor() {
+    orgStructure.closeEditor();
+}
+
+/**
+ * Save the organisation editor
+ */
+function saveOrgStructure() {
+    orgStructure.saveEditor();
+}
+
+/**
+ * Reset the organisation editor to the default structure
+ */
+function resetOrgStructure() {
+    orgStructure.resetDraft();
+}
+
+/**
+ * Add a company in the organisation editor
+ */
+function addOrgCompany() {
+    orgStructure.addCompany();
+}
+
+/**
+ * Remove a company in the organisation editor
+ */
+function removeOrgCompany(companyIndex) {
+    orgStructure.removeCompany(companyIndex);
+}
+
+/**
+ * Rename a company in the organisation editor
+ */
+function setOrgCompanyName(companyIndex, value) {
+    orgStructure.setCompanyName(companyIndex, value);
+}
+
+/**
+ * Add a platoon in the organisation editor
+ */
+function addOrgPlatoon(companyIndex) {
+    orgStructure.addPlatoon(companyIndex);
+}
+
+/**
+ * Remove a platoon in the organisation editor
+ */
+function removeOrgPlatoon(companyIndex, platoonIndex) {
+    orgStructure.removePlatoon(companyIndex, platoonIndex);
+}
+
+/**
+ * Change a platoon field in the organisation editor
+ */
+function setOrgPlatoonField(companyIndex, platoonIndex, field, value) {
+    orgStructure.setPlatoonField(companyIndex, platoonIndex, field, value);
+}
+
+/**
+ * Show the sections of the platoon chosen in the edit form
+ * @param {string} platoon - Platoon name
+ */
+function updateEditSectionOptions(platoon) {
+    orgStructure.populateSectionSelect(platoon);
+}
+
+console.log('✅ SOFUN Organisation Structure loaded - Platoon configuration ready');
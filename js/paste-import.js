@@ -0,0 +1,505 @@
+/* =================================================================
+   SOFUN TRACKER - PASTE IMPORT
+   Results pasted from another spreadsheet, matched to personnel by name
+   ================================================================= */
+
+/**
+ * SOFUN Paste Import
+ * Reads a block of cells copied from a spreadsheet (tab-separated clipboard text), matches
+ * each row to a person by name (or service number), and shows every value it would change
+ * before applying them together as one audited change set. Blank cells never clear a value.
+ */
+class SofunPasteImport {
+    constructor() {
+        this.state = null;
+        this.namePattern = /\bNAME\b/i;
+    }
+
+    /* ---------- Parsing ---------- */
+
+    /**
+     * Split clipboard text into rows of cells. Spreadsheets quote cells that contain tabs,
+     * line breaks or quotes, doubling any quote inside.
+     * @param {string} text - Clipboard text
+     * @returns {Array<Array<string>>} Rows of trimmed cells, without blank rows
+     */
+    parseText(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+        const source = (text || '').replace(/\r\n?/g, '\n');
+
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+            if (quoted) {
+                if (char === '"' && source[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"' && cell === '') {
+                quoted = true;
+            } else if (char === '\t') {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n') {
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        row.push(cell);
+        rows.push(row);
+
+        return rows
+            .map(cells => cells.map(value => value.trim()))
+            .filter(cells => cells.some(value => value !== ''));
+    }
+
+    /**
+     * Fields a pasted column can fill: name and service number to find the person, then
+     * assessment results and their dates
+     * @returns {Array<Object>} Targets ({ key, label, phase, test, isDate })
+     */
+    getTargets() {
+        return [
+            { key: 'name', label: 'Name' },
+            { key: 'serviceNumber', label: 'Service No.' },
+            ...columnMapper.getResultFields().flatMap(field => [
+                { key: field.key, label: field.label, phase: field.phase, test: field.test },
+                { key: `${field.key}Date`, label: `${field.label} date`, phase: field.phase, test: field.test, isDate: true }
+            ])
+        ];
+    }
+
+    /**
+     * Guess what each pasted column holds. A header row is matched like a CSV file's headers;
+     * without one, the first column that is neither grades nor dates is taken as the name.
+     * @param {Array<Array<string>>} rows - Parsed rows
+     * @returns {Object} { hasHeader, columns } where columns holds a target key ('' to ignore) per column
+     */
+    suggestColumns(rows) {
+        const width = Math.max(0, ...rows.map(cells => cells.length));
+        const columns = new Array(width).fill('');
+        const targetKeys = new Set(this.getTargets().map(target => target.key));
+        const hasHeader = rows.length > 0 && rows[0].some(cell => this.namePattern.test(cell));
+
+        if (hasHeader) {
+            const suggested = columnMapper.suggestColumns('flatTable', rows[0]).columns;
+            Object.entries(suggested).forEach(([key, index]) => {
+                if (index >= 0 && index < width && targetKeys.has(key)) columns[index] = key;
+            });
+            return { hasHeader, columns };
+        }
+
+        const isGradeOrDate = value => !value ||
+            Object.keys(GRADE_SCALES).some(type => normalizeGrade(value, type).recognised) || !!toDateOnly(value);
+        const nameIndex = columns.findIndex((_, index) => !rows.every(cells => isGradeOrDate(cells[index])));
+        if (nameIndex >= 0) columns[nameIndex] = 'name';
+        return { hasHeader, columns };
+    }
+
+    /* ---------- Preview ---------- */
+
+    /**
+     * Match pasted rows to active personnel and list the values that would change
+     * @param {Array} personnelData - Saved personnel records
+     * @param {Array<Array<string>>} rows - Pasted data rows (header row excluded)
+     * @param {Array<string>} columns - Target key per column
+     * @param {number} firstRowNumber - Row number of the first data row, for display
+     * @returns {Object} { rows: [{ rowNumber, name, person, problem }], changes, unchangedCount, problemCount }
+     */
+    buildPreview(personnelData, rows, columns, firstRowNumber = 1) {
+        const targets = new Map(this.getTargets().map(target => [target.key, target]));
+        const nameIndex = columns.indexOf('name');
+        const serviceNumberIndex = columns.indexOf('serviceNumber');
+        const valueColumns = columns
+            .map((key, index) => ({ index, target: targets.get(key) }))
+            .filter(column => column.target?.phase);
+        const preview = { rows: [], changes: [], unchangedCount: 0, problemCount: 0 };
+        if (nameIndex < 0) return preview;
+
+        const active = (personnelData || []).filter(person => isActivePersonnel(person));
+        const incoming = rows.map(cells => ({
+            name: sanitizePersonnelName(cells[nameIndex] || ''),
+            serviceNumber: serviceNumberIndex >= 0 ? maskServiceNumber(cells[serviceNumberIndex]) : ''
+        }));
+        const matches = importPreview.matchRecords(active, incoming);
+
+        rows.forEach((cells, index) => {
+            const record = incoming[index];
+            const row = { rowNumber: firstRowNumber + index, name: record.name, person: matches.get(record) || null, problem: '' };
+            preview.rows.push(row);
+
+            if (!row.person) {
+                const sameName = active.filter(person => sanitizePersonnelName(person.name) === record.name);
+                if (!record.name) row.problem = 'No name';
+                else if (sameName.length === 0) row.problem = 'Nobody with this name';
+                else if (sameName.length > 1) row.problem = 'Several people have this name; add a service number column';
+                else row.problem = 'Same person as an earlier row';
+                preview.problemCount++;
+                return;
+            }
+
+            valueColumns.forEach(({ index: columnIndex, target }) => {
+                const text = cells[columnIndex] || '';
+                if (!text || GRADE_BLANK_VALUES.includes(text.toUpperCase())) return;
+
+                const change = { row, path: target.key, label: target.label, from: '', to: '', problem: '', accepted: true };
+                if (!row.person[target.phase]) {
+                    change.problem = `${target.label} does not apply to ${row.person.category} personnel`;
+                } else if (target.isDate) {
+                    change.to = toDateOnly(text) || '';
+                    if (!change.to) change.problem = `"${text}" is not a date`;
+                } else {
+                    const type = getGradeType(target.test);
+                    const normalised = normalizeGrade(text, type);
+                    change.to = normalised.grade;
+                    if (!normalised.recognised) {
+                        const grades = GRADE_SCALES[type];
+                        change.problem = `"${text}" is not a ${target.label} result (${grades.join(', ')})`;
+                    }
+                }
+
+                if (change.problem) {
+                    change.to = text;
+                    change.accepted = false;
+                    preview.problemCount++;
+                } else {
+                    change.from = importPreview.normalizeValue(target.key, getNestedValue(row.person, target.key));
+                    if (change.from === change.to) {
+                        preview.unchangedCount++;
+                        return;
+                    }
+                }
+                preview.changes.push(change);
+            });
+        });
+
+        return preview;
+    }
+
+    /**
+     * Write the accepted changes into the saved records
+     * @param {Object} preview - Preview from buildPreview with accepted flags
+     * @returns {Object} { people, values, labels } counts and field labels of what was applied
+     */
+    applyPreview(preview) {
+        const byPerson = new Map();
+        preview.changes.filter(change => change.accepted && !change.problem).forEach(change => {
+            if (!byPerson.has(change.row.person)) byPerson.set(change.row.person, []);
+            byPerson.get(change.row.person).push(change);
+        });
+
+        const labels = new Set();
+        let values = 0;
+        byPerson.forEach((changes, person) => {
+            // A pasted result that replaces a Fail, or is dated after it, is a retake and becomes a new attempt
+            attemptHistory.applyUpdates(person, changes.map(change => ({ path: change.path, value: change.to })));
+            changes.forEach(change => {
+                labels.add(change.label);
+                values++;
+            });
+            // Stamped as local edits so a later file import in merge mode does not undo them
+            recordLocalEdits(person, changes.map(change => change.path));
+            person.lastUpdated = new Date();
+        });
+
+        return { people: byPerson.size, values, labels: [...labels] };
+    }
+
+    /* ---------- Paste Modal ---------- */
+
+    /**
+     * Open the paste window
+     */
+    open() {
+        const modal = document.getElementById('pasteImportModal');
+        if (!modal) return;
+
+        this.state = { rows: [], hasHeader: false, columns: [], preview: null };
+        const input = document.getElementById('pasteImportText');
+        if (input) input.value = '';
+        this.render();
+        modal.style.display = 'block';
+        if (input) input.focus();
+    }
+
+    /**
+     * Close the paste window without applying anything
+     */
+    close() {
+        const modal = document.getElementById('pasteImportModal');
+        if (modal) modal.style.display = 'none';
+        this.state = null;
+    }
+
+    /**
+     * Read the pasted text and guess its columns
+     * @param {string} text - Clipboard text
+     */
+    setText(text) {
+        if (!this.state) return;
+        const rows = this.parseText(text);
+        const { hasHeader, columns } = this.suggestColumns(rows);
+        this.state.rows = rows;
+        this.state.hasHeader = hasHeader;
+        this.state.columns = columns;
+        this.refresh();
+    }
+
+    /**
+     * Treat the first pasted row as headers, or as data
+     * @param {boolean} hasHeader - New state
+     */
+    setHasHeader(hasHeader) {
+        if (!this.state) return;
+        this.state.hasHeader = hasHeader;
+        this.refresh();
+    }
+
+    /**
+     * Choose what a pasted column holds
+     * @param {number} index - Column index
+     * @param {string} key - Target key ('' to ignore the column)
+     */
+    setColumn(index, key) {
+        if (!this.state) return;
+        // A field can only come from one column
+        if (key) this.state.columns = this.state.columns.map(existing => (existing === key ? '' : existing));
+        this.state.columns[index] = key;
+        this.refresh();
+    }
+
+    /**
+     * Tick or untick one change
+     * @param {number} index - Change index
+     * @param {boolean} accepted - New state
+     */
+    setChange(index, accepted) {
+        const change = this.state?.preview?.changes[index];
+        if (change && !change.problem) change.accepted = accepted;
+        this.renderSummary();
+    }
+
+    /**
+     * Rebuild the preview from the current rows and column choices
+     */
+    refresh() {
+        if (!this.state) return;
+        const dataRows = this.state.hasHeader ? this.state.rows.slice(1) : this.state.rows;
+        this.state.preview = this.buildPreview(window.app?.personnelData || [], dataRows, this.state.columns,
+            this.state.hasHeader ? 2 : 1);
+        this.render();
+    }
+
+    /**
+     * Apply the ticked changes, save, and log them as one audit entry
+     */
+    confirm() {
+        const preview = this.state?.preview;
+        if (!preview || !window.app) return;
+
+        const result = this.applyPreview(preview);
+        if (result.values === 0) {
+            showErrorMessage('No changes are ticked. Paste results and tick the values to apply.');
+            return;
+        }
+
+        window.app.saveData();
+        window.app.updateAll();
+        if (typeof handleSearch === 'function') handleSearch();
+        window.app.addAuditEntry(`Pasted results: ${result.values} value(s) for ${result.people} personnel (${result.labels.join(', ')})`);
+        this.close();
+        showSuccessMessage(`${result.values} value(s) updated for ${result.people} personnel.`);
+    }
+
+    /**
+     * Render the summary line
+     */
+    renderSummary() {
+        const summaryDiv = document.getElementById('pasteImportSummary');
+        if (!summaryDiv || !this.state) return;
+
+        const { rows, preview } = this.state;
+        if (rows.length === 0 || !preview) {
+            summaryDiv.innerHTML = 'Copy the cells in your spreadsheet (including a header row if it has one) and paste them below.';
+            return;
+        }
+        const matched = preview.rows.filter(row => row.person).length;
+        const accepted = preview.changes.filter(change => change.accepted && !change.problem).length;
+        summaryDiv.innerHTML = `
+            <strong>${preview.rows.length}</strong> row(s) pasted, ${matched} matched ·
+            <strong>${preview.changes.length - preview.changes.filter(change => change.problem).length}</strong> change(s) (${accepted} ticked) ·
+            <strong>${preview.unchangedCount}</strong> unchanged ·
+            <strong>${preview.problemCount}</strong> problem(s)`;
+    }
+
+    /**
+     * Render the column choices and the preview grid from the current state
+     */
+    render() {
+        if (!this.state) return;
+        this.renderSummary();
+
+        const columnsDiv = document.getElementById('pasteImportColumns');
+        const previewDiv = document.getElementById('pasteImportPreview');
+        const headerToggle = document.getElementById('pasteImportHasHeader');
+        if (headerToggle) headerToggle.checked = this.state.hasHeader;
+        if (columnsDiv) columnsDiv.innerHTML = this.renderColumns();
+        if (previewDiv) previewDiv.innerHTML = this.renderPreview();
+    }
+
+    /**
+     * @returns {string} HTML of one field choice per pasted column
+     */
+    renderColumns() {
+        const { rows, columns, hasHeader } = this.state;
+        if (rows.length === 0) return '';
+
+        const targets = this.getTargets();
+        const sample = hasHeader ? rows[1] || [] : rows[0];
+        const cells = columns.map((key, index) => {
+            const options = [{ key: '', label: '(ignore)' }, ...targets]
+                .map(target => `<option value="${target.key}" ${target.key === key ? 'selected' : ''}>${escapeHtml(target.label)}</option>`)
+                .join('');
+            const heading = hasHeader ? rows[0][index] : `Column ${columnMapper.columnLetter(index)}`;
+            return `
+                <tr>
+                    <td>${escapeHtml(heading || '')}</td>
+                    <td>${escapeHtml(sample[index] || '')}</td>
+                    <td><select onchange="setPasteImportColumn(${index}, this.value)">${options}</select></td>
+                </tr>`;
+        }).join('');
+
+        return `
+            <table class="preview-table mapping-table">
+                <thead><tr><th>Pasted column</th><th>First value</th><th>Field</th></tr></thead>
+                <tbody>${cells}</tbody>
+            </table>`;
+    }
+
+    /**
+     * @returns {string} HTML of the preview grid (changes and rows that matched nobody)
+     */
+    renderPreview() {
+        const { rows, columns, preview } = this.state;
+        if (rows.length === 0 || !preview) return '';
+        if (!columns.includes('name')) {
+            return '<div class="alert alert-warning">Choose which column holds the names.</div>';
+        }
+        if (!columns.some(key => this.getTargets().find(target => target.key === key)?.phase)) {
+            return '<div class="alert alert-warning">Choose the result or date field of at least one column.</div>';
+        }
+
+        const changeRows = preview.changes.map((change, index) => `
+            <tr>
+                <td>${change.problem ? '⚠️' : `<input type="checkbox" ${change.accepted ? 'checked' : ''} onchange="togglePasteImportChange(${index}, this.checked)">`}</td>
+                <td>${change.row.rowNumber}</td>
+                <td>${escapeHtml(change.row.name)}</td>
+                <td>${escapeHtml(`${change.row.person.rank || ''} ${change.row.person.name}`.trim())}<br><small>${escapeHtml(change.row.person.platoon || '')}</small></td>
+                <td>${escapeHtml(change.label)}</td>
+                <td>${change.from ? escapeHtml(/Date$/.test(change.path) ? formatDate(change.from) : change.from) : '<em>(empty)</em>'}</td>
+                <td>${change.problem
+                    ? `<span class="paste-import-problem">${escapeHtml(change.problem)}</span>`
+                    : escapeHtml(/Date$/.test(change.path) ? formatDate(change.to) : change.to)}</td>
+            </tr>`).join('');
+
+        const unmatchedRows = preview.rows.filter(row => !row.person).map(row => `
+            <tr>
+                <td>${row.rowNumber}</td>
+                <td>${escapeHtml(row.name || '-')}</td>
+                <td>${escapeHtml(row.problem)}</td>
+            </tr>`).join('');
+
+        return `
+            <details class="form-section" open>
+                <summary>✏️ Changes (${preview.changes.length})</summary>
+                ${preview.changes.length === 0 ? '<p class="modal-hint">Nothing would change: the tracker already has these values.</p>' : `
+                <div class="table-container">
+                    <table class="preview-table">
+                        <thead><tr><th>Apply</th><th>Row</th><th>Pasted name</th><th>Matched person</th><th>Field</th><th>Current</th><th>New</th></tr></thead>
+                        <tbody>${changeRows}</tbody>
+                    </table>
+                </div>`}
+            </details>
+            ${unmatchedRows ? `
+            <details class="form-section" open>
+                <summary>❓ Not matched (${preview.rows.filter(row => !row.person).length})</summary>
+                <p class="modal-hint">These rows are left out. Correct the name in the pasted text, or add a service number column.</p>
+                <div class="table-container">
+                    <table class="preview-table">
+                        <thead><tr><th>Row</th><th>Pasted name</th><th>Problem</th></tr></thead>
+                        <tbody>${unmatchedRows}</tbody>
+                    </table>
+                </div>
+            </details>` : ''}`;
+    }
+}
+
+/* ---------- Global Paste Import Instance ---------- */
+
+// Create global paste import instance
+const pasteImport = new SofunPasteImport();
+
+/* ---------- Global Functions (for backward compatibility) ---------- */
+
+/**
+ * Open the paste results window
+ */
+function openPasteImport() {
+    pasteImport.open();
+}
+
+/**
+ * Close the paste results window
+ */
+function closePasteImport() {
+    pasteImport.close();
+}
+
+/**
+ * Read the text in the paste box
+ * @param {string} text - Pasted text
+ */
+function updatePasteImportText(text) {
+    pasteImport.setText(text);
+}
+
+/**
+ * Treat the first pasted row as headers or data
+ * @param {boolean} hasHeader - New state
+ */
+function setPasteImportHasHeader(hasHeader) {
+    pasteImport.setHasHeader(hasHeader);
+}
+
+/**
+ * Choose the field of a pasted column
+ */
+function setPasteImportColumn(index, key) {
+    pasteImport.setColumn(index, key);
+}
+
+/**
+ * Tick or untick one pasted change
+ */
+function togglePasteImportChange(index, accepted) {
+    pasteImport.setChange(index, accepted);
+}
+
+/**
+ * Apply the ticked pasted changes
+ */
+function confirmPasteImport() {
+    pasteImport.confirm();
+}
+
+console.log('✅ SOFUN Paste Import loaded - Clipboard results import ready');
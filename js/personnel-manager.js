@@ -9,13 +9,32 @@
  */
 class PersonnelManager {
     constructor() {
-        this.currentEditIndex = -1;
+        this.currentEditId = null;
         this.currentEditCategory = 'nsf';
         this.bulkSelectMode = false;
-        this.selectedPersonnel = new Set();
+        this.selectedPersonnel = new Set(); // Personnel IDs
         this.currentCategory = 'nsf';
         this.searchTimeout = null;
         this.initialized = false;
+        // Attempts of every test in the edit form, keyed 'phase.test', while the form is open
+        this.attemptDrafts = {};
+        // Medical entries in the edit form, while the form is open
+        this.medicalDrafts = [];
+        // Columns either side of the assessment results; the results come from ASSESSMENT_REGISTRY
+        this.tableLayouts = {
+            nsf: {
+                category: 'NSF',
+                selectAllId: 'selectAllNsf',
+                leading: ['No.', 'Name', 'Platoon', 'ORD Date', 'Y1 Last Window', 'Y2 Last Window', 'PES Status'],
+                trailing: ['Remedial', 'Medical Status', 'Progress', 'Actions']
+            },
+            regulars: {
+                category: 'Regular',
+                selectAllId: 'selectAllReg',
+                leading: ['No.', 'Name', 'Unit', 'Rank', 'PES Status'],
+                trailing: ['Remedial', 'Medical Status', 'Status', 'Actions']
+            }
+        };
     }
 
     /* ---------- Initialization ---------- */
@@ -25,6 +44,7 @@ class PersonnelManager {
      */
     init() {
         try {
+            this.renderAssessmentMarkup();
             this.setupEventHandlers();
             this.initialized = true;
             console.log('✅ Personnel Manager initialized');
@@ -44,7 +64,7 @@ class PersonnelManager {
         }
 
         // Filter changes
-        ['categoryFilter', 'statusFilter', 'platoonFilter'].forEach(id => {
+        ['categoryFilter', 'statusFilter', 'platoonFilter', 'assessmentFilter', 'remedialFilter'].forEach(id => {
             const element = document.getElementById(id);
             if (element) {
                 element.addEventListener('change', () => this.applyFilters());
@@ -69,6 +89,619 @@ class PersonnelManager {
         });
     }
 
+    /* ---------- Assessment Markup ---------- */
+
+    /**
+     * Build the table headers, edit form sections and assessment filter from ASSESSMENT_REGISTRY
+     */
+    renderAssessmentMarkup() {
+        Object.keys(this.tableLayouts).forEach(category => this.renderTableHeader(category));
+        this.renderEditAssessmentSections();
+        this.renderAssessmentFilter();
+        this.renderStatusFilter();
+    }
+
+    /**
+     * Element ID of a result in the edit form (e.g. editY2Ippt; the date field adds "Date")
+     * @param {string} phaseKey - Phase key
+     * @param {string} testKey - Test key
+     * @returns {string} Element ID
+     */
+    getAssessmentFieldId(phaseKey, testKey) {
+        const capitalise = text => text.charAt(0).toUpperCase() + text.slice(1);
+        return `edit${capitalise(phaseKey)}${capitalise(testKey)}`;
+    }
+
+    /**
+     * Element ID of an IPPT score field in the edit form (e.g. editY2IpptPushUps, editY2IpptAgeGroup)
+     * @param {string} phaseKey - Phase key
+     * @param {string} key - Station key of IPPT_STATIONS, or 'ageGroup'
+     * @returns {string} Element ID
+     */
+    getIpptScoreFieldId(phaseKey, key) {
+        return `${this.getAssessmentFieldId(phaseKey, 'ippt')}${key.charAt(0).toUpperCase()}${key.slice(1)}`;
+    }
+
+    /**
+     * Element ID of a shoot detail field in the edit form (e.g. editY2RangeHits, editWorkYearCsOfficer)
+     * @param {string} phaseKey - Phase key
+     * @param {string} testKey - Test key
+     * @param {string} key - Field key of RANGE_SHOOT_FIELDS, or 'result'
+     * @returns {string} Element ID
+     */
+    getShootFieldId(phaseKey, testKey, key) {
+        return `${this.getAssessmentFieldId(phaseKey, testKey)}${key.charAt(0).toUpperCase()}${key.slice(1)}`;
+    }
+
+    /**
+     * Render a personnel table header: one group per phase with a column per test
+     * @param {string} category - Table category (nsf/regulars)
+     */
+    renderTableHeader(category) {
+        const thead = document.getElementById(category + 'Head');
+        const layout = this.tableLayouts[category];
+        if (!thead || !layout) return;
+
+        const phases = getCategoryPhases(layout.category);
+        const blanks = count => '<th></th>'.repeat(count);
+        thead.innerHTML = `
+            <tr>
+                <th><input type="checkbox" id="${layout.selectAllId}" onchange="selectAll('${category}')"></th>
+                ${layout.leading.map(label => `<th>${label}</th>`).join('')}
+                ${phases.map(phase => `<th colspan="${getPhaseTests(phase.key).length}" class="phase-header">${escapeHtml(phase.label)} Assessment</th>`).join('')}
+                ${layout.trailing.map(label => `<th>${label}</th>`).join('')}
+            </tr>
+            <tr>
+                ${blanks(layout.leading.length + 1)}
+                ${phases.flatMap(phase => getPhaseTests(phase.key)).map(test => `<th>${escapeHtml(test.label)}</th>`).join('')}
+                ${blanks(layout.trailing.length)}
+            </tr>`;
+    }
+
+    /**
+     * Render the edit form's result fields, one section per phase
+     */
+    renderEditAssessmentSections() {
+        const container = document.getElementById('editAssessmentSections');
+        if (!container) return;
+
+        container.innerHTML = ASSESSMENT_PHASES.map(phase => `
+            <details class="form-section" id="${phase.key}Assessment" data-category="${phase.category}" open>
+                <summary>${escapeHtml(phase.label)} Assessment</summary>
+                ${getPhaseTests(phase.key).map(test => {
+                    const id = this.getAssessmentFieldId(phase.key, test.key);
+                    const label = test.name ? `${test.label} (${test.name})` : test.label;
+                    // The result and date are those of the attempt that counts, so changing them changes
+                    // that attempt. The IPPT grade and date take part in scoring the raw score below them;
+                    // a Range or CS classification is compared with its shoot.
+                    const sync = `syncEditAttempt('${phase.key}', '${test.key}')`;
+                    const rescore = test.key === 'ippt' ? `; updateIpptScorePreview('${phase.key}', false)` : '';
+                    const reclassify = test.shoot ? `; updateShootPreview('${phase.key}', '${test.key}', false)` : '';
+                    const detail = test.key === 'ippt' ? this.renderIpptScoreFields(phase) : test.shoot ? this.renderShootFields(phase, test) : '';
+                    return `
+                <div class="form-group">
+                    <label for="${id}">${escapeHtml(label)}:</label>
+                    <select id="${id}" onchange="${sync}${rescore || reclassify}">
+                        <option value="">${escapeHtml(phase.emptyText)}</option>
+                        ${GRADE_SCALES[test.scale].map(grade => `<option value="${grade}">${grade}</option>`).join('')}
+                    </select>
+                    <input type="text" class="date-input" id="${id}Date" placeholder="${getDateInputFormat('-', true)} or YYYY-MM-DD" onchange="${sync}${rescore}">
+                </div>
+                <details class="form-group attempt-history" id="${id}AttemptHistory">
+                    <summary id="${id}AttemptSummary">Attempts</summary>
+                    <div id="${id}AttemptRows"></div>
+                </details>${detail}`;
+                }).join('')}
+            </details>`).join('');
+    }
+
+    /**
+     * Edit form fields of an IPPT raw score, with the points and grade it gives
+     * @param {Object} phase - Entry of ASSESSMENT_PHASES
+     * @returns {string} HTML
+     */
+    renderIpptScoreFields(phase) {
+        return `
+                <div class="form-group ippt-score-fields">
+                    <label>${escapeHtml(phase.label)} IPPT Score:</label>
+                    ${IPPT_STATIONS.map(station => `
+                    <input type="text" id="${this.getIpptScoreFieldId(phase.key, station.key)}"
+                           placeholder="${escapeHtml(station.label)}${station.timed ? ' (m:ss)' : ''}" oninput="updateIpptScorePreview('${phase.key}')">`).join('')}
+                    <!-- Filled from the IPPT scoring table when the form opens -->
+                    <select id="${this.getIpptScoreFieldId(phase.key, 'ageGroup')}" onchange="updateIpptScorePreview('${phase.key}')"></select>
+                    <small class="ippt-score-result" id="${this.getIpptScoreFieldId(phase.key, 'result')}"></small>
+                </div>`;
+    }
+
+    /**
+     * Edit form fields of the shoot kept with a Range or CS result, with the classification it gives
+     * @param {Object} phase - Entry of ASSESSMENT_PHASES
+     * @param {Object} test - Entry of ASSESSMENT_REGISTRY
+     * @returns {string} HTML
+     */
+    renderShootFields(phase, test) {
+        const id = key => this.getShootFieldId(phase.key, test.key, key);
+        const placeholders = { hits: 'Hits per detail, e.g. 7/8/6/8', score: 'Score (sum of hits)' };
+        return `
+                <div class="form-group ippt-score-fields">
+                    <label>${escapeHtml(phase.label)} ${escapeHtml(test.label)} Shoot:</label>
+                    <!-- Filled from the range classification when the form opens -->
+                    <select id="${id('practice')}" onchange="updateShootPreview('${phase.key}', '${test.key}')"></select>
+                    ${RANGE_SHOOT_FIELDS.filter(field => field.key !== 'practice').map(field => `
+                    <input type="text" id="${id(field.key)}" placeholder="${escapeHtml(placeholders[field.key] || field.label)}" oninput="updateShootPreview('${phase.key}', '${test.key}')">`).join('')}
+                    <small class="ippt-score-result" id="${id('result')}"></small>
+                </div>`;
+    }
+
+    /**
+     * Fill the shoot fields of a Range or CS result from a record
+     * @param {Object} person - Personnel record
+     * @param {string} phaseKey - Phase key
+     * @param {string} testKey - Test key
+     */
+    populateShoot(person, phaseKey, testKey) {
+        const shoot = person[phaseKey]?.[`${testKey}Shoot`] || {};
+        RANGE_SHOOT_FIELDS.filter(field => field.key !== 'practice').forEach(field => {
+            this.setFormValue(this.getShootFieldId(phaseKey, testKey, field.key), rangeClassifier.formatShootValue(field.key, shoot[field.key]));
+        });
+
+        const select = document.getElementById(this.getShootFieldId(phaseKey, testKey, 'practice'));
+        if (select) {
+            // A practice no longer in the classification is kept as recorded
+            const names = rangeClassifier.getPractices(testKey).map(practice => practice.name);
+            if (shoot.practice && !names.includes(shoot.practice)) names.push(shoot.practice);
+            const fallback = rangeClassifier.findPractice('', testKey);
+            select.innerHTML = `<option value="">${fallback ? `Practice: ${escapeHtml(fallback.name)} (default)` : 'No practice'}</option>` + names
+                .map(name => `<option value="${escapeHtml(name)}">Practice: ${escapeHtml(name)}</option>`).join('');
+            select.value = shoot.practice || '';
+        }
+        this.updateShootPreview(phaseKey, testKey, false);
+    }
+
+    /**
+     * Read the shoot fields of a Range or CS result
+     * @param {string} phaseKey - Phase key
+     * @param {string} testKey - Test key
+     * @returns {Object} { shoot, problems } with shoot null when no field is filled in
+     */
+    readShoot(phaseKey, testKey) {
+        const phase = ASSESSMENT_PHASES.find(entry => entry.key === phaseKey);
+        const test = ASSESSMENT_REGISTRY.find(entry => entry.key === testKey);
+        const shoot = {};
+        const problems = [];
+        RANGE_SHOOT_FIELDS.forEach(field => {
+            const text = document.getElementById(this.getShootFieldId(phaseKey, testKey, field.key))?.value?.trim() || '';
+            if (!text) return;
+            const value = rangeClassifier.parseShootValue(field.key, text);
+            if (value === null) {
+                problems.push(`${phase.label} ${test.label} ${field.label} "${text}" is not readable. ${rangeClassifier.getShootHint(field.key)}`);
+            } else {
+                shoot[field.key] = value;
+            }
+        });
+        return { shoot: rangeClassifier.hasShoot(shoot) ? shoot : null, problems };
+    }
+
+    /**
+     * Show the classification a shoot gives and, when asked, set the result to match
+     * @param {string} phaseKey - Phase key
+     * @param {string} testKey - Test key
+     * @param {boolean} [setGrade] - Set the classification from a score that can be classified
+     */
+    updateShootPreview(phaseKey, testKey, setGrade = true) {
+        const output = document.getElementById(this.getShootFieldId(phaseKey, testKey, 'result'));
+        const gradeSelect = document.getElementById(this.getAssessmentFieldId(phaseKey, testKey));
+        if (!output || !gradeSelect) return;
+
+        const shoot = this.readShoot(phaseKey, testKey).shoot;
+        const weaponInput = document.getElementById(this.getShootFieldId(phaseKey, testKey, 'weapon'));
+        const practice = rangeClassifier.findPractice(shoot?.practice, testKey);
+        if (weaponInput) weaponInput.placeholder = practice?.weapon ? `Weapon (e.g. ${practice.weapon})` : 'Weapon';
+
+        const result = rangeClassifier.classify(shoot, testKey);
+        if (result?.grade && setGrade && gradeSelect.value !== result.grade) {
+            gradeSelect.value = result.grade;
+            this.syncAttemptFromForm(phaseKey, testKey);
+        }
+
+        const differs = !!result?.grade && !!gradeSelect.value && gradeSelect.value !== result.grade;
+        output.textContent = result
+            ? `${rangeClassifier.describe(result)}${differs ? ` ⚠️ The result above is ${gradeSelect.value}` : ''}`
+            : '';
+        output.classList.toggle('ippt-score-mismatch', differs || !!result?.error);
+    }
+
+    /**
+     * Fill a phase's IPPT score fields from a record
+     * @param {Object} person - Personnel record
+     * @param {string} phaseKey - Phase key
+     */
+    populateIpptScore(person, phaseKey) {
+        const score = person[phaseKey]?.ipptScore || {};
+        IPPT_STATIONS.forEach(station => {
+            this.setFormValue(this.getIpptScoreFieldId(phaseKey, station.key), ipptCalculator.formatScoreValue(station.key, score[station.key]));
+        });
+
+        const select = document.getElementById(this.getIpptScoreFieldId(phaseKey, 'ageGroup'));
+        if (select) {
+            // A label from an earlier scoring table is kept as recorded
+            const labels = ipptCalculator.getAgeGroupLabels();
+            if (score.ageGroup && !labels.includes(score.ageGroup)) labels.push(score.ageGroup);
+            select.innerHTML = '<option value="">Age from date of birth</option>' + labels
+                .map(label => `<option value="${escapeHtml(label)}">Age group ${escapeHtml(label)}</option>`).join('');
+            select.value = score.ageGroup || '';
+        }
+        this.updateIpptScorePreview(phaseKey, false);
+    }
+
+    /**
+     * Read a phase's IPPT score fields
+     * @param {string} phaseKey - Phase key
+     * @returns {Object} { score, problems } with score null when no station is filled in
+     */
+    readIpptScore(phaseKey) {
+        const phase = ASSESSMENT_PHASES.find(entry => entry.key === phaseKey);
+        const score = {};
+        const problems = [];
+        [...IPPT_STATIONS, { key: 'ageGroup', label: 'Age Group' }].forEach(entry => {
+            const text = document.getElementById(this.getIpptScoreFieldId(phaseKey, entry.key))?.value?.trim() || '';
+            if (!text) return;
+            const value = ipptCalculator.parseScoreValue(entry.key, text);
+            if (value === null) {
+                problems.push(`${phase.label} IPPT ${entry.label} "${text}" is not readable. ${ipptCalculator.getScoreHint(entry.key)}`);
+            } else {
+                score[entry.key] = value;
+            }
+        });
+        return { score: ipptCalculator.hasScore(score) ? score : null, problems };
+    }
+
+    /**
+     * Show the points a phase's IPPT score gives and, when asked, set the grade to match
+     * @param {string} phaseKey - Phase key
+     * @param {boolean} [setGrade] - Set the IPPT grade from a complete score
+     */
+    updateIpptScorePreview(phaseKey, setGrade = true) {
+        const output = document.getElementById(this.getIpptScoreFieldId(phaseKey, 'result'));
+        const gradeSelect = document.getElementById(this.getAssessmentFieldId(phaseKey, 'ippt'));
+        if (!output || !gradeSelect) return;
+
+        const person = {
+            birthDate: parseToISODateOnly(document.getElementById('editBirthDate')?.value || ''),
+            [phaseKey]: {
+                ipptScore: this.readIpptScore(phaseKey).score,
+                ipptDate: parseToISODateOnly(document.getElementById(`${gradeSelect.id}Date`)?.value || '')
+            }
+        };
+        const result = ipptCalculator.calculate(person, phaseKey);
+        if (result?.grade && setGrade && gradeSelect.value !== result.grade) {
+            gradeSelect.value = result.grade;
+            this.syncAttemptFromForm(phaseKey, 'ippt');
+        }
+
+        const differs = !!result?.grade && !!gradeSelect.value && gradeSelect.value !== result.grade;
+        output.textContent = result
+            ? `${ipptCalculator.describe(result)}${differs ? ` ⚠️ The grade above is ${gradeSelect.value}` : ''}`
+            : '';
+        output.classList.toggle('ippt-score-mismatch', differs);
+    }
+
+    /**
+     * Load every test's attempts into the edit form
+     * @param {Object} person - Personnel record
+     */
+    populateAttempts(person) {
+        this.attemptDrafts = {};
+        getCategoryPhases(person.category).forEach(phase => getPhaseTests(phase.key).forEach(test => {
+            this.attemptDrafts[`${phase.key}.${test.key}`] = attemptHistory.getAttempts(person, phase.key, test.key);
+            this.renderAttemptRows(phase.key, test.key);
+        }));
+    }
+
+    /**
+     * Render the attempts of a test in the edit form; the attempt that counts is highlighted
+     * @param {string} phaseKey - Phase key
+     * @param {string} testKey - Test key
+     */
+    renderAttemptRows(phaseKey, testKey) {
+        const id = this.getAssessmentFieldId(phaseKey, testKey);
+        const container = document.getElementById(`${id}AttemptRows`);
+        const summary = document.getElementById(`${id}AttemptSummary`);
+        if (!container) return;
+
+        const attempts = this.attemptDrafts[`${phaseKey}.${testKey}`] || [];
+        const current = attemptHistory.pickCurrent(attempts, testKey);
+        const grades = GRADE_SCALES[getGradeType(testKey)] || [];
+        const call = (name, index, value = '') => `${name}('${phaseKey}', '${testKey}', ${index}${value})`;
+        const rows = attempts.map((attempt, index) => `
+                        <tr${attempt === current ? ' class="attempt-current" title="This attempt gives the result"' : ''}>
+                            <td>${attempt.attempt}</td>
+                            <td><select onchange="${call('setEditAttemptField', index, ", 'result', this.value")}">
+                                <option value="">-</option>
+                                ${grades.map(grade => `<option value="${grade}" ${attempt.result === grade ? 'selected' : ''}>${grade}</option>`).join('')}
+                            </select></td>
+                            <td><input type="text" class="ippt-scoring-input" value="${escapeHtml(attempt.date || '')}" placeholder="YYYY-MM-DD"
+                                       onchange="${call('setEditAttemptField', index, ", 'date', this.value")}"></td>
+                            <td><input type="text" class="ippt-scoring-input attempt-notes-input" value="${escapeHtml(attempt.notes || '')}" placeholder="Notes"
+                                       onchange="${call('setEditAttemptField', index, ", 'notes', this.value")}"></td>
+                            <td><button type="button" class="btn btn-danger" title="Remove this attempt" onclick="${call('removeEditAttempt', index)}">✕</button></td>
+                        </tr>`).join('');
+
+        if (summary) {
+            summary.textContent = `Attempts: ${attempts.length}${attempts.length > 1 ? ` (${attemptHistory.getPolicyLabel(testKey)})` : ''}`;
+        }
+        container.innerHTML = `
+                    ${attempts.length > 0 ? `
+                    <table class="preview-table mapping-table attempt-table">
+                        <thead><tr><th>#</th><th>Result</th><th>Date</th><th>Notes</th><th></th></tr></thead>
+                        <tbody>${rows}</tbody>
+                    </table>` : ''}
+                    <button type="button" class="btn btn-secondary" onclick="addEditAttempt('${phaseKey}', '${testKey}')">➕ Add attempt</button>`;
+    }
+
+    /**
+     * Copy the result and date fields into the attempt that counts (attempt 1 when there is none
+     * yet); clearing the result of a single attempt removes it
+     * @param {string} phaseKey - Phase key
+     * @param {string} testKey - Test key
+     */
+    syncAttemptFromForm(phaseKey, testKey) {
+        const key = `${phaseKey}.${testKey}`;
+        const id = this.getAssessmentFieldId(phaseKey, testKey);
+        const result = document.getElementById(id)?.value || '';
+        const dateText = document.getElementById(`${id}Date`)?.value?.trim() || '';
+        const date = parseToISODateOnly(dateText) || dateText;
+        const attempts = this.attemptDrafts[key] || [];
+        const current = attemptHistory.pickCurrent(attempts, testKey);
+
+        if (!current) {
+            if (!result) return;
+            attempts.push({ attempt: attemptHistory.getNextNumber(attempts), date, result, notes: '' });
+        } else if (!result && attempts.length === 1) {
+            attempts.length = 0;
+        } else {
+            current.result = result;
+            current.date = date;
+        }
+        this.attemptDrafts[key] = attempts;
+        this.refreshAttemptCurrent(phaseKey, testKey);
+    }
+
+    /**
+     * Change one field of an attempt in the edit form
+     * @param {string} phaseKey - Phase key
+     * @param {string} testKey - Test key
+     * @param {number} index - Attempt index
+     * @param {string} field - 'result', 'date' or 'notes'
+     * @param {string} value - New value
+     */
+    setAttemptField(phaseKey, testKey, index, field, value) {
+        const attempt = this.attemptDrafts[`${phaseKey}.${testKey}`]?.[index];
+        if (!attempt) return;
+        const text = String(value || '').trim();
+        attempt[field] = field === 'date' ? parseToISODateOnly(text) || text : text;
+        this.refreshAttemptCurrent(phaseKey, testKey);
+    }
+
+    /**
+     * Add an attempt in the edit form, dated today; its result is chosen in the new row
+     * @param {string} phaseKey - Phase key
+     * @param {string} testKey - Test key
+     */
+    addAttempt(phaseKey, testKey) {
+        const key = `${phaseKey}.${testKey}`;
+        const attempts = this.attemptDrafts[key] || [];
+        attempts.push({ attempt: attemptHistory.getNextNumber(attempts), date: getTodayDateOnly(), result: '', notes: '' });
+        this.attemptDrafts[key] = attempts;
+        const details = document.getElementById(`${this.getAssessmentFieldId(phaseKey, testKey)}AttemptHistory`);
+        if (details) details.open = true;
+        this.renderAttemptRows(phaseKey, testKey);
+    }
+
+    /**
+     * Remove an attempt in the edit form; the later attempts move up a number
+     * @param {string} phaseKey - Phase key
+     * @param {string} testKey - Test key
+     * @param {number} index - Attempt index
+     */
+    removeAttempt(phaseKey, testKey, index) {
+        const attempts = this.attemptDrafts[`${phaseKey}.${testKey}`] || [];
+        attempts.splice(index, 1);
+        attempts.forEach((attempt, position) => { attempt.attempt = position + 1; });
+        this.refreshAttemptCurrent(phaseKey, testKey);
+    }
+
+    /**
+     * What is wrong with a test's attempts in the edit form: an attempt without a result, an
+     * unreadable or future date, or an attempt dated before the one before it
+     * @param {Object} phase - Entry of ASSESSMENT_PHASES
+     * @param {Object} test - Entry of ASSESSMENT_REGISTRY
+     * @returns {Array<string>} Problems
+     */
+    getAttemptProblems(phase, test) {
+        const attempts = this.attemptDrafts[`${phase.key}.${test.key}`] || [];
+        if (attempts.length < 2 && !attempts.some(attempt => attempt.notes)) return [];
+        const label = `${phase.label} ${test.label}`;
+        const problems = [];
+        let previous = '';
+        attempts.forEach(attempt => {
+            if (!hasAssessmentResult(attempt.result)) {
+                problems.push(`${label} attempt ${attempt.attempt} has no result. Choose one, or remove the attempt.`);
+            }
+            if (!attempt.date) return;
+            if (!validateDateInput(attempt.date)) {
+                problems.push(`${label} attempt ${attempt.attempt} date "${attempt.date}" is not a valid past date`);
+            } else if (previous && attempt.date < previous) {
+                problems.push(`${label} attempt ${attempt.attempt} is dated before an earlier attempt`);
+            } else {
+                previous = attempt.date;
+            }
+        });
+        return problems;
+    }
+
+    /**
+     * Show the result and date of the attempt that counts in the result fields, and re-render the attempts
+     * @param {string} phaseKey - Phase key
+     * @param {string} testKey - Test key
+     */
+    refreshAttemptCurrent(phaseKey, testKey) {
+        const id = this.getAssessmentFieldId(phaseKey, testKey);
+        const current = attemptHistory.pickCurrent(this.attemptDrafts[`${phaseKey}.${testKey}`], testKey);
+        this.setFormValue(id, current?.result || '');
+        this.setFormValue(`${id}Date`, current?.date || '');
+        this.renderAttemptRows(phaseKey, testKey);
+        if (testKey === 'ippt') this.updateIpptScorePreview(phaseKey, false);
+        if (ASSESSMENT_REGISTRY.find(test => test.key === testKey)?.shoot) this.updateShootPreview(phaseKey, testKey, false);
+    }
+
+    /**
+     * Load a person's medical entries into the edit form
+     * @param {Object} person - Personnel record
+     */
+    populateMedicalEntries(person) {
+        this.medicalDrafts = medicalTracker.getEntries(person).map(entry => ({ ...entry, excusedTests: [...(entry.excusedTests || [])] }));
+        this.renderMedicalEntries();
+    }
+
+    /**
+     * Render the medical entries in the edit form, with the status they give today; entries in
+     * effect are highlighted and expired ones dimmed
+     */
+    renderMedicalEntries() {
+        const container = document.getElementById('editMedicalEntries');
+        if (!container) return;
+
+        const current = medicalTracker.getCurrentStatus({ medicalEntries: medicalTracker.toStored(this.medicalDrafts) });
+        const rowClass = { 'In effect': ' class="attempt-current" title="In effect today"', Expired: ' class="medical-expired" title="Expired"', Upcoming: ' title="Not in effect yet"' };
+        const rows = this.medicalDrafts.map((entry, index) => `
+                    <tr${rowClass[medicalTracker.getState(entry)]}>
+                        <td><select onchange="setEditMedicalField(${index}, 'status', this.value)">
+                            ${medicalTracker.getEntryStatuses().map(status => `<option value="${escapeHtml(status)}" ${entry.status === status ? 'selected' : ''}>${escapeHtml(status)}</option>`).join('')}
+                        </select></td>
+                        <td><input type="text" class="ippt-scoring-input remedial-date-input" value="${escapeHtml(entry.effectiveDate || '')}" placeholder="YYYY-MM-DD"
+                                   onchange="setEditMedicalField(${index}, 'effectiveDate', this.value)"></td>
+                        <td><input type="text" class="ippt-scoring-input remedial-date-input" value="${escapeHtml(entry.expiryDate || '')}" placeholder="${medicalTracker.isTimeBound(entry.status) ? 'YYYY-MM-DD' : 'No expiry'}"
+                                   onchange="setEditMedicalField(${index}, 'expiryDate', this.value)"></td>
+                        <td class="medical-excused">${ASSESSMENT_REGISTRY.map(test => `
+                            <label><input type="checkbox" ${(entry.excusedTests || []).includes(test.key) ? 'checked' : ''}
+                                          onchange="toggleEditMedicalExcusal(${index}, '${test.key}', this.checked)"> ${escapeHtml(test.label)}</label>`).join('')}</td>
+                        <td><input type="text" class="ippt-scoring-input range-practice-input" value="${escapeHtml(entry.reference || '')}" placeholder="Reference"
+                                   onchange="setEditMedicalField(${index}, 'reference', this.value)"></td>
+                        <td><button type="button" class="btn btn-danger" title="Remove this entry" onclick="removeEditMedicalEntry(${index})">✕</button></td>
+                    </tr>`).join('');
+
+        container.innerHTML = `
+                <label>Medical Status: <strong>${escapeHtml(current)}</strong></label>
+                ${this.medicalDrafts.length > 0 ? `
+                <table class="preview-table mapping-table attempt-table">
+                    <thead><tr><th>Status</th><th>From</th><th>Until (last day)</th><th>Excused tests</th><th>Reference</th><th></th></tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>` : ''}
+                <button type="button" class="btn btn-secondary" onclick="addEditMedicalEntry()">➕ Add medical status</button>`;
+    }
+
+    /**
+     * Change one field of a medical entry in the edit form. A new status excuses that status's
+     * tests of MEDICAL_STATUS_CONFIG.
+     * @param {number} index - Entry index
+     * @param {string} field - 'status', 'effectiveDate', 'expiryDate' or 'reference'
+     * @param {string} value - New value
+     */
+    setMedicalEntryField(index, field, value) {
+        const entry = this.medicalDrafts[index];
+        if (!entry) return;
+        const text = String(value || '').trim();
+        entry[field] = /Date$/.test(field) ? parseToISODateOnly(text) || text : text;
+        if (field === 'status') entry.excusedTests = [...(MEDICAL_STATUS_CONFIG.excusedTests[text] || [])];
+        this.renderMedicalEntries();
+    }
+
+    /**
+     * Excuse a test by a medical entry in the edit form, or stop excusing it
+     * @param {number} index - Entry index
+     * @param {string} testKey - Test key
+     * @param {boolean} excused - New state
+     */
+    toggleMedicalExcusal(index, testKey, excused) {
+        const entry = this.medicalDrafts[index];
+        if (!entry) return;
+        const tests = new Set(entry.excusedTests || []);
+        if (excused) {
+            tests.add(testKey);
+        } else {
+            tests.delete(testKey);
+        }
+        entry.excusedTests = [...tests];
+    }
+
+    /**
+     * Add a medical entry in the edit form, in effect from today
+     */
+    addMedicalEntry() {
+        const status = medicalTracker.getEntryStatuses()[0];
+        this.medicalDrafts.push(medicalTracker.createEntry(status, { effectiveDate: getTodayDateOnly() }));
+        this.renderMedicalEntries();
+    }
+
+    /**
+     * Remove a medical entry in the edit form
+     * @param {number} index - Entry index
+     */
+    removeMedicalEntry(index) {
+        this.medicalDrafts.splice(index, 1);
+        this.renderMedicalEntries();
+    }
+
+    /**
+     * What is wrong with the medical entries in the edit form: an unreadable date, a time-bound
+     * status without an expiry date, or an expiry date before the entry takes effect
+     * @returns {Array<string>} Problems
+     */
+    getMedicalEntryProblems() {
+        const problems = [];
+        this.medicalDrafts.forEach((entry, index) => {
+            const label = `Medical entry ${index + 1} (${entry.status})`;
+            ['effectiveDate', 'expiryDate'].filter(field => entry[field] && !toDateOnly(entry[field])).forEach(field => {
+                problems.push(`${label} ${field === 'effectiveDate' ? 'start' : 'expiry'} date "${entry[field]}" is not a date`);
+            });
+            if (medicalTracker.isTimeBound(entry.status) && !entry.expiryDate) {
+                problems.push(`${label} needs an expiry date`);
+            } else if (entry.effectiveDate && entry.expiryDate && toDateOnly(entry.expiryDate) < toDateOnly(entry.effectiveDate)) {
+                problems.push(`${label} expires before it takes effect`);
+            }
+        });
+        return problems;
+    }
+
+    /**
+     * Fill the assessment filter: for every phase and test, no result yet or each grade
+     */
+    renderAssessmentFilter() {
+        const select = document.getElementById('assessmentFilter');
+        if (!select) return;
+
+        select.innerHTML = '<option value="">All Assessments</option>' + ASSESSMENT_PHASES.map(phase =>
+            getPhaseTests(phase.key).map(test => {
+                const label = `${phase.label} ${test.label}`;
+                const path = `${phase.key}.${test.key}`;
+                return `
+                <optgroup label="${escapeHtml(label)}">
+                    <option value="${path}:">${escapeHtml(label)}: no result</option>
+                    ${GRADE_SCALES[test.scale].map(grade => `<option value="${path}:${grade}">${escapeHtml(label)}: ${grade}</option>`).join('')}
+                </optgroup>`;
+            }).join('')).join('');
+    }
+
+    /**
+     * Fill the status filter with the statuses of the status rules, keeping the selection
+     */
+    renderStatusFilter() {
+        const select = document.getElementById('statusFilter');
+        if (!select) return;
+        select.innerHTML = statusRules.renderFilterOptions(select.value);
+    }
+
     /* ---------- Search & Filtering ---------- */
 
     /**
@@ -92,8 +725,10 @@ class PersonnelManager {
             const categoryFilter = document.getElementById('categoryFilter')?.value || '';
             const statusFilter = document.getElementById('statusFilter')?.value || '';
             const platoonFilter = document.getElementById('platoonFilter')?.value || '';
+            const assessmentFilter = document.getElementById('assessmentFilter')?.value || '';
+            const remedialFilter = document.getElementById('remedialFilter')?.value || '';
             
-            console.log('Filter values:', { searchTerm, categoryFilter, statusFilter, platoonFilter });
+            console.log('Filter values:', { searchTerm, categoryFilter, statusFilter, platoonFilter, assessmentFilter, remedialFilter });
             console.log('Personnel data length:', personnelData.length);
             
             const filteredData = personnelData.filter(p => {
@@ -121,10 +756,23 @@ class PersonnelManager {
                     matchesPlatoon = true;
                 }
                 
-                // Exclude ORD personnel
-                const isActive = !p.isORD;
+                // Assessment filter ("y2.soc:Pass", or "y2.soc:" for no result): only personnel who take the phase
+                let matchesAssessment = true;
+                if (assessmentFilter) {
+                    const [path, grade] = assessmentFilter.split(':');
+                    const phaseKey = path.split('.')[0];
+                    const result = getNestedValue(p, path);
+                    matchesAssessment = getCategoryPhases(p.category).some(phase => phase.key === phaseKey) &&
+                        (grade ? result === grade : !hasAssessmentResult(result));
+                }
+                
+                // Remedial filter ('outstanding', 'overdue', 'none' or 'any')
+                const matchesRemedial = remedialTracker.matchesFilter(p, remedialFilter);
+                
+                // Exclude ORD and posted-out personnel, unless posted-out personnel are asked for
+                const isActive = isActivePersonnel(p) || (statusFilter === 'Posted Out' && !p.isORD);
                 
-                return matchesSearch && matchesCategory && matchesStatus && matchesPlatoon && isActive;
+                return matchesSearch && matchesCategory && matchesStatus && matchesPlatoon && matchesAssessment && matchesRemedial && isActive;
             });
             
             console.log(`✅ Filtered ${filteredData.length} out of ${personnelData.length} personnel`);
@@ -154,15 +802,12 @@ class PersonnelManager {
             const platoonSelect = document.getElementById('platoonFilter');
             if (!platoonSelect) return;
 
-            const allPlatoons = [...new Set(personnelData
-                .map(p => p.platoon || 'Unassigned')
-                .filter(platoon => platoon)
-            )].sort();
-            
-            // Put "Unassigned" at the end if it exists
-            const platoons = allPlatoons.filter(p => p !== 'Unassigned').concat(
-                allPlatoons.includes('Unassigned') ? ['Unassigned'] : []
-            );
+            // Every platoon of the organisation, plus any other value still found in the data
+            const platoons = orgStructure.sortPlatoonNames([...new Set([
+                ...orgStructure.getPlatoonNames(),
+                ...personnelData.map(p => p.platoon || 'Unassigned')
+            ])]);
+            const selected = platoonSelect.value;
             
             platoonSelect.innerHTML = '<option value="">All Platoons</option>';
             platoons.forEach(platoon => {
@@ -172,6 +817,7 @@ class PersonnelManager {
                 platoonSelect.appendChild(option);
             });
             
+            if (platoons.includes(selected)) platoonSelect.value = selected;
             console.log('Platoon filter updated with:', platoons);
             
             // Add debug event listener
@@ -220,9 +866,8 @@ class PersonnelManager {
             }
             
             tbody.innerHTML = data.map((person, index) => {
-                const globalIndex = filteredData.indexOf(person);
                 const serialNumber = index + 1; // Start from 1
-                return this.generateTableRow(person, globalIndex, category, serialNumber);
+                return this.generateTableRow(person, category, serialNumber);
             }).join('');
             this.refreshRowNumbers(category);
             
@@ -251,19 +896,32 @@ class PersonnelManager {
     /**
      * Generate table row HTML
      * @param {Object} person - Personnel record
-     * @param {number} globalIndex - Global index in filtered data
      * @param {string} category - Table category
+     * @param {number} serialNumber - Row number shown in the table
      * @returns {string} HTML row string
      */
-    generateTableRow(person, globalIndex, category, serialNumber) {
-        const isChecked = this.selectedPersonnel.has(person.name);
+    generateTableRow(person, category, serialNumber) {
+        const isChecked = this.selectedPersonnel.has(person.id);
         const checkboxDisplay = this.bulkSelectMode ? 'inline' : 'none';
         const status = getPersonStatus(person);
+        const layout = this.tableLayouts[category] || this.tableLayouts.nsf;
+        const assessmentCells = getCategoryPhases(layout.category).flatMap(phase => getPhaseTests(phase.key).map(test => {
+            const grade = person[phase.key]?.[test.key];
+            // An IPPT result with a raw score shows its points on hover (a Range or CS result its shoot),
+            // and ⚠️ if the grade disagrees; a test taken more than once shows its attempts and ×N
+            const note = test.key === 'ippt' ? ipptCalculator.getCellNote(person, phase.key)
+                : test.shoot ? rangeClassifier.getCellNote(person, phase.key, test.key) : null;
+            const attempts = attemptHistory.getCellNote(person, phase.key, test.key);
+            const title = [note?.text, attempts?.text].filter(Boolean).join('\n\n');
+            const count = attempts?.count > 1 ? ` <small class="attempt-count">×${attempts.count}</small>` : '';
+            const badge = `<span class="status-badge status-${getStatusClass(grade)}"${title ? ` title="${escapeHtml(title)}"` : ''}>${displayGrade(grade, phase.emptyText)}${note?.mismatch ? ' ⚠️' : ''}${count}</span>`;
+            return `<td data-label="${escapeHtml(`${phase.label} ${test.label}`)}">${badge}</td>`;
+        })).join('\n                    ');
         
         if (category === 'nsf') {
             return `
                 <tr class="table-row">
-                    <td data-label="Select"><input type="checkbox" style="display: ${checkboxDisplay}" ${isChecked ? 'checked' : ''} onchange="personnelManager.toggleSelection('${escapeHtml(person.name)}')"></td>
+                    <td data-label="Select"><input type="checkbox" style="display: ${checkboxDisplay}" ${isChecked ? 'checked' : ''} onchange="personnelManager.toggleSelection('${escapeHtml(person.id)}')"></td>
                     <td class="serial-number" data-label="No.">${serialNumber}.</td>
                     <td data-label="Name">${escapeHtml(person.name)}</td>
                     <td data-label="Platoon">${escapeHtml(person.platoon || '-')}</td>
@@ -271,33 +929,27 @@ class PersonnelManager {
                     <td data-label="Y1 Last Window">${formatDate(person.y1WindowEndDate)}</td>
                     <td data-label="Y2 Last Window">${formatDate(person.y2WindowEndDate || person.ordDate)}</td>
                     <td data-label="PES"><span class="pes-badge">${escapeHtml(person.pes || '-')}</span></td>
-                    <td data-label="Y1 IPPT"><span class="status-badge status-${getStatusClass(person.y1?.ippt)}">${displayGrade(person.y1?.ippt, '-')}</span></td>
-                    <td data-label="Y1 VOC"><span class="status-badge status-${getStatusClass(person.y1?.voc)}">${displayGrade(person.y1?.voc, '-')}</span></td>
-                    <td data-label="Y1 ATP"><span class="status-badge status-${getStatusClass(person.y1?.atp)}">${displayGrade(person.y1?.atp, '-')}</span></td>
-                    <td data-label="Y2 IPPT"><span class="status-badge status-${getStatusClass(person.y2?.ippt)}">${displayGrade(person.y2?.ippt, 'Pending')}</span></td>
-                    <td data-label="Y2 VOC"><span class="status-badge status-${getStatusClass(person.y2?.voc)}">${displayGrade(person.y2?.voc, 'Pending')}</span></td>
-                    <td data-label="Y2 Range"><span class="status-badge status-${getStatusClass(person.y2?.range)}">${displayGrade(person.y2?.range, 'Pending')}</span></td>
-                    <td data-label="Medical">${escapeHtml(person.medicalStatus || 'Fit')}</td>
-                    <td data-label="Progress"><span class="status-badge ${status.class}">${status.text}</span></td>
-                    <td data-label="Actions"><button class="btn btn-edit" onclick="personnelManager.openEditModal(${globalIndex})">Edit</button></td>
+                    ${assessmentCells}
+                    <td data-label="Remedial">${remedialTracker.renderCell(person)}</td>
+                    <td data-label="Medical">${medicalTracker.renderCell(person)}</td>
+                    <td data-label="Progress"><span class="status-badge status-explainable ${status.class}" title="Why this status?" onclick="explainPersonStatus('${escapeHtml(person.id)}')">${escapeHtml(status.text)}</span></td>
+                    <td data-label="Actions"><button class="btn btn-edit" onclick="personnelManager.openEditModal('${escapeHtml(person.id)}')">Edit</button></td>
                 </tr>
             `;
         } else { // regulars
             return `
                 <tr class="table-row">
-                    <td data-label="Select"><input type="checkbox" style="display: ${checkboxDisplay}" ${isChecked ? 'checked' : ''} onchange="personnelManager.toggleSelection('${escapeHtml(person.name)}')"></td>
+                    <td data-label="Select"><input type="checkbox" style="display: ${checkboxDisplay}" ${isChecked ? 'checked' : ''} onchange="personnelManager.toggleSelection('${escapeHtml(person.id)}')"></td>
                     <td class="serial-number" data-label="No.">${serialNumber}.</td>
                     <td data-label="Name">${escapeHtml(person.name)}</td>
                     <td data-label="Unit">${escapeHtml(person.unit || person.platoon || '-')}</td>
                     <td data-label="Rank">${escapeHtml(person.rank || '-')}</td>
                     <td data-label="PES"><span class="pes-badge">${escapeHtml(person.pes || '-')}</span></td>
-                    <td data-label="IPPT"><span class="status-badge status-${getStatusClass(person.workYear?.ippt)}">${displayGrade(person.workYear?.ippt, 'Pending')}</span></td>
-                    <td data-label="VOC"><span class="status-badge status-${getStatusClass(person.workYear?.voc)}">${displayGrade(person.workYear?.voc, 'Pending')}</span></td>
-                    <td data-label="ATP"><span class="status-badge status-${getStatusClass(person.workYear?.atp)}">${displayGrade(person.workYear?.atp, 'Pending')}</span></td>
-                    <td data-label="CS"><span class="status-badge status-${getStatusClass(person.workYear?.cs)}">${displayGrade(person.workYear?.cs, 'Pending')}</span></td>
-                    <td data-label="Medical">${escapeHtml(person.medicalStatus || 'Fit')}</td>
-                    <td data-label="Status"><span class="status-badge ${status.class}">${status.text}</span></td>
-                    <td data-label="Actions"><button class="btn btn-edit" onclick="personnelManager.openEditModal(${globalIndex})">Edit</button></td>
+                    ${assessmentCells}
+                    <td data-label="Remedial">${remedialTracker.renderCell(person)}</td>
+                    <td data-label="Medical">${medicalTracker.renderCell(person)}</td>
+                    <td data-label="Status"><span class="status-badge status-explainable ${status.class}" title="Why this status?" onclick="explainPersonStatus('${escapeHtml(person.id)}')">${escapeHtml(status.text)}</span></td>
+                    <td data-label="Actions"><button class="btn btn-edit" onclick="personnelManager.openEditModal('${escapeHtml(person.id)}')">Edit</button></td>
                 </tr>
             `;
         }
@@ -312,43 +964,63 @@ class PersonnelManager {
             const tbody = document.getElementById('summaryBody');
             if (!tbody) return;
             
-            const categories = ['NSF', 'Regular'];
-            const activePersonnel = filteredData.filter(p => !p.isORD);
-            
-            tbody.innerHTML = categories.map(cat => {
-                const catPersonnel = activePersonnel.filter(p => p.category === cat);
-                const y1Complete = catPersonnel.filter(p => p.y1?.ippt && p.y1?.voc && p.y1?.atp).length;
-                const y2Complete = catPersonnel.filter(p => p.y2?.ippt && p.y2?.voc && p.y2?.range).length;
-                const y2IpptGold = catPersonnel.filter(p => p.y2?.ippt === 'Gold').length;
-                const y2VocPass = catPersonnel.filter(p => p.y2?.voc === 'Pass').length;
-                const y2RangeQualified = catPersonnel.filter(p => 
-                    p.y2?.range === 'Marksman' || p.y2?.range === 'Sharpshooter'
-                ).length;
-                const completionRate = catPersonnel.length > 0 ? 
-                    Math.round((y2Complete / catPersonnel.length) * 100) : 0;
-                
-                const rateClass = completionRate >= 75 ? 'status-gold' : 
-                                completionRate >= 50 ? 'status-silver' : 'status-pending';
-                
-                return `
-                    <tr>
-                        <td><strong>${cat}</strong></td>
-                        <td>${catPersonnel.length}</td>
-                        <td>${y1Complete}</td>
-                        <td>${y2Complete}</td>
-                        <td>${y2IpptGold}</td>
-                        <td>${y2VocPass}</td>
-                        <td>${y2RangeQualified}</td>
-                        <td><span class="status-badge ${rateClass}">${completionRate}%</span></td>
-                    </tr>
-                `;
-            }).join('');
+            const activePersonnel = filteredData.filter(p => isActivePersonnel(p));
+            tbody.innerHTML = this.getSummaryRows(activePersonnel).map(row => this.renderSummaryRow(row)).join('');
             
         } catch (error) {
             logError('Summary table update failed', error);
         }
     }
 
+    /**
+     * Totals per category for the summary table
+     * @param {Array} activePersonnel - Active personnel data
+     * @returns {Array<Object>} Rows ({ category, total, y1Complete, y2Complete, y2IpptGold, y2VocPass, y2RangeQualified, completionRate })
+     */
+    getSummaryRows(activePersonnel) {
+        return ['NSF', 'Regular'].map(category => {
+            const catPersonnel = activePersonnel.filter(p => p.category === category);
+            const y2Complete = catPersonnel.filter(p => isPhaseComplete(p, 'y2')).length;
+            return {
+                category,
+                total: catPersonnel.length,
+                y1Complete: catPersonnel.filter(p => isPhaseComplete(p, 'y1')).length,
+                y2Complete,
+                y2IpptGold: catPersonnel.filter(p => p.y2?.ippt === 'Gold').length,
+                y2VocPass: catPersonnel.filter(p => p.y2?.voc === 'Pass').length,
+                y2RangeQualified: catPersonnel.filter(p => 
+                    p.y2?.range === 'Marksman' || p.y2?.range === 'Sharpshooter'
+                ).length,
+                completionRate: catPersonnel.length > 0 ? 
+                    Math.round((y2Complete / catPersonnel.length) * 100) : 0
+            };
+        });
+    }
+
+    /**
+     * Summary table row
+     * @param {Object} row - Row from getSummaryRows
+     * @param {string} [label] - Text of the first cell (defaults to the category)
+     * @returns {string} HTML
+     */
+    renderSummaryRow(row, label = row.category) {
+        const rateClass = row.completionRate >= 75 ? 'status-gold' : 
+                        row.completionRate >= 50 ? 'status-silver' : 'status-pending';
+        
+        return `
+            <tr>
+                <td><strong>${escapeHtml(label)}</strong></td>
+                <td>${row.total}</td>
+                <td>${row.y1Complete}</td>
+                <td>${row.y2Complete}</td>
+                <td>${row.y2IpptGold}</td>
+                <td>${row.y2VocPass}</td>
+                <td>${row.y2RangeQualified}</td>
+                <td><span class="status-badge ${rateClass}">${row.completionRate}%</span></td>
+            </tr>
+        `;
+    }
+
     /* ---------- Category Switching ---------- */
 
     /**
@@ -393,26 +1065,19 @@ class PersonnelManager {
 
     /**
      * Open edit modal for personnel record
-     * @param {number} index - Index in filtered data
+     * @param {string} id - Personnel ID
      */
-    openEditModal(index) {
+    openEditModal(id) {
         try {
-            // Get the person from the global filtered data
-            const person = window.app?.filteredData?.[index];
+            const person = findPersonnelById(window.app?.personnelData, id);
             if (!person) {
                 showErrorMessage('Personnel record not found');
                 return;
             }
             
-            // Find the real index in the main personnel data
-            this.currentEditIndex = window.app?.personnelData?.indexOf(person) ?? -1;
+            this.currentEditId = person.id;
             this.currentEditCategory = person.category;
             
-            if (this.currentEditIndex === -1) {
-                showErrorMessage('Unable to locate personnel record');
-                return;
-            }
-            
             this.populateEditForm(person);
             
             const modal = document.getElementById('editModal');
@@ -444,46 +1109,27 @@ class PersonnelManager {
         try {
             // Basic information
             this.setFormValue('editName', person.name);
+            this.setFormValue('editServiceNumber', person.serviceNumber || '');
             this.setFormValue('editRank', person.rank || '');
             this.setFormValue('editPes', person.pes || '');
-            this.setFormValue('editPlatoon', person.platoon || '');
+            this.setFormValue('editBirthDate', formatDateForInput(person.birthDate));
+            orgStructure.populateEditForm(person.platoon || 'Unassigned', person.section || '');
             this.setFormValue('editOrdDate', formatDateForInput(person.ordDate));
             this.setFormValue('editY1WindowDate', formatDateForInput(person.y1WindowEndDate));
-            this.setFormValue('editMedicalStatus', person.medicalStatus || 'Fit');
+            this.populateMedicalEntries(person);
             
-            if (person.category === 'Regular') {
-                // Show Work Year sections, hide Y1/Y2 sections
-                this.toggleAssessmentSections(true);
-                
-                // Work Year Assessment data for Regular personnel
-                this.setFormValue('editWorkYearIppt', person.workYear?.ippt || '');
-                this.setFormValue('editWorkYearIpptDate', person.workYear?.ipptDate || '');
-                this.setFormValue('editWorkYearVoc', person.workYear?.voc || '');
-                this.setFormValue('editWorkYearVocDate', person.workYear?.vocDate || '');
-                this.setFormValue('editWorkYearAtp', person.workYear?.atp || '');
-                this.setFormValue('editWorkYearAtpDate', person.workYear?.atpDate || '');
-                this.setFormValue('editWorkYearCs', person.workYear?.cs || '');
-                this.setFormValue('editWorkYearCsDate', person.workYear?.csDate || '');
-            } else {
-                // Show Y1/Y2 sections, hide Work Year sections
-                this.toggleAssessmentSections(false);
-                
-                // Y1 Assessment data for NSF personnel
-                this.setFormValue('editY1Ippt', person.y1?.ippt || '');
-                this.setFormValue('editY1IpptDate', person.y1?.ipptDate || '');
-                this.setFormValue('editY1Voc', person.y1?.voc || '');
-                this.setFormValue('editY1VocDate', person.y1?.vocDate || '');
-                this.setFormValue('editY1Atp', person.y1?.atp || '');
-                this.setFormValue('editY1AtpDate', person.y1?.atpDate || '');
-                
-                // Y2 Assessment data for NSF personnel
-                this.setFormValue('editY2Ippt', person.y2?.ippt || '');
-                this.setFormValue('editY2IpptDate', person.y2?.ipptDate || '');
-                this.setFormValue('editY2Voc', person.y2?.voc || '');
-                this.setFormValue('editY2VocDate', person.y2?.vocDate || '');
-                this.setFormValue('editY2Range', person.y2?.range || '');
-                this.setFormValue('editY2RangeDate', person.y2?.rangeDate || '');
-            }
+            // Show the assessment sections of the person's category and fill in their results
+            this.toggleAssessmentSections(person.category === 'Regular');
+            getCategoryPhases(person.category).forEach(phase => {
+                getPhaseTests(phase.key).forEach(test => {
+                    const id = this.getAssessmentFieldId(phase.key, test.key);
+                    this.setFormValue(id, person[phase.key]?.[test.key] || '');
+                    this.setFormValue(`${id}Date`, person[phase.key]?.[`${test.key}Date`] || '');
+                });
+                if (getPhaseTests(phase.key).some(test => test.key === 'ippt')) this.populateIpptScore(person, phase.key);
+                getPhaseTests(phase.key).filter(test => test.shoot).forEach(test => this.populateShoot(person, phase.key, test.key));
+            });
+            this.populateAttempts(person);
             
         } catch (error) {
             logError('Form population failed', error);
@@ -495,21 +1141,10 @@ class PersonnelManager {
      * @param {boolean} isRegular - True for Regular personnel, false for NSF
      */
     toggleAssessmentSections(isRegular) {
-        // Work Year sections (for Regular personnel)
-        const workYearElements = [
-            'workYearHeader', 'workYearIpptGroup', 'workYearVocGroup', 
-            'workYearAtpGroup', 'workYearCsGroup'
-        ];
-        
-        workYearElements.forEach(id => {
-            const element = document.getElementById(id);
-            if (element) {
-                element.style.display = isRegular ? 'block' : 'none';
-            }
+        const category = isRegular ? 'Regular' : 'NSF';
+        document.querySelectorAll('#editAssessmentSections [data-category]').forEach(section => {
+            section.style.display = section.dataset.category === category ? 'block' : 'none';
         });
-        
-        // Y1/Y2 sections (for NSF personnel) - these are always shown for NSF
-        // We don't need to hide them since they're the default
     }
 
     /**
@@ -520,14 +1155,10 @@ class PersonnelManager {
     setFormValue(id, value) {
         const element = document.getElementById(id);
         if (element) {
-            // Normalize ISO-like strings into YYYY-MM-DD for date inputs
+            // Show stored dates (and older timestamps) as YYYY-MM-DD in date inputs
             let v = value;
             if (element.classList && element.classList.contains('date-input')) {
-                if (typeof value === 'string' && value.includes('T')) {
-                    v = value.split('T')[0];
-                } else {
-                    v = formatDateForInput(value);
-                }
+                v = formatDateForInput(value);
             }
             element.value = v || '';
             try { element.setAttribute('value', element.value); } catch (_) {}
@@ -537,18 +1168,16 @@ class PersonnelManager {
     }
 
     /**
-     * Normalize visible date inputs to YYYY-MM-DD
+     * Normalize visible date inputs to YYYY-MM-DD, with the typed formats the date settings accept
+     * as their placeholder
      */
     normalizeDateInputs() {
         try {
+            const placeholder = `${getDateInputFormat('-', true)} or YYYY-MM-DD`;
             document.querySelectorAll('.date-input').forEach((el) => {
                 if (el && 'value' in el) {
-                    const raw = el.value;
-                    if (raw && raw.includes('T')) {
-                        el.value = raw.split('T')[0];
-                    } else {
-                        el.value = formatDateForInput(raw);
-                    }
+                    el.placeholder = placeholder;
+                    el.value = formatDateForInput(el.value);
                     try { el.setAttribute('value', el.value); } catch (_) {}
                 }
             });
@@ -585,7 +1214,7 @@ class PersonnelManager {
         if (modal) {
             modal.style.display = 'none';
         }
-        this.currentEditIndex = -1;
+        this.currentEditId = null;
     }
 
     /**
@@ -593,12 +1222,12 @@ class PersonnelManager {
      */
     saveEdit() {
         try {
-            if (this.currentEditIndex === -1 || !window.app?.personnelData) {
+            if (!this.currentEditId || !window.app?.personnelData) {
                 showErrorMessage('No personnel record selected for editing');
                 return;
             }
             
-            const person = window.app.personnelData[this.currentEditIndex];
+            const person = findPersonnelById(window.app.personnelData, this.currentEditId);
             if (!person) {
                 showErrorMessage('Personnel record not found');
                 return;
@@ -625,6 +1254,7 @@ class PersonnelManager {
             
             // Update the person object
             this.updatePersonnelRecord(person, updatedData);
+            recordLocalEdits(person, changes.map(change => change.path));
             
             // Save and refresh
             if (window.app.saveData) {
@@ -652,54 +1282,45 @@ class PersonnelManager {
     extractFormData() {
         const norm = (v) => {
             const s = (v || '').toString().trim();
-            if (!s) return '';
+            if (!s) return null;
             const iso = parseToISODateOnly(s);
             return iso || s;
         };
 
-        const base = {
+        const data = {
             name: document.getElementById('editName')?.value?.trim() || '',
+            serviceNumber: maskServiceNumber(document.getElementById('editServiceNumber')?.value),
             rank: document.getElementById('editRank')?.value || '',
             pes: document.getElementById('editPes')?.value || '',
+            birthDate: norm(document.getElementById('editBirthDate')?.value),
             platoon: document.getElementById('editPlatoon')?.value || '',
+            section: document.getElementById('editSection')?.value || '',
             ordDate: norm(document.getElementById('editOrdDate')?.value),
             y1WindowEndDate: norm(document.getElementById('editY1WindowDate')?.value),
-            medicalStatus: document.getElementById('editMedicalStatus')?.value || 'Fit'
+            medicalEntries: medicalTracker.toStored(this.medicalDrafts)
         };
-        if (this.currentEditCategory === 'Regular') {
-            return {
-                ...base,
-                workYear: {
-                    ippt: document.getElementById('editWorkYearIppt')?.value || '',
-                    ipptDate: norm(document.getElementById('editWorkYearIpptDate')?.value),
-                    voc: document.getElementById('editWorkYearVoc')?.value || '',
-                    vocDate: norm(document.getElementById('editWorkYearVocDate')?.value),
-                    atp: document.getElementById('editWorkYearAtp')?.value || '',
-                    atpDate: norm(document.getElementById('editWorkYearAtpDate')?.value),
-                    cs: document.getElementById('editWorkYearCs')?.value || '',
-                    csDate: norm(document.getElementById('editWorkYearCsDate')?.value)
-                }
-            };
-        }
-        return {
-            ...base,
-            y1: {
-                ippt: document.getElementById('editY1Ippt')?.value || '',
-                ipptDate: norm(document.getElementById('editY1IpptDate')?.value),
-                voc: document.getElementById('editY1Voc')?.value || '',
-                vocDate: norm(document.getElementById('editY1VocDate')?.value),
-                atp: document.getElementById('editY1Atp')?.value || '',
-                atpDate: norm(document.getElementById('editY1AtpDate')?.value)
-            },
-            y2: {
-                ippt: document.getElementById('editY2Ippt')?.value || '',
-                ipptDate: norm(document.getElementById('editY2IpptDate')?.value),
-                voc: document.getElementById('editY2Voc')?.value || '',
-                vocDate: norm(document.getElementById('editY2VocDate')?.value),
-                range: document.getElementById('editY2Range')?.value || '',
-                rangeDate: norm(document.getElementById('editY2RangeDate')?.value)
+        data.medicalStatus = medicalTracker.getCurrentStatus(data);
+        // Result groups of the category's phases, e.g. { y1: { ippt, ipptDate, ipptAttempts, ... }, y2: { ... } }.
+        // A test with an attempt history takes its result and date from the attempt that counts.
+        getCategoryPhases(this.currentEditCategory).forEach(phase => {
+            data[phase.key] = Object.fromEntries(getPhaseTests(phase.key).flatMap(test => {
+                const id = this.getAssessmentFieldId(phase.key, test.key);
+                const history = attemptHistory.toStored(this.attemptDrafts[`${phase.key}.${test.key}`]);
+                const current = history ? attemptHistory.pickCurrent(history, test.key) : null;
+                return [
+                    [test.key, current ? current.result : document.getElementById(id)?.value || ''],
+                    [`${test.key}Date`, current ? current.date || null : norm(document.getElementById(`${id}Date`)?.value)],
+                    [`${test.key}Attempts`, history]
+                ];
+            }));
+            if (getPhaseTests(phase.key).some(test => test.key === 'ippt')) {
+                data[phase.key].ipptScore = this.readIpptScore(phase.key).score;
             }
-        };
+            getPhaseTests(phase.key).filter(test => test.shoot).forEach(test => {
+                data[phase.key][`${test.key}Shoot`] = this.readShoot(phase.key, test.key).shoot;
+            });
+        });
+        return data;
     }
 
     /**
@@ -717,15 +1338,50 @@ class PersonnelManager {
             data.rank = data.rank.toUpperCase().trim().substring(0, 10);
         }
         
-        if (data.platoon && !isValidPlatoon(data.platoon)) {
-            showErrorMessage(`Invalid platoon: ${data.platoon}`);
+        if (data.platoon && data.platoon !== 'Unassigned' && !isValidPlatoon(data.platoon)) {
+            showErrorMessage(`Invalid platoon: ${data.platoon}. Choose a platoon from the organisation structure.`);
+            return false;
+        }
+
+        if (data.section && !(orgStructure.getPlatoon(data.platoon)?.sections || []).includes(data.section)) {
+            showErrorMessage(`${data.section} is not a section of ${data.platoon}`);
             return false;
         }
         
-        // Validate dates (accept DD-MM-YY, DD/MM/YY, YYYY-MM-DD)
+        const scoreProblems = ASSESSMENT_PHASES.filter(phase => data[phase.key]).flatMap(phase => [
+            ...(data[phase.key].ipptScore !== undefined ? this.readIpptScore(phase.key).problems : []),
+            ...getPhaseTests(phase.key).filter(test => data[phase.key][`${test.key}Shoot`] !== undefined)
+                .flatMap(test => this.readShoot(phase.key, test.key).problems)
+        ]);
+        if (scoreProblems.length > 0) {
+            showErrorMessage(scoreProblems.join('\n'));
+            return false;
+        }
+
+        const attemptProblems = ASSESSMENT_PHASES.filter(phase => data[phase.key]).flatMap(phase =>
+            getPhaseTests(phase.key).flatMap(test => this.getAttemptProblems(phase, test)));
+        if (attemptProblems.length > 0) {
+            showErrorMessage(attemptProblems.join('\n'));
+            return false;
+        }
+
+        const medicalProblems = this.getMedicalEntryProblems();
+        if (medicalProblems.length > 0) {
+            showErrorMessage(medicalProblems.join('\n'));
+            return false;
+        }
+
+        // A date of birth is years back, so it is not held to the assessment date range below
+        if (data.birthDate && !(toDateOnly(data.birthDate) && data.birthDate <= getTodayDateOnly())) {
+            showErrorMessage(`Invalid date of birth: ${data.birthDate}`);
+            return false;
+        }
+
+        // Validate dates (accept DD-MM-YY, DD/MM/YY in the order of the date settings, or YYYY-MM-DD)
         const dateFields = [
-            'ordDate', 'y1WindowEndDate', 'y1.ipptDate', 'y1.vocDate', 'y1.atpDate',
-            'y2.ipptDate', 'y2.vocDate', 'y2.rangeDate'
+            'ordDate', 'y1WindowEndDate',
+            ...ASSESSMENT_PHASES.filter(phase => data[phase.key])
+                .flatMap(phase => getPhaseTests(phase.key).map(test => `${phase.key}.${test.key}Date`))
         ];
         
         for (const field of dateFields) {
@@ -748,35 +1404,30 @@ class PersonnelManager {
      */
     updatePersonnelRecord(person, data) {
         person.name = sanitizePersonnelName(data.name);
+        person.serviceNumber = data.serviceNumber;
         person.rank = data.rank;
         person.pes = data.pes;
+        person.birthDate = data.birthDate;
         person.platoon = data.platoon;
         person.unit = data.platoon; // Keep unit in sync
+        person.section = data.section;
         person.ordDate = data.ordDate;
         if (data.y1WindowEndDate !== undefined) {
             person.y1WindowEndDate = data.y1WindowEndDate;
         }
-        person.medicalStatus = data.medicalStatus;
-        
-        // Update Y1 data (if exists)
-        if (data.y1) {
-            if (!person.y1) person.y1 = {};
-            Object.assign(person.y1, data.y1);
-        }
+        medicalTracker.setEntries(person, data.medicalEntries);
         
-        // Update Y2 data (if exists)
-        if (data.y2) {
-            if (!person.y2) person.y2 = {};
-            Object.assign(person.y2, data.y2);
-        }
-        
-        // Update work year data (if exists)
-        if (data.workYear) {
-            if (!person.workYear) {
-                person.workYear = {};
-            }
-            Object.assign(person.workYear, data.workYear);
-        }
+        // Update the result groups in the form (Y1/Y2 or Work Year)
+        ASSESSMENT_PHASES.forEach(({ key }) => {
+            if (!data[key]) return;
+            if (!person[key]) person[key] = {};
+            Object.assign(person[key], data[key]);
+            if (!person[key].ipptScore) delete person[key].ipptScore;
+            getPhaseTests(key).filter(test => !person[key][`${test.key}Attempts`])
+                .forEach(test => delete person[key][`${test.key}Attempts`]);
+            getPhaseTests(key).filter(test => test.shoot && !person[key][`${test.key}Shoot`])
+                .forEach(test => delete person[key][`${test.key}Shoot`]);
+        });
         
         person.lastUpdated = new Date();
     }
@@ -795,16 +1446,7 @@ class PersonnelManager {
             if (value === null || value === undefined) return '';
             const s = typeof value === 'string' ? value.trim() : value;
             const isDateKey = /Date$/i.test(key) || key === 'ordDate' || key === 'y1WindowEndDate';
-            if (isDateKey) {
-                if (typeof s === 'string') {
-                    if (s.includes('T')) return s.split('T')[0];
-                    const iso = parseToISODateOnly(s);
-                    return iso || s;
-                }
-                if (s instanceof Date) {
-                    return formatDateForInput(s);
-                }
-            }
+            if (isDateKey) return formatDateForInput(s);
             if (typeof s === 'object') return JSON.stringify(s);
             return String(s);
         };
@@ -820,17 +1462,15 @@ class PersonnelManager {
             return String(value);
         };
         
-        // Helper function to get nested value
-        const getNestedValue = (obj, path) => {
-            return path.split('.').reduce((curr, key) => curr?.[key], obj);
-        };
-        
         // Compare basic fields
         const basicFields = [
             { key: 'name', label: 'Name' },
+            { key: 'serviceNumber', label: 'Service No.' },
             { key: 'rank', label: 'Rank' },
             { key: 'pes', label: 'PES' },
+            { key: 'birthDate', label: 'Date of Birth' },
             { key: 'platoon', label: 'Platoon' },
+            { key: 'section', label: 'Section' },
             { key: 'ordDate', label: 'ORD Date' },
             { key: 'y1WindowEndDate', label: 'Y1 Last Window' },
             { key: 'medicalStatus', label: 'Medical Status' }
@@ -843,37 +1483,98 @@ class PersonnelManager {
             if (originalValue !== updatedValue) {
                 changes.push({
                     field: field.label,
+                    path: field.key,
                     from: formatValue(originalValue),
                     to: formatValue(updatedValue)
                 });
             }
         });
+
+        // Medical entries, as one change
+        if (updated.medicalEntries !== undefined) {
+            const originalValue = medicalTracker.formatEntries(medicalTracker.getEntries(original));
+            const updatedValue = medicalTracker.formatEntries(updated.medicalEntries);
+            if (originalValue !== updatedValue) {
+                changes.push({
+                    field: 'Medical Entries',
+                    path: 'medicalEntries',
+                    from: formatValue(originalValue),
+                    to: formatValue(updatedValue)
+                });
+            }
+        }
         
-        // Compare assessment data (Y1, Y2, WorkYear)
-        const assessmentGroups = ['y1', 'y2', 'workYear'];
-        
-        assessmentGroups.forEach(group => {
+        // Compare assessment data (every phase and test of ASSESSMENT_REGISTRY)
+        ASSESSMENT_PHASES.forEach(phase => {
+            const group = phase.key;
             const originalGroup = original[group] || {};
             const updatedGroup = updated[group] || {};
             
             if (updatedGroup && Object.keys(updatedGroup).length > 0) {
-                const assessmentFields = ['ippt', 'ipptDate', 'voc', 'vocDate', 'atp', 'atpDate', 'range', 'rangeDate', 'cs', 'csDate'];
+                const assessmentFields = getPhaseTests(group).flatMap(test => [
+                    { field: test.key, label: `${phase.label} ${test.label}` },
+                    { field: `${test.key}Date`, label: `${phase.label} ${test.label} Date` }
+                ]);
                 
-                assessmentFields.forEach(field => {
+                assessmentFields.forEach(({ field, label }) => {
                     const originalValue = normalizeForCompare(field, originalGroup[field]);
                     const updatedValue = normalizeForCompare(field, updatedGroup[field]);
                     
                     if (originalValue !== updatedValue && updatedValue !== undefined) {
-                        const groupLabel = group === 'y1' ? 'Y1' : group === 'y2' ? 'Y2' : 'Work Year';
-                        const fieldLabel = field.charAt(0).toUpperCase() + field.slice(1);
-                        
                         changes.push({
-                            field: `${groupLabel} ${fieldLabel}`,
+                            field: label,
+                            path: `${group}.${field}`,
                             from: formatValue(originalValue),
                             to: formatValue(updatedValue)
                         });
                     }
                 });
+
+                // Attempt history, one change per test
+                getPhaseTests(group).filter(test => updatedGroup[`${test.key}Attempts`] !== undefined).forEach(test => {
+                    const originalValue = attemptHistory.formatHistory(originalGroup[`${test.key}Attempts`]);
+                    const updatedValue = attemptHistory.formatHistory(updatedGroup[`${test.key}Attempts`]);
+                    if (originalValue !== updatedValue) {
+                        changes.push({
+                            field: `${phase.label} ${test.label} Attempts`,
+                            path: `${group}.${test.key}Attempts`,
+                            from: formatValue(originalValue),
+                            to: formatValue(updatedValue)
+                        });
+                    }
+                });
+
+                // IPPT raw score, one change per station and the age group
+                if (updatedGroup.ipptScore !== undefined) {
+                    [...IPPT_STATIONS, { key: 'ageGroup', label: 'Age Group' }].forEach(({ key, label }) => {
+                        const originalValue = ipptCalculator.formatScoreValue(key, originalGroup.ipptScore?.[key]);
+                        const updatedValue = ipptCalculator.formatScoreValue(key, updatedGroup.ipptScore?.[key]);
+                        if (originalValue !== updatedValue) {
+                            changes.push({
+                                field: `${phase.label} IPPT ${label}`,
+                                path: `${group}.ipptScore.${key}`,
+                                from: formatValue(originalValue),
+                                to: formatValue(updatedValue)
+                            });
+                        }
+                    });
+                }
+
+                // Shoot detail of Range and CS results, one change per field
+                getPhaseTests(group).filter(test => updatedGroup[`${test.key}Shoot`] !== undefined).forEach(test => {
+                    RANGE_SHOOT_FIELDS.forEach(({ key, label }) => {
+                        const originalValue = rangeClassifier.formatShootValue(key, originalGroup[`${test.key}Shoot`]?.[key]);
+                        const updatedValue = rangeClassifier.formatShootValue(key, updatedGroup[`${test.key}Shoot`]?.[key]);
+                        if (originalValue !== updatedValue) {
+                            changes.push({
+                                field: `${phase.label} ${test.label} ${label}`,
+                                path: `${group}.${test.key}Shoot.${key}`,
+                                from: formatValue(originalValue),
+                                to: formatValue(updatedValue)
+                            });
+                        }
+                    });
+                });
             }
         });
         
@@ -973,13 +1674,13 @@ class PersonnelManager {
 
     /**
      * Toggle selection of individual personnel
-     * @param {string} name - Personnel name
+     * @param {string} id - Personnel ID
      */
-    toggleSelection(name) {
-        if (this.selectedPersonnel.has(name)) {
-            this.selectedPersonnel.delete(name);
+    toggleSelection(id) {
+        if (this.selectedPersonnel.has(id)) {
+            this.selectedPersonnel.delete(id);
         } else {
-            this.selectedPersonnel.add(name);
+            this.selectedPersonnel.add(id);
         }
         this.updateBulkSelection();
     }
@@ -997,9 +1698,9 @@ class PersonnelManager {
             window.app.filteredData.filter(p => p.category === 'Regular');
         
         if (checkbox.checked) {
-            categoryData.forEach(p => this.selectedPersonnel.add(p.name));
+            categoryData.forEach(p => this.selectedPersonnel.add(p.id));
         } else {
-            categoryData.forEach(p => this.selectedPersonnel.delete(p.name));
+            categoryData.forEach(p => this.selectedPersonnel.delete(p.id));
         }
         
         this.updateBulkSelection();
@@ -1034,36 +1735,35 @@ class PersonnelManager {
             return;
         }
         
+        const platoonNames = orgStructure.getPlatoonNames();
         const platoonChoice = prompt(
             'Select platoon for selected personnel:\n' +
-            '1 - COY HQ\n' +
-            '2 - Platoon 1\n' +
-            '3 - Platoon 2\n' +
-            '4 - Platoon 3\n\n' +
-            'Enter number (1-4):'
+            platoonNames.map((name, index) => `${index + 1} - ${name}`).join('\n') + '\n\n' +
+            `Enter number (1-${platoonNames.length}) or platoon name:`
         );
+        if (platoonChoice === null) return;
         
-        let newPlatoon;
-        switch(platoonChoice) {
-            case '1': newPlatoon = 'COY HQ'; break;
-            case '2': newPlatoon = 'Platoon 1'; break;
-            case '3': newPlatoon = 'Platoon 2'; break;
-            case '4': newPlatoon = 'Platoon 3'; break;
-            default:
-                showErrorMessage('Invalid selection. Please enter 1, 2, 3, or 4.');
-                return;
+        // A number picks from the list; anything else is matched by platoon name or alias
+        const choiceIndex = /^\d+$/.test(platoonChoice.trim()) ? parseInt(platoonChoice, 10) - 1 : -1;
+        const newPlatoon = platoonNames[choiceIndex] || orgStructure.resolvePlatoon(platoonChoice, { ignoreNumbers: true });
+        if (!newPlatoon) {
+            showErrorMessage(`Invalid selection. Please enter a number from 1 to ${platoonNames.length}, or a platoon name.`);
+            return;
         }
         
         if (!window.app?.personnelData) return;
         
         let updateCount = 0;
-        this.selectedPersonnel.forEach(name => {
-            const person = window.app.personnelData.find(p => p.name === name);
+        this.selectedPersonnel.forEach(id => {
+            const person = findPersonnelById(window.app.personnelData, id);
             if (person) {
+                // Sections belong to a platoon, so a move to another platoon clears it
+                if (person.platoon !== newPlatoon) person.section = '';
                 person.platoon = newPlatoon;
                 person.unit = newPlatoon;
+                recordLocalEdits(person, ['platoon', 'section']);
                 updateCount++;
-                storage.addAuditEntry(`Bulk update: Changed platoon to ${newPlatoon} for ${name}`);
+                storage.addAuditEntry(`Bulk update: Changed platoon to ${newPlatoon} for ${person.name}`);
             }
         });
         
@@ -1075,7 +1775,8 @@ class PersonnelManager {
     }
 
     /**
-     * Bulk update medical status
+     * Bulk update medical status. A Light Duty or Excused IPPT status also asks for its expiry date;
+     * the status is kept as a medical entry from today (medicalTracker.setStatus).
      */
     bulkUpdateStatus() {
         if (this.selectedPersonnel.size === 0) {
@@ -1095,16 +1796,28 @@ class PersonnelManager {
                 showErrorMessage('Invalid selection');
                 return;
         }
+
+        let expiryDate = null;
+        if (medicalTracker.isTimeBound(statusText)) {
+            const expiryText = prompt(`${statusText} until (last day, ${getDateInputFormat()} or YYYY-MM-DD):`);
+            if (expiryText === null) return;
+            expiryDate = toDateOnly(expiryText.trim());
+            if (!expiryDate || expiryDate < getTodayDateOnly()) {
+                showErrorMessage(`"${expiryText}" is not a date from today on`);
+                return;
+            }
+        }
         
         if (!window.app?.personnelData) return;
         
         let updateCount = 0;
-        this.selectedPersonnel.forEach(name => {
-            const person = window.app.personnelData.find(p => p.name === name);
+        this.selectedPersonnel.forEach(id => {
+            const person = findPersonnelById(window.app.personnelData, id);
             if (person) {
-                person.medicalStatus = statusText;
+                if (!medicalTracker.setStatus(person, statusText, { expiryDate })) return;
+                recordLocalEdits(person, ['medicalStatus', 'medicalEntries']);
                 updateCount++;
-                storage.addAuditEntry(`Bulk update: Changed medical status to ${statusText} for ${name}`);
+                storage.addAuditEntry(`Bulk update: Changed medical status to ${statusText}${expiryDate ? ` until ${formatDate(expiryDate)}` : ''} for ${person.name}`);
             }
         });
         
@@ -1170,10 +1883,10 @@ function selectAll(category) {
 
 /**
  * Open edit modal
- * @param {number} index - Personnel index
+ * @param {string} id - Personnel ID
  */
-function openEditModal(index) {
-    personnelManager.openEditModal(index);
+function openEditModal(id) {
+    personnelManager.openEditModal(id);
 }
 
 /**
@@ -1211,6 +1924,108 @@ function handleSearch() {
     personnelManager.handleSearch();
 }
 
+/**
+ * Show the points of an IPPT score in the edit form
+ * @param {string} phaseKey - Phase key
+ * @param {boolean} [setGrade] - Set the IPPT grade from a complete score
+ */
+function updateIpptScorePreview(phaseKey, setGrade) {
+    personnelManager.updateIpptScorePreview(phaseKey, setGrade);
+}
+
+/**
+ * Show the classification of a Range or CS shoot in the edit form
+ * @param {string} phaseKey - Phase key
+ * @param {string} testKey - Test key
+ * @param {boolean} [setGrade] - Set the classification from the score
+ */
+function updateShootPreview(phaseKey, testKey, setGrade) {
+    personnelManager.updateShootPreview(phaseKey, testKey, setGrade);
+}
+
+/**
+ * Copy a result and its date in the edit form into the attempt that counts
+ * @param {string} phaseKey - Phase key
+ * @param {string} testKey - Test key
+ */
+function syncEditAttempt(phaseKey, testKey) {
+    personnelManager.syncAttemptFromForm(phaseKey, testKey);
+}
+
+/**
+ * Add an attempt to a test in the edit form
+ * @param {string} phaseKey - Phase key
+ * @param {string} testKey - Test key
+ */
+function addEditAttempt(phaseKey, testKey) {
+    personnelManager.addAttempt(phaseKey, testKey);
+}
+
+/**
+ * Change one field of an attempt in the edit form
+ * @param {string} phaseKey - Phase key
+ * @param {string} testKey - Test key
+ * @param {number} index - Attempt index
+ * @param {string} field - 'result', 'date' or 'notes'
+ * @param {string} value - New value
+ */
+function setEditAttemptField(phaseKey, testKey, index, field, value) {
+    personnelManager.setAttemptField(phaseKey, testKey, index, field, value);
+}
+
+/**
+ * Remove an attempt from a test in the edit form
+ * @param {string} phaseKey - Phase key
+ * @param {string} testKey - Test key
+ * @param {number} index - Attempt index
+ */
+function removeEditAttempt(phaseKey, testKey, index) {
+    personnelManager.removeAttempt(phaseKey, testKey, index);
+}
+
+/**
+ * Change one field of a medical entry in the edit form
+ * @param {number} index - Entry index
+ * @param {string} field - 'status', 'effectiveDate', 'expiryDate' or 'reference'
+ * @param {string} value - New value
+ */
+function setEditMedicalField(index, field, value) {
+    personnelManager.setMedicalEntryField(index, field, value);
+}
+
+/**
+ * Excuse a test by a medical entry in the edit form, or stop excusing it
+ * @param {number} index - Entry index
+ * @param {string} testKey - Test key
+ * @param {boolean} excused - New state
+ */
+function toggleEditMedicalExcusal(index, testKey, excused) {
+    personnelManager.toggleMedicalExcusal(index, testKey, excused);
+}
+
+/**
+ * Add a medical entry in the edit form
+ */
+function addEditMedicalEntry() {
+    personnelManager.addMedicalEntry();
+}
+
+/**
+ * Remove a medical entry from the edit form
+ * @param {number} index - Entry index
+ */
+function removeEditMedicalEntry(index) {
+    personnelManager.removeMedicalEntry(index);
+}
+
+/**
+ * Rescore every IPPT score in the edit form, e.g. after the date of birth changed
+ */
+function updateIpptScorePreviews() {
+    getCategoryPhases(personnelManager.currentEditCategory)
+        .forEach(phase => personnelManager.updateIpptScorePreview(phase.key));
+}
+
 /**
  * Apply filters
  */
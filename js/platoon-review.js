@@ -0,0 +1,351 @@
+/* =================================================================
+   SOFUN TRACKER - PLATOON REVIEW
+   Queue of personnel whose platoon is missing or not recognised
+   ================================================================= */
+
+/**
+ * SOFUN Platoon Review
+ * Lists active personnel without a platoon of the organisation structure, with the value the
+ * import read and the platoons it most resembles. Nobody is moved until a platoon is chosen
+ * for them, one at a time or for the ticked records together.
+ */
+class SofunPlatoonReview {
+    constructor() {
+        this.review = null;
+        this.minimumScore = 0.5;
+        this.maxSuggestions = 3;
+    }
+
+    /* ---------- Queue ---------- */
+
+    /**
+     * The platoon text a record was given: the unrecognised import value, or a stored
+     * platoon that is no longer in the organisation structure
+     * @param {Object} person - Personnel record
+     * @returns {string} Raw value ('' if the record never had one)
+     */
+    getRawValue(person) {
+        if (person.unmatchedPlatoon) return person.unmatchedPlatoon;
+        return person.platoon && person.platoon !== 'Unassigned' ? person.platoon : '';
+    }
+
+    /**
+     * Platoons a raw value most resembles, by name or import alias. Candidates with a
+     * different number are never suggested ("PLT 7" is not Platoon 1).
+     * @param {string} raw - Raw platoon text
+     * @returns {Array<Object>} Suggestions ({ name, score }), best first
+     */
+    suggestPlatoons(raw) {
+        const key = orgStructure.getMatchKey(raw);
+        if (!key) return [];
+        const digits = key.replace(/\D/g, '');
+
+        return orgStructure.getPlatoons()
+            .map(platoon => {
+                const score = Math.max(...[platoon.name, ...platoon.aliases].map(candidate => {
+                    const candidateKey = orgStructure.getMatchKey(candidate);
+                    const candidateDigits = candidateKey.replace(/\D/g, '');
+                    if (digits && candidateDigits && digits !== candidateDigits) return 0;
+                    // A value that contains the whole name ("PLATOON 2 (ATTACHED)") counts as close
+                    if (candidateKey.length >= 3 && key.includes(candidateKey)) return 0.9;
+                    return duplicateFinder.stringSimilarity(key, candidateKey);
+                }));
+                return { name: platoon.name, score };
+            })
+            .filter(suggestion => suggestion.score >= this.minimumScore)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, this.maxSuggestions);
+    }
+
+    /**
+     * Active personnel whose platoon is missing or not in the organisation structure
+     * @param {Array} personnelData - Saved personnel records
+     * @returns {Array<Object>} Items ({ person, raw, source, suggestions, selected })
+     */
+    findUnresolved(personnelData) {
+        return (personnelData || [])
+            .filter(person => isActivePersonnel(person) && !isValidPlatoon(person.platoon))
+            .map(person => {
+                const raw = this.getRawValue(person);
+                return {
+                    person,
+                    raw,
+                    source: columnMapper.formatCellSource(person.importSources?.platoon),
+                    suggestions: this.suggestPlatoons(raw),
+                    selected: false
+                };
+            })
+            .sort((a, b) => a.raw.localeCompare(b.raw) || a.person.name.localeCompare(b.person.name));
+    }
+
+    /**
+     * Number of active personnel waiting for a platoon
+     * @param {Array} personnelData - Saved personnel records
+     * @returns {number} Count
+     */
+    countUnresolved(personnelData) {
+        return (personnelData || []).filter(person => isActivePersonnel(person) && !isValidPlatoon(person.platoon)).length;
+    }
+
+    /**
+     * Put a record in a platoon chosen by the user
+     * @param {Object} person - Personnel record, updated in place
+     * @param {string} platoon - Platoon name from the organisation structure
+     */
+    assignPlatoon(person, platoon) {
+        person.platoon = platoon;
+        person.unit = platoon;
+        person.section = '';
+        delete person.unmatchedPlatoon;
+        recordLocalEdits(person, ['platoon']);
+        person.lastUpdated = new Date();
+    }
+
+    /* ---------- Review Modal ---------- */
+
+    /**
+     * Open the review queue
+     * @returns {number} Number of personnel in the queue
+     */
+    open() {
+        const modal = document.getElementById('platoonReviewModal');
+        this.review = { items: this.findUnresolved(window.app?.personnelData || []) };
+        if (!modal) return this.review.items.length;
+
+        this.render();
+        modal.style.display = 'block';
+        return this.review.items.length;
+    }
+
+    /**
+     * Close the review queue
+     */
+    close() {
+        const modal = document.getElementById('platoonReviewModal');
+        if (modal) modal.style.display = 'none';
+        this.review = null;
+    }
+
+    /**
+     * Tick or untick one record
+     * @param {number} index - Item index
+     * @param {boolean} selected - New state
+     */
+    setSelected(index, selected) {
+        const item = this.review?.items[index];
+        if (item) item.selected = selected;
+    }
+
+    /**
+     * Tick or untick every record, or those with the same raw value as one record
+     * @param {boolean} selected - New state
+     * @param {number} [sameAsIndex] - Only records whose raw value matches this item's
+     */
+    setAllSelected(selected, sameAsIndex) {
+        if (!this.review) return;
+        const raw = sameAsIndex === undefined ? null : this.review.items[sameAsIndex]?.raw;
+        this.review.items.forEach(item => {
+            if (raw === null || item.raw === raw) item.selected = selected;
+        });
+        this.render();
+    }
+
+    /**
+     * Assign one record to a platoon
+     * @param {number} index - Item index
+     * @param {string} platoon - Platoon name
+     */
+    assignOne(index, platoon) {
+        const item = this.review?.items[index];
+        if (item) this.apply([{ item, platoon }]);
+    }
+
+    /**
+     * Assign every ticked record to the platoon chosen in the toolbar
+     */
+    assignSelected() {
+        if (!this.review) return;
+        const platoon = document.getElementById('platoonReviewTarget')?.value || '';
+        const items = this.review.items.filter(item => item.selected);
+        if (items.length === 0) {
+            showErrorMessage('Tick the personnel to assign first.');
+            return;
+        }
+        if (!platoon) {
+            showErrorMessage('Choose the platoon to assign the ticked personnel to.');
+            return;
+        }
+        this.apply(items.map(item => ({ item, platoon })));
+    }
+
+    /**
+     * Assign every ticked record to its best suggestion; records without one are left in the queue
+     */
+    acceptSuggestions() {
+        if (!this.review) return;
+        const items = this.review.items.filter(item => item.selected);
+        const withSuggestion = items.filter(item => item.suggestions.length > 0);
+        if (withSuggestion.length === 0) {
+            showErrorMessage(items.length === 0
+                ? 'Tick the personnel whose suggestion you accept first.'
+                : 'None of the ticked personnel has a suggested platoon.');
+            return;
+        }
+        this.apply(withSuggestion.map(item => ({ item, platoon: item.suggestions[0].name })));
+    }
+
+    /**
+     * Save a set of decisions, optionally remembering the raw values as import aliases
+     * @param {Array<Object>} decisions - [{ item, platoon }]
+     */
+    apply(decisions) {
+        if (!window.app || decisions.length === 0) return;
+        const remember = !!document.getElementById('platoonReviewRemember')?.checked;
+
+        const aliases = new Map();
+        decisions.forEach(({ item, platoon }) => {
+            this.assignPlatoon(item.person, platoon);
+            if (remember && item.raw && !aliases.has(item.raw)) aliases.set(item.raw, platoon);
+        });
+
+        const added = [...aliases].filter(([raw, platoon]) => orgStructure.addAlias(platoon, raw));
+
+        window.app.saveData();
+        window.app.updateAll();
+        if (typeof handleSearch === 'function') handleSearch();
+
+        const byPlatoon = {};
+        decisions.forEach(({ platoon }) => { byPlatoon[platoon] = (byPlatoon[platoon] || 0) + 1; });
+        const summary = Object.entries(byPlatoon).map(([platoon, count]) => `${count} to ${platoon}`).join(', ');
+        const aliasNote = added.length > 0 ? `; new import aliases: ${added.map(([raw, platoon]) => `"${raw}" for ${platoon}`).join(', ')}` : '';
+        window.app.addAuditEntry(`Platoon review: assigned ${decisions.length} personnel (${summary})${aliasNote}`);
+
+        this.review = { items: this.findUnresolved(window.app.personnelData) };
+        this.render();
+    }
+
+    /**
+     * Render the queue
+     */
+    render() {
+        const container = document.getElementById('platoonReviewItems');
+        const summary = document.getElementById('platoonReviewSummary');
+        const target = document.getElementById('platoonReviewTarget');
+        if (!container || !this.review) return;
+
+        const { items } = this.review;
+        if (summary) {
+            summary.textContent = items.length > 0
+                ? `${items.length} active personnel have no recognised platoon. Choose a platoon for each, or tick several and assign them together.`
+                : 'Every active person is in a platoon of the organisation structure.';
+        }
+        if (target) {
+            target.innerHTML = '<option value="">Choose platoon...</option>' + orgStructure.getPlatoonNames()
+                .map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`).join('');
+        }
+
+        if (items.length === 0) {
+            container.innerHTML = '<div class="alert alert-success">✅ Nothing to review.</div>';
+            return;
+        }
+
+        const platoonOptions = orgStructure.getPlatoonNames()
+            .map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`).join('');
+        const rows = items.map((item, index) => {
+            const suggestions = item.suggestions.map(suggestion => `
+                <button type="button" class="btn btn-secondary platoon-review-suggestion"
+                        onclick="assignPlatoonReviewItem(${index}, this.dataset.platoon)" data-platoon="${escapeHtml(suggestion.name)}">
+                    ${escapeHtml(suggestion.name)} (${Math.round(suggestion.score * 100)}%)
+                </button>`).join('');
+            return `
+                <tr>
+                    <td><input type="checkbox" ${item.selected ? 'checked' : ''} onchange="togglePlatoonReviewItem(${index}, this.checked)"></td>
+                    <td>${escapeHtml(`${item.person.rank || ''} ${item.person.name}`.trim())}<br><small>${escapeHtml(item.person.category || '')}</small></td>
+                    <td>${item.raw ? `"${escapeHtml(item.raw)}"` : '<em>(none)</em>'}
+                        ${item.raw ? `<br><a href="#" onclick="selectSamePlatoonReviewItems(${index}); return false;">tick all with this value</a>` : ''}</td>
+                    <td>${escapeHtml(item.source || '-')}</td>
+                    <td>${suggestions || '<em>No close match</em>'}</td>
+                    <td>
+                        <select onchange="if (this.value) assignPlatoonReviewItem(${index}, this.value)">
+                            <option value="">Choose...</option>${platoonOptions}
+                        </select>
+                    </td>
+                </tr>`;
+        }).join('');
+
+        container.innerHTML = `
+            <div class="table-container">
+                <table class="preview-table">
+                    <thead><tr><th>Select</th><th>Person</th><th>Platoon in file</th><th>Source</th><th>Suggested</th><th>Assign to</th></tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>`;
+    }
+}
+
+/* ---------- Global Platoon Review Instance ---------- */
+
+// Create global platoon review instance
+const platoonReview = new SofunPlatoonReview();
+
+/* ---------- Global Functions (for backward compatibility) ---------- */
+
+/**
+ * Open the platoon review queue
+ */
+function openPlatoonReview() {
+    platoonReview.open();
+}
+
+/**
+ * Close the platoon review queue
+ */
+function closePlatoonReview() {
+    platoonReview.close();
+}
+
+/**
+ * Tick or untick one record in the platoon review
+ */
+function togglePlatoonReviewItem(index, selected) {
+    platoonReview.setSelected(index, selected);
+}
+
+/**
+ * Tick or untick every record in the platoon review
+ * @param {boolean} selected - New state
+ */
+function setAllPlatoonReviewItems(selected) {
+    platoonReview.setAllSelected(selected);
+}
+
+/**
+ * Tick every record with the same raw platoon value as one record
+ * @param {number} index - Item index
+ */
+function selectSamePlatoonReviewItems(index) {
+    platoonReview.setAllSelected(true, index);
+}
+
+/**
+ * Assign one record in the platoon review
+ */
+function assignPlatoonReviewItem(index, platoon) {
+    platoonReview.assignOne(index, platoon);
+}
+
+/**
+ * Assign the ticked records to the platoon chosen in the toolbar
+ */
+function assignSelectedPlatoonReviewItems() {
+    platoonReview.assignSelected();
+}
+
+/**
+ * Assign the ticked records to their best suggestion
+ */
+function acceptPlatoonReviewSuggestions() {
+    platoonReview.acceptSuggestions();
+}
+
+console.log('✅ SOFUN Platoon Review loaded - Platoon resolution queue ready');
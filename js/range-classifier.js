@@ -0,0 +1,641 @@
+/* =================================================================
+   SOFUN TRACKER - RANGE CLASSIFIER
+   Shoot detail and Marksman / Sharpshooter classification by score
+   ================================================================= */
+
+/**
+ * SOFUN Range Classifier
+ * Classifies the shoots kept with Range and CS results (person[phase][test + 'Shoot']) against
+ * an editable list of practices: each practice has its number of details, maximum score and the
+ * score each classification needs. The edit form fills in the classification from the score, and
+ * imports and tables flag a recorded classification the score does not give. The practices are
+ * saved in user preferences and edited in the Range Classification window; there are no built-in
+ * practices, so a test's shoots are not classified until one is entered for it.
+ */
+class SofunRangeClassifier {
+    constructor() {
+        this.preferencesKey = 'rangeClassification';
+        this.config = null;
+        this.draft = null;
+        // Hits in one detail above this are taken to be a typing error
+        this.maxDetailHits = 99;
+        // Columns of the score distribution chart
+        this.distributionBins = 8;
+    }
+
+    /* ---------- Configuration ---------- */
+
+    /**
+     * The practices in use, loaded from user preferences on first use
+     * @returns {Object} { practices } (see DEFAULT_RANGE_CLASSIFICATION)
+     */
+    getConfig() {
+        if (!this.config) {
+            const saved = typeof storage !== 'undefined' ? storage.loadUserPreferences()[this.preferencesKey] : null;
+            this.config = this.normalizeConfig(saved || DEFAULT_RANGE_CLASSIFICATION);
+        }
+        return this.config;
+    }
+
+    /**
+     * Use a classification without saving it
+     * @param {Object} config - Range classification
+     */
+    setConfig(config) {
+        this.config = this.normalizeConfig(config || DEFAULT_RANGE_CLASSIFICATION);
+    }
+
+    /**
+     * Read the saved classification again on next use, e.g. after a backup replaced the preferences
+     */
+    reloadConfig() {
+        this.config = null;
+    }
+
+    /**
+     * Save a classification to user preferences and start using it
+     * @param {Object} config - Range classification
+     * @returns {boolean} Success status
+     */
+    saveConfig(config) {
+        this.setConfig(config);
+        const preferences = storage.loadUserPreferences();
+        return storage.saveUserPreferences({ ...preferences, [this.preferencesKey]: this.config });
+    }
+
+    /**
+     * Copy a classification, keeping only named practices of shoot tests with numeric figures,
+     * and thresholds of the skill grades, highest first
+     * @param {Object} config - Range classification
+     * @returns {Object} Normalised copy
+     */
+    normalizeConfig(config) {
+        const number = value => (Number.isFinite(Number(value)) && value !== '' && value !== null ? Number(value) : null);
+        const testKeys = this.getShootTests().map(test => test.key);
+        const practices = (Array.isArray(config?.practices) ? config.practices : DEFAULT_RANGE_CLASSIFICATION.practices)
+            .map(practice => ({
+                name: String(practice.name || '').trim(),
+                tests: (Array.isArray(practice.tests) ? practice.tests : []).filter(test => testKeys.includes(test)),
+                weapon: String(practice.weapon || '').trim(),
+                details: number(practice.details),
+                maxScore: number(practice.maxScore),
+                thresholds: (Array.isArray(practice.thresholds) ? practice.thresholds : [])
+                    .filter(entry => SKILL_GRADES.includes(entry.grade) && entry.grade !== 'Fail' && number(entry.score) !== null)
+                    .map(entry => ({ grade: entry.grade, score: number(entry.score) }))
+                    .sort((a, b) => b.score - a.score)
+            }))
+            .filter(practice => practice.name && practice.tests.length > 0 && practice.details > 0 && practice.maxScore > 0);
+
+        return { practices };
+    }
+
+    /**
+     * Whether the unit has entered its standards: at least one practice for every shoot test
+     * @returns {boolean} True if every shoot test can be classified
+     */
+    isConfigured() {
+        return this.getShootTests().every(test => this.getPractices(test.key).length > 0);
+    }
+
+    /* ---------- Practices ---------- */
+
+    /**
+     * Tests of ASSESSMENT_REGISTRY whose results keep the shoot detail
+     * @returns {Array<Object>} Registry entries
+     */
+    getShootTests() {
+        return ASSESSMENT_REGISTRY.filter(test => test.shoot);
+    }
+
+    /**
+     * Practices of a test, in the order they are listed
+     * @param {string} testKey - Test key
+     * @returns {Array<Object>} Practices
+     */
+    getPractices(testKey) {
+        return this.getConfig().practices.filter(practice => practice.tests.includes(testKey));
+    }
+
+    /**
+     * Find the practice a shoot was fired on: the recorded practice (case, spaces and punctuation
+     * ignored), otherwise the test's first practice
+     * @param {string} name - Recorded practice, if any
+     * @param {string} testKey - Test key
+     * @returns {Object|null} Practice
+     */
+    findPractice(name, testKey) {
+        const practices = this.getPractices(testKey);
+        if (!name) return practices[0] || null;
+        const key = this.normalizeName(name);
+        return practices.find(practice => this.normalizeName(practice.name) === key) || null;
+    }
+
+    /**
+     * @param {string} name - Practice name
+     * @returns {string} Name compared without case, spaces or punctuation
+     */
+    normalizeName(name) {
+        return String(name || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    }
+
+    /* ---------- Shoot Values ---------- */
+
+    /**
+     * Read hits per detail: "7/8/6/8", "7 8 6 8", "7,8,6,8" or a single number
+     * @param {*} value - Cell or input value
+     * @returns {Array<number>|null} Hits per detail, or null if unreadable
+     */
+    parseHits(value) {
+        const parts = typeof value === 'number' ? [String(value)] : String(value ?? '').trim().split(/\s*[\/,;+|]\s*|\s+/);
+        if (parts.length === 0 || parts.some(part => !/^\d+$/.test(part))) return null;
+        const hits = parts.map(Number);
+        return hits.every(count => count <= this.maxDetailHits) ? hits : null;
+    }
+
+    /**
+     * Read one shoot value as written in a file or the edit form
+     * @param {string} key - Field key of RANGE_SHOOT_FIELDS
+     * @param {*} value - Cell or input value
+     * @returns {*} Hits per detail, the score as a number or the text; null if unreadable or blank
+     */
+    parseShootValue(key, value) {
+        if (key === 'hits') return this.parseHits(value);
+        if (key === 'score') {
+            const text = String(value ?? '').trim();
+            return /^\d+(\.\d+)?$/.test(text) ? Number(text) : null;
+        }
+        const text = String(value ?? '').trim().replace(/\s+/g, ' ');
+        return text || null;
+    }
+
+    /**
+     * How a shoot value should be written, for import issues and form errors
+     * @param {string} key - Field key of RANGE_SHOOT_FIELDS
+     * @returns {string} Hint
+     */
+    getShootHint(key) {
+        if (key === 'hits') return 'Write the hits of each detail separated by slashes, e.g. 7/8/6/8';
+        if (key === 'score') return 'Write the total score as a number, e.g. 29';
+        return 'Fill in the value or leave it blank';
+    }
+
+    /**
+     * Format one shoot value for display and export
+     * @param {string} key - Field key of RANGE_SHOOT_FIELDS
+     * @param {*} value - Stored value
+     * @returns {string} Hits as 7/8/6/8, other values as text; '' without a value
+     */
+    formatShootValue(key, value) {
+        if (value === null || value === undefined) return '';
+        if (key === 'hits') return Array.isArray(value) ? value.join('/') : '';
+        return String(value);
+    }
+
+    /**
+     * @param {Object} shoot - Shoot detail of a result
+     * @returns {boolean} Whether any field is recorded
+     */
+    hasShoot(shoot) {
+        return !!shoot && RANGE_SHOOT_FIELDS.some(field =>
+            field.key === 'hits' ? Array.isArray(shoot.hits) && shoot.hits.length > 0 : shoot[field.key] !== null && shoot[field.key] !== undefined && shoot[field.key] !== '');
+    }
+
+    /**
+     * Total score of a shoot: the recorded score, otherwise the sum of the hits
+     * @param {Object} shoot - Shoot detail of a result
+     * @returns {number|null} Score, or null without a score or hits
+     */
+    getScore(shoot) {
+        if (Number.isFinite(shoot?.score)) return shoot.score;
+        return Array.isArray(shoot?.hits) && shoot.hits.length > 0 ? shoot.hits.reduce((sum, count) => sum + count, 0) : null;
+    }
+
+    /* ---------- Classification ---------- */
+
+    /**
+     * Classify a shoot
+     * @param {Object} shoot - Shoot detail of a result
+     * @param {string} testKey - Test key
+     * @returns {Object|null} null without a score; { error } if it cannot be classified (with
+     *   unconfigured set when no practice has been entered for the test); otherwise
+     *   { score, maxScore, practice, grade }
+     */
+    classify(shoot, testKey) {
+        const score = this.getScore(shoot);
+        if (score === null) return null;
+
+        const test = ASSESSMENT_REGISTRY.find(entry => entry.key === testKey);
+        if (this.getPractices(testKey).length === 0) {
+            return { error: `no ${test?.label || testKey} practice has been entered in the Range Classification window`, unconfigured: true };
+        }
+        const practice = this.findPractice(shoot.practice, testKey);
+        if (!practice) {
+            return { error: `practice "${shoot.practice}" is not set up for ${test?.label || testKey}` };
+        }
+        const hits = Array.isArray(shoot.hits) ? shoot.hits : [];
+        const hitsTotal = hits.reduce((sum, count) => sum + count, 0);
+        if (hits.length > 0 && Number.isFinite(shoot.score) && hitsTotal !== shoot.score) {
+            return { error: `the hits add up to ${hitsTotal}, not the score ${shoot.score}` };
+        }
+        if (hits.length > practice.details) {
+            return { error: `${hits.length} details of hits, but ${practice.name} has ${practice.details}` };
+        }
+        if (score > practice.maxScore) {
+            return { error: `score ${score} is above the ${practice.name} maximum of ${practice.maxScore}` };
+        }
+
+        const threshold = practice.thresholds.find(entry => score >= entry.score);
+        return { score, maxScore: practice.maxScore, practice: practice.name, grade: threshold ? threshold.grade : 'Fail' };
+    }
+
+    /**
+     * Classify the shoot of a person's result
+     * @param {Object} person - Personnel record
+     * @param {string} phaseKey - Phase key
+     * @param {string} testKey - Test key
+     * @returns {Object|null} See classify()
+     */
+    classifyResult(person, phaseKey, testKey) {
+        return this.classify(person?.[phaseKey]?.[`${testKey}Shoot`], testKey);
+    }
+
+    /**
+     * One line describing a classification, e.g. "26/32 on IWQT: Sharpshooter"
+     * @param {Object} result - Result of classify()
+     * @returns {string} Description
+     */
+    describe(result) {
+        if (!result) return '';
+        if (result.error) return `Not classified: ${result.error}`;
+        return `${result.score}/${result.maxScore} on ${result.practice}: ${result.grade}`;
+    }
+
+    /**
+     * A recorded classification the person's shoot does not give
+     * @param {Object} person - Personnel record
+     * @param {string} phaseKey - Phase key
+     * @param {string} testKey - Test key
+     * @returns {Object|null} { grade, result } or null if they agree or cannot be compared
+     */
+    findMismatch(person, phaseKey, testKey) {
+        const grade = person?.[phaseKey]?.[testKey];
+        const result = this.classifyResult(person, phaseKey, testKey);
+        if (!result?.grade || !hasAssessmentResult(grade) || grade === result.grade) return null;
+        return { grade, result };
+    }
+
+    /**
+     * Tooltip of a Range or CS cell: the shoot detail and its classification, with a warning when
+     * the recorded classification disagrees
+     * @param {Object} person - Personnel record
+     * @param {string} phaseKey - Phase key
+     * @param {string} testKey - Test key
+     * @returns {Object|null} { text, mismatch } or null without a shoot
+     */
+    getCellNote(person, phaseKey, testKey) {
+        const shoot = person?.[phaseKey]?.[`${testKey}Shoot`];
+        if (!this.hasShoot(shoot)) return null;
+        const details = RANGE_SHOOT_FIELDS.filter(field => field.key !== 'score' && this.formatShootValue(field.key, shoot[field.key]))
+            .map(field => `${field.label} ${this.formatShootValue(field.key, shoot[field.key])}`).join(', ');
+        const result = this.classify(shoot, testKey);
+        const mismatch = this.findMismatch(person, phaseKey, testKey);
+        const warning = mismatch ? `\n⚠️ Recorded as ${mismatch.grade}, but the score gives ${mismatch.result.grade}` : '';
+        return { text: [details, this.describe(result)].filter(Boolean).join('\n') + warning, mismatch: !!mismatch };
+    }
+
+    /**
+     * Saved Range and CS results whose classification the score does not give
+     * @param {Array} personnelData - Personnel records
+     * @returns {number} Count
+     */
+    countMismatches(personnelData) {
+        return (personnelData || []).reduce((count, person) => count + getCategoryPhases(person.category)
+            .flatMap(phase => getPhaseTests(phase.key).filter(test => test.shoot).map(test => [phase.key, test.key]))
+            .filter(([phaseKey, testKey]) => this.findMismatch(person, phaseKey, testKey)).length, 0);
+    }
+
+    /**
+     * Scores of a phase and test, counted in equal bands with one series per practice
+     * @param {Array} personnel - Personnel records (only those whose category takes the phase count)
+     * @param {string} phaseKey - Phase key
+     * @param {string} testKey - Test key
+     * @returns {Object} { labels, datasets: [{ label, data }], unclassified, unconfigured } with a label
+     *   per band (e.g. "28-31"); unclassified counts shoots whose score could not be classified, and
+     *   unconfigured is set when the test has no practice yet
+     */
+    getScoreDistribution(personnel, phaseKey, testKey) {
+        const results = [];
+        let unclassified = 0;
+        (personnel || [])
+            .filter(person => getCategoryPhases(person.category).some(phase => phase.key === phaseKey))
+            .forEach(person => {
+                const result = this.classifyResult(person, phaseKey, testKey);
+                if (result?.error) unclassified++;
+                else if (result) results.push(result);
+            });
+
+        const maxScore = Math.max(0, ...this.getPractices(testKey).map(practice => practice.maxScore), ...results.map(result => result.maxScore));
+        const width = Math.max(1, Math.ceil((maxScore + 1) / this.distributionBins));
+        const bins = Math.max(1, Math.ceil((maxScore + 1) / width));
+        const labels = Array.from({ length: bins }, (unused, index) => {
+            const start = index * width;
+            const end = Math.min(maxScore, start + width - 1);
+            return start === end ? String(start) : `${start}-${end}`;
+        });
+        const practices = [...new Set(results.map(result => result.practice))];
+        const datasets = practices.map(name => {
+            const data = labels.map(() => 0);
+            results.filter(result => result.practice === name)
+                .forEach(result => data[Math.min(bins - 1, Math.floor(result.score / width))]++);
+            return { label: name, data };
+        });
+
+        return { labels, datasets, unclassified, unconfigured: this.getPractices(testKey).length === 0 };
+    }
+
+    /* ---------- Range Classification Editor ---------- */
+
+    /**
+     * Open the editor on a copy of the current practices
+     */
+    openEditor() {
+        const modal = document.getElementById('rangeClassificationModal');
+        if (!modal) return;
+
+        this.draft = this.createDraft(this.getConfig());
+        this.renderEditor();
+        modal.style.display = 'block';
+    }
+
+    /**
+     * Close the editor, discarding unsaved changes
+     */
+    closeEditor() {
+        const modal = document.getElementById('rangeClassificationModal');
+        if (modal) modal.style.display = 'none';
+        this.draft = null;
+    }
+
+    /**
+     * Editable copy of a classification; figures are edited as text, and each practice remembers
+     * its saved name so renames can be carried over to recorded shoots
+     * @param {Object} config - Range classification
+     * @returns {Object} Draft
+     */
+    createDraft(config) {
+        return {
+            practices: config.practices.map(practice => this.createDraftPractice(practice, practice.name))
+        };
+    }
+
+    /**
+     * @param {Object} practice - Practice
+     * @param {string|null} originalName - Saved name, or null for a new practice
+     * @returns {Object} Draft practice with a threshold for every graded classification
+     */
+    createDraftPractice(practice, originalName) {
+        return {
+            originalName,
+            name: practice.name,
+            tests: [...practice.tests],
+            weapon: practice.weapon,
+            details: String(practice.details ?? ''),
+            maxScore: String(practice.maxScore ?? ''),
+            thresholds: SKILL_GRADES.filter(grade => grade !== 'Fail').map(grade => ({
+                grade,
+                score: String(practice.thresholds.find(entry => entry.grade === grade)?.score ?? '')
+            }))
+        };
+    }
+
+    /**
+     * Change a field of a practice in the draft
+     * @param {number} index - Practice index
+     * @param {string} field - 'name', 'weapon', 'details', 'maxScore', "test:<key>" or "threshold:<grade>"
+     * @param {string|boolean} value - New value (ticked state for a test)
+     */
+    setPracticeField(index, field, value) {
+        const practice = this.draft?.practices[index];
+        if (!practice) return;
+        const [key, option] = field.split(':');
+        if (key === 'test') {
+            practice.tests = practice.tests.filter(test => test !== option);
+            if (value) practice.tests.push(option);
+        } else if (key === 'threshold') {
+            const threshold = practice.thresholds.find(entry => entry.grade === option);
+            if (threshold) threshold.score = value;
+        } else {
+            practice[key] = value;
+        }
+    }
+
+    /**
+     * Add a practice with the figures of the last one
+     */
+    addPractice() {
+        if (!this.draft) return;
+        const last = this.draft.practices[this.draft.practices.length - 1];
+        this.draft.practices.push({
+            ...(last ? JSON.parse(JSON.stringify(last)) : this.createDraftPractice({ name: '', tests: [], weapon: '', thresholds: [] }, null)),
+            originalName: null,
+            name: ''
+        });
+        this.renderEditor();
+    }
+
+    /**
+     * Remove a practice from the draft
+     * @param {number} index - Practice index
+     */
+    removePractice(index) {
+        if (!this.draft) return;
+        this.draft.practices.splice(index, 1);
+        this.renderEditor();
+    }
+
+    /**
+     * Check a draft and turn it into a classification
+     * @param {Object} draft - Editor draft
+     * @returns {Object} { config, problems } with problems empty if the draft can be saved
+     */
+    readDraft(draft) {
+        const problems = [];
+        const names = new Set();
+        const practices = draft.practices.map((practice, index) => {
+            const name = practice.name.trim();
+            const label = `Practice ${index + 1}${name ? ` (${name})` : ''}`;
+            if (!name) {
+                problems.push(`${label}: enter a name`);
+            } else if (names.has(this.normalizeName(name))) {
+                problems.push(`${label}: the name is used by another practice`);
+            }
+            names.add(this.normalizeName(name));
+            if (practice.tests.length === 0) problems.push(`${label}: tick the test it is fired for`);
+
+            const details = Number(practice.details);
+            const maxScore = Number(practice.maxScore);
+            if (!Number.isInteger(details) || details < 1) problems.push(`${label}: the number of details must be a whole number from 1`);
+            if (!Number.isInteger(maxScore) || maxScore < 1) problems.push(`${label}: the maximum score must be a whole number from 1`);
+
+            const thresholds = practice.thresholds.map(entry => ({ grade: entry.grade, score: Number(entry.score) }));
+            thresholds.forEach((entry, position) => {
+                if (!Number.isInteger(entry.score) || entry.score < 0 || (Number.isInteger(maxScore) && entry.score > maxScore)) {
+                    problems.push(`${label}: ${entry.grade} must need a whole-number score from 0 to the maximum score`);
+                } else if (position > 0 && entry.score >= thresholds[position - 1].score) {
+                    problems.push(`${label}: ${entry.grade} must need a lower score than ${thresholds[position - 1].grade}`);
+                }
+            });
+
+            return { name, tests: [...practice.tests], weapon: practice.weapon.trim(), details, maxScore, thresholds };
+        });
+
+        this.getShootTests().forEach(test => {
+            if (!practices.some(practice => practice.tests.includes(test.key))) {
+                problems.push(`${test.label} needs at least one practice from your unit's standards`);
+            }
+        });
+
+        return { config: { practices }, problems };
+    }
+
+    /**
+     * Save the draft, carry renamed practices over to recorded shoots and refresh the tables
+     */
+    saveEditor() {
+        if (!this.draft) return;
+
+        const { config, problems } = this.readDraft(this.draft);
+        if (problems.length > 0) {
+            showErrorMessage(`The range classification cannot be saved:\n\n${problems.join('\n')}`);
+            return;
+        }
+
+        const renames = new Map();
+        this.draft.practices.forEach(practice => {
+            const name = practice.name.trim();
+            if (practice.originalName && practice.originalName !== name) renames.set(this.normalizeName(practice.originalName), name);
+        });
+
+        const personnelData = window.app?.personnelData || [];
+        let renamed = 0;
+        personnelData.forEach(person => ASSESSMENT_PHASES.forEach(phase => this.getShootTests().forEach(test => {
+            const shoot = person[phase.key]?.[`${test.key}Shoot`];
+            const name = shoot?.practice ? renames.get(this.normalizeName(shoot.practice)) : undefined;
+            if (name === undefined) return;
+            shoot.practice = name;
+            renamed++;
+        })));
+
+        this.saveConfig(config);
+        this.closeEditor();
+
+        if (window.app) {
+            if (renamed > 0) window.app.saveData();
+            const mismatches = this.countMismatches(personnelData);
+            window.app.updateAll();
+            if (typeof handleSearch === 'function') handleSearch();
+            const renameText = renames.size > 0 ? `, ${renamed} shoot(s) moved to renamed practices` : '';
+            window.app.addAuditEntry(`Updated range classification: ${this.config.practices.map(practice => practice.name).join(', ')}${renameText}; ${mismatches} recorded classification(s) disagree with their score`);
+            showSuccessMessage(`Range classification saved.${mismatches > 0 ? `\n\n⚠️ ${mismatches} recorded Range or CS classification(s) disagree with their score; they are marked ⚠️ in the tables.` : ''}`);
+        } else {
+            showSuccessMessage('Range classification saved.');
+        }
+    }
+
+    /**
+     * Render the editor from the draft
+     */
+    renderEditor() {
+        const container = document.getElementById('rangeClassificationEditor');
+        if (!container || !this.draft) return;
+        const draft = this.draft;
+        const grades = SKILL_GRADES.filter(grade => grade !== 'Fail');
+
+        const input = (index, field, value, placeholder, type = 'number', className = 'ippt-scoring-input') => `
+                    <td><input type="${type}" class="${className}" value="${escapeHtml(value)}" placeholder="${placeholder}"
+                               oninput="setRangePracticeField(${index}, '${field}', this.value)"></td>`;
+        const rows = draft.practices.map((practice, index) => `
+                <tr>
+                    ${input(index, 'name', practice.name, 'e.g. IWQT', 'text', 'ippt-scoring-input range-practice-input')}
+                    <td>${this.getShootTests().map(test => `
+                        <label class="status-rules-test"><input type="checkbox" ${practice.tests.includes(test.key) ? 'checked' : ''}
+                               onchange="setRangePracticeField(${index}, 'test:${test.key}', this.checked)"> ${escapeHtml(test.label)}</label>`).join('')}</td>
+                    ${input(index, 'weapon', practice.weapon, 'e.g. SAR 21', 'text', 'ippt-scoring-input range-practice-input')}
+                    ${input(index, 'details', practice.details, 'details')}
+                    ${input(index, 'maxScore', practice.maxScore, 'max')}
+                    ${practice.thresholds.map(entry => input(index, `threshold:${entry.grade}`, entry.score, 'score')).join('')}
+                    <td><button type="button" class="btn btn-danger" onclick="removeRangePractice(${index})">✕</button></td>
+                </tr>`).join('');
+
+        container.innerHTML = `
+            <details class="form-section" open>
+                <summary>🎯 Practices</summary>
+                <p class="modal-hint">A shoot is classified on the practice recorded with it, or on the first practice of its test.
+                    The classification is the highest whose score the shoot reaches; below ${escapeHtml(grades[grades.length - 1])} it is a Fail.
+                    Renaming a practice renames it on the shoots already recorded.</p>
+                <div class="table-container">
+                    <table class="preview-table mapping-table ippt-scoring-table">
+                        <thead>
+                            <tr><th>Practice</th><th>Fired for</th><th>Weapon</th><th>Details</th><th>Max score</th>
+                                ${grades.map(grade => `<th>${escapeHtml(grade)} from</th>`).join('')}<th></th></tr>
+                        </thead>
+                        <tbody>${rows || `<tr><td colspan="${6 + grades.length}">No practices: add each practice your unit fires, with its current standards</td></tr>`}</tbody>
+                    </table>
+                </div>
+                <div class="modal-toolbar">
+                    <button type="button" class="btn btn-secondary" onclick="addRangePractice()">➕ Add Practice</button>
+                </div>
+            </details>`;
+    }
+}
+
+/* ---------- Global Range Classifier Instance ---------- */
+
+// Create global range classifier instance
+const rangeClassifier = new SofunRangeClassifier();
+
+/* ---------- Global Functions (for backward compatibility) ---------- */
+
+/**
+ * Open the range classification editor
+ */
+function openRangeClassificationEditor() {
+    rangeClassifier.openEditor();
+}
+
+/**
+ * Close the range classification editor without saving
+ */
+function closeRangeClassificationEditor() {
+    rangeClassifier.closeEditor();
+}
+
+/**
+ * Save the range classification editor
+ */
+function saveRangeClassification() {
+    rangeClassifier.saveEditor();
+}
+
+/**
+ * Change a field of a practice in the range classification editor
+ */
+function setRangePracticeField(index, field, value) {
+    rangeClassifier.setPracticeField(index, field, value);
+}
+
+/**
+ * Add a practice in the range classification editor
+ */
+function addRangePractice() {
+    rangeClassifier.addPractice();
+}
+
+/**
+ * Remove a practice in the range classification editor
+ */
+function removeRangePractice(index) {
+    rangeClassifier.removePractice(index);
+}
+
+console.log('✅ SOFUN Range Classifier loaded - range classification ready');
\ No newline at end of file
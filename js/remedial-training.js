@@ -0,0 +1,546 @@
+/* =================================================================
+   SOFUN TRACKER - REMEDIAL TRAINING
+   Remedial requirements opened by failed tests, sessions and closure
+   ================================================================= */
+
+/**
+ * SOFUN Remedial Training
+ * A Fail in a test with remedial set (ASSESSMENT_REGISTRY) opens a requirement in the person's
+ * remedialTraining list, due REMEDIAL_CONFIG.dueDays after the failed test. Sessions attended are
+ * logged against it, and it closes when a passing result replaces the Fail. Requirements follow
+ * the results: sync() is run whenever the data is loaded or saved, so results changed by the
+ * edit form, imports or merges are all picked up.
+ *
+ * A requirement is stored as:
+ * { id, phase, test, failedOn, openedOn, dueDate, sessions: [{ date, note }], closedOn, closedGrade }
+ */
+class SofunRemedialTraining {
+    constructor() {
+        this.view = null;
+    }
+
+    /* ---------- Requirements ---------- */
+
+    /**
+     * Tests whose Fail opens a remedial requirement
+     * @returns {Array<Object>} Entries of ASSESSMENT_REGISTRY
+     */
+    getRemedialTests() {
+        return ASSESSMENT_REGISTRY.filter(test => test.remedial);
+    }
+
+    /**
+     * A person's requirements (records from before remedial tracking have none)
+     * @param {Object} person - Personnel record
+     * @returns {Array<Object>} Requirements, oldest first
+     */
+    getRequirements(person) {
+        return Array.isArray(person?.remedialTraining) ? person.remedialTraining : [];
+    }
+
+    /**
+     * Requirements not yet closed by a pass
+     * @param {Object} person - Personnel record
+     * @returns {Array<Object>} Open requirements
+     */
+    getOpenRequirements(person) {
+        return this.getRequirements(person).filter(requirement => !requirement.closedOn);
+    }
+
+    /**
+     * Whether an open requirement is past its due date
+     * @param {Object} requirement - Requirement
+     * @returns {boolean} True if overdue
+     */
+    isOverdue(requirement) {
+        return !requirement.closedOn && !!requirement.dueDate && requirement.dueDate < getTodayDateOnly();
+    }
+
+    /**
+     * State of a requirement as shown in the tables, the filter and the export
+     * @param {Object} requirement - Requirement
+     * @returns {string} 'Closed', 'Overdue' or 'Open'
+     */
+    getState(requirement) {
+        if (requirement.closedOn) return 'Closed';
+        return this.isOverdue(requirement) ? 'Overdue' : 'Open';
+    }
+
+    /**
+     * Assessment label of a requirement (e.g. "Y2 IPPT")
+     * @param {Object} requirement - Requirement
+     * @returns {string} Label
+     */
+    getLabel(requirement) {
+        const phase = ASSESSMENT_PHASES.find(entry => entry.key === requirement.phase);
+        const test = getAssessmentTest(requirement.test);
+        return `${phase?.label || requirement.phase} ${test?.label || requirement.test}`;
+    }
+
+    /**
+     * New requirement for a failed test
+     * @param {string} phaseKey - Phase key
+     * @param {string} testKey - Test key
+     * @param {string|null} failedOn - Date of the failed test, if recorded
+     * @returns {Object} Requirement
+     */
+    createRequirement(phaseKey, testKey, failedOn) {
+        const openedOn = getTodayDateOnly();
+        return {
+            id: `r-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            phase: phaseKey,
+            test: testKey,
+            failedOn: failedOn || null,
+            openedOn,
+            dueDate: addDaysToDate(failedOn || openedOn, REMEDIAL_CONFIG.dueDays),
+            sessions: [],
+            closedOn: null,
+            closedGrade: null
+        };
+    }
+
+    /**
+     * Open a requirement for each failed test that has none, and close open requirements whose
+     * test now has a passing result. A cleared result leaves its requirement as it is.
+     * @param {Object} person - Personnel record, updated in place
+     * @returns {Array<Object>} Changes ({ person, requirement, action: 'opened'|'closed' })
+     */
+    syncPerson(person) {
+        if (!person) return [];
+        const changes = [];
+        const tests = this.getRemedialTests();
+
+        getCategoryPhases(person.category).forEach(phase => {
+            tests.filter(test => test.phases.includes(phase.key)).forEach(test => {
+                const grade = person[phase.key]?.[test.key];
+                const date = toDateOnly(person[phase.key]?.[`${test.key}Date`]);
+                const open = this.getOpenRequirements(person)
+                    .filter(requirement => requirement.phase === phase.key && requirement.test === test.key);
+
+                if (grade === 'Fail' && open.length === 0) {
+                    const requirement = this.createRequirement(phase.key, test.key, date);
+                    if (!Array.isArray(person.remedialTraining)) person.remedialTraining = [];
+                    person.remedialTraining.push(requirement);
+                    changes.push({ person, requirement, action: 'opened' });
+                } else if (grade !== 'Fail' && hasAssessmentResult(grade)) {
+                    open.forEach(requirement => {
+                        // A pass dated before the failed test it replaces was entered late; it closes today
+                        requirement.closedOn = date && date >= (requirement.failedOn || '') ? date : getTodayDateOnly();
+                        requirement.closedGrade = grade;
+                        changes.push({ person, requirement, action: 'closed' });
+                    });
+                }
+            });
+        });
+        return changes;
+    }
+
+    /**
+     * Bring the requirements of every record in line with its results
+     * @param {Array} personnel - Personnel records, updated in place
+     * @returns {Array<Object>} Changes (see syncPerson)
+     */
+    sync(personnel) {
+        return (personnel || []).flatMap(person => this.syncPerson(person));
+    }
+
+    /**
+     * Audit text for requirements opened or closed by sync()
+     * @param {Array<Object>} changes - Changes from sync()
+     * @returns {string} Description ('' if nothing changed)
+     */
+    describeChanges(changes) {
+        if (changes.length === 0) return '';
+        const listed = changes.slice(0, 5).map(({ person, requirement, action }) =>
+            `${action} ${this.getLabel(requirement)} for ${person.name}`);
+        const more = changes.length > listed.length ? ` and ${changes.length - listed.length} more` : '';
+        return `Remedial training: ${listed.join(', ')}${more}`;
+    }
+
+    /**
+     * Combine the requirements of two records being merged. Requirements are matched by ID, and
+     * open requirements for the same test become one, keeping the earliest due date and every session.
+     * @param {Array<Object>} kept - Requirements of the record that is kept
+     * @param {Array<Object>} other - Requirements of the record merged into it
+     * @returns {Array<Object>} Combined requirements
+     */
+    mergeRequirements(kept, other) {
+        const merged = [...(kept || [])];
+        (other || []).forEach(requirement => {
+            if (merged.some(candidate => candidate.id === requirement.id)) return;
+            const match = !requirement.closedOn && merged.find(candidate => !candidate.closedOn &&
+                candidate.phase === requirement.phase && candidate.test === requirement.test);
+            if (!match) {
+                merged.push(requirement);
+                return;
+            }
+            match.sessions = [...(match.sessions || []), ...(requirement.sessions || [])]
+                .sort((a, b) => (a.date || '').localeCompare(b.date || ''));
+            if (requirement.dueDate && (!match.dueDate || requirement.dueDate < match.dueDate)) match.dueDate = requirement.dueDate;
+            if (requirement.failedOn && (!match.failedOn || requirement.failedOn < match.failedOn)) match.failedOn = requirement.failedOn;
+        });
+        return merged;
+    }
+
+    /* ---------- Counts ---------- */
+
+    /**
+     * Whether a person has an open requirement
+     * @param {Object} person - Personnel record
+     * @returns {boolean} True if remedial training is outstanding
+     */
+    hasOutstanding(person) {
+        return this.getOpenRequirements(person).length > 0;
+    }
+
+    /**
+     * Whether a person has a requirement past its due date
+     * @param {Object} person - Personnel record
+     * @returns {boolean} True if overdue
+     */
+    hasOverdue(person) {
+        return this.getOpenRequirements(person).some(requirement => this.isOverdue(requirement));
+    }
+
+    /**
+     * Number of personnel with remedial training outstanding
+     * @param {Array} personnel - Personnel records
+     * @returns {number} Count
+     */
+    countOutstanding(personnel) {
+        return (personnel || []).filter(person => this.hasOutstanding(person)).length;
+    }
+
+    /**
+     * Whether a person matches a value of the remedial filter
+     * @param {Object} person - Personnel record
+     * @param {string} filter - '' (everyone), 'outstanding', 'overdue', 'none' or 'any'
+     * @returns {boolean} True if the person matches
+     */
+    matchesFilter(person, filter) {
+        switch (filter) {
+            case 'outstanding': return this.hasOutstanding(person);
+            case 'overdue': return this.hasOverdue(person);
+            case 'none': return !this.hasOutstanding(person);
+            case 'any': return this.getRequirements(person).length > 0;
+            default: return true;
+        }
+    }
+
+    /**
+     * Table cell of a person: the open requirements, or the number completed
+     * @param {Object} person - Personnel record
+     * @returns {string} HTML
+     */
+    renderCell(person) {
+        const requirements = this.getRequirements(person);
+        if (requirements.length === 0) return '-';
+
+        const open = this.getOpenRequirements(person);
+        const onclick = `onclick="openRemedialTraining('${escapeHtml(person.id)}')"`;
+        if (open.length === 0) {
+            return `<span class="status-badge status-pass status-explainable" title="Remedial training completed" ${onclick}>${requirements.length} closed</span>`;
+        }
+        const title = open.map(requirement => `${this.getLabel(requirement)}: due ${formatDate(requirement.dueDate)}, ` +
+            `${(requirement.sessions || []).length} session(s)${this.isOverdue(requirement) ? ' (overdue)' : ''}`).join('\n');
+        const overdue = open.some(requirement => this.isOverdue(requirement));
+        return `<span class="status-badge ${overdue ? 'status-fail' : 'status-pending'} status-explainable" title="${escapeHtml(title)}" ${onclick}>` +
+            `${open.map(requirement => escapeHtml(getAssessmentTest(requirement.test)?.label || requirement.test)).join(', ')}${overdue ? ' ⚠️' : ''}</span>`;
+    }
+
+    /**
+     * Rows of the Remedial_Training sheet: every requirement of the active personnel, open ones first
+     * @param {Array} personnelData - Personnel records
+     * @returns {Array<Array>} Header row followed by one row per requirement
+     */
+    getSheetRows(personnelData) {
+        const order = { Overdue: 0, Open: 1, Closed: 2 };
+        const rows = (personnelData || []).filter(person => isActivePersonnel(person)).flatMap(person =>
+            this.getRequirements(person).map(requirement => ({ person, requirement, state: this.getState(requirement) })));
+        rows.sort((a, b) => order[a.state] - order[b.state] ||
+            (a.requirement.dueDate || '').localeCompare(b.requirement.dueDate || '') ||
+            a.person.name.localeCompare(b.person.name));
+
+        return [
+            ['Name', 'Platoon', 'Category', 'Assessment', 'Failed On', 'Due Date', 'Sessions', 'Last Session', 'Status', 'Closed On', 'Closed By'],
+            ...rows.map(({ person, requirement, state }) => {
+                const sessions = requirement.sessions || [];
+                return [
+                    person.name,
+                    person.platoon || '',
+                    person.category,
+                    this.getLabel(requirement),
+                    toExcelDate(requirement.failedOn),
+                    toExcelDate(requirement.dueDate),
+                    sessions.length,
+                    toExcelDate(sessions[sessions.length - 1]?.date),
+                    state,
+                    toExcelDate(requirement.closedOn),
+                    requirement.closedGrade || ''
+                ];
+            })
+        ];
+    }
+
+    /* ---------- Remedial Training Modal ---------- */
+
+    /**
+     * Open the remedial training window for everyone, or for one person
+     * @param {string} [personId] - Show only this person's requirements, closed ones included
+     */
+    open(personId) {
+        const modal = document.getElementById('remedialTrainingModal');
+        if (!modal) return;
+        this.view = { personId: personId || null, showClosed: !!personId };
+        const showClosed = document.getElementById('remedialShowClosed');
+        if (showClosed) showClosed.checked = this.view.showClosed;
+        this.render();
+        modal.style.display = 'block';
+    }
+
+    /**
+     * Close the remedial training window
+     */
+    close() {
+        const modal = document.getElementById('remedialTrainingModal');
+        if (modal) modal.style.display = 'none';
+        this.view = null;
+    }
+
+    /**
+     * Show or hide closed requirements
+     * @param {boolean} showClosed - New state
+     */
+    setShowClosed(showClosed) {
+        if (!this.view) return;
+        this.view.showClosed = showClosed;
+        this.render();
+    }
+
+    /**
+     * Show everyone's requirements after opening the window for one person
+     */
+    showEveryone() {
+        if (!this.view) return;
+        this.view.personId = null;
+        this.render();
+    }
+
+    /**
+     * Find a requirement of a saved record
+     * @param {string} personId - Personnel ID
+     * @param {string} requirementId - Requirement ID
+     * @returns {Object|null} { person, requirement }, or null if either is gone
+     */
+    findRequirement(personId, requirementId) {
+        const person = findPersonnelById(window.app?.personnelData, personId);
+        const requirement = this.getRequirements(person).find(entry => entry.id === requirementId);
+        return person && requirement ? { person, requirement } : null;
+    }
+
+    /**
+     * Log a session attended, from the date and note typed in the requirement's row
+     * @param {string} personId - Personnel ID
+     * @param {string} requirementId - Requirement ID
+     */
+    logSession(personId, requirementId) {
+        const found = this.findRequirement(personId, requirementId);
+        if (!found || found.requirement.closedOn) return;
+
+        const dateText = document.getElementById(`remedialSessionDate-${requirementId}`)?.value.trim() || getTodayDateOnly();
+        const date = toDateOnly(dateText);
+        if (!date) {
+            showErrorMessage(`"${dateText}" is not a date. Use YYYY-MM-DD or ${getDateInputFormat()}.`);
+            return;
+        }
+        if (date > getTodayDateOnly()) {
+            showErrorMessage('A session cannot be logged for a future date.');
+            return;
+        }
+        const note = document.getElementById(`remedialSessionNote-${requirementId}`)?.value.trim() || '';
+
+        const { person, requirement } = found;
+        requirement.sessions = [...(requirement.sessions || []), { date, note }]
+            .sort((a, b) => (a.date || '').localeCompare(b.date || ''));
+        this.saveChange(person, `Remedial training: logged a ${this.getLabel(requirement)} session on ${formatDate(date)} for ${person.name}`);
+    }
+
+    /**
+     * Remove a session logged by mistake
+     * @param {string} personId - Personnel ID
+     * @param {string} requirementId - Requirement ID
+     * @param {number} index - Session index
+     */
+    removeSession(personId, requirementId, index) {
+        const found = this.findRequirement(personId, requirementId);
+        const session = found?.requirement.sessions?.[index];
+        if (!session || !confirm(`Remove the session of ${formatDate(session.date)}?`)) return;
+
+        const { person, requirement } = found;
+        requirement.sessions.splice(index, 1);
+        this.saveChange(person, `Remedial training: removed the ${this.getLabel(requirement)} session of ${formatDate(session.date)} for ${person.name}`);
+    }
+
+    /**
+     * Change the due date of an open requirement
+     * @param {string} personId - Personnel ID
+     * @param {string} requirementId - Requirement ID
+     * @param {string} value - New due date as typed
+     */
+    setDueDate(personId, requirementId, value) {
+        const found = this.findRequirement(personId, requirementId);
+        if (!found || found.requirement.closedOn) return;
+
+        const date = toDateOnly(value);
+        if (!date) {
+            showErrorMessage(`"${value}" is not a date. Use YYYY-MM-DD or ${getDateInputFormat()}.`);
+            this.render();
+            return;
+        }
+        if (date === found.requirement.dueDate) return;
+
+        const { person, requirement } = found;
+        requirement.dueDate = date;
+        this.saveChange(person, `Remedial training: ${this.getLabel(requirement)} for ${person.name} now due ${formatDate(date)}`);
+    }
+
+    /**
+     * Save a change made in the window and refresh it with the tables
+     * @param {Object} person - Changed record
+     * @param {string} auditText - Audit log entry
+     */
+    saveChange(person, auditText) {
+        person.lastUpdated = new Date();
+        window.app.saveData();
+        window.app.updateAll();
+        if (typeof handleSearch === 'function') handleSearch();
+        window.app.addAuditEntry(auditText);
+        this.render();
+    }
+
+    /**
+     * Render the requirements of the window's view
+     */
+    render() {
+        const container = document.getElementById('remedialTrainingItems');
+        const summary = document.getElementById('remedialTrainingSummary');
+        if (!container || !this.view) return;
+
+        const personnel = (window.app?.personnelData || []).filter(person => this.view.personId
+            ? person.id === this.view.personId
+            : isActivePersonnel(person));
+        const order = { Overdue: 0, Open: 1, Closed: 2 };
+        const items = personnel.flatMap(person => this.getRequirements(person)
+            .map(requirement => ({ person, requirement, state: this.getState(requirement) })))
+            .filter(item => this.view.showClosed || item.state !== 'Closed')
+            .sort((a, b) => order[a.state] - order[b.state] ||
+                (a.requirement.dueDate || '').localeCompare(b.requirement.dueDate || '') ||
+                a.person.name.localeCompare(b.person.name));
+
+        if (summary) {
+            const open = personnel.flatMap(person => this.getOpenRequirements(person));
+            const overdue = open.filter(requirement => this.isOverdue(requirement)).length;
+            const who = this.view.personId ? escapeHtml(personnel[0]?.name || 'This person') : 'Active personnel';
+            summary.innerHTML = `${who}: ${open.length} open requirement(s), ${overdue} overdue.` +
+                (this.view.personId ? ' <a href="#" onclick="showAllRemedialTraining(); return false;">Show everyone</a>' : '');
+        }
+
+        if (items.length === 0) {
+            container.innerHTML = '<div class="alert alert-success">✅ No remedial training outstanding.</div>';
+            return;
+        }
+
+        const rows = items.map(({ person, requirement, state }) => {
+            const ids = `'${escapeHtml(person.id)}', '${escapeHtml(requirement.id)}'`;
+            const stateClass = { Overdue: 'status-fail', Open: 'status-pending', Closed: 'status-pass' }[state];
+            const sessions = (requirement.sessions || []).map((session, index) => `
+                <div>${formatDate(session.date)}${session.note ? ` - ${escapeHtml(session.note)}` : ''}
+                    ${requirement.closedOn ? '' : `<a href="#" title="Remove this session" onclick="removeRemedialSession(${ids}, ${index}); return false;">✖</a>`}</div>`).join('');
+            const due = requirement.closedOn
+                ? formatDate(requirement.dueDate)
+                : `<input type="text" class="ippt-scoring-input remedial-date-input" value="${escapeHtml(requirement.dueDate || '')}" placeholder="YYYY-MM-DD"
+                          onchange="setRemedialDueDate(${ids}, this.value)">`;
+            const log = requirement.closedOn
+                ? `Closed ${formatDate(requirement.closedOn)} by ${escapeHtml(requirement.closedGrade || 'a pass')}`
+                : `<input type="text" id="remedialSessionDate-${escapeHtml(requirement.id)}" class="ippt-scoring-input remedial-date-input" value="${getTodayDateOnly()}" placeholder="YYYY-MM-DD">
+                   <input type="text" id="remedialSessionNote-${escapeHtml(requirement.id)}" class="ippt-scoring-input range-practice-input" placeholder="Note (optional)">
+                   <button type="button" class="btn btn-primary platoon-review-suggestion" onclick="logRemedialSession(${ids})">Log Session</button>`;
+            return `
+                <tr>
+                    <td>${escapeHtml(`${person.rank || ''} ${person.name}`.trim())}<br><small>${escapeHtml(person.platoon || '-')}</small></td>
+                    <td>${escapeHtml(this.getLabel(requirement))}<br><small>Failed ${formatDate(requirement.failedOn)}</small></td>
+                    <td>${due}</td>
+                    <td><span class="status-badge ${stateClass}">${state}</span></td>
+                    <td>${sessions || '<em>None yet</em>'}</td>
+                    <td>${log}</td>
+                </tr>`;
+        }).join('');
+
+        container.innerHTML = `
+            <div class="table-container">
+                <table class="preview-table">
+                    <thead><tr><th>Person</th><th>Assessment</th><th>Due</th><th>Status</th><th>Sessions attended</th><th>Log session</th></tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>`;
+    }
+}
+
+/* ---------- Global Remedial Training Instance ---------- */
+
+// Create global remedial training instance
+const remedialTracker = new SofunRemedialTraining();
+
+/* ---------- Global Functions (for backward compatibility) ---------- */
+
+/**
+ * Open the remedial training window
+ * @param {string} [personId] - Show only this person's requirements
+ */
+function openRemedialTraining(personId) {
+    remedialTracker.open(personId);
+}
+
+/**
+ * Close the remedial training window
+ */
+function closeRemedialTraining() {
+    remedialTracker.close();
+}
+
+/**
+ * Show or hide closed requirements in the remedial training window
+ */
+function toggleRemedialClosed(showClosed) {
+    remedialTracker.setShowClosed(showClosed);
+}
+
+/**
+ * Show everyone's requirements in the remedial training window
+ */
+function showAllRemedialTraining() {
+    remedialTracker.showEveryone();
+}
+
+/**
+ * Log a remedial session from the inputs of a requirement's row
+ */
+function logRemedialSession(personId, requirementId) {
+    remedialTracker.logSession(personId, requirementId);
+}
+
+/**
+ * Remove a logged remedial session
+ */
+function removeRemedialSession(personId, requirementId, index) {
+    remedialTracker.removeSession(personId, requirementId, index);
+}
+
+/**
+ * Change the due date of a remedial requirement
+ */
+function setRemedialDueDate(personId, requirementId, value) {
+    remedialTracker.setDueDate(personId, requirementId, value);
+}
+
+console.log('✅ SOFUN Remedial Training loaded - Remedial requirements ready');
\ No newline at end of file
@@ -0,0 +1,439 @@
+/* =================================================================
+   SOFUN TRACKER - ROSTER IMPORT
+   Nominal roll import: posts personnel in and out without touching results
+   ================================================================= */
+
+/**
+ * SOFUN Roster Import
+ * Compares the nominal roll from S1 with the saved database. People on the roll but not
+ * in the tracker are posted in, active people missing from the roll are posted out
+ * (kept with their results, but hidden), and roster fields such as rank and ORD date are
+ * updated. Each posting and change is confirmed in a review before anything is saved.
+ */
+class SofunRosterImport {
+    constructor() {
+        this.review = null;
+        // Everything a roster file can change; assessment results are deliberately absent
+        this.fields = [
+            { path: 'name', label: 'Name' },
+            { path: 'serviceNumber', label: 'Service No.' },
+            { path: 'rank', label: 'Rank' },
+            { path: 'pes', label: 'PES' },
+            { path: 'category', label: 'Category' },
+            { path: 'platoon', label: 'Platoon' },
+            { path: 'enlistmentDate', label: 'Enlistment Date' },
+            { path: 'birthDate', label: 'Date of Birth' },
+            { path: 'ordDate', label: 'ORD Date' }
+        ];
+    }
+
+    /* ---------- Comparison ---------- */
+
+    /**
+     * Roster fields that differ between a saved record and its roster row. Only fields the
+     * roster actually filled in are compared, so a missing column or blank cell changes nothing.
+     * @param {Object} current - Saved record
+     * @param {Object} incoming - Record read from the roster
+     * @returns {Array<Object>} Changes ({ path, label, from, to, accepted })
+     */
+    getChangedFields(current, incoming) {
+        return this.fields
+            .filter(field => field.path === 'name' || incoming.importSources?.[field.path])
+            // An unrecognised platoon goes to the platoon review; it never unassigns a saved person
+            .filter(field => field.path !== 'platoon' || incoming.platoon !== 'Unassigned')
+            .map(field => ({
+                ...field,
+                from: importPreview.normalizeValue(field.path, getNestedValue(current, field.path)),
+                to: importPreview.normalizeValue(field.path, getNestedValue(incoming, field.path)),
+                accepted: true
+            }))
+            .filter(change => change.to && change.from !== change.to);
+    }
+
+    /**
+     * Compare the saved database with the roster. A new person whose masked service number
+     * matches someone posted out is flagged (sharesNumberWith), as it may be a renamed record.
+     * @param {Array} currentData - Saved personnel records
+     * @param {Array} rosterData - Records read from the roster file
+     * @returns {Object} { postedIn, postedOut, changed, unchangedCount }
+     */
+    buildReview(currentData, rosterData) {
+        const matches = importPreview.matchRecords(currentData, rosterData);
+        const matchedIds = new Set();
+        const review = { postedIn: [], postedOut: [], changed: [], unchangedCount: 0 };
+
+        (rosterData || []).forEach(incoming => {
+            const current = matches.get(incoming);
+            if (!current) {
+                review.postedIn.push({ record: incoming, current: null, accepted: true });
+                return;
+            }
+
+            matchedIds.add(current.id);
+            // Someone posted out earlier who is back on the roll
+            if (!isActivePersonnel(current)) {
+                review.postedIn.push({ record: incoming, current, accepted: true });
+            }
+
+            const fields = this.getChangedFields(current, incoming);
+            if (fields.length > 0) {
+                review.changed.push({ current, incoming, fields });
+            } else if (isActivePersonnel(current)) {
+                review.unchangedCount++;
+            }
+        });
+
+        // Posting someone out is only done when confirmed, so these start unticked
+        (currentData || []).forEach(person => {
+            if (!matchedIds.has(person.id) && isActivePersonnel(person)) {
+                review.postedOut.push({ record: person, accepted: false });
+            }
+        });
+
+        review.postedIn.filter(item => !item.current && item.record.serviceNumber).forEach(item => {
+            const postedOut = review.postedOut.find(out => out.record.serviceNumber === item.record.serviceNumber);
+            if (postedOut) item.sharesNumberWith = postedOut.record.name;
+        });
+
+        return review;
+    }
+
+    /**
+     * Set one roster field on a saved record, keeping dependent fields in step
+     * @param {Object} person - Saved record, updated in place
+     * @param {string} path - Field path
+     * @param {*} value - New value
+     */
+    applyField(person, path, value) {
+        const previous = getNestedValue(person, path);
+        setNestedValue(person, path, value);
+
+        if (path === 'platoon') person.unit = value;
+        // The Y2 window mirrors the ORD date unless it was set separately
+        if (path === 'ordDate' && (!person.y2WindowEndDate || person.y2WindowEndDate === previous)) {
+            person.y2WindowEndDate = value;
+        }
+        // A change of service adds the assessment groups of the new category; existing results stay
+        if (path === 'category') {
+            const blank = dataProcessor.createImportedRecord({ name: person.name, service: value, sources: {} });
+            ASSESSMENT_PHASES.forEach(({ key }) => {
+                if (blank[key] && !person[key]) person[key] = blank[key];
+            });
+        }
+    }
+
+    /**
+     * Build the new personnel list from the saved data and the confirmed roster changes
+     * @param {Array} currentData - Saved personnel records
+     * @param {Object} review - Review from buildReview with accepted flags
+     * @returns {Object} { data, summary } where summary lists names posted in, returned and posted out
+     */
+    applyReview(currentData, review) {
+        const summary = { postedIn: [], returned: [], postedOut: [], fieldsChanged: 0, fieldsRejected: 0 };
+        const data = [...(currentData || [])];
+
+        review.changed.forEach(item => {
+            const accepted = item.fields.filter(change => change.accepted);
+            summary.fieldsRejected += item.fields.length - accepted.length;
+            if (accepted.length === 0) return;
+
+            accepted.forEach(change => this.applyField(item.current, change.path, getNestedValue(item.incoming, change.path)));
+            // Stamped as local edits so a later results import in merge mode does not undo them
+            recordLocalEdits(item.current, accepted.map(change => change.path));
+            item.current.lastUpdated = new Date();
+            summary.fieldsChanged += accepted.length;
+        });
+
+        review.postedIn.filter(item => item.accepted).forEach(item => {
+            if (item.current) {
+                delete item.current.postedOutDate;
+                item.current.lastUpdated = new Date();
+                summary.returned.push(item.current.name);
+                return;
+            }
+
+            // Cell references would point into the roster file, not the results workbook
+            const paths = this.fields.map(field => field.path).filter(path => item.record.importSources?.[path]);
+            const record = { ...item.record, importSources: {}, lastUpdated: new Date() };
+            recordLocalEdits(record, ['name', ...paths]);
+            data.push(record);
+            summary.postedIn.push(record.name);
+        });
+
+        const today = getTodayDateOnly();
+        review.postedOut.filter(item => item.accepted).forEach(item => {
+            item.record.postedOutDate = today;
+            item.record.lastUpdated = new Date();
+            summary.postedOut.push(item.record.name);
+        });
+
+        return { data, summary };
+    }
+
+    /* ---------- Review Modal ---------- */
+
+    /**
+     * Show the roster review and wait for the user's decision
+     * @param {Array} currentData - Saved personnel records
+     * @param {Array} rosterData - Records read from the roster file
+     * @param {Object} fileInfo - { fileName }
+     * @returns {Promise<Object|null>} { data, summary } to commit, or null if cancelled
+     */
+    openReview(currentData, rosterData, fileInfo) {
+        const review = this.buildReview(currentData, rosterData);
+        const modal = document.getElementById('rosterReviewModal');
+        if (!modal) {
+            return Promise.resolve(this.applyReview(currentData, review));
+        }
+
+        if (this.review) this.closeReview();
+
+        return new Promise(resolve => {
+            this.review = { currentData, review, fileInfo, resolve };
+
+            const info = document.getElementById('rosterReviewFileInfo');
+            if (info) info.textContent = `File: ${fileInfo.fileName}`;
+
+            this.render();
+            modal.style.display = 'block';
+        });
+    }
+
+    /**
+     * Close the review; resolves the pending import (null cancels)
+     * @param {Object|null} decision - { data, summary } to commit
+     */
+    closeReview(decision = null) {
+        const modal = document.getElementById('rosterReviewModal');
+        if (modal) modal.style.display = 'none';
+
+        if (this.review) {
+            const { resolve } = this.review;
+            this.review = null;
+            resolve(decision);
+        }
+    }
+
+    /**
+     * Commit the confirmed postings and changes
+     */
+    confirmReview() {
+        if (!this.review) return;
+        this.closeReview(this.applyReview(this.review.currentData, this.review.review));
+    }
+
+    /**
+     * Tick or untick every posting and change
+     * @param {boolean} accepted - New state
+     */
+    setAll(accepted) {
+        if (!this.review) return;
+        const { review } = this.review;
+        review.postedIn.forEach(item => { item.accepted = accepted; });
+        review.postedOut.forEach(item => { item.accepted = accepted; });
+        review.changed.forEach(item => item.fields.forEach(change => { change.accepted = accepted; }));
+        this.render();
+    }
+
+    /**
+     * Tick or untick one item
+     * @param {string} type - 'postedIn', 'postedOut' or 'changed'
+     * @param {number} index - Item index in its list
+     * @param {number} fieldIndex - Field index (changed items only)
+     * @param {boolean} accepted - New state
+     */
+    setItem(type, index, fieldIndex, accepted) {
+        const item = this.review?.review[type]?.[index];
+        if (!item) return;
+        if (type === 'changed') {
+            if (item.fields[fieldIndex]) item.fields[fieldIndex].accepted = accepted;
+        } else {
+            item.accepted = accepted;
+        }
+        this.renderSummary();
+    }
+
+    /**
+     * Render the summary line
+     */
+    renderSummary() {
+        const summaryDiv = document.getElementById('rosterReviewSummary');
+        if (!summaryDiv || !this.review) return;
+
+        const { review } = this.review;
+        const countAccepted = items => items.filter(item => item.accepted).length;
+        const fieldChanges = review.changed.reduce((sum, item) => sum + item.fields.length, 0);
+        const acceptedFields = review.changed.reduce((sum, item) => sum + countAccepted(item.fields), 0);
+        summaryDiv.innerHTML = `
+            <strong>${review.postedIn.length}</strong> posted in (${countAccepted(review.postedIn)} confirmed) ·
+            <strong>${review.postedOut.length}</strong> posted out (${countAccepted(review.postedOut)} confirmed) ·
+            <strong>${review.changed.length}</strong> with roster changes, ${fieldChanges} field(s) (${acceptedFields} accepted) ·
+            <strong>${review.unchangedCount}</strong> unchanged`;
+    }
+
+    /**
+     * Render the whole review from the current state
+     */
+    render() {
+        if (!this.review) return;
+        this.renderSummary();
+
+        const container = document.getElementById('rosterReviewChanges');
+        if (!container) return;
+
+        const { review } = this.review;
+        if (review.postedIn.length === 0 && review.postedOut.length === 0 && review.changed.length === 0) {
+            container.innerHTML = '<div class="alert alert-success">✅ The roster matches the saved data. Nothing will change.</div>';
+            return;
+        }
+
+        container.innerHTML = [
+            this.renderPostedIn(review.postedIn),
+            this.renderPostedOut(review.postedOut),
+            this.renderChanged(review.changed)
+        ].join('');
+    }
+
+    /**
+     * Checkbox bound to an item
+     * @returns {string} HTML
+     */
+    renderCheckbox(type, index, fieldIndex, accepted) {
+        return `<input type="checkbox" ${accepted ? 'checked' : ''}
+                       onchange="toggleRosterReviewItem('${type}', ${index}, ${fieldIndex}, this.checked)">`;
+    }
+
+    /**
+     * @param {Array} items - Posted-in items
+     * @returns {string} HTML
+     */
+    renderPostedIn(items) {
+        if (items.length === 0) return '';
+        const rows = items.map((item, index) => `
+            <tr>
+                <td>${this.renderCheckbox('postedIn', index, -1, item.accepted)}</td>
+                <td>${escapeHtml(item.record.name)}</td>
+                <td>${escapeHtml(item.record.rank || '-')}</td>
+                <td>${escapeHtml(item.record.category)}</td>
+                <td>${escapeHtml(item.record.platoon || '-')}</td>
+                <td>${formatDate(item.record.ordDate)}</td>
+                <td>${this.describePostedIn(item)}</td>
+            </tr>`).join('');
+        return `
+            <details class="form-section" open>
+                <summary>➕ Posted in (${items.length})</summary>
+                <div class="table-container">
+                    <table class="preview-table">
+                        <thead><tr><th>Confirm</th><th>Name</th><th>Rank</th><th>Category</th><th>Platoon</th><th>ORD</th><th></th></tr></thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+            </details>`;
+    }
+
+    /**
+     * Status text for a posted-in item
+     * @param {Object} item - Posted-in item
+     * @returns {string} HTML
+     */
+    describePostedIn(item) {
+        if (item.current) return `Returning (posted out ${formatDate(item.current.postedOutDate)})`;
+        if (item.sharesNumberWith) {
+            return `New <span class="modal-hint">(service number ends the same as ${escapeHtml(item.sharesNumberWith)}, posted out below; if this is the same person, correct the name in the edit form and re-import)</span>`;
+        }
+        return 'New';
+    }
+
+    /**
+     * @param {Array} items - Posted-out items
+     * @returns {string} HTML
+     */
+    renderPostedOut(items) {
+        if (items.length === 0) return '';
+        const rows = items.map((item, index) => `
+            <tr>
+                <td>${this.renderCheckbox('postedOut', index, -1, item.accepted)}</td>
+                <td>${escapeHtml(item.record.name)}</td>
+                <td>${escapeHtml(item.record.rank || '-')}</td>
+                <td>${escapeHtml(item.record.category)}</td>
+                <td>${escapeHtml(item.record.platoon || '-')}</td>
+                <td>${formatDate(item.record.ordDate)}</td>
+            </tr>`).join('');
+        return `
+            <details class="form-section" open>
+                <summary>➖ Posted out: not on the roster (${items.length})</summary>
+                <p class="modal-hint">Tick the people who have left. They are hidden from the tables and statistics but keep their results, and return if they appear on a later roster.</p>
+                <div class="table-container">
+                    <table class="preview-table">
+                        <thead><tr><th>Confirm</th><th>Name</th><th>Rank</th><th>Category</th><th>Platoon</th><th>ORD</th></tr></thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+            </details>`;
+    }
+
+    /**
+     * @param {Array} items - Changed items
+     * @returns {string} HTML
+     */
+    renderChanged(items) {
+        if (items.length === 0) return '';
+        const rows = items.map((item, index) => item.fields.map((change, fieldIndex) => `
+            <tr>
+                <td>${this.renderCheckbox('changed', index, fieldIndex, change.accepted)}</td>
+                <td>${fieldIndex === 0 ? `<strong>${escapeHtml(item.current.name)}</strong>` : ''}</td>
+                <td>${escapeHtml(change.label)}</td>
+                <td>${change.from ? escapeHtml(change.from) : '<em>(empty)</em>'}</td>
+                <td>${escapeHtml(change.to)}</td>
+                <td>${escapeHtml(columnMapper.formatCellSource(item.incoming.importSources?.[change.path]))}</td>
+            </tr>`).join('')).join('');
+        return `
+            <details class="form-section" open>
+                <summary>✏️ Roster changes (${items.length})</summary>
+                <div class="table-container">
+                    <table class="preview-table">
+                        <thead><tr><th>Accept</th><th>Name</th><th>Field</th><th>Current</th><th>Roster</th><th>Source</th></tr></thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+            </details>`;
+    }
+}
+
+/* ---------- Global Roster Import Instance ---------- */
+
+// Create global roster import instance
+const rosterImport = new SofunRosterImport();
+
+/* ---------- Global Functions (for backward compatibility) ---------- */
+
+/**
+ * Cancel the roster import from the review
+ */
+function closeRosterReview() {
+    rosterImport.closeReview(null);
+}
+
+/**
+ * Commit the confirmed roster postings and changes
+ */
+function confirmRosterReview() {
+    rosterImport.confirmReview();
+}
+
+/**
+ * Tick or untick every item in the roster review
+ * @param {boolean} accepted - New state
+ */
+function setAllRosterReviewItems(accepted) {
+    rosterImport.setAll(accepted);
+}
+
+/**
+ * Tick or untick one item in the roster review
+ */
+function toggleRosterReviewItem(type, index, fieldIndex, accepted) {
+    rosterImport.setItem(type, index, fieldIndex, accepted);
+}
+
+console.log('✅ SOFUN Roster Import loaded - Nominal roll import ready');
@@ -0,0 +1,865 @@
+/* =================================================================
+   SOFUN TRACKER - STATUS RULES
+   Progress status of personnel from an editable rule set
+   ================================================================= */
+
+/**
+ * SOFUN Status Rules
+ * Decides when a phase is complete (required tests, PES exemptions, tests a medical status excuses,
+ * whether a Fail counts) and which progress status a person has: the first rule of their category
+ * whose conditions all hold.
+ * The tables, status filter, reports and charts read statuses and completion from here. The rules
+ * are saved in user preferences and edited in the Status Rules window.
+ */
+class SofunStatusRules {
+    constructor() {
+        this.preferencesKey = 'statusRules';
+        this.config = null;
+        this.draft = null;
+        this.categories = ['NSF', 'Regular'];
+        this.windows = [
+            { key: 'y1WindowEndDate', label: 'Y1 last window' },
+            { key: 'y2WindowEndDate', label: 'Y2 last window', fallback: 'ordDate' },
+            { key: 'ordDate', label: 'ORD date' }
+        ];
+        this.checks = {
+            complete: { target: 'phase', label: name => `${name} complete` },
+            incomplete: { target: 'phase', label: name => `${name} not complete` },
+            started: { target: 'phase', label: name => `${name} started` },
+            notStarted: { target: 'phase', label: name => `${name} not started` },
+            failed: { target: 'phase', label: name => `${name} has a Fail` },
+            windowPassed: { target: 'window', label: name => `${name} has passed` },
+            windowOpen: { target: 'window', label: name => `${name} has not passed` }
+        };
+        this.styles = [
+            { value: 'status-pass', label: 'Green' },
+            { value: 'status-pending', label: 'Amber' },
+            { value: 'status-fail', label: 'Red' },
+            { value: 'status-silver', label: 'Grey' },
+            { value: 'status-exempt', label: 'Light grey' },
+            { value: 'status-gold', label: 'Gold' }
+        ];
+        // Set by the record state, before any rule is checked
+        this.reservedStatuses = ['Posted Out', 'Unknown'];
+    }
+
+    /* ---------- Configuration ---------- */
+
+    /**
+     * The rules in use, loaded from user preferences on first use
+     * @returns {Object} { failIsOutstanding, requiredTests, exemptions, statuses } (see DEFAULT_STATUS_RULES)
+     */
+    getConfig() {
+        if (!this.config) {
+            const saved = typeof storage !== 'undefined' ? storage.loadUserPreferences()[this.preferencesKey] : null;
+            this.config = this.normalizeConfig(saved || DEFAULT_STATUS_RULES);
+        }
+        return this.config;
+    }
+
+    /**
+     * Use a rule set without saving it
+     * @param {Object} config - Status rules
+     */
+    setConfig(config) {
+        this.config = this.normalizeConfig(config || DEFAULT_STATUS_RULES);
+    }
+
+    /**
+     * Read the saved rules again on next use, e.g. after a backup replaced the preferences
+     */
+    reloadConfig() {
+        this.config = null;
+    }
+
+    /**
+     * Save a rule set to user preferences and start using it
+     * @param {Object} config - Status rules
+     * @returns {boolean} Success status
+     */
+    saveConfig(config) {
+        this.setConfig(config);
+        const preferences = storage.loadUserPreferences();
+        return storage.saveUserPreferences({ ...preferences, [this.preferencesKey]: this.config });
+    }
+
+    /**
+     * Copy a rule set, dropping tests, phases, checks and windows the tracker does not know
+     * @param {Object} config - Status rules
+     * @returns {Object} Normalised copy
+     */
+    normalizeConfig(config) {
+        const phaseKeys = ASSESSMENT_PHASES.map(phase => phase.key);
+        const isPhaseTest = (phaseKey, testKey) => getPhaseTests(phaseKey).some(test => test.key === testKey);
+        const requiredTests = config?.requiredTests || DEFAULT_STATUS_RULES.requiredTests;
+
+        return {
+            failIsOutstanding: !!config?.failIsOutstanding,
+            requiredTests: Object.fromEntries(phaseKeys.map(phaseKey => [phaseKey,
+                (Array.isArray(requiredTests[phaseKey]) ? requiredTests[phaseKey] : [])
+                    .filter(testKey => isPhaseTest(phaseKey, testKey))])),
+            exemptions: (config?.exemptions || [])
+                .filter(exemption => isPhaseTest(exemption.phase, exemption.test))
+                .map(exemption => ({
+                    phase: exemption.phase,
+                    test: exemption.test,
+                    pes: (Array.isArray(exemption.pes) ? exemption.pes : String(exemption.pes || '').split(','))
+                        .map(value => String(value || '').trim().toUpperCase())
+                        .filter(Boolean)
+                })),
+            statuses: (config?.statuses || DEFAULT_STATUS_RULES.statuses)
+                .filter(rule => this.categories.includes(rule.category))
+                .map(rule => ({
+                    category: rule.category,
+                    text: String(rule.text || '').trim(),
+                    class: this.styles.some(style => style.value === rule.class) ? rule.class : 'status-pending',
+                    conditions: (rule.conditions || []).filter(condition => this.isKnownCondition(condition))
+                        .map(condition => this.checks[condition.check].target === 'phase'
+                            ? { check: condition.check, phase: condition.phase }
+                            : { check: condition.check, window: condition.window })
+                }))
+        };
+    }
+
+    /**
+     * @param {Object} condition - { check, phase } or { check, window }
+     * @returns {boolean} True if the check and its phase or window exist
+     */
+    isKnownCondition(condition) {
+        const check = this.checks[condition?.check];
+        if (!check) return false;
+        return check.target === 'phase'
+            ? ASSESSMENT_PHASES.some(phase => phase.key === condition.phase)
+            : this.windows.some(window => window.key === condition.window);
+    }
+
+    /* ---------- Completion ---------- */
+
+    /**
+     * Exemption that drops a test for a person, by the start of their PES ("C" covers C1, C2 and C9)
+     * @param {Object} person - Personnel record
+     * @param {string} phaseKey - Phase key
+     * @param {string} testKey - Test key
+     * @returns {Object|null} Exemption ({ phase, test, pes, matched })
+     */
+    getExemption(person, phaseKey, testKey) {
+        const pes = String(person?.pes || '').trim().toUpperCase();
+        if (!pes) return null;
+        for (const exemption of this.getConfig().exemptions) {
+            if (exemption.phase !== phaseKey || exemption.test !== testKey) continue;
+            const matched = exemption.pes.find(value => pes.startsWith(value));
+            if (matched) return { ...exemption, matched };
+        }
+        return null;
+    }
+
+    /**
+     * Tests a phase requires, for everyone or for one person (leaving out their exemptions and the
+     * tests their medical status excuses today)
+     * @param {Object|null} person - Personnel record, or null for the phase's full list
+     * @param {string} phaseKey - Phase key
+     * @returns {Array<Object>} Registry entries in registry order
+     */
+    getRequiredTests(person, phaseKey) {
+        const required = this.getConfig().requiredTests[phaseKey] || [];
+        return getPhaseTests(phaseKey).filter(test =>
+            required.includes(test.key) &&
+            !(person && (this.getExemption(person, phaseKey, test.key) || medicalTracker.getExcusal(person, test.key))));
+    }
+
+    /**
+     * Whether a test is done: it has a result, and that result is not a Fail when a Fail counts as outstanding
+     * @param {Object} person - Personnel record
+     * @param {string} phaseKey - Phase key
+     * @param {string} testKey - Test key
+     * @returns {boolean} True if done
+     */
+    isTestDone(person, phaseKey, testKey) {
+        const grade = person?.[phaseKey]?.[testKey];
+        if (!hasAssessmentResult(grade)) return false;
+        return !(this.getConfig().failIsOutstanding && grade === 'Fail');
+    }
+
+    /**
+     * @param {Object} person - Personnel record
+     * @param {string} phaseKey - Phase key
+     * @returns {boolean} True if every test the person's phase requires is done
+     */
+    isPhaseComplete(person, phaseKey) {
+        return this.getRequiredTests(person, phaseKey).every(test => this.isTestDone(person, phaseKey, test.key));
+    }
+
+    /* ---------- Statuses ---------- */
+
+    /**
+     * The date a window condition reads; the Y2 window falls back to the ORD date, as in the NSF table
+     * @param {Object} person - Personnel record
+     * @param {string} windowKey - Window key
+     * @returns {string|null} YYYY-MM-DD
+     */
+    getWindowDate(person, windowKey) {
+        const window = this.windows.find(entry => entry.key === windowKey);
+        return toDateOnly(person?.[windowKey]) || (window?.fallback ? toDateOnly(person?.[window.fallback]) : null);
+    }
+
+    /**
+     * Label of a condition, e.g. "Y2 complete" or "Y1 last window has passed"
+     * @param {Object} condition - { check, phase } or { check, window }
+     * @returns {string} Label
+     */
+    describeCondition(condition) {
+        const check = this.checks[condition.check];
+        const name = check.target === 'phase'
+            ? ASSESSMENT_PHASES.find(phase => phase.key === condition.phase)?.label
+            : this.windows.find(window => window.key === condition.window)?.label;
+        return check.label(name || '?');
+    }
+
+    /**
+     * Check one condition for a person
+     * @param {Object} person - Personnel record
+     * @param {Object} condition - { check, phase } or { check, window }
+     * @returns {Object} { met, detail } with detail naming the results or date behind the answer
+     */
+    checkCondition(person, condition) {
+        if (this.checks[condition.check].target === 'window') {
+            const date = this.getWindowDate(person, condition.window);
+            const passed = !!date && getTodayDateOnly() > date;
+            return {
+                met: condition.check === 'windowPassed' ? passed : !passed,
+                detail: date ? `ends ${formatDate(date)}` : 'no date'
+            };
+        }
+
+        const phaseKey = condition.phase;
+        const tests = getPhaseTests(phaseKey);
+        const grade = test => person?.[phaseKey]?.[test.key];
+        const list = items => items.map(test => `${test.label} ${hasAssessmentResult(grade(test)) ? grade(test) : 'pending'}`).join(', ');
+
+        switch (condition.check) {
+            case 'complete':
+            case 'incomplete': {
+                const outstanding = this.getRequiredTests(person, phaseKey).filter(test => !this.isTestDone(person, phaseKey, test.key));
+                return {
+                    met: (outstanding.length === 0) === (condition.check === 'complete'),
+                    detail: outstanding.length > 0 ? `outstanding: ${list(outstanding)}` : 'all required tests done'
+                };
+            }
+            case 'started':
+            case 'notStarted': {
+                const taken = tests.filter(test => hasAssessmentResult(grade(test)));
+                return {
+                    met: (taken.length > 0) === (condition.check === 'started'),
+                    detail: taken.length > 0 ? `results: ${list(taken)}` : 'no results'
+                };
+            }
+            case 'failed': {
+                const failed = tests.filter(test => grade(test) === 'Fail');
+                return { met: failed.length > 0, detail: failed.length > 0 ? `failed: ${list(failed)}` : 'no Fail' };
+            }
+            default:
+                return { met: false, detail: '' };
+        }
+    }
+
+    /**
+     * Work out a person's status and the reasons for it
+     * @param {Object} person - Personnel record
+     * @returns {Object} { status: { text, class }, rule, index, checked: [{ rule, results: [{ condition, met, detail }] }] }
+     */
+    evaluate(person) {
+        if (!person) return { status: { text: 'Unknown', class: 'status-pending' }, rule: null, checked: [] };
+        if (person.postedOutDate) return { status: { text: 'Posted Out', class: 'status-fail' }, rule: null, checked: [] };
+
+        const category = person.category === 'Regular' ? 'Regular' : 'NSF';
+        const rules = this.getConfig().statuses.filter(rule => rule.category === category);
+        const checked = [];
+        for (const [index, rule] of rules.entries()) {
+            const results = rule.conditions.map(condition => ({ condition, ...this.checkCondition(person, condition) }));
+            checked.push({ rule, results });
+            if (results.every(result => result.met)) {
+                return { status: { text: rule.text, class: rule.class }, rule, index, checked };
+            }
+        }
+        // Only reached when a saved rule set has no rule without conditions for the category
+        return { status: { text: 'Unknown', class: 'status-pending' }, rule: null, checked };
+    }
+
+    /**
+     * @param {Object} person - Personnel record
+     * @returns {Object} Status ({ text, class })
+     */
+    getStatus(person) {
+        return this.evaluate(person).status;
+    }
+
+    /**
+     * Status names of the rules, in rule order and without repeats
+     * @param {string} [category] - Only this category's rules
+     * @returns {Array<string>} Status texts
+     */
+    getStatusNames(category) {
+        return [...new Set(this.getConfig().statuses
+            .filter(rule => !category || rule.category === category)
+            .map(rule => rule.text))];
+    }
+
+    /**
+     * Options for the status filter: the statuses of each category's rules, then Posted Out
+     * @param {string} selected - Selected status
+     * @returns {string} HTML of the options
+     */
+    renderFilterOptions(selected) {
+        const option = text => `<option value="${escapeHtml(text)}" ${text === selected ? 'selected' : ''}>${escapeHtml(text)}</option>`;
+        const groups = this.categories.map(category => {
+            const names = this.getStatusNames(category);
+            return names.length > 0 ? `<optgroup label="${escapeHtml(category)}">${names.map(option).join('')}</optgroup>` : '';
+        }).join('');
+        return `<option value="">All Status</option>${groups}${option('Posted Out')}`;
+    }
+
+    /* ---------- Explanation ---------- */
+
+    /**
+     * Lines explaining a person's status: the rule that gave it, the earlier rules that did not
+     * apply, and every test of the person's phases
+     * @param {Object} person - Personnel record
+     * @returns {Object} { status, rules: [{ text, applied, conditions: [text] }], tests: [{ phase, items: [text] }] }
+     */
+    explain(person) {
+        const evaluation = this.evaluate(person);
+        const rules = evaluation.checked.map(({ rule, results }) => ({
+            text: rule.text,
+            applied: rule === evaluation.rule,
+            conditions: results.length > 0
+                ? results.map(result => `${result.met ? '✓' : '✗'} ${this.describeCondition(result.condition)} (${result.detail})`)
+                : ['✓ No conditions: applies to everyone not matched above']
+        }));
+
+        const tests = person && !person.postedOutDate
+            ? getCategoryPhases(person.category).map(phase => ({
+                phase: phase.label,
+                items: getPhaseTests(phase.key).map(test => {
+                    const grade = person[phase.key]?.[test.key];
+                    const result = hasAssessmentResult(grade) ? grade : 'no result';
+                    const exemption = this.getExemption(person, phase.key, test.key);
+                    const excusal = medicalTracker.getExcusal(person, test.key);
+                    if (!(this.getConfig().requiredTests[phase.key] || []).includes(test.key)) return `${test.label}: ${result} (not required)`;
+                    if (exemption) return `${test.label}: ${result} (not required for PES ${exemption.matched})`;
+                    if (excusal) return `${test.label}: ${result} (${medicalTracker.describeExcusal(excusal)})`;
+                    if (this.isTestDone(person, phase.key, test.key)) return `${test.label}: ${result} (done)`;
+                    return `${test.label}: ${result} (outstanding${grade === 'Fail' ? ', a Fail counts as outstanding' : ''})`;
+                })
+            }))
+            : [];
+
+        return { status: evaluation.status, rules, tests };
+    }
+
+    /**
+     * Show why a person has their status
+     * @param {string} id - Personnel ID
+     */
+    openExplanation(id) {
+        const modal = document.getElementById('statusExplanationModal');
+        const container = document.getElementById('statusExplanationContent');
+        const person = findPersonnelById(window.app?.personnelData || [], id);
+        if (!modal || !container || !person) return;
+
+        const { status, rules, tests } = this.explain(person);
+        const intro = person.postedOutDate
+            ? `Posted out on ${formatDate(person.postedOutDate)} by a roster import; status rules are not checked.`
+            : `${person.category === 'Regular' ? 'Regular' : 'NSF'} rules are checked in order; the first whose conditions all hold gives the status.`;
+
+        container.innerHTML = `
+            <p><strong>${escapeHtml(`${person.rank || ''} ${person.name}`.trim())}</strong>:
+                <span class="status-badge ${status.class}">${escapeHtml(status.text)}</span></p>
+            <p class="modal-hint">${escapeHtml(intro)}</p>
+            ${rules.map((rule, index) => `
+            <div class="status-explanation-rule${rule.applied ? ' applied' : ''}">
+                <strong>${index + 1}. ${escapeHtml(rule.text)}</strong>${rule.applied ? ' ← applies' : ''}
+                <ul>${rule.conditions.map(text => `<li>${escapeHtml(text)}</li>`).join('')}</ul>
+            </div>`).join('')}
+            ${tests.map(group => `
+            <h4>${escapeHtml(group.phase)} tests</h4>
+            <ul>${group.items.map(text => `<li>${escapeHtml(text)}</li>`).join('')}</ul>`).join('')}`;
+        modal.style.display = 'block';
+    }
+
+    /**
+     * Close the explanation
+     */
+    closeExplanation() {
+        const modal = document.getElementById('statusExplanationModal');
+        if (modal) modal.style.display = 'none';
+    }
+
+    /* ---------- Status Rules Editor ---------- */
+
+    /**
+     * Open the editor on a copy of the current rules
+     */
+    openEditor() {
+        const modal = document.getElementById('statusRulesModal');
+        if (!modal) return;
+
+        this.draft = this.createDraft(this.getConfig());
+        this.renderEditor();
+        modal.style.display = 'block';
+    }
+
+    /**
+     * Close the editor, discarding unsaved changes
+     */
+    closeEditor() {
+        const modal = document.getElementById('statusRulesModal');
+        if (modal) modal.style.display = 'none';
+        this.draft = null;
+    }
+
+    /**
+     * Editable copy of a rule set; exemption PES values are edited as comma-separated text
+     * @param {Object} config - Status rules
+     * @returns {Object} Draft
+     */
+    createDraft(config) {
+        return {
+            failIsOutstanding: config.failIsOutstanding,
+            requiredTests: Object.fromEntries(Object.entries(config.requiredTests).map(([phase, tests]) => [phase, [...tests]])),
+            exemptions: config.exemptions.map(exemption => ({ ...exemption, pes: exemption.pes.join(', ') })),
+            statuses: config.statuses.map(rule => ({ ...rule, conditions: rule.conditions.map(condition => ({ ...condition })) }))
+        };
+    }
+
+    /**
+     * Set whether a Fail counts as outstanding in the draft
+     * @param {boolean} value - New value
+     */
+    setFailIsOutstanding(value) {
+        if (this.draft) this.draft.failIsOutstanding = !!value;
+    }
+
+    /**
+     * Require a test for a phase, or stop requiring it
+     * @param {string} phaseKey - Phase key
+     * @param {string} testKey - Test key
+     * @param {boolean} required - New state
+     */
+    setRequiredTest(phaseKey, testKey, required) {
+        const tests = this.draft?.requiredTests[phaseKey];
+        if (!tests) return;
+        const index = tests.indexOf(testKey);
+        if (required && index < 0) tests.push(testKey);
+        if (!required && index >= 0) tests.splice(index, 1);
+    }
+
+    /**
+     * Add an exemption for the first required test
+     */
+    addExemption() {
+        if (!this.draft) return;
+        const [phase, test] = this.getTestOptions()[0];
+        this.draft.exemptions.push({ phase, test, pes: '' });
+        this.renderEditor();
+    }
+
+    /**
+     * Change an exemption in the draft
+     * @param {number} index - Exemption index
+     * @param {string} field - 'test' (value "phase.test") or 'pes'
+     * @param {string} value - New value
+     */
+    setExemptionField(index, field, value) {
+        const exemption = this.draft?.exemptions[index];
+        if (!exemption) return;
+        if (field === 'test') {
+            [exemption.phase, exemption.test] = value.split('.');
+        } else {
+            exemption.pes = value;
+        }
+    }
+
+    /**
+     * Remove an exemption from the draft
+     * @param {number} index - Exemption index
+     */
+    removeExemption(index) {
+        if (!this.draft) return;
+        this.draft.exemptions.splice(index, 1);
+        this.renderEditor();
+    }
+
+    /**
+     * Add a status rule at the top of a category; rules without conditions stay last
+     * @param {string} category - 'NSF' or 'Regular'
+     */
+    addRule(category) {
+        if (!this.draft) return;
+        const first = this.draft.statuses.findIndex(rule => rule.category === category);
+        this.draft.statuses.splice(first >= 0 ? first : this.draft.statuses.length, 0,
+            { category, text: '', class: 'status-pending', conditions: [] });
+        this.renderEditor();
+    }
+
+    /**
+     * Change the status text or style of a rule
+     * @param {number} index - Rule index
+     * @param {string} field - 'text' or 'class'
+     * @param {string} value - New value
+     */
+    setRuleField(index, field, value) {
+        const rule = this.draft?.statuses[index];
+        if (rule) rule[field] = value;
+    }
+
+    /**
+     * Move a rule up or down among its category's rules
+     * @param {number} index - Rule index
+     * @param {number} offset - -1 for up, 1 for down
+     */
+    moveRule(index, offset) {
+        const statuses = this.draft?.statuses;
+        const rule = statuses?.[index];
+        if (!rule) return;
+        let target = index + offset;
+        while (target >= 0 && target < statuses.length && statuses[target].category !== rule.category) target += offset;
+        if (target < 0 || target >= statuses.length) return;
+        [statuses[index], statuses[target]] = [statuses[target], rule];
+        this.renderEditor();
+    }
+
+    /**
+     * Remove a rule from the draft
+     * @param {number} index - Rule index
+     */
+    removeRule(index) {
+        if (!this.draft) return;
+        this.draft.statuses.splice(index, 1);
+        this.renderEditor();
+    }
+
+    /**
+     * Add a condition to a rule
+     * @param {number} index - Rule index
+     * @param {string} value - "check:target", e.g. "complete:y2"
+     */
+    addCondition(index, value) {
+        const rule = this.draft?.statuses[index];
+        const [check, target] = String(value || '').split(':');
+        if (!rule || !this.checks[check]) return;
+        rule.conditions.push(this.checks[check].target === 'phase' ? { check, phase: target } : { check, window: target });
+        this.renderEditor();
+    }
+
+    /**
+     * Remove a condition from a rule
+     * @param {number} index - Rule index
+     * @param {number} conditionIndex - Condition index
+     */
+    removeCondition(index, conditionIndex) {
+        const rule = this.draft?.statuses[index];
+        if (!rule) return;
+        rule.conditions.splice(conditionIndex, 1);
+        this.renderEditor();
+    }
+
+    /**
+     * Replace the draft with the default rules
+     */
+    resetDraft() {
+        if (!this.draft) return;
+        this.draft = this.createDraft(this.normalizeConfig(DEFAULT_STATUS_RULES));
+        this.renderEditor();
+    }
+
+    /**
+     * Check a draft before saving
+     * @param {Object} draft - Editor draft
+     * @returns {Array<string>} Problems; empty if the draft can be saved
+     */
+    validateDraft(draft) {
+        const problems = [];
+        this.categories.forEach(category => {
+            const rules = draft.statuses.filter(rule => rule.category === category);
+            rules.forEach((rule, index) => {
+                const text = rule.text.trim();
+                if (!text) problems.push(`${category} rule ${index + 1} has no status name`);
+                if (this.reservedStatuses.includes(text)) problems.push(`"${text}" is set by the tracker and cannot be a rule's status`);
+            });
+            // Everyone needs a status, so the last rule of each category must always apply
+            if (rules.length === 0 || rules[rules.length - 1].conditions.length > 0) {
+                problems.push(`The last ${category} rule must have no conditions, so every ${category} gets a status`);
+            }
+        });
+        draft.exemptions.forEach(exemption => {
+            if (!exemption.pes.split(',').some(value => value.trim())) {
+                const test = getAssessmentTest(exemption.test);
+                const phase = ASSESSMENT_PHASES.find(entry => entry.key === exemption.phase);
+                problems.push(`The ${phase?.label} ${test?.label} exemption lists no PES`);
+            }
+        });
+        return problems;
+    }
+
+    /**
+     * Save the draft and refresh every status on screen
+     */
+    saveEditor() {
+        if (!this.draft) return;
+
+        const problems = this.validateDraft(this.draft);
+        if (problems.length > 0) {
+            showErrorMessage(`The status rules cannot be saved:\n\n${problems.join('\n')}`);
+            return;
+        }
+
+        const before = window.app ? window.app.personnelData.map(person => this.getStatus(person).text) : [];
+        this.saveConfig(this.draft);
+        this.closeEditor();
+
+        if (window.app) {
+            const changed = window.app.personnelData.filter((person, index) => this.getStatus(person).text !== before[index]).length;
+            if (typeof personnelManager !== 'undefined') personnelManager.renderStatusFilter();
+            window.app.updateAll();
+            if (typeof handleSearch === 'function') handleSearch();
+            window.app.addAuditEntry(`Updated status rules: ${this.config.statuses.length} rule(s), ${this.config.exemptions.length} exemption(s), a Fail ${this.config.failIsOutstanding ? 'is outstanding' : 'completes a test'}; ${changed} personnel changed status`);
+            showSuccessMessage(`Status rules saved: ${changed} personnel changed status.`);
+        } else {
+            showSuccessMessage('Status rules saved.');
+        }
+    }
+
+    /**
+     * Every phase and test, as [phase key, test key, label]
+     * @returns {Array<Array>} Options in phase order
+     */
+    getTestOptions() {
+        return ASSESSMENT_PHASES.flatMap(phase =>
+            getPhaseTests(phase.key).map(test => [phase.key, test.key, `${phase.label} ${test.label}`]));
+    }
+
+    /**
+     * Render the editor from the draft
+     */
+    renderEditor() {
+        const container = document.getElementById('statusRulesEditor');
+        if (!container || !this.draft) return;
+        const draft = this.draft;
+
+        const required = ASSESSMENT_PHASES.map(phase => `
+            <tr>
+                <td>${escapeHtml(phase.label)} (${escapeHtml(phase.category)})</td>
+                <td>${getPhaseTests(phase.key).map(test => `
+                    <label class="status-rules-test"><input type="checkbox" ${draft.requiredTests[phase.key].includes(test.key) ? 'checked' : ''}
+                           onchange="setStatusRequiredTest('${phase.key}', '${test.key}', this.checked)"> ${escapeHtml(test.label)}</label>`).join('')}
+                </td>
+            </tr>`).join('');
+
+        const testOptions = selected => this.getTestOptions().map(([phaseKey, testKey, label]) =>
+            `<option value="${phaseKey}.${testKey}" ${`${phaseKey}.${testKey}` === selected ? 'selected' : ''}>${escapeHtml(label)}</option>`).join('');
+        const exemptions = draft.exemptions.map((exemption, index) => `
+            <tr>
+                <td><select onchange="setStatusExemptionField(${index}, 'test', this.value)">${testOptions(`${exemption.phase}.${exemption.test}`)}</select></td>
+                <td><input type="text" value="${escapeHtml(exemption.pes)}" placeholder="e.g. C, E"
+                           oninput="setStatusExemptionField(${index}, 'pes', this.value)"></td>
+                <td><button type="button" class="btn btn-danger" onclick="removeStatusExemption(${index})">✕</button></td>
+            </tr>`).join('');
+
+        const conditionOptions = '<option value="">Add condition...</option>' + Object.entries(this.checks).map(([check, definition]) =>
+            (definition.target === 'phase' ? ASSESSMENT_PHASES.map(phase => [phase.key, { check, phase: phase.key }])
+                : this.windows.map(window => [window.key, { check, window: window.key }]))
+                .map(([target, condition]) => `<option value="${check}:${target}">${escapeHtml(this.describeCondition(condition))}</option>`).join('')
+        ).join('');
+        const styleOptions = selected => this.styles.map(style =>
+            `<option value="${style.value}" ${style.value === selected ? 'selected' : ''}>${escapeHtml(style.label)}</option>`).join('');
+        const ruleRows = category => draft.statuses
+            .map((rule, index) => ({ rule, index }))
+            .filter(({ rule }) => rule.category === category)
+            .map(({ rule, index }, position) => `
+            <tr>
+                <td>${position + 1}</td>
+                <td><input type="text" value="${escapeHtml(rule.text)}" placeholder="e.g. Y2 Completed"
+                           oninput="setStatusRuleField(${index}, 'text', this.value)"></td>
+                <td><select onchange="setStatusRuleField(${index}, 'class', this.value)">${styleOptions(rule.class)}</select></td>
+                <td>
+                    ${rule.conditions.map((condition, conditionIndex) => `
+                    <span class="status-rules-condition">${escapeHtml(this.describeCondition(condition))}
+                        <a href="#" onclick="removeStatusRuleCondition(${index}, ${conditionIndex}); return false;">✕</a></span>`).join('') || '<em>Always</em>'}
+                    <select onchange="if (this.value) addStatusRuleCondition(${index}, this.value)">${conditionOptions}</select>
+                </td>
+                <td>
+                    <button type="button" class="btn btn-secondary" onclick="moveStatusRule(${index}, -1)">↑</button>
+                    <button type="button" class="btn btn-secondary" onclick="moveStatusRule(${index}, 1)">↓</button>
+                    <button type="button" class="btn btn-danger" onclick="removeStatusRule(${index})">✕</button>
+                </td>
+            </tr>`).join('');
+
+        container.innerHTML = `
+            <details class="form-section" open>
+                <summary>✅ Completion</summary>
+                <label><input type="checkbox" ${draft.failIsOutstanding ? 'checked' : ''} onchange="setStatusFailIsOutstanding(this.checked)">
+                    A Fail counts as outstanding (the test is only done once passed)</label>
+                <div class="table-container">
+                    <table class="preview-table mapping-table">
+                        <thead><tr><th>Phase</th><th>Tests required to complete it</th></tr></thead>
+                        <tbody>${required}</tbody>
+                    </table>
+                </div>
+            </details>
+            <details class="form-section" open>
+                <summary>🩺 PES Exemptions (${draft.exemptions.length})</summary>
+                <p class="modal-hint">A required test is not required for personnel whose PES starts with one of the listed values ("C" covers C1, C2 and C9).</p>
+                <div class="table-container">
+                    <table class="preview-table mapping-table">
+                        <thead><tr><th>Test</th><th>PES</th><th></th></tr></thead>
+                        <tbody>${exemptions || '<tr><td colspan="3"><em>No exemptions</em></td></tr>'}</tbody>
+                    </table>
+                </div>
+                <div class="modal-toolbar">
+                    <button type="button" class="btn btn-secondary" onclick="addStatusExemption()">➕ Add Exemption</button>
+                </div>
+            </details>
+            ${this.categories.map(category => `
+            <details class="form-section" open>
+                <summary>📋 ${escapeHtml(category)} Statuses</summary>
+                <div class="table-container">
+                    <table class="preview-table mapping-table status-rules-table">
+                        <thead><tr><th>#</th><th>Status</th><th>Colour</th><th>When all of these hold</th><th></th></tr></thead>
+                        <tbody>${ruleRows(category)}</tbody>
+                    </table>
+                </div>
+                <div class="modal-toolbar">
+                    <button type="button" class="btn btn-secondary" onclick="addStatusRule('${category}')">➕ Add ${escapeHtml(category)} Rule</button>
+                </div>
+            </details>`).join('')}`;
+    }
+}
+
+/* ---------- Global Status Rules Instance ---------- */
+
+// Create global status rules instance
+const statusRules = new SofunStatusRules();
+
+/* ---------- Global Functions (for backward compatibility) ---------- */
+
+/**
+ * Open the status rules editor
+ */
+function openStatusRulesEditor() {
+    statusRules.openEditor();
+}
+
+/**
+ * Close the status rules editor without saving
+ */
+function closeStatusRulesEditor() {
+    statusRules.closeEditor();
+}
+
+/**
+ * Save the status rules editor
+ */
+function saveStatusRules() {
+    statusRules.saveEditor();
+}
+
+/**
+ * Reset the status rules editor to the default rules
+ */
+function resetStatusRules() {
+    statusRules.resetDraft();
+}
+
+/**
+ * Set whether a Fail counts as outstanding in the status rules editor
+ */
+function setStatusFailIsOutstanding(value) {
+    statusRules.setFailIsOutstanding(value);
+}
+
+/**
+ * Require a test for a phase in the status rules editor
+ */
+function setStatusRequiredTest(phaseKey, testKey, required) {
+    statusRules.setRequiredTest(phaseKey, testKey, required);
+}
+
+/**
+ * Add a PES exemption in the status rules editor
+ */
+function addStatusExemption() {
+    statusRules.addExemption();
+}
+
+/**
+ * Change a PES exemption in the status rules editor
+ */
+function setStatusExemptionField(index, field, value) {
+    statusRules.setExemptionField(index, field, value);
+}
+
+/**
+ * Remove a PES exemption in the status rules editor
+ */
+function removeStatusExemption(index) {
+    statusRules.removeExemption(index);
+}
+
+/**
+ * Add a status rule in the status rules editor
+ */
+function addStatusRule(category) {
+    statusRules.addRule(category);
+}
+
+/**
+ * Change a status rule in the status rules editor
+ */
+function setStatusRuleField(index, field, value) {
+    statusRules.setRuleField(index, field, value);
+}
+
+/**
+ * Move a status rule in the status rules editor
+ */
+function moveStatusRule(index, offset) {
+    statusRules.moveRule(index, offset);
+}
+
+/**
+ * Remove a status rule in the status rules editor
+ */
+function removeStatusRule(index) {
+    statusRules.removeRule(index);
+}
+
+/**
+ * Add a condition to a status rule in the status rules editor
+ */
+function addStatusRuleCondition(index, value) {
+    statusRules.addCondition(index, value);
+}
+
+/**
+ * Remove a condition from a status rule in the status rules editor
+ */
+function removeStatusRuleCondition(index, conditionIndex) {
+    statusRules.removeCondition(index, conditionIndex);
+}
+
+/**
+ * Show why a person has their status
+ * @param {string} id - Personnel ID
+ */
+function explainPersonStatus(id) {
+    statusRules.openExplanation(id);
+}
+
+/**
+ * Close the status explanation
+ */
+function closeStatusExplanation() {
+    statusRules.closeExplanation();
+}
+
+console.log('✅ SOFUN Status Rules loaded - Progress rules ready');
\ No newline at end of file
@@ -134,13 +134,40 @@ class SofunStorage {
      */
     migrateData(fromVersion, toVersion) {
         try {
-            // Add migration logic here for future versions
+            // 2.2: records are identified by a generated ID instead of their name
+            if (parseFloat(fromVersion) < 2.2) {
+                const assigned = this.migrateStoredPersonnel(personnel => ensurePersonnelIds(personnel));
+                console.log(`Assigned personnel IDs to ${assigned} records`);
+            }
+            // 2.3: dates are stored as date-only YYYY-MM-DD instead of ISO timestamps
+            if (parseFloat(fromVersion) < 2.3) {
+                const converted = this.migrateStoredPersonnel(personnel => normalizeAllPersonnelDates(personnel));
+                console.log(`Converted ${converted} stored dates to YYYY-MM-DD`);
+            }
             console.log(`Data migration completed: ${fromVersion} → ${toVersion}`);
         } catch (error) {
             logError('Data migration failed', error);
         }
     }
 
+    /**
+     * Apply a migration step to the stored personnel records (runs before the storage is initialised)
+     * @param {Function} step - Called with the personnel array, updates it in place and returns a count
+     * @returns {number} Count returned by the step (0 if there is no stored data)
+     */
+    migrateStoredPersonnel(step) {
+        const stored = localStorage.getItem(this.keys.PERSONNEL_DATA);
+        if (!stored) return 0;
+
+        const parsed = JSON.parse(stored);
+        if (!parsed || !Array.isArray(parsed.personnel)) return 0;
+
+        const count = step(parsed.personnel);
+        parsed.version = this.version;
+        localStorage.setItem(this.keys.PERSONNEL_DATA, JSON.stringify(parsed));
+        return count;
+    }
+
     /* ---------- Personnel Data Operations ---------- */
 
     /**
@@ -215,6 +242,12 @@ class SofunStorage {
                 return [];
             }
 
+            // Data restored from IndexedDB or an old tab may predate personnel IDs and date-only dates
+            const repaired = ensurePersonnelIds(parsed.personnel) + normalizeAllPersonnelDates(parsed.personnel);
+            if (repaired > 0) {
+                localStorage.setItem(this.keys.PERSONNEL_DATA, JSON.stringify(parsed));
+            }
+
             console.log(`✅ Loaded ${parsed.personnel.length} personnel records`);
             return parsed.personnel || [];
             
@@ -509,6 +542,10 @@ class SofunStorage {
                 throw new Error('Invalid import data format');
             }
 
+            // Backups made before personnel IDs and date-only dates existed are upgraded now
+            ensurePersonnelIds(importData.personnel);
+            normalizeAllPersonnelDates(importData.personnel);
+
             // Save imported data
             this.savePersonnelData(importData.personnel);
             
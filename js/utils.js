@@ -5,103 +5,506 @@
 
 /* ---------- Constants & Configuration ---------- */
 
-// Valid Military Platoons
-const VALID_PLATOONS = [
-    "COY HQ",
-    "Platoon 1",
-    "Platoon 2", 
-    "Platoon 3",
-    "Platoon 4",
-    "Support Platoon",
-    "Admin",
-    "Medical",
-    "Signals",
-    "Transport"
-];
+// Default organisation: one company with its HQ, four platoons and support units. The unit's own
+// structure is edited in the Organisation window and saved in user preferences (js/org-structure.js).
+// Aliases are the other spellings recognised on import; compared ignoring case, spaces and punctuation.
+const DEFAULT_ORG_STRUCTURE = {
+    companies: [{
+        name: 'Company',
+        platoons: [
+            { name: 'COY HQ', aliases: ['HQ', 'COMPANY HQ', 'HEADQUARTERS'], sections: [], support: true },
+            { name: 'Platoon 1', aliases: ['1', 'PLT 1', 'P1'], sections: ['Section 1', 'Section 2', 'Section 3'] },
+            { name: 'Platoon 2', aliases: ['2', 'PLT 2', 'P2'], sections: ['Section 1', 'Section 2', 'Section 3'] },
+            { name: 'Platoon 3', aliases: ['3', 'PLT 3', 'P3'], sections: ['Section 1', 'Section 2', 'Section 3'] },
+            { name: 'Platoon 4', aliases: ['4', 'PLT 4', 'P4'], sections: ['Section 1', 'Section 2', 'Section 3'] },
+            { name: 'Support Platoon', aliases: ['SUPPORT', 'SP PLT'], sections: [], support: true },
+            { name: 'Admin', aliases: [], sections: [], support: true },
+            { name: 'Medical', aliases: [], sections: [], support: true },
+            { name: 'Signals', aliases: [], sections: [], support: true },
+            { name: 'Transport', aliases: [], sections: [], support: true }
+        ]
+    }]
+};
 
 // Assessment Grades
 const IPPT_GRADES = ['Gold', 'Silver', 'Pass', 'Fail'];
 const VOC_GRADES = ['Pass', 'Fail'];
 const SKILL_GRADES = ['Marksman', 'Sharpshooter', 'Pass', 'Fail'];
+const PASS_FAIL_GRADES = ['Pass', 'Fail'];
+
+// Grade scales by key; each test of ASSESSMENT_REGISTRY names the scale it is graded on
+const GRADE_SCALES = { ippt: IPPT_GRADES, voc: VOC_GRADES, skill: SKILL_GRADES, passFail: PASS_FAIL_GRADES };
+
+// Default spellings found in unit spreadsheets, mapped to the canonical grades above. The spellings
+// in use are saved in user preferences and edited in the Grade Spellings window (js/grade-aliases.js).
+// Keys are upper case; canonical grades themselves match in any case.
+// Any other value is reported as an import warning instead of being stored.
+const DEFAULT_GRADE_ALIASES = {
+    ippt: { 'G': 'Gold', 'S': 'Silver', 'P': 'Pass', 'F': 'Fail', 'PASSED': 'Pass', 'FAILED': 'Fail' },
+    voc: { 'P': 'Pass', 'F': 'Fail', 'PASSED': 'Pass', 'FAILED': 'Fail' },
+    passFail: { 'P': 'Pass', 'F': 'Fail', 'PASSED': 'Pass', 'FAILED': 'Fail' },
+    skill: {
+        'MM': 'Marksman', 'MKM': 'Marksman', 'MARKSMEN': 'Marksman',
+        'SS': 'Sharpshooter', 'SHS': 'Sharpshooter', 'SHARP SHOOTER': 'Sharpshooter',
+        'P': 'Pass', 'F': 'Fail', 'PASSED': 'Pass', 'FAILED': 'Fail'
+    }
+};
+
+// Assessment phases: the result groups of a personnel record (person.y1, person.y2, person.workYear)
+// and the category that takes them. emptyText is shown in the tables for a test without a result.
+const ASSESSMENT_PHASES = [
+    { key: 'y1', label: 'Y1', category: 'NSF', emptyText: '-' },
+    { key: 'y2', label: 'Y2', category: 'NSF', emptyText: 'Pending' },
+    { key: 'workYear', label: 'Work Year', category: 'Regular', emptyText: 'Pending' }
+];
+
+// Every test the tracker records. The tables, edit form, filters, charts, imports and exports are
+// built from this list, so a new test is added here and nowhere else.
+// - phases: phases that take the test; results are stored as person[phase][key] and person[phase][key + 'Date']
+// - scale: key of GRADE_SCALES
+// - countsTowardCompletion: required for the phase under DEFAULT_STATUS_RULES
+// - pattern: how the test is named in the column headers of imported files
+// - shoot: results may keep the detail of the shoot (RANGE_SHOOT_FIELDS) as person[phase][key + 'Shoot']
+// - remedial: a Fail opens a remedial training requirement (js/remedial-training.js)
+const ASSESSMENT_REGISTRY = [
+    { key: 'ippt', label: 'IPPT', phases: ['y1', 'y2', 'workYear'], scale: 'ippt', countsTowardCompletion: true, remedial: true, pattern: /\bIPPT\b/i },
+    { key: 'voc', label: 'VOC', phases: ['y1', 'y2', 'workYear'], scale: 'voc', countsTowardCompletion: true, remedial: true, pattern: /\bVOC\b/i },
+    { key: 'atp', label: 'ATP', phases: ['y1', 'workYear'], scale: 'skill', countsTowardCompletion: true, remedial: true, pattern: /\bATP\b/i },
+    { key: 'range', label: 'Range', phases: ['y2'], scale: 'skill', countsTowardCompletion: true, shoot: true, remedial: true, pattern: /\bRANGE\b/i },
+    { key: 'cs', label: 'CS', name: 'Combat Shooting', phases: ['workYear'], scale: 'skill', countsTowardCompletion: true, shoot: true, pattern: /\bCS\b|COMBAT\s*SHOOT/i },
+    { key: 'soc', label: 'SOC', name: 'Standard Obstacle Course', phases: ['y2', 'workYear'], scale: 'passFail', countsTowardCompletion: false, pattern: /\bSOC\b|OBSTACLE/i },
+    { key: 'swim', label: 'Swim', name: 'Swim Test', phases: ['y2', 'workYear'], scale: 'passFail', countsTowardCompletion: false, pattern: /\bSWIM/i },
+    { key: 'wht', label: 'WHT', name: 'Weapon Handling Test', phases: ['y2', 'workYear'], scale: 'passFail', countsTowardCompletion: false, pattern: /\bWHT\b|WEAPON\s*HANDLING/i }
+];
+
+// Default progress rules. The unit's own rules are edited in the Status Rules window and saved in
+// user preferences (js/status-rules.js).
+// - requiredTests: tests a phase needs before it is complete (by default those counting toward completion)
+// - exemptions: { phase, test, pes } drops a required test for personnel whose PES starts with one of the pes values
+// - failIsOutstanding: a Fail leaves the test outstanding instead of completing it
+// - statuses: checked in order for the person's category; the first rule whose conditions all hold gives the
+//   status, so each category ends with a rule without conditions. Checks: complete, incomplete, started,
+//   notStarted and failed (of a phase), windowPassed and windowOpen (of a window date)
+const DEFAULT_STATUS_RULES = {
+    failIsOutstanding: false,
+    requiredTests: Object.fromEntries(ASSESSMENT_PHASES.map(phase => [phase.key, ASSESSMENT_REGISTRY
+        .filter(test => test.phases.includes(phase.key) && test.countsTowardCompletion)
+        .map(test => test.key)])),
+    exemptions: [],
+    statuses: [
+        { category: 'NSF', text: 'Y2 Completed', class: 'status-pass', conditions: [{ check: 'complete', phase: 'y2' }] },
+        { category: 'NSF', text: 'Y2 Overdue', class: 'status-fail', conditions: [{ check: 'windowPassed', window: 'y2WindowEndDate' }] },
+        { category: 'NSF', text: 'Y2 In progress', class: 'status-pending', conditions: [{ check: 'started', phase: 'y2' }] },
+        { category: 'NSF', text: 'Y2 Not started', class: 'status-silver', conditions: [{ check: 'windowPassed', window: 'y1WindowEndDate' }] },
+        { category: 'NSF', text: 'Y1 Completed', class: 'status-pass', conditions: [{ check: 'complete', phase: 'y1' }] },
+        { category: 'NSF', text: 'Y1 In progress', class: 'status-exempt', conditions: [] },
+        { category: 'Regular', text: 'Work Year Completed', class: 'status-pass', conditions: [{ check: 'complete', phase: 'workYear' }] },
+        { category: 'Regular', text: 'Work Year In progress', class: 'status-pending', conditions: [{ check: 'started', phase: 'workYear' }] },
+        { category: 'Regular', text: 'Work Year Not started', class: 'status-silver', conditions: [] }
+    ]
+};
+
+// IPPT stations. Besides its grade, an IPPT result may keep the raw score as
+// person[phase].ipptScore = { pushUps, sitUps, run, ageGroup }: repetitions, the run time in seconds,
+// and an age group label that overrides the one worked out from the date of birth.
+// - maxPoints: points for a full-marks performance
+// - timed: a lower figure is better
+// - pattern: how the station is named in the column headers of imported files
+const IPPT_STATIONS = [
+    { key: 'pushUps', label: 'Push-ups', maxPoints: 25, pattern: /PUSH[\s-]*UPS?/i },
+    { key: 'sitUps', label: 'Sit-ups', maxPoints: 25, pattern: /SIT[\s-]*UPS?/i },
+    { key: 'run', label: '2.4km Run', maxPoints: 50, timed: true, pattern: /\b2\.4\s*KM\b|\bRUN\b/i }
+];
+
+// Starting IPPT scoring table. The tracker ships no figures: the unit enters its IPPT chart in the
+// IPPT Scoring window (saved in user preferences, js/ippt-calculator.js), and no points are
+// calculated until it has.
+// - ageGroups: by age on the test date, youngest first, each up to maxAge (the last also covers anyone
+//   older). Per station: [performance for 1 point, performance for full points]; points in between are
+//   interpolated and rounded down
+// - awards: highest first; a grade needs its total points and at least minStationPoints at every station
+const DEFAULT_IPPT_SCORING = {
+    ageGroups: [],
+    awards: [],
+    minStationPoints: 1
+};
+
+// Detail of a shoot, kept with a Range or CS result as person[phase][test + 'Shoot'] =
+// { practice, weapon, lane, hits, score, officer }: hits is the number of hits per detail, and score
+// the total (the sum of the hits when not recorded).
+// - pattern: how the field is named in the column headers of imported files
+const RANGE_SHOOT_FIELDS = [
+    { key: 'practice', label: 'Practice', pattern: /\bPRACTICE\b/i },
+    { key: 'weapon', label: 'Weapon', pattern: /\b(WEAPON|RIFLE)\b/i },
+    { key: 'lane', label: 'Lane', pattern: /\bLANE\b/i },
+    { key: 'hits', label: 'Hits', pattern: /\bHITS?\b/i },
+    { key: 'score', label: 'Score', pattern: /\bSCORE\b/i },
+    { key: 'officer', label: 'Conducting Officer', pattern: /\b(OFFICER|OIC|CONDUCTING)\b/i }
+];
+
+// Starting range classification. The tracker ships no practices: the unit enters its current
+// standards in the Range Classification window (saved in user preferences, js/range-classifier.js),
+// and no shoot is classified until it has.
+// - practices: the shoots of each test (tests are keys of ASSESSMENT_REGISTRY with shoot set); the first
+//   practice of a test is used for a shoot that does not name one. details is the number of details
+//   fired and maxScore the highest possible score; weapon is the weapon the edit form suggests
+// - thresholds: highest first; the classification is the first grade whose score the shoot reaches,
+//   otherwise Fail
+const DEFAULT_RANGE_CLASSIFICATION = {
+    practices: []
+};
+
+// Remedial training: a requirement opened by a Fail is due this many days after the failed test
+// (or after the day it was opened, when the test has no date)
+const REMEDIAL_CONFIG = {
+    dueDays: 30
+};
+
+// Attempts at a test. A test taken more than once keeps every attempt as
+// person[phase][key + 'Attempts'] = [{ attempt, date, result, notes }] (js/attempt-history.js), and its
+// result and date are those of the attempt the policy picks.
+// - policy: 'latest' (the highest attempt number) or 'best' (the best grade of GRADE_SCALES; the later attempt on a tie)
+// - policies: a different policy for some tests, by test key (e.g. { ippt: 'best' })
+// - maxColumnAttempt: highest attempt read from attempt columns of an import ("Y2 IPPT Retest", "Y2 IPPT Attempt 3")
+const ATTEMPT_CONFIG = {
+    policy: 'latest',
+    policies: {},
+    maxColumnAttempt: 3
+};
+
+// Cell values that mean "no result yet"
+const GRADE_BLANK_VALUES = ['NA', 'N/A', 'MISSING', '-'];
 const MEDICAL_STATUS_OPTIONS = ['Fit', 'Light Duty', 'Excused IPPT', 'Medical Board'];
 
+// Medical status. A person's status comes from their medical entries (js/medical-status.js):
+// person.medicalEntries = [{ id, status, effectiveDate, expiryDate, excusedTests, reference }]. The
+// entry in effect today gives person.medicalStatus, and with none in effect the person is Fit.
+// - timeBound: statuses that need an expiry date (the expiry date is the last day of the status)
+// - excusedTests: tests a new entry of a status excuses (keys of ASSESSMENT_REGISTRY); each entry's
+//   list can be changed in the edit form. An excused test is not required while the entry is in effect.
+// - expiringDays: the Medical Status window lists entries expiring within this many days
+const MEDICAL_STATUS_CONFIG = {
+    timeBound: ['Light Duty', 'Excused IPPT'],
+    excusedTests: {
+        'Light Duty': ['ippt', 'soc'],
+        'Excused IPPT': ['ippt'],
+        'Medical Board': []
+    },
+    expiringDays: 7
+};
+
 // Application Configuration
 const APP_CONFIG = {
     maxFileSize: 50 * 1024 * 1024, // 50MB
-    supportedFormats: ['.xlsx', '.xls'],
+    supportedFormats: ['.xlsx', '.xls', '.csv'],
+    rosterFormats: ['.csv', '.xlsx', '.xls'],
     autoSaveInterval: 30000, // 30 seconds
     maxAuditEntries: 100,
-    version: '2.0'
+    version: '2.3'
 };
 
 // Sample data removed for security reasons
 
+// Columns of the CSV export, one file per category. Other tools read these headers, so
+// change them only together with documentation/data-format.md. 'status' is computed.
+// Result columns follow ASSESSMENT_REGISTRY, so a new test adds three columns at the end of its phase:
+// the result, its date and its attempt history (written by attemptHistory.formatHistory).
+// IPPT results are followed by their raw score (IPPT_STATIONS and the age group), and Range and CS
+// results by the detail of the shoot (RANGE_SHOOT_FIELDS).
+const csvResultColumns = (category) => ASSESSMENT_PHASES
+    .filter(phase => phase.category === category)
+    .flatMap(phase => ASSESSMENT_REGISTRY.filter(test => test.phases.includes(phase.key)).flatMap(test => [
+        { header: `${phase.label} ${test.label}`, path: `${phase.key}.${test.key}` },
+        { header: `${phase.label} ${test.label} Date`, path: `${phase.key}.${test.key}Date` },
+        { header: `${phase.label} ${test.label} Attempts`, path: `${phase.key}.${test.key}Attempts` },
+        // The IPPT raw score follows its grade; the run is written as m:ss
+        ...(test.key === 'ippt' ? [
+            ...IPPT_STATIONS.map(station => ({ header: `${phase.label} IPPT ${station.label}`, path: `${phase.key}.ipptScore.${station.key}` })),
+            { header: `${phase.label} IPPT Age Group`, path: `${phase.key}.ipptScore.ageGroup` }
+        ] : []),
+        // The shoot detail follows its classification; hits are written as 7/8/6/8
+        ...(test.shoot ? RANGE_SHOOT_FIELDS.map(field => ({
+            header: `${phase.label} ${test.label} ${field.label}`, path: `${phase.key}.${test.key}Shoot.${field.key}`
+        })) : [])
+    ]));
+const csvPersonColumns = [
+    { header: 'ID', path: 'id' },
+    { header: 'Service No.', path: 'serviceNumber' },
+    { header: 'Rank', path: 'rank' },
+    { header: 'Name', path: 'name' },
+    { header: 'PES', path: 'pes' },
+    { header: 'Platoon', path: 'platoon' },
+    { header: 'Category', path: 'category' },
+    { header: 'Enlistment Date', path: 'enlistmentDate' },
+    { header: 'Date of Birth', path: 'birthDate' }
+];
+const PERSONNEL_CSV_COLUMNS = {
+    NSF: [
+        ...csvPersonColumns,
+        { header: 'ORD Date', path: 'ordDate' },
+        { header: 'Y1 Last Window', path: 'y1WindowEndDate' },
+        { header: 'Y2 Last Window', path: 'y2WindowEndDate' },
+        { header: 'Medical Status', path: 'medicalStatus' },
+        { header: 'Medical Entries', path: 'medicalEntries' },
+        { header: 'Status', path: 'status' },
+        ...csvResultColumns('NSF')
+    ],
+    Regular: [
+        ...csvPersonColumns,
+        { header: 'Medical Status', path: 'medicalStatus' },
+        { header: 'Medical Entries', path: 'medicalEntries' },
+        { header: 'Status', path: 'status' },
+        ...csvResultColumns('Regular')
+    ]
+};
+
 /* ---------- Date & Time Utilities ---------- */
 
+// Every date the tracker stores is a date-only 'YYYY-MM-DD' string: no time, no timezone.
+// toDateOnly() is the single way in; formatDate() and toExcelDate() are the ways out.
+const DATE_CONFIG = {
+    displayLocale: 'en-SG',
+    excelFormat: 'dd/mm/yyyy'
+};
+
+// Default reading of typed and imported dates. The settings in use are saved in user preferences
+// and edited in the Date Settings window (js/date-settings.js).
+const DEFAULT_DATE_SETTINGS = {
+    dayFirst: true,          // 03/04/25 is 3 April; false for month-first (US) spreadsheets
+    twoDigitYearPivot: 50    // two-digit years below this are 20xx, the rest 19xx
+};
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * Expand a two-digit year using the two-digit-year pivot of the date settings
+ * @param {number|string} year - Year as written
+ * @returns {number} Four-digit year
+ */
+function expandTwoDigitYear(year) {
+    const y = parseInt(year, 10);
+    if (String(year).length > 2) return y;
+    return y < dateSettings.getConfig().twoDigitYearPivot ? 2000 + y : 1900 + y;
+}
+
+/**
+ * How a numeric date is typed under the date settings, for prompts, placeholders and hints
+ * @param {string} [separator='/'] - Separator between day, month and year
+ * @param {boolean} [shortYear=false] - Whether the year has two digits
+ * @returns {string} e.g. 'DD/MM/YYYY', or 'MM/DD/YYYY' when dates are read month first
+ */
+function getDateInputFormat(separator = '/', shortYear = false) {
+    const order = dateSettings.getConfig().dayFirst ? ['DD', 'MM'] : ['MM', 'DD'];
+    return [...order, shortYear ? 'YY' : 'YYYY'].join(separator);
+}
+
+/**
+ * Build a date-only string, rejecting impossible dates such as 31-02
+ * @param {number|string} year - Year (two or four digits)
+ * @param {number|string} month - Month 1-12
+ * @param {number|string} day - Day of month
+ * @returns {string|null} 'YYYY-MM-DD' or null
+ */
+function buildDateOnly(year, month, day) {
+    const y = expandTwoDigitYear(year);
+    const m = parseInt(month, 10);
+    const d = parseInt(day, 10);
+    if (!(m >= 1 && m <= 12 && d >= 1 && y >= 1900 && y <= 2999)) return null;
+    if (d > new Date(Date.UTC(y, m, 0)).getUTCDate()) return null;
+    return `${y}-${String(m).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
+}
+
+/**
+ * Date part of a timestamp. Dates from SheetJS sit at local midnight and older saves at UTC
+ * midnight, so the nearest UTC calendar day is the intended date in both cases.
+ * @param {Date} date - Timestamp
+ * @returns {string|null} 'YYYY-MM-DD' or null
+ */
+function timestampToDateOnly(date) {
+    if (isNaN(date.getTime())) return null;
+    const nearest = new Date(date.getTime() + 12 * 3600000);
+    return buildDateOnly(nearest.getUTCFullYear(), nearest.getUTCMonth() + 1, nearest.getUTCDate());
+}
+
+/**
+ * Convert any date value to the stored date-only form. Accepts:
+ * - Date objects and ISO timestamps (2025-11-01T00:00:00.000Z)
+ * - Excel serial numbers (45962), also as text
+ * - YYYY-MM-DD, YYYY/MM/DD
+ * - DD-MM-YYYY, DD/MM/YY, DD.MM.YY (MM-DD-YYYY when the date settings read month first)
+ * - Compact DDMMYY / DDMMYYYY (141125)
+ * - 2 Jul 2025, 02-Jul-25, Jul 2 2025
+ * @param {*} value - Value to convert
+ * @returns {string|null} 'YYYY-MM-DD' or null if not a date
+ */
+function toDateOnly(value) {
+    if (value === undefined || value === null || value === '') return null;
+    if (value instanceof Date) return timestampToDateOnly(value);
+
+    if (typeof value === 'number') {
+        // Six digits is a compact DDMMYY written without separators, not a serial in the 2200s
+        if (Number.isInteger(value) && value >= 100000 && value <= 999999) return toDateOnly(String(value));
+        if (value < 1 || value > 2958465) return null;
+        // The time of day is dropped; the extra minute absorbs SheetJS writing midnight a few seconds early
+        const days = Math.floor(value + 1 / 1440);
+        return timestampToDateOnly(new Date(Date.UTC(1899, 11, 30) + days * 86400000));
+    }
+
+    const s = String(value).trim().replace(/\s+/g, ' ');
+    if (!s) return null;
+
+    let m = s.match(/^(\d{4})-(\d{1,2})-(\d{1,2})T[\d:.]+(Z|[+-]\d{2}:?\d{2})?$/);
+    if (m) return timestampToDateOnly(new Date(s));
+
+    if (/^\d{5}(\.\d+)?$/.test(s)) return toDateOnly(parseFloat(s));
+
+    m = s.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/);
+    if (m) return buildDateOnly(m[1], m[2], m[3]);
+
+    const { dayFirst } = dateSettings.getConfig();
+    m = s.match(/^(\d{1,2})[-/. ](\d{1,2})[-/. ](\d{2}|\d{4})$/);
+    if (m) return dayFirst ? buildDateOnly(m[3], m[2], m[1]) : buildDateOnly(m[3], m[1], m[2]);
+
+    m = s.match(/^(\d{2})(\d{2})(\d{2}|\d{4})$/);
+    if (m) return dayFirst ? buildDateOnly(m[3], m[2], m[1]) : buildDateOnly(m[3], m[1], m[2]);
+
+    const monthIndex = (name) => MONTH_NAMES.indexOf(name.slice(0, 3).toLowerCase()) + 1;
+    m = s.match(/^(\d{1,2})[-/ ]([A-Za-z]{3,})[-/ ,]+(\d{2}|\d{4})$/);
+    if (m && monthIndex(m[2])) return buildDateOnly(m[3], monthIndex(m[2]), m[1]);
+    m = s.match(/^([A-Za-z]{3,}) (\d{1,2}),? (\d{4})$/);
+    if (m && monthIndex(m[1])) return buildDateOnly(m[3], monthIndex(m[1]), m[2]);
+
+    // Date.toString() output such as "Fri Nov 14 2025 00:00:00 GMT+0800"
+    if (/[A-Za-z]{3}/.test(s) && /\b\d{4}\b/.test(s) && /\d:\d\d/.test(s)) return timestampToDateOnly(new Date(s));
+
+    return null;
+}
+
+/**
+ * Local-midnight Date for a date value, for arithmetic and Excel export
+ * @param {*} value - Any value accepted by toDateOnly
+ * @returns {Date|null} Date or null
+ */
+function dateOnlyToDate(value) {
+    const iso = toDateOnly(value);
+    if (!iso) return null;
+    const [y, m, d] = iso.split('-').map(Number);
+    return new Date(y, m - 1, d);
+}
+
+/**
+ * Today's date in the user's timezone
+ * @param {number} monthOffset - Months to add (negative for the past)
+ * @returns {string} 'YYYY-MM-DD'
+ */
+function getTodayDateOnly(monthOffset = 0) {
+    const today = new Date();
+    today.setMonth(today.getMonth() + monthOffset);
+    return buildDateOnly(today.getFullYear(), today.getMonth() + 1, today.getDate());
+}
+
+/**
+ * Date a number of days after another
+ * @param {string} date - 'YYYY-MM-DD'
+ * @param {number} days - Days to add (negative for earlier)
+ * @returns {string|null} 'YYYY-MM-DD' or null if the date is not valid
+ */
+function addDaysToDate(date, days) {
+    const start = dateOnlyToDate(date);
+    if (!start) return null;
+    start.setDate(start.getDate() + days);
+    return buildDateOnly(start.getFullYear(), start.getMonth() + 1, start.getDate());
+}
+
 /**
- * Format date string to Singapore locale
- * @param {string|Date} dateStr - Date to format
+ * Format a date for display in DATE_CONFIG.displayLocale
+ * @param {string|Date|number} dateStr - Date to format
  * @returns {string} Formatted date or '-' if invalid
  */
 function formatDate(dateStr) {
-    if (!dateStr) return '-';
-    try {
-        const date = new Date(dateStr);
-        if (isNaN(date.getTime())) return '-';
-        return date.toLocaleDateString('en-SG');
-    } catch (error) {
-        console.warn('Invalid date format:', dateStr);
-        return '-';
-    }
+    const date = dateOnlyToDate(dateStr);
+    if (!date) return '-';
+    return date.toLocaleDateString(DATE_CONFIG.displayLocale);
 }
 
 /**
  * Format a stored date value for editing input (YYYY-MM-DD)
- * Accepts Date objects or parseable strings; falls back to original value
+ * Falls back to the original text so the user can see and correct it
  */
 function formatDateForInput(value) {
     if (!value) return '';
-    try {
-        const d = (value instanceof Date) ? value : new Date(value);
-        if (isNaN(d.getTime())) return String(value);
-        const y = d.getFullYear();
-        const m = String(d.getMonth() + 1).padStart(2, '0');
-        const da = String(d.getDate()).padStart(2, '0');
-        return `${y}-${m}-${da}`;
-    } catch (e) {
-        return String(value);
-    }
+    return toDateOnly(value) || String(value);
 }
 
 /**
- * Parse human date to YYYY-MM-DD (date-only). Accepts:
- * - YYYY-MM-DD
- * - DD-MM-YYYY, DD/MM/YYYY, DD-MM-YY, DD/MM/YY
- * - 2 Jul 2025 / 02 July 2025
+ * Parse human date to YYYY-MM-DD (date-only); see toDateOnly for accepted forms
  * Returns null if not parseable.
  */
 function parseToISODateOnly(input) {
-    if (!input) return null;
-    let s = String(input).trim();
-    if (!s) return null;
-    s = s.replace(/[./]/g, '-').replace(/\s+/g, ' ');
-    // YYYY-MM-DD
-    let m = s.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
-    if (m) return `${m[1]}-${String(m[2]).padStart(2,'0')}-${String(m[3]).padStart(2,'0')}`;
-    // DD-MM-YYYY or DD-MM-YY
-    m = s.match(/^(\d{1,2})-(\d{1,2})-(\d{2,4})$/);
-    if (m) {
-        const y = m[3].length === 2 ? (parseInt(m[3],10) < 30 ? 2000 + parseInt(m[3],10) : 1900 + parseInt(m[3],10)) : parseInt(m[3],10);
-        return `${y}-${String(m[2]).padStart(2,'0')}-${String(m[1]).padStart(2,'0')}`;
-    }
-    // 2 Jul 2025 / 02 July 2025
-    m = s.match(/^(\d{1,2})\s+([A-Za-z]+)\s+(\d{4})$/);
-    if (m) {
-        const months = {jan:1,feb:2,mar:3,apr:4,may:5,jun:6,jul:7,aug:8,sep:9,oct:10,nov:11,dec:12};
-        const mm = months[m[2].slice(0,3).toLowerCase()];
-        if (mm) return `${m[3]}-${String(mm).padStart(2,'0')}-${String(m[1]).padStart(2,'0')}`;
-    }
-    return null;
+    return toDateOnly(input);
+}
+
+/**
+ * Excel cell value for a date: a real date (formatted with DATE_CONFIG.excelFormat
+ * via the sheet's dateNF) when it parses, otherwise the text as stored
+ * @param {*} value - Stored date
+ * @param {string} fallback - Value for blanks
+ * @returns {Date|string} Cell value
+ */
+function toExcelDate(value, fallback = '') {
+    if (!value) return fallback;
+    return dateOnlyToDate(value) || String(value);
+}
+
+/**
+ * Excel serial day number of a date (days since 30/12/1899), for writing cells directly
+ * @param {*} value - Stored date
+ * @returns {number|null} Serial number, or null if the value is not a date
+ */
+function toExcelSerial(value) {
+    const dateOnly = toDateOnly(value);
+    if (!dateOnly) return null;
+    const [year, month, day] = dateOnly.split('-').map(Number);
+    return (Date.UTC(year, month - 1, day) - Date.UTC(1899, 11, 30)) / 86400000;
+}
+
+// Date fields on a personnel record
+const PERSONNEL_DATE_PATHS = [
+    'enlistmentDate', 'birthDate', 'ordDate', 'y1WindowEndDate', 'y2WindowEndDate', 'postedOutDate',
+    ...ASSESSMENT_PHASES.flatMap(phase => ASSESSMENT_REGISTRY
+        .filter(test => test.phases.includes(phase.key))
+        .map(test => `${phase.key}.${test.key}Date`))
+];
+
+/**
+ * Convert a record's dates to the date-only form (timestamps from older versions and backups)
+ * @param {Object} person - Personnel record, updated in place
+ * @returns {number} Number of fields changed
+ */
+function normalizePersonnelDates(person) {
+    if (!person) return 0;
+    let changed = 0;
+    PERSONNEL_DATE_PATHS.forEach(path => {
+        const value = getNestedValue(person, path);
+        if (!value) return;
+        const iso = toDateOnly(value);
+        // Unparseable text is left alone so nothing the user typed is lost
+        if (iso && iso !== value) {
+            setNestedValue(person, path, iso);
+            changed++;
+        }
+    });
+    return changed;
+}
+
+/**
+ * Convert the dates of every record to the date-only form
+ * @param {Array} personnel - Personnel records, updated in place
+ * @returns {number} Number of fields changed
+ */
+function normalizeAllPersonnelDates(personnel) {
+    if (!Array.isArray(personnel)) return 0;
+    return personnel.reduce((total, person) => total + normalizePersonnelDates(person), 0);
 }
 
 /**
@@ -118,16 +521,77 @@ function getCurrentTimestamp() {
  * @returns {boolean} True if overdue
  */
 function isDateOverdue(dateStr) {
-    if (!dateStr) return true; // No date means overdue
-    try {
-        const date = new Date(dateStr);
-        const today = new Date();
-        const threeMonthsAgo = new Date(today);
-        threeMonthsAgo.setMonth(threeMonthsAgo.getMonth() - 3);
-        return date < threeMonthsAgo;
-    } catch (error) {
-        return true; // Invalid date considered overdue
-    }
+    const date = toDateOnly(dateStr);
+    if (!date) return true; // No or invalid date means overdue
+    return date < getTodayDateOnly(-3);
+}
+
+/* ---------- Assessment Registry Utilities ---------- */
+
+/**
+ * Registry entry of a test
+ * @param {string} key - Test key (e.g. 'ippt')
+ * @returns {Object|undefined} Entry of ASSESSMENT_REGISTRY
+ */
+function getAssessmentTest(key) {
+    return ASSESSMENT_REGISTRY.find(test => test.key === key);
+}
+
+/**
+ * Tests taken in a phase, in registry order
+ * @param {string} phaseKey - Phase key ('y1', 'y2' or 'workYear')
+ * @returns {Array<Object>} Entries of ASSESSMENT_REGISTRY
+ */
+function getPhaseTests(phaseKey) {
+    return ASSESSMENT_REGISTRY.filter(test => test.phases.includes(phaseKey));
+}
+
+/**
+ * Phases a category takes (anything but Regular is treated as NSF)
+ * @param {string} category - 'NSF' or 'Regular'
+ * @returns {Array<Object>} Entries of ASSESSMENT_PHASES
+ */
+function getCategoryPhases(category) {
+    const phaseCategory = category === 'Regular' ? 'Regular' : 'NSF';
+    return ASSESSMENT_PHASES.filter(phase => phase.category === phaseCategory);
+}
+
+/**
+ * Empty result group for a new record
+ * @param {string} phaseKey - Phase key
+ * @returns {Object} e.g. { ippt: '', ipptDate: null, voc: '', vocDate: null, ... }
+ */
+function createEmptyPhaseResults(phaseKey) {
+    return Object.fromEntries(getPhaseTests(phaseKey).flatMap(test => [[test.key, ''], [`${test.key}Date`, null]]));
+}
+
+/**
+ * Whether a stored result counts as taken ('Pending' and blanks do not)
+ * @param {string} grade - Stored result
+ * @returns {boolean} True if the test has a result
+ */
+function hasAssessmentResult(grade) {
+    return !!grade && grade !== 'Pending';
+}
+
+/**
+ * Whether a person has done every test their phase requires under the status rules
+ * @param {Object} person - Personnel record
+ * @param {string} phaseKey - Phase key
+ * @returns {boolean} True if the phase is complete
+ */
+function isPhaseComplete(person, phaseKey) {
+    return statusRules.isPhaseComplete(person, phaseKey);
+}
+
+/**
+ * Whether any test of a phase has a result
+ * @param {Object} person - Personnel record
+ * @param {string} phaseKey - Phase key
+ * @returns {boolean} True if the phase has been started
+ */
+function isPhaseStarted(person, phaseKey) {
+    return getPhaseTests(phaseKey).some(test => hasAssessmentResult(person?.[phaseKey]?.[test.key]));
 }
 
 /* ---------- Status & Grade Utilities ---------- */
@@ -161,65 +625,26 @@ function displayGrade(grade, defaultText = 'Pending') {
 function isOverdue(person) {
     if (!person || !person.y2) return false;
     
-    return isDateOverdue(person.y2.ipptDate) ||
-           isDateOverdue(person.y2.vocDate) ||
-           isDateOverdue(person.y2.rangeDate);
+    return statusRules.getRequiredTests(person, 'y2')
+        .some(test => isDateOverdue(person.y2[`${test.key}Date`]));
 }
 
 /**
- * Get overall status of personnel based on assessment completion
+ * Whether a person is still in the unit (not ORD and not posted out by a roster import)
+ * @param {Object} person - Personnel record
+ * @returns {boolean} True if active
+ */
+function isActivePersonnel(person) {
+    return !!person && !person.isORD && !person.postedOutDate;
+}
+
+/**
+ * Get overall status of personnel from the status rules (js/status-rules.js)
  * @param {Object} person - Personnel record
  * @returns {Object} Status object with text and class
  */
 function getPersonStatus(person) {
-    if (!person) {
-        return { text: 'Unknown', class: 'status-pending' };
-    }
-
-    const isRegular = person.category === 'Regular';
-    
-    if (isRegular) {
-        // Regular personnel use Work Year assessments
-        const workYearTests = [person.workYear?.ippt, person.workYear?.voc, person.workYear?.atp, person.workYear?.cs];
-        const workYearCompleted = workYearTests.filter(test => test && test !== 'Pending').length;
-        
-        if (workYearCompleted === 4) {
-            return { text: 'Work Year Completed', class: 'status-pass' };
-        } else if (workYearCompleted > 0) {
-            return { text: 'Work Year In progress', class: 'status-pending' };
-        } else {
-            return { text: 'Work Year Not started', class: 'status-silver' };
-        }
-    } else {
-        // NSF personnel use Y1/Y2 assessments with Y1 window logic
-        const currentDate = new Date();
-        const y1WindowEndDate = person.y1WindowEndDate;
-        const y1Complete = person.y1?.ippt && person.y1?.voc && person.y1?.atp;
-        const y1HasAnyTests = person.y1?.ippt || person.y1?.voc || person.y1?.atp;
-        const y2Tests = [person.y2?.ippt, person.y2?.voc, person.y2?.range];
-        const y2Completed = y2Tests.filter(test => test && test !== 'Pending').length;
-        
-        // Check if Y1 window has expired
-        const y1WindowExpired = y1WindowEndDate && currentDate > y1WindowEndDate;
-        
-        if (y2Completed === 3) {
-            return { text: 'Y2 Completed', class: 'status-pass' };
-        } else if (y2Completed > 0) {
-            return { text: 'Y2 In progress', class: 'status-pending' };
-        } else if (y1WindowExpired) {
-            // Y1 window has expired, move to Y2 phase
-            return { text: 'Y2 Not started', class: 'status-silver' };
-        } else if (y1Complete) {
-            // Y1 window still open and Y1 completed
-            return { text: 'Y1 Completed', class: 'status-pass' };
-        } else if (y1HasAnyTests) {
-            // Y1 window still open and Y1 in progress
-            return { text: 'Y1 In progress', class: 'status-exempt' };
-        } else {
-            // Y1 window still open and no tests started
-            return { text: 'Y1 In progress', class: 'status-exempt' };
-        }
-    }
+    return statusRules.getStatus(person);
 }
 
 /* ---------- Validation Utilities ---------- */
@@ -227,10 +652,10 @@ function getPersonStatus(person) {
 /**
  * Validate if platoon name is valid
  * @param {string} platoonName - Platoon name to validate
- * @returns {boolean} True if valid
+ * @returns {boolean} True if the platoon is in the organisation structure
  */
 function isValidPlatoon(platoonName) {
-    return VALID_PLATOONS.includes(platoonName);
+    return orgStructure.isValidPlatoon(platoonName);
 }
 
 /**
@@ -260,6 +685,31 @@ function isValidRangeResult(result) {
     return SKILL_GRADES.includes(result);
 }
 
+/**
+ * Grade scale used by a test
+ * @param {string} test - Test key of ASSESSMENT_REGISTRY
+ * @returns {string} Key of GRADE_SCALES ('skill' for unknown tests)
+ */
+function getGradeType(test) {
+    return getAssessmentTest(test)?.scale || 'skill';
+}
+
+/**
+ * Map a result to its canonical grade (e.g. "GOLD", "G" -> "Gold"; "MM" -> "Marksman")
+ * @param {*} value - Result as typed or imported
+ * @param {string} type - Grade scale from getGradeType
+ * @returns {Object} { grade, recognised } - grade is '' for blanks; unrecognised values are returned trimmed
+ */
+function normalizeGrade(value, type) {
+    const text = (value === undefined || value === null) ? '' : value.toString().replace(/\s+/g, ' ').trim();
+    const key = text.toUpperCase();
+    if (!key || GRADE_BLANK_VALUES.includes(key)) return { grade: '', recognised: true };
+
+    const grades = GRADE_SCALES[type] || [];
+    const canonical = grades.find(grade => grade.toUpperCase() === key) || gradeAliases.getAliases(type)[key];
+    return canonical ? { grade: canonical, recognised: true } : { grade: text, recognised: false };
+}
+
 /**
  * Sanitize personnel name for safety
  * @param {string} name - Name to sanitize
@@ -276,6 +726,73 @@ function sanitizePersonnelName(name) {
         .toUpperCase(); // Military standard
 }
 
+/**
+ * Mask a service number so only its last four characters are kept
+ * @param {string} value - Service number as entered or imported
+ * @returns {string} Masked service number (e.g. "*****567A"), or '' if empty
+ */
+function maskServiceNumber(value) {
+    if (value === undefined || value === null) return '';
+    const clean = value.toString().replace(/\s+/g, '').toUpperCase();
+    if (clean.length <= 4) return clean;
+    return '*'.repeat(clean.length - 4) + clean.slice(-4);
+}
+
+/**
+ * Whether two records with a service number are the same person. Only the last 4 characters
+ * of a number are kept, so two soldiers can share a masked number (S1234567A and T9870567A are
+ * both "*****567A"); the names must match as well, ignoring punctuation and word order.
+ * @param {Object} a - Record or import row ({ name, serviceNumber })
+ * @param {Object} b - Record or import row ({ name, serviceNumber })
+ * @returns {boolean} True if both have the same masked service number and name
+ */
+function isSameServiceNumberHolder(a, b) {
+    if (!a?.serviceNumber || a.serviceNumber !== b?.serviceNumber) return false;
+    const nameKey = (name) => sanitizePersonnelName(name || '').replace(/[^A-Z0-9]+/g, ' ').trim().split(' ').sort().join(' ');
+    return nameKey(a.name) === nameKey(b.name);
+}
+
+/**
+ * Generate a stable internal personnel ID
+ * @returns {string} Unique ID
+ */
+function generatePersonnelId() {
+    if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+        return `p-${crypto.randomUUID()}`;
+    }
+    return `p-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Give every record an internal ID (records from before IDs existed, or duplicated IDs)
+ * @param {Array} personnel - Personnel records, updated in place
+ * @returns {number} Number of records that received a new ID
+ */
+function ensurePersonnelIds(personnel) {
+    if (!Array.isArray(personnel)) return 0;
+    const seen = new Set();
+    let assigned = 0;
+    personnel.forEach(person => {
+        if (!person) return;
+        if (!person.id || seen.has(person.id)) {
+            person.id = generatePersonnelId();
+            assigned++;
+        }
+        seen.add(person.id);
+    });
+    return assigned;
+}
+
+/**
+ * Find a personnel record by internal ID
+ * @param {Array} personnel - Personnel records
+ * @param {string} id - Personnel ID
+ * @returns {Object|undefined} Matching record
+ */
+function findPersonnelById(personnel, id) {
+    return (personnel || []).find(person => person.id === id);
+}
+
 /**
  * Escape HTML to prevent XSS attacks
  * @param {string} text - Text to escape
@@ -285,7 +802,8 @@ function escapeHtml(text) {
     if (!text) return '';
     const div = document.createElement('div');
     div.textContent = text;
-    return div.innerHTML;
+    // Quotes too, as the result is also written into attribute values (title="...", value="...")
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
 }
 
 /**
@@ -298,36 +816,21 @@ function validateDateInput(dateString, allowFuture = false) {
     if (!dateString) return null;
     
     try {
-        let date;
+        const date = toDateOnly(dateString);
         
-        // Handle DD-MM-YY / DD-MM-YYYY formats
-        if (typeof dateString === 'string' && /^\d{1,2}-\d{1,2}-\d{2,4}$/.test(dateString)) {
-            const parts = dateString.split('-');
-            const day = parseInt(parts[0], 10);
-            const month = parseInt(parts[1], 10) - 1;
-            const yr = parts[2];
-            const fullYear = yr.length === 2 ? (parseInt(yr, 10) < 30 ? 2000 + parseInt(yr, 10) : 1900 + parseInt(yr, 10)) : parseInt(yr, 10);
-            date = new Date(fullYear, month, day);
-        } else {
-            date = new Date(dateString);
-        }
-        
-        const now = new Date();
-        const minDate = new Date('2020-01-01');
-        
-        if (isNaN(date.getTime())) {
+        if (!date) {
             throw new Error('Invalid date format');
         }
         
-        if (!allowFuture && date > now) {
+        if (!allowFuture && date > getTodayDateOnly()) {
             throw new Error('Date cannot be in the future');
         }
         
-        if (date < minDate) {
+        if (date < '2020-01-01') {
             throw new Error('Date is too far in the past');
         }
         
-        return date;
+        return dateOnlyToDate(date);
     } catch (error) {
         console.warn('Date validation failed:', error.message);
         return null;
@@ -339,25 +842,69 @@ function validateDateInput(dateString, allowFuture = false) {
 // Random data generation functions removed for security reasons
 
 /**
- * Calculate completion percentage for personnel
+ * Calculate completion percentage for personnel: required tests done (see the status rules)
+ * out of those required in the phases of each person's category
  * @param {Array} personnelData - Array of personnel records
  * @returns {number} Completion percentage (0-100)
  */
 function calculateCompletionPercentage(personnelData) {
     if (!personnelData || personnelData.length === 0) return 0;
     
-    const activePersonnel = personnelData.filter(p => !p.isORD);
-    const totalTests = activePersonnel.length * 6; // 6 tests per person (3 Y1 + 3 Y2)
-    
-    const completedTests = activePersonnel.reduce((sum, p) => {
-        return sum + 
-            (p.y1?.ippt ? 1 : 0) + (p.y1?.voc ? 1 : 0) + (p.y1?.atp ? 1 : 0) +
-            (p.y2?.ippt ? 1 : 0) + (p.y2?.voc ? 1 : 0) + (p.y2?.range ? 1 : 0);
-    }, 0);
+    const activePersonnel = personnelData.filter(p => isActivePersonnel(p));
+    let totalTests = 0;
+    let completedTests = 0;
+    activePersonnel.forEach(p => {
+        getCategoryPhases(p.category).forEach(phase => {
+            statusRules.getRequiredTests(p, phase.key).forEach(test => {
+                totalTests++;
+                if (statusRules.isTestDone(p, phase.key, test.key)) completedTests++;
+            });
+        });
+    });
     
     return totalTests > 0 ? Math.round((completedTests / totalTests) * 100) : 0;
 }
 
+/**
+ * Read a nested value by dotted path (e.g. 'y2.ippt')
+ * @param {Object} obj - Source object
+ * @param {string} path - Dotted path
+ * @returns {*} Value or undefined
+ */
+function getNestedValue(obj, path) {
+    return path.split('.').reduce((curr, key) => curr?.[key], obj);
+}
+
+/**
+ * Write a nested value by dotted path, creating intermediate objects
+ * @param {Object} obj - Target object
+ * @param {string} path - Dotted path
+ * @param {*} value - Value to set
+ */
+function setNestedValue(obj, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const target = keys.reduce((curr, key) => {
+        if (!curr[key] || typeof curr[key] !== 'object') curr[key] = {};
+        return curr[key];
+    }, obj);
+    target[last] = value;
+}
+
+/**
+ * Stamp fields of a record as edited locally, so a later import merge can keep them
+ * @param {Object} person - Personnel record
+ * @param {Array<string>} paths - Dotted field paths that were changed
+ */
+function recordLocalEdits(person, paths) {
+    if (!person || !paths || paths.length === 0) return;
+    const timestamp = new Date().toISOString();
+    person.localEdits = person.localEdits || {};
+    paths.forEach(path => {
+        person.localEdits[path] = timestamp;
+    });
+}
+
 /* ---------- Search & Filter Utilities ---------- */
 
 /**
@@ -371,6 +918,7 @@ function matchesSearchTerm(person, searchTerm) {
     
     const searchableText = [
         person.name || '',
+        person.serviceNumber || '',
         person.platoon || '',
         person.unit || '',
         person.medicalStatus || ''
@@ -468,9 +1016,13 @@ function getStorageUsage() {
 /* ---------- Export for Module Usage (if needed) ---------- */
 // If you ever convert to ES6 modules, uncomment these:
 // export {
-//     VALID_PLATOONS, IPPT_GRADES, VOC_GRADES, SKILL_GRADES,
-//     formatDate, getStatusClass, displayGrade, isOverdue, getPersonStatus,
-//     isValidPlatoon, sanitizePersonnelName, validateDateInput,
+//     DEFAULT_ORG_STRUCTURE, DEFAULT_STATUS_RULES, IPPT_STATIONS, DEFAULT_IPPT_SCORING, IPPT_GRADES, VOC_GRADES, SKILL_GRADES, PASS_FAIL_GRADES, GRADE_SCALES, DEFAULT_GRADE_ALIASES,
+//     ASSESSMENT_PHASES, ASSESSMENT_REGISTRY, getAssessmentTest, getPhaseTests, getCategoryPhases,
+//     createEmptyPhaseResults, hasAssessmentResult, isPhaseComplete, isPhaseStarted, PERSONNEL_CSV_COLUMNS,
+//     DATE_CONFIG, DEFAULT_DATE_SETTINGS, getDateInputFormat, PERSONNEL_DATE_PATHS, toDateOnly, dateOnlyToDate, getTodayDateOnly, addDaysToDate, toExcelDate, toExcelSerial,
+//     normalizePersonnelDates, normalizeAllPersonnelDates, formatDate, getStatusClass, displayGrade, isOverdue, getPersonStatus,
+//     isActivePersonnel, isValidPlatoon, getGradeType, normalizeGrade, sanitizePersonnelName,
+//     maskServiceNumber, isSameServiceNumberHolder, generatePersonnelId, ensurePersonnelIds, findPersonnelById, validateDateInput,
 //     generateRandomOrdDate, getRandomElement, calculateCompletionPercentage,
 //     matchesSearchTerm, debounce, logError, showErrorMessage, showSuccessMessage
 // };
@@ -0,0 +1,595 @@
+/* =================================================================
+   SOFUN TRACKER - WORKBOOK PATCHER
+   Edits an uploaded .xlsx package in place, keeping its formatting
+   ================================================================= */
+
+/**
+ * SOFUN Workbook Patcher
+ * SheetJS drops cell formatting when it writes a workbook, so changes that must keep the
+ * original look (highlighted rows, changed cell values, an extra sheet) are made directly on
+ * the file's XML parts. Data validation dropdowns, which SheetJS cannot write, are added the same way.
+ * One patcher wraps one file; call toArray() to get the patched file.
+ */
+class SofunWorkbookPatcher {
+    /**
+     * @param {ArrayBuffer|Uint8Array} data - Contents of an .xlsx file
+     * @throws {Error} If the data is not an .xlsx package
+     */
+    constructor(data) {
+        this.ns = {
+            main: 'http://schemas.openxmlformats.org/spreadsheetml/2006/main',
+            rel: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships'
+        };
+        this.zip = XLSX.CFB.read(data instanceof Uint8Array ? data : new Uint8Array(data), { type: 'array' });
+        this.documents = new Map(); // Part path -> parsed XML document, written back by toArray()
+        this.fillIds = new Map(); // ARGB colour -> fills index
+        this.highlightStyles = new Map(); // "baseStyle|color" -> cellXfs index
+        this.dateStyles = new Map(); // baseStyle -> cellXfs index with a date number format
+        this.workbookPath = '/xl/workbook.xml';
+
+        if (!XLSX.CFB.find(this.zip, this.workbookPath)) {
+            throw new Error('The file is not an .xlsx workbook');
+        }
+    }
+
+    /**
+     * Whether a file can be patched (only the zipped .xlsx format can)
+     * @param {string} fileName - File name
+     * @returns {boolean} True for .xlsx files
+     */
+    static canPatch(fileName) {
+        return /\.xlsx$/i.test(fileName || '');
+    }
+
+    /* ---------- Package Parts ---------- */
+
+    /**
+     * Parsed XML of a package part (cached, so edits accumulate until toArray)
+     * @param {string} path - Part path, e.g. '/xl/styles.xml'
+     * @returns {Document|null} XML document, or null if the part does not exist
+     */
+    readXml(path) {
+        if (this.documents.has(path)) return this.documents.get(path);
+        const entry = XLSX.CFB.find(this.zip, path);
+        if (!entry || !entry.content) return null;
+
+        const doc = new DOMParser().parseFromString(new TextDecoder().decode(entry.content), 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error(`Could not read ${path}`);
+        }
+        this.documents.set(path, doc);
+        return doc;
+    }
+
+    /**
+     * Add or replace a package part
+     * @param {string} path - Part path
+     * @param {string} text - Part contents
+     */
+    writePart(path, text) {
+        this.documents.delete(path);
+        XLSX.CFB.utils.cfb_add(this.zip, path, new TextEncoder().encode(text));
+    }
+
+    /**
+     * Child elements of a node with a given local name
+     * @param {Node} parent - Parent node
+     * @param {string} localName - Element name without prefix
+     * @returns {Array<Element>} Matching direct children
+     */
+    children(parent, localName) {
+        return parent ? Array.from(parent.childNodes).filter(node => node.nodeType === 1 && node.localName === localName) : [];
+    }
+
+    /**
+     * Create an element in a document's default namespace, matching its prefix
+     * @param {Document} doc - XML document
+     * @param {string} localName - Element name
+     * @returns {Element} New element
+     */
+    createElement(doc, localName) {
+        const root = doc.documentElement;
+        const qualifiedName = root.prefix ? `${root.prefix}:${localName}` : localName;
+        return doc.createElementNS(root.namespaceURI, qualifiedName);
+    }
+
+    /**
+     * Resolve a relationship target against the folder of its source part
+     * @param {string} basePath - Source part, e.g. '/xl/workbook.xml'
+     * @param {string} target - Relationship target, e.g. 'worksheets/sheet1.xml'
+     * @returns {string} Absolute part path
+     */
+    resolveTarget(basePath, target) {
+        if (target.startsWith('/')) return target;
+        const parts = basePath.split('/').slice(0, -1);
+        target.split('/').forEach(segment => {
+            if (segment === '..') parts.pop();
+            else if (segment !== '.') parts.push(segment);
+        });
+        return parts.join('/');
+    }
+
+    /**
+     * Relationships part of the workbook
+     * @returns {Document} Parsed workbook.xml.rels
+     */
+    readWorkbookRels() {
+        const rels = this.readXml('/xl/_rels/workbook.xml.rels');
+        if (!rels) throw new Error('The workbook has no relationships part');
+        return rels;
+    }
+
+    /**
+     * Sheet entries of the workbook
+     * @returns {Array<Object>} { name, sheetId, rId, path }
+     */
+    getSheets() {
+        const workbook = this.readXml(this.workbookPath);
+        const sheetsNode = this.children(workbook.documentElement, 'sheets')[0];
+        const targets = new Map(this.children(this.readWorkbookRels().documentElement, 'Relationship')
+            .map(rel => [rel.getAttribute('Id'), rel.getAttribute('Target')]));
+
+        return this.children(sheetsNode, 'sheet').map(sheet => {
+            const rId = sheet.getAttributeNS(this.ns.rel, 'id');
+            const target = targets.get(rId);
+            return {
+                name: sheet.getAttribute('name'),
+                sheetId: parseInt(sheet.getAttribute('sheetId'), 10) || 0,
+                rId: rId,
+                path: target ? this.resolveTarget(this.workbookPath, target) : null
+            };
+        });
+    }
+
+    /**
+     * Worksheet XML of a sheet
+     * @param {string} sheetName - Sheet name
+     * @returns {Document|null} Worksheet document, or null if the sheet does not exist
+     */
+    readSheet(sheetName) {
+        const sheet = this.getSheets().find(entry => entry.name === sheetName);
+        return sheet && sheet.path ? this.readXml(sheet.path) : null;
+    }
+
+    /* ---------- Styles ---------- */
+
+    /**
+     * Cell style that looks like an existing one but with a solid fill.
+     * Number formats, fonts and borders of the original style are kept.
+     * @param {number} baseStyle - Existing cellXfs index
+     * @param {string} color - ARGB fill colour, e.g. 'FFFFC7CE'
+     * @returns {number} cellXfs index of the filled style (the base style if styles cannot be edited)
+     */
+    getFilledStyle(baseStyle, color) {
+        const cacheKey = `${baseStyle}|${color}`;
+        if (this.highlightStyles.has(cacheKey)) return this.highlightStyles.get(cacheKey);
+
+        const styles = this.readXml('/xl/styles.xml');
+        const root = styles?.documentElement;
+        const fills = this.children(root, 'fills')[0];
+        const cellXfs = this.children(root, 'cellXfs')[0];
+        if (!fills || !cellXfs) return baseStyle;
+
+        if (!this.fillIds.has(color)) {
+            const fill = this.createElement(styles, 'fill');
+            const pattern = this.createElement(styles, 'patternFill');
+            pattern.setAttribute('patternType', 'solid');
+            const fgColor = this.createElement(styles, 'fgColor');
+            fgColor.setAttribute('rgb', color);
+            const bgColor = this.createElement(styles, 'bgColor');
+            bgColor.setAttribute('indexed', '64');
+            pattern.appendChild(fgColor);
+            pattern.appendChild(bgColor);
+            fill.appendChild(pattern);
+            fills.appendChild(fill);
+            const count = this.children(fills, 'fill').length;
+            fills.setAttribute('count', String(count));
+            this.fillIds.set(color, count - 1);
+        }
+        const fillId = this.fillIds.get(color);
+
+        const xfs = this.children(cellXfs, 'xf');
+        const base = xfs[baseStyle] || xfs[0];
+        const xf = base ? base.cloneNode(true) : this.createElement(styles, 'xf');
+        if (!base) ['numFmtId', 'fontId', 'borderId', 'xfId'].forEach(name => xf.setAttribute(name, '0'));
+        xf.setAttribute('fillId', String(fillId));
+        xf.setAttribute('applyFill', '1');
+        cellXfs.appendChild(xf);
+        const index = xfs.length;
+        cellXfs.setAttribute('count', String(index + 1));
+
+        this.highlightStyles.set(cacheKey, index);
+        return index;
+    }
+
+    /**
+     * Whether a number format shows a date (built-in date formats, or a custom code with d, m or y)
+     * @param {Document} styles - Parsed styles.xml
+     * @param {number} numFmtId - Number format ID
+     * @returns {boolean} True for date formats
+     */
+    isDateFormat(styles, numFmtId) {
+        if ((numFmtId >= 14 && numFmtId <= 22) || (numFmtId >= 45 && numFmtId <= 47)) return true;
+        const numFmts = this.children(styles.documentElement, 'numFmts')[0];
+        const custom = this.children(numFmts, 'numFmt').find(fmt => parseInt(fmt.getAttribute('numFmtId'), 10) === numFmtId);
+        // Ignore quoted text and [colour] / [locale] sections before looking for date codes
+        const code = (custom?.getAttribute('formatCode') || '').replace(/"[^"]*"|\[[^\]]*\]/g, '');
+        return /[dmy]/i.test(code);
+    }
+
+    /**
+     * Cell style that looks like an existing one but shows dates (DATE_CONFIG.excelFormat).
+     * Styles that already show dates are returned unchanged.
+     * @param {number} baseStyle - Existing cellXfs index
+     * @returns {number} cellXfs index of the date style (the base style if styles cannot be edited)
+     */
+    getDateStyle(baseStyle) {
+        if (this.dateStyles.has(baseStyle)) return this.dateStyles.get(baseStyle);
+
+        const styles = this.readXml('/xl/styles.xml');
+        const root = styles?.documentElement;
+        const cellXfs = this.children(root, 'cellXfs')[0];
+        if (!cellXfs) return baseStyle;
+
+        const xfs = this.children(cellXfs, 'xf');
+        const base = xfs[baseStyle] || xfs[0];
+        if (base && this.isDateFormat(styles, parseInt(base.getAttribute('numFmtId') || '0', 10))) {
+            this.dateStyles.set(baseStyle, baseStyle);
+            return baseStyle;
+        }
+
+        let numFmts = this.children(root, 'numFmts')[0];
+        if (!numFmts) {
+            // numFmts is the first child of the stylesheet
+            numFmts = this.createElement(styles, 'numFmts');
+            root.insertBefore(numFmts, root.firstChild);
+        }
+        const existing = this.children(numFmts, 'numFmt');
+        let numFmt = existing.find(fmt => fmt.getAttribute('formatCode') === DATE_CONFIG.excelFormat);
+        if (!numFmt) {
+            numFmt = this.createElement(styles, 'numFmt');
+            // Custom formats start at 164
+            const id = Math.max(163, ...existing.map(fmt => parseInt(fmt.getAttribute('numFmtId'), 10) || 0)) + 1;
+            numFmt.setAttribute('numFmtId', String(id));
+            numFmt.setAttribute('formatCode', DATE_CONFIG.excelFormat);
+            numFmts.appendChild(numFmt);
+            numFmts.setAttribute('count', String(existing.length + 1));
+        }
+
+        const xf = base ? base.cloneNode(true) : this.createElement(styles, 'xf');
+        if (!base) ['fontId', 'fillId', 'borderId', 'xfId'].forEach(name => xf.setAttribute(name, '0'));
+        xf.setAttribute('numFmtId', numFmt.getAttribute('numFmtId'));
+        xf.setAttribute('applyNumberFormat', '1');
+        cellXfs.appendChild(xf);
+        const index = xfs.length;
+        cellXfs.setAttribute('count', String(index + 1));
+
+        this.dateStyles.set(baseStyle, index);
+        return index;
+    }
+
+    /**
+     * Apply a fill to an element that carries a style index (a cell or a row)
+     * @param {Element} element - <c> or <row>
+     * @param {string} color - ARGB fill colour
+     */
+    fillElement(element, color) {
+        const baseStyle = parseInt(element.getAttribute('s') || '0', 10) || 0;
+        element.setAttribute('s', String(this.getFilledStyle(baseStyle, color)));
+    }
+
+    /* ---------- Highlighting ---------- */
+
+    /**
+     * Row element of a worksheet, created in order if the row is empty
+     * @param {Document} doc - Worksheet document
+     * @param {number} rowIndex - Zero-based row index
+     * @param {boolean} create - Create the row if missing
+     * @returns {Element|null} <row> element
+     */
+    getRowElement(doc, rowIndex, create) {
+        const sheetData = this.children(doc.documentElement, 'sheetData')[0];
+        if (!sheetData) return null;
+        const rowNumber = rowIndex + 1;
+        const rows = this.children(sheetData, 'row');
+        const existing = rows.find(row => parseInt(row.getAttribute('r'), 10) === rowNumber);
+        if (existing || !create) return existing || null;
+
+        const row = this.createElement(doc, 'row');
+        row.setAttribute('r', String(rowNumber));
+        const next = rows.find(candidate => parseInt(candidate.getAttribute('r'), 10) > rowNumber);
+        sheetData.insertBefore(row, next || null);
+        return row;
+    }
+
+    /**
+     * Fill whole rows, including their empty cells
+     * @param {string} sheetName - Sheet name
+     * @param {Array<number>} rowIndexes - Zero-based row indexes
+     * @param {string} color - ARGB fill colour
+     * @returns {number} Number of rows filled
+     */
+    highlightRows(sheetName, rowIndexes, color) {
+        const doc = this.readSheet(sheetName);
+        if (!doc) return 0;
+
+        let count = 0;
+        new Set(rowIndexes).forEach(rowIndex => {
+            const row = this.getRowElement(doc, rowIndex, true);
+            if (!row) return;
+            // The row style covers empty cells; cells with their own style are filled one by one
+            this.fillElement(row, color);
+            row.setAttribute('customFormat', '1');
+            this.children(row, 'c').forEach(cell => this.fillElement(cell, color));
+            count++;
+        });
+        return count;
+    }
+
+    /**
+     * Fill single cells, creating empty ones where needed
+     * @param {string} sheetName - Sheet name
+     * @param {Array<Object>} cells - { r, c } zero-based cell addresses
+     * @param {string} color - ARGB fill colour
+     * @returns {number} Number of cells filled
+     */
+    highlightCells(sheetName, cells, color) {
+        const doc = this.readSheet(sheetName);
+        if (!doc) return 0;
+
+        let count = 0;
+        cells.forEach(({ r, c }) => {
+            const cell = this.getCellElement(doc, r, c);
+            if (!cell) return;
+            this.fillElement(cell, color);
+            count++;
+        });
+        return count;
+    }
+
+    /**
+     * Cell element of a worksheet, created in column order (with the row's style) if missing
+     * @param {Document} doc - Worksheet document
+     * @param {number} r - Zero-based row index
+     * @param {number} c - Zero-based column index
+     * @returns {Element|null} <c> element, or null if the row's cells cannot be placed
+     */
+    getCellElement(doc, r, c) {
+        const row = this.getRowElement(doc, r, true);
+        if (!row) return null;
+        const address = XLSX.utils.encode_cell({ r, c });
+        const rowCells = this.children(row, 'c');
+        // Cells without references cannot be placed reliably; leave such rows alone
+        if (rowCells.some(cell => !cell.getAttribute('r'))) return null;
+
+        let cell = rowCells.find(candidate => candidate.getAttribute('r') === address);
+        if (!cell) {
+            cell = this.createElement(doc, 'c');
+            cell.setAttribute('r', address);
+            if (row.getAttribute('s')) cell.setAttribute('s', row.getAttribute('s'));
+            const next = rowCells.find(candidate => XLSX.utils.decode_cell(candidate.getAttribute('r')).c > c);
+            row.insertBefore(cell, next || null);
+        }
+        return cell;
+    }
+
+    /* ---------- Cell Values ---------- */
+
+    /**
+     * Write a value into a cell, keeping the cell's style. Formula cells are never overwritten.
+     * @param {string} sheetName - Sheet name
+     * @param {Object} address - { r, c } zero-based cell address
+     * @param {string|number|null} value - Text, number (dates as Excel serials), or '' / null to clear
+     * @param {Object} [options] - { date: true } gives the cell a date format if its style has none
+     * @returns {boolean} True if the cell was written
+     */
+    setCellValue(sheetName, { r, c }, value, options = {}) {
+        const doc = this.readSheet(sheetName);
+        const cell = doc ? this.getCellElement(doc, r, c) : null;
+        if (!cell || this.children(cell, 'f').length > 0) return false;
+
+        Array.from(cell.childNodes).forEach(node => cell.removeChild(node));
+        cell.removeAttribute('t');
+        if (value === '' || value === null || value === undefined) return true;
+
+        if (typeof value === 'number' && isFinite(value)) {
+            const v = this.createElement(doc, 'v');
+            v.textContent = String(value);
+            cell.appendChild(v);
+            if (options.date) {
+                const baseStyle = parseInt(cell.getAttribute('s') || '0', 10) || 0;
+                cell.setAttribute('s', String(this.getDateStyle(baseStyle)));
+            }
+        } else {
+            // Inline strings leave the shared string table untouched
+            cell.setAttribute('t', 'inlineStr');
+            const is = this.createElement(doc, 'is');
+            const t = this.createElement(doc, 't');
+            t.setAttributeNS('http://www.w3.org/XML/1998/namespace', 'xml:space', 'preserve');
+            t.textContent = String(value).replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+            is.appendChild(t);
+            cell.appendChild(is);
+        }
+        return true;
+    }
+
+    /**
+     * Ask Excel to recalculate every formula when the file is opened, so totals and
+     * conditional formatting that depend on written cells are up to date
+     */
+    requestFullCalculation() {
+        const workbook = this.readXml(this.workbookPath);
+        const root = workbook.documentElement;
+        let calcPr = this.children(root, 'calcPr')[0];
+        if (!calcPr) {
+            calcPr = this.createElement(workbook, 'calcPr');
+            // calcPr comes right after the sheet list and defined names in the schema order
+            const later = ['oleSize', 'customWorkbookViews', 'pivotCaches', 'smartTagPr', 'smartTagTypes',
+                'webPublishing', 'fileRecoveryPr', 'webPublishObjects', 'extLst'];
+            const next = Array.from(root.childNodes).find(node => node.nodeType === 1 && later.includes(node.localName));
+            root.insertBefore(calcPr, next || null);
+        }
+        calcPr.setAttribute('fullCalcOnLoad', '1');
+    }
+
+    /* ---------- Data Validation ---------- */
+
+    /**
+     * Restrict cells to a dropdown list or to dates (SheetJS cannot write data validation)
+     * @param {string} sheetName - Sheet name
+     * @param {Array<string>} ranges - A1 ranges, e.g. ['F5:F200', 'I5:I200']
+     * @param {Object} rule - { list: ['Pass', 'Fail'] } for a dropdown, or { date: true } for any date
+     * @returns {boolean} True if the rule was added
+     */
+    addDataValidation(sheetName, ranges, rule) {
+        const doc = this.readSheet(sheetName);
+        if (!doc || ranges.length === 0) return false;
+        const root = doc.documentElement;
+
+        let validations = this.children(root, 'dataValidations')[0];
+        if (!validations) {
+            validations = this.createElement(doc, 'dataValidations');
+            // dataValidations follows the sheet data, merges and conditional formatting in the schema order
+            const later = ['hyperlinks', 'printOptions', 'pageMargins', 'pageSetup', 'headerFooter', 'rowBreaks',
+                'colBreaks', 'customProperties', 'cellWatches', 'ignoredErrors', 'smartTags', 'drawing',
+                'legacyDrawing', 'legacyDrawingHF', 'picture', 'oleObjects', 'controls', 'webPublishItems',
+                'tableParts', 'extLst'];
+            const next = Array.from(root.childNodes).find(node => node.nodeType === 1 && later.includes(node.localName));
+            root.insertBefore(validations, next || null);
+        }
+
+        const validation = this.createElement(doc, 'dataValidation');
+        const formula = this.createElement(doc, 'formula1');
+        if (rule.list) {
+            validation.setAttribute('type', 'list');
+            validation.setAttribute('error', `Choose one of: ${rule.list.join(', ')}`);
+            // A literal list is written as one quoted, comma-separated string
+            formula.textContent = `"${rule.list.join(',')}"`;
+        } else {
+            validation.setAttribute('type', 'date');
+            validation.setAttribute('operator', 'greaterThan');
+            validation.setAttribute('error', `Enter a date (${DATE_CONFIG.excelFormat})`);
+            formula.textContent = '1';
+        }
+        validation.setAttribute('allowBlank', '1');
+        validation.setAttribute('showErrorMessage', '1');
+        validation.setAttribute('errorTitle', 'Invalid value');
+        validation.setAttribute('sqref', ranges.join(' '));
+        validation.appendChild(formula);
+        validations.appendChild(validation);
+        validations.setAttribute('count', String(this.children(validations, 'dataValidation').length));
+        return true;
+    }
+
+    /* ---------- Sheets ---------- */
+
+    /**
+     * Escape text for XML content and attributes
+     * @param {*} value - Value
+     * @returns {string} Escaped text
+     */
+    escapeXml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            // Control characters are not allowed in XML 1.0
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+    }
+
+    /**
+     * Add a plain sheet of values at the end of the workbook
+     * @param {string} name - Preferred sheet name (made unique if taken)
+     * @param {Array<Array>} rows - Values; the first row is shown as a frozen, shaded header
+     * @returns {string} Name the sheet was given
+     */
+    addSheet(name, rows) {
+        const sheets = this.getSheets();
+        const names = new Set(sheets.map(sheet => sheet.name.toLowerCase()));
+        let sheetName = name.substring(0, 31);
+        for (let n = 2; names.has(sheetName.toLowerCase()); n++) {
+            const suffix = ` (${n})`;
+            sheetName = name.substring(0, 31 - suffix.length) + suffix;
+        }
+
+        let fileNumber = sheets.length + 1;
+        while (XLSX.CFB.find(this.zip, `/xl/worksheets/sheet${fileNumber}.xml`)) fileNumber++;
+        const path = `/xl/worksheets/sheet${fileNumber}.xml`;
+
+        // Worksheet part
+        const headerStyle = this.getFilledStyle(0, 'FFD9D9D9');
+        const width = Math.max(...rows.map(row => row.length), 1);
+        const columnWidths = Array.from({ length: width }, (_, c) =>
+            Math.min(60, Math.max(8, ...rows.map(row => String(row[c] ?? '').length + 2))));
+        const cols = columnWidths
+            .map((w, c) => `<col min="${c + 1}" max="${c + 1}" width="${w}" customWidth="1"/>`)
+            .join('');
+        const sheetData = rows.map((row, r) => {
+            const cells = row.map((value, c) => {
+                if (value === undefined || value === null || value === '') return '';
+                const ref = XLSX.utils.encode_cell({ r, c });
+                const style = r === 0 ? ` s="${headerStyle}"` : '';
+                if (typeof value === 'number' && isFinite(value)) return `<c r="${ref}"${style}><v>${value}</v></c>`;
+                return `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${this.escapeXml(value)}</t></is></c>`;
+            }).join('');
+            return `<row r="${r + 1}">${cells}</row>`;
+        }).join('');
+        this.writePart(path,
+            '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            `<worksheet xmlns="${this.ns.main}" xmlns:r="${this.ns.rel}">` +
+            '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+            `<cols>${cols}</cols><sheetData>${sheetData}</sheetData></worksheet>`);
+
+        // Relationship from the workbook
+        const rels = this.readWorkbookRels();
+        const relIds = new Set(this.children(rels.documentElement, 'Relationship').map(rel => rel.getAttribute('Id')));
+        let relNumber = relIds.size + 1;
+        while (relIds.has(`rId${relNumber}`)) relNumber++;
+        const relationship = this.createElement(rels, 'Relationship');
+        relationship.setAttribute('Id', `rId${relNumber}`);
+        relationship.setAttribute('Type', `${this.ns.rel}/worksheet`);
+        relationship.setAttribute('Target', `worksheets/sheet${fileNumber}.xml`);
+        rels.documentElement.appendChild(relationship);
+
+        // Sheet entry in the workbook
+        const workbook = this.readXml(this.workbookPath);
+        const sheetsNode = this.children(workbook.documentElement, 'sheets')[0];
+        const sheet = this.createElement(workbook, 'sheet');
+        sheet.setAttribute('name', sheetName);
+        sheet.setAttribute('sheetId', String(Math.max(0, ...sheets.map(entry => entry.sheetId)) + 1));
+        const relPrefix = workbook.documentElement.lookupPrefix(this.ns.rel) || 'r';
+        sheet.setAttributeNS(this.ns.rel, `${relPrefix}:id`, `rId${relNumber}`);
+        sheetsNode.appendChild(sheet);
+
+        // Content type of the new part
+        const types = this.readXml('/[Content_Types].xml');
+        if (types) {
+            const override = this.createElement(types, 'Override');
+            override.setAttribute('PartName', path);
+            override.setAttribute('ContentType', 'application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml');
+            types.documentElement.appendChild(override);
+        }
+
+        return sheetName;
+    }
+
+    /* ---------- Output ---------- */
+
+    /**
+     * Write every edited part back and produce the patched file
+     * @returns {Uint8Array} .xlsx file contents
+     */
+    toArray() {
+        const serializer = new XMLSerializer();
+        this.documents.forEach((doc, path) => {
+            let text = serializer.serializeToString(doc);
+            if (!text.startsWith('<?xml')) text = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' + text;
+            XLSX.CFB.utils.cfb_add(this.zip, path, new TextEncoder().encode(text));
+        });
+        this.documents.clear();
+        return XLSX.CFB.write(this.zip, { fileType: 'zip', type: 'array', compression: true });
+    }
+}
+
+console.log('✅ SOFUN Workbook Patcher loaded - Formatting-preserving workbook edits ready');